@@ -19,12 +19,12 @@ import { useCallback, useEffect, useRef } from "react";
 import * as THREE from "three";
 import "./App.css";
 import { initScene } from "./three/initScene";
-import { buildBuildings } from "./three/buildBuildings";
+import { buildBuildings, colorBuildingsByBand } from "./three/buildBuildings";
 import { buildBoundary } from "./three/buildBoundary";
 import { buildWater } from "./three/buildWater";
 import { buildWaterway } from "./three/buildWaterway";
 import { buildGreenery } from "./three/buildGreenery";
-import { buildRoads } from "./three/buildRoads";
+import { buildRoads, colorRoadsByComponent, markBlockedRoads } from "./three/buildRoads";
 import { buildSites } from "./three/buildSites";
 import { buildPois } from "./three/buildPois";
 import { buildRouteOverlay } from "./three/buildRouteOverlay";
@@ -33,17 +33,161 @@ import LibraryGuidePanel from "./components/LibraryGuidePanel";
 import GymnasiumGuidePanel from "./components/GymnasiumGuidePanel";
 import NavigationPanel from "./components/NavigationPanel";
 import RouteInfoPopup from "./components/RouteInfoPopup";
-import { logInfo, logError } from "./logger/logger";
+import RoadClosurePanel from "./components/RoadClosurePanel";
+import MapContextMenu from "./components/MapContextMenu";
+import ReachabilityLegend from "./components/ReachabilityLegend";
+import NoticeBar from "./components/NoticeBar";
+import WalkthroughHud from "./components/WalkthroughHud";
+import { logInfo, logWarn, logError } from "./logger/logger";
 import { useSceneStore, SCENE_BASE_ALIGNMENT } from "./store/useSceneStore";
-import { solveRouteBetweenPoints } from "./lib/roadGraph";
-import { findPoiByName } from "./lib/poiIndex";
+import { useNavigationStore } from "./store/navigationStore";
+import {
+  computeReachability,
+  findNearestRoadEdge,
+  getRoadComponents,
+  getRoadTags,
+  projectToGraph,
+  resolveBlockedRoadIds,
+  solveRouteBetweenPoints,
+} from "./lib/roadGraph";
+import { findPoiById, findPoiByName } from "./lib/poiIndex";
+import { getBuildingOutline } from "./lib/buildingAccess";
+import { TRANSPORT_PROFILES, resolveTransportProfile } from "./lib/routingProfiles";
+import { createRouteTrack, sampleRouteView } from "./lib/routeWalkthrough";
+import { createGeolocationProvider, createReplayProvider } from "./lib/positionProviders";
+import {
+  createCurrentLocation,
+  createOffRouteMonitor,
+  remainingWaypoints,
+  snapToRoute,
+} from "./lib/routeTracking";
+import { resolveNightMode } from "./lib/nightSafety";
+import { buildDeepLinkSearch, parseDeepLink, resolveDeepLink } from "./lib/deepLink";
+import { composeSceneTransform, sceneToGraphPoint } from "./lib/coordinates";
+import { createMapLocation } from "./lib/reverseGeocode";
 import { attachBuildingPicking } from "./three/interactions/buildingPicking";
 import { attachRiverPicking } from "./three/interactions/riverPicking";
 import { attachRoadPicking } from "./three/interactions/roadPicking";
+import { attachRoutePicking } from "./three/interactions/routePicking";
+import { attachGroundPicking } from "./three/interactions/groundPicking";
+import { attachMapContextPicking } from "./three/interactions/mapContextPicking";
 import { attachBoundaryPicking } from "./three/interactions/boundaryPicking";
 import { attachSitePicking } from "./three/interactions/sitePicking";
+import { createRouteWalkthroughCamera } from "./three/routeWalkthroughCamera";
 import config from "./config/index.js";
 
+/**
+ * DEEP_LINK_WRITE_DELAY：状态变化后延迟写入 URL 的时间（毫秒），合并连续变化
+ */
+const DEEP_LINK_WRITE_DELAY = 300;
+
+/**
+ * WALKTHROUGH_LABEL_INTERVAL：沉浸式导航时刷新 POI 标签缩放的间隔（秒）
+ * OrbitControls 被禁用后不再触发 change 事件，需按相机位置定期刷新
+ */
+const WALKTHROUGH_LABEL_INTERVAL = 0.25;
+
+/**
+ * WALKTHROUGH_PROGRESS_INTERVAL：沉浸式导航把逐帧推进的里程写回 walkthroughDistance 的间隔（秒）
+ */
+const WALKTHROUGH_PROGRESS_INTERVAL = 0.2;
+
+/**
+ * restoreDeepLink：按 URL 查询参数恢复起终点、交通方式、选中建筑与相机姿态
+ * 起终点齐全时请求导航面板规划路线；无效参数忽略并以 NoticeBar 提示
+ * @param {{ camera, controls }} sceneContext - initScene 返回的上下文
+ */
+function restoreDeepLink(sceneContext) {
+  const link = parseDeepLink(window.location.search);
+  if (!Object.values(link).some(Boolean)) return;
+  const resolved = resolveDeepLink(link, {
+    findPoi: findPoiById,
+    hasBuilding: (stableId) => Boolean(getBuildingOutline(stableId)),
+    isMode: (mode) => Object.hasOwn(TRANSPORT_PROFILES, mode),
+  });
+  const navigation = useNavigationStore.getState();
+  if (resolved.mode) navigation.setTransportMode(resolved.mode);
+  if (resolved.startLocation) navigation.setStartLocation(resolved.startLocation);
+  if (resolved.endLocation) navigation.setEndLocation(resolved.endLocation);
+  if (resolved.selectedBuilding) {
+    useSceneStore.getState().setSelectedBuilding(resolved.selectedBuilding);
+  }
+  if (resolved.camera && sceneContext?.camera && sceneContext.controls) {
+    const { position, target } = resolved.camera;
+    sceneContext.camera.position.set(position.x, position.y, position.z);
+    sceneContext.controls.target.set(target.x, target.y, target.z);
+    sceneContext.controls.update();
+  }
+  if (resolved.startLocation && resolved.endLocation) {
+    navigation.requestRoutePlan();
+  }
+  if (resolved.issues.length > 0) {
+    useSceneStore.getState().pushNotices(resolved.issues);
+    logWarn("深链接", "链接参数部分无效", { issues: resolved.issues });
+  }
+  logInfo("深链接", "已从链接恢复状态", {
+    from: resolved.startLocation?.name,
+    to: resolved.endLocation?.name,
+    mode: resolved.mode,
+    selectedBuilding: resolved.selectedBuilding,
+    camera: Boolean(resolved.camera),
+  });
+}
+
+/**
+ * attachDeepLinkSync：起终点、交通方式、选中建筑或相机（拖动结束）变化后以 history.replaceState 更新 URL
+ * @param {{ camera, controls }} sceneContext - initScene 返回的上下文
+ * @returns {() => void} 解除监听
+ */
+function attachDeepLinkSync(sceneContext) {
+  let timer = null;
+  const writeUrl = () => {
+    timer = null;
+    const { startLocation, endLocation, transportMode } = useNavigationStore.getState();
+    const search = buildDeepLinkSearch(
+      {
+        startLocation,
+        endLocation,
+        transportMode,
+        selectedBuilding: useSceneStore.getState().selectedBuilding,
+        camera: sceneContext?.controls
+          ? { position: sceneContext.camera.position, target: sceneContext.controls.target }
+          : null,
+      },
+      window.location.search
+    );
+    if (search === window.location.search) return;
+    window.history.replaceState(
+      window.history.state,
+      "",
+      `${window.location.pathname}${search}${window.location.hash}`
+    );
+  };
+  const scheduleWrite = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(writeUrl, DEEP_LINK_WRITE_DELAY);
+  };
+  const unsubscribeNavigation = useNavigationStore.subscribe((state, previous) => {
+    if (
+      state.startLocation !== previous.startLocation ||
+      state.endLocation !== previous.endLocation ||
+      state.transportMode !== previous.transportMode
+    ) {
+      scheduleWrite();
+    }
+  });
+  const unsubscribeScene = useSceneStore.subscribe((state, previous) => {
+    if (state.selectedBuilding !== previous.selectedBuilding) scheduleWrite();
+  });
+  sceneContext?.controls?.addEventListener("end", scheduleWrite);
+  return () => {
+    if (timer) clearTimeout(timer);
+    unsubscribeNavigation();
+    unsubscribeScene();
+    sceneContext?.controls?.removeEventListener("end", scheduleWrite);
+  };
+}
+
 function App() {
   /**
    * containerRef：Three.js 渲染容器 DOM 节点引用
@@ -73,6 +217,8 @@ function App() {
   const routeOverlayRef = useRef(null);
   const routeDebugGroupRef = useRef(null);
   const poiLayerRef = useRef(null);
+  // 沉浸式导航的逐帧里程（米）与最近一次写回 store 的里程，避免每帧更新 store
+  const walkthroughProgressRef = useRef({ distance: 0, stored: 0 });
   const poiSpriteHighlightRef = useRef(new Map());
   const modelHighlightRef = useRef(new Map());
 
@@ -90,6 +236,14 @@ function App() {
   const riverPickingHandleRef = useRef(null);
   // site 图层拾取句柄，负责 hover/click 清理
   const sitePickingHandleRef = useRef(null);
+  // 备选路线拾取句柄，点击后切换当前路线
+  const routePickingHandleRef = useRef(null);
+  // 地面点选句柄，封闭路段点选/封闭区域绘制时取点
+  const groundPickingHandleRef = useRef(null);
+  // 地图右键取点句柄，弹出“设为起点/设为终点”菜单
+  const mapContextPickingHandleRef = useRef(null);
+  // 深链接同步的解除函数，场景销毁时停止写入 URL
+  const deepLinkSyncRef = useRef(null);
 
   /**
    * Hover 状态临时存储（用于交互反馈）
@@ -182,6 +336,23 @@ function App() {
     routeDebugGroupRef.current = debugGroup;
   }, [disposeThreeObject, removeRouteDebug]);
 
+  /**
+   * syncBlockedLayer：按封闭登记表标记道路并绘制封闭区域轮廓，调试开关打开时按连通分量给道路着色
+   * 直接读取 store，供场景初始化与登记表变化时调用
+   */
+  const syncBlockedLayer = useCallback(() => {
+    const { blockedItems, barrierDraft, roadComponentsVisible } = useSceneStore.getState();
+    markBlockedRoads(roadsGroupRef.current, resolveBlockedRoadIds(blockedItems));
+    colorRoadsByComponent(
+      roadsGroupRef.current,
+      roadComponentsVisible ? getRoadComponents().byRoadId : null
+    );
+    routeOverlayRef.current?.renderBarriers(
+      blockedItems.filter((item) => item.type === "polygon").map((item) => item.polygon),
+      barrierDraft
+    );
+  }, []);
+
   const findMeshByStableId = useCallback((group, stableId) => {
     if (!group || !stableId) return null;
     const stack = [...(group.children || [])];
@@ -306,6 +477,19 @@ const highlightedRoutePath = useSceneStore(
 const highlightedRouteMeta = useSceneStore(
   (state) => state.highlightedRouteMeta
 );
+const alternativeRoutes = useSceneStore(
+  (state) => state.alternativeRoutes
+);
+const blockedItems = useSceneStore((state) => state.blockedItems);
+const barrierDraft = useSceneStore((state) => state.barrierDraft);
+const roadComponentsVisible = useSceneStore((state) => state.roadComponentsVisible);
+const reachabilityOrigin = useSceneStore((state) => state.reachabilityOrigin);
+const reachability = useSceneStore((state) => state.reachability);
+const walkthroughActive = useSceneStore((state) => Boolean(state.walkthrough));
+const tracking = useSceneStore((state) => state.tracking);
+const livePosition = useSceneStore((state) => state.livePosition);
+const unlitSegments = useSceneStore((state) => state.activeRoute?.night?.unlitSegments ?? null);
+const transportMode = useNavigationStore((state) => state.transportMode);
 const highlightedLocationIds = useSceneStore(
   (state) => state.highlightedLocationIds
 );
@@ -416,10 +600,12 @@ useEffect(() => {
    * 副作用：修改各 Group 引用的 rotation、scale、position 属性
    */
   const applySceneTransform = (transform) => {
-    const rotation = SCENE_BASE_ALIGNMENT.rotationY + transform.rotationY;
-    const scale = SCENE_BASE_ALIGNMENT.scale * transform.scale;
-    const positionX = SCENE_BASE_ALIGNMENT.offset.x + transform.offset.x;
-    const positionZ = SCENE_BASE_ALIGNMENT.offset.z + transform.offset.z;
+    const { rotationY: rotation, scale, offset } = composeSceneTransform(
+      SCENE_BASE_ALIGNMENT,
+      transform
+    );
+    const positionX = offset.x;
+    const positionZ = offset.z;
 
     [
       buildingGroupRef.current,
@@ -512,6 +698,7 @@ useEffect(() => {
         routeOverlayRef.current = routeOverlay;
         sitesGroupRef.current = sitesGroup;
         poisGroupRef.current = poiGroup;
+        syncBlockedLayer();
 
         // 初始化各图层可见性：从 store 读取状态，默认全部 true
         const visibility = useSceneStore.getState().layerVisibility;
@@ -699,6 +886,83 @@ useEffect(() => {
           : null;
         sitePickingHandleRef.current = sitePickingHandle;
 
+        /**
+         * 绑定备选路线拾取：点击次要配色的光带即切换为当前路线
+         */
+        routePickingHandleRef.current = attachRoutePicking({
+          domElement: sceneContext.renderer.domElement,
+          camera: sceneContext.camera,
+          routeGroup: routeOverlay.alternativesGroup,
+          onSelect: (index) => {
+            const chosen = useSceneStore.getState().alternativeRoutes[index];
+            useSceneStore.getState().selectAlternativeRoute(index);
+            logInfo("路线规划", "切换为备选路线", {
+              index,
+              length: chosen?.length,
+            });
+          },
+        });
+
+        /**
+         * 绑定地面点选：仅在封闭路段点选/封闭区域绘制模式下响应
+         */
+        groundPickingHandleRef.current = attachGroundPicking({
+          domElement: sceneContext.renderer.domElement,
+          camera: sceneContext.camera,
+          referenceGroup: roadsGroup,
+          isEnabled: () => Boolean(useSceneStore.getState().mapPickMode),
+          onPick: (point) => {
+            const store = useSceneStore.getState();
+            if (store.mapPickMode === "block-polygon") {
+              store.appendBarrierPoint(point);
+              return;
+            }
+            const hit = findNearestRoadEdge(
+              { x: point.worldX, z: point.worldZ },
+              { maxDistance: config.poiRoute?.blocked?.pickDistance }
+            );
+            if (!hit) {
+              logInfo("道路封闭", "点击位置附近没有路段", point);
+              return;
+            }
+            const tags = getRoadTags(hit.edge.roadId);
+            const label = tags?.["name:zh"] || tags?.name || "未命名路段";
+            store.addBlockedItem({ type: "edge", edgeId: hit.edge.id, label });
+            logInfo("道路封闭", `封闭路段 ${label}`, {
+              edgeId: hit.edge.id,
+              policy: store.blockPolicy,
+            });
+          },
+        });
+
+        /**
+         * 绑定地图右键取点：点中建筑/道路或地面后，把世界坐标按基准姿态与调试增量还原为路网坐标，
+         * 反向地理编码出名称后弹出“设为起点/设为终点”菜单
+         */
+        mapContextPickingHandleRef.current = attachMapContextPicking({
+          domElement: sceneContext.renderer.domElement,
+          camera: sceneContext.camera,
+          targetGroups: [buildingGroup, roadsGroup],
+          onPick: ({ point, object, group, clientX, clientY }) => {
+            const transform = composeSceneTransform(
+              SCENE_BASE_ALIGNMENT,
+              useSceneStore.getState().sceneTransform
+            );
+            const graphPoint = sceneToGraphPoint(point, transform);
+            const isBuilding = Boolean(object) && group === buildingGroup;
+            const location = createMapLocation(graphPoint, {
+              buildingName: isBuilding ? object.userData?.name : undefined,
+              buildingId: isBuilding ? object.userData?.stableId : undefined,
+            });
+            if (!location) return;
+            useSceneStore.getState().openMapContextMenu({ clientX, clientY, location });
+          },
+        });
+
+        // 按链接恢复状态后再开始同步，避免恢复前的默认状态覆盖链接
+        restoreDeepLink(sceneContext);
+        deepLinkSyncRef.current = attachDeepLinkSync(sceneContext);
+
         // 启动主渲染循环
         sceneContext.start();
         // 监听窗口大小改变事件
@@ -743,6 +1007,19 @@ useEffect(() => {
       sitePickingHandleRef.current?.dispose?.();
       sitePickingHandleRef.current = null;
 
+      routePickingHandleRef.current?.dispose?.();
+      routePickingHandleRef.current = null;
+
+      groundPickingHandleRef.current?.dispose?.();
+      groundPickingHandleRef.current = null;
+
+      mapContextPickingHandleRef.current?.dispose?.();
+      mapContextPickingHandleRef.current = null;
+      useSceneStore.getState().closeMapContextMenu();
+
+      deepLinkSyncRef.current?.();
+      deepLinkSyncRef.current = null;
+
       if (poiScaleListenerRef.current && sceneContext?.controls) {
         sceneContext.controls.removeEventListener(
           "change",
@@ -774,13 +1051,16 @@ useEffect(() => {
       greeneryGroupRef.current = null;
       roadsGroupRef.current = null;
       routeOverlayRef.current?.clearRouteOverlay?.();
+      routeOverlayRef.current?.clearAlternativeRoutes?.();
+      routeOverlayRef.current?.clearReachability?.();
+      routeOverlayRef.current?.clearUnlitStretches?.();
       routeOverlayRef.current = null;
       removeRouteDebug();
       sitesGroupRef.current = null;
       poisGroupRef.current = null;
       poiLayerRef.current = null;
     };
-  }, [removeRouteDebug]);
+  }, [removeRouteDebug, syncBlockedLayer]);
 
   useEffect(() => {
     if (typeof window === "undefined") {
@@ -804,7 +1084,12 @@ useEffect(() => {
         return;
       }
       try {
-        const path = solveRouteBetweenPoints(poiA, poiB);
+        const path = solveRouteBetweenPoints(poiA, poiB, {
+          mode: useNavigationStore.getState().transportMode,
+          blocked: useSceneStore.getState().blockedItems,
+          objective: useNavigationStore.getState().routeObjective,
+          night: resolveNightMode(useNavigationStore.getState().nightSafety),
+        });
         const length = Number((path.totalLength ?? 0).toFixed(2));
         const routeMeta = config.poiRoute?.highlightMesh
           ? { ...config.poiRoute.highlightMesh }
@@ -816,12 +1101,21 @@ useEffect(() => {
           from: trimmedFrom,
           to: trimmedTo,
           length,
+          mode: path.mode,
+          warnings: path.warnings ?? [],
+          objective: path.objective,
+          travelTime: path.travelTime,
+          shade: path.shade ?? null,
+          shadeBaseline: path.shadeBaseline ?? null,
+          night: path.night ?? null,
         });
+        useSceneStore.getState().setAlternativeRoutes([]);
         drawRouteDebug(path.pointPath || []);
         logInfo("路线规划", "路径渲染完成", {
           from: trimmedFrom,
           to: trimmedTo,
           length,
+          mode: path.mode,
           roadIds: path.roadIds,
           nodes: path.pointPath?.length ?? 0,
         });
@@ -847,7 +1141,9 @@ useEffect(() => {
       useSceneStore.getState().setHighlightedRoutePath([]);
       useSceneStore.getState().setHighlightedRouteMeta(null);
       useSceneStore.getState().setActiveRoute(null);
+      useSceneStore.getState().setAlternativeRoutes([]);
       routeOverlayRef.current?.clearRouteOverlay();
+      routeOverlayRef.current?.clearAlternativeRoutes();
       removeRouteDebug();
       logInfo("路线规划", "已清除路径高亮");
     };
@@ -878,6 +1174,259 @@ useEffect(() => {
     );
   }, [highlightedRoutePath, highlightedRouteMeta]);
 
+  useEffect(() => {
+    if (!routeOverlayRef.current) {
+      return;
+    }
+    const renderOptions =
+      highlightedRouteMeta && Object.keys(highlightedRouteMeta).length > 0
+        ? highlightedRouteMeta
+        : config.poiRoute?.highlightMesh;
+    routeOverlayRef.current.renderAlternativeRoutes(
+      alternativeRoutes,
+      renderOptions
+    );
+  }, [alternativeRoutes, highlightedRouteMeta]);
+
+  /**
+   * 监听封闭登记表、区域草稿与连通分量开关：同步道路标记、分量着色与封闭区域轮廓
+   */
+  useEffect(() => {
+    syncBlockedLayer();
+  }, [blockedItems, barrierDraft, roadComponentsVisible, syncBlockedLayer]);
+
+  /**
+   * 监听可达范围出发地、交通方式与封闭登记表：重新求解等时圈并写回 store
+   */
+  useEffect(() => {
+    const store = useSceneStore.getState();
+    if (!reachabilityOrigin) {
+      store.setReachability(null);
+      return;
+    }
+    try {
+      const result = computeReachability(reachabilityOrigin, {
+        mode: transportMode,
+        blocked: blockedItems,
+      });
+      store.setReachability({ ...result, origin: reachabilityOrigin });
+      logInfo("可达范围", `出发地：${reachabilityOrigin.name ?? "地图选点"}`, {
+        mode: result.mode,
+        bands: result.bands,
+        segments: result.segments.length,
+        buildings: result.buildingBands.size,
+      });
+    } catch (error) {
+      logError("可达范围", "可达范围计算失败", {
+        origin: reachabilityOrigin.name,
+        mode: transportMode,
+        错误: error?.message ?? String(error),
+      });
+      store.clearReachability();
+    }
+  }, [reachabilityOrigin, transportMode, blockedItems]);
+
+  /**
+   * 监听可达范围结果：绘制路段条带并给建筑着色，结果为空时清除
+   */
+  useEffect(() => {
+    routeOverlayRef.current?.renderReachability(reachability?.segments ?? []);
+    colorBuildingsByBand(buildingGroupRef.current, reachability?.buildingBands ?? null);
+  }, [reachability]);
+
+  /**
+   * 实时定位：tracking 非空时创建定位来源（浏览器定位或轨迹回放），每次定位：
+   * 1. 经 projectToGraph 换算为路网坐标，存在当前路线时吸附到路线并计算偏离距离
+   * 2. 写入 livePosition（在路线上时标记画在吸附点，偏航时画在定位点）
+   * 3. 偏航确认后以“当前位置”为起点、去掉已经过的途经点，请求导航面板重新规划
+   * 定位失败时提示并停止；回放结束后保留最后位置的标记
+   */
+  useEffect(() => {
+    if (!tracking) return undefined;
+    const trackingConfig = config.poiRoute?.tracking || {};
+    const provider =
+      tracking.source === "replay"
+        ? createReplayProvider(tracking.points, {
+            rate: tracking.rate,
+            interval: trackingConfig.replayInterval,
+          })
+        : createGeolocationProvider(
+            typeof navigator !== "undefined" ? navigator.geolocation : null
+          );
+    const monitor = createOffRouteMonitor({
+      threshold: trackingConfig.offRouteDistance,
+      confirmCount: trackingConfig.confirmCount,
+      cooldown: trackingConfig.rerouteCooldown,
+    });
+    let routePath = null;
+    let routeTrack = null;
+    let lastAlong = 0;
+    let rerouteCount = 0;
+
+    const handlePosition = (fix) => {
+      const point = projectToGraph([fix.lng, fix.lat]);
+      const scene = useSceneStore.getState();
+      if (scene.highlightedRoutePath !== routePath) {
+        routePath = scene.highlightedRoutePath;
+        routeTrack = createRouteTrack(routePath);
+        lastAlong = 0;
+        monitor.reset();
+      }
+      const snapped = snapToRoute(routeTrack, point);
+      const status = snapped
+        ? monitor.update(snapped.offset, fix.timestamp)
+        : { offRoute: false, reroute: false };
+      if (snapped && !status.offRoute) {
+        lastAlong = snapped.along;
+      }
+      const navigation = useNavigationStore.getState();
+      const reroute = status.reroute && Boolean(navigation.endLocation);
+      if (reroute) {
+        rerouteCount += 1;
+      }
+      const marker = snapped && !status.offRoute ? snapped : point;
+      scene.setLivePosition({
+        worldX: marker.worldX,
+        worldZ: marker.worldZ,
+        raw: point,
+        lng: fix.lng,
+        lat: fix.lat,
+        accuracy: fix.accuracy,
+        offset: snapped?.offset ?? null,
+        along: snapped?.along ?? null,
+        offRoute: status.offRoute,
+        rerouteCount,
+      });
+      if (reroute) {
+        logInfo("实时定位", "偏离路线，从当前位置重新规划", {
+          offset: Math.round(snapped.offset),
+          to: navigation.endLocation.name,
+        });
+        // 起点与途经点在重规划成功后才写回，失败时保留原路线且不弹窗
+        navigation.requestRoutePlan({
+          start: createCurrentLocation(point, fix),
+          waypoints: remainingWaypoints(navigation.waypoints, scene.activeRoute?.legs, lastAlong),
+          silent: true,
+        });
+      }
+    };
+
+    provider.start({
+      onPosition: handlePosition,
+      onError: (error) => {
+        logError("实时定位", "定位失败", {
+          source: tracking.source,
+          错误: error?.message ?? String(error),
+        });
+        useSceneStore.getState().pushNotices([`定位失败：${error?.message ?? "未知错误"}`]);
+        useSceneStore.getState().stopTracking();
+      },
+      onEnd: () => {
+        const { livePosition: last, setLivePosition } = useSceneStore.getState();
+        if (last) setLivePosition({ ...last, ended: true });
+        logInfo("实时定位", "轨迹回放结束", { label: tracking.label, reroutes: rerouteCount });
+      },
+    });
+    logInfo("实时定位", "开始实时定位", { source: tracking.source, label: tracking.label });
+
+    return () => provider.stop();
+  }, [tracking]);
+
+  /**
+   * 同步实时定位标记
+   */
+  useEffect(() => {
+    routeOverlayRef.current?.renderPositionMarker(livePosition);
+  }, [livePosition]);
+
+  /**
+   * 同步夜间路线的无照明路段：当前路线按夜间安全路线求解时以警示色标出，切换或清除路线时随之更新
+   */
+  useEffect(() => {
+    routeOverlayRef.current?.renderUnlitStretches(unlitSegments ?? []);
+  }, [unlitSegments]);
+
+  /**
+   * 沉浸式导航：walkthrough 非空时切换为第一人称相机，逐帧沿当前路线推进
+   * - 每秒前进 交通方式平均速度 × 倍速；里程逐帧记在 walkthroughProgressRef，
+   *   每 WALKTHROUGH_PROGRESS_INTERVAL 秒写回一次 walkthroughDistance；store 中的里程被外部改动（拖动进度条）时以其为准
+   * - 到达终点、路线被清除或切换为备选路线时结束，相机回到进入前的俯视视角
+   */
+  useEffect(() => {
+    const sceneContext = sceneContextRef.current;
+    const roadsGroup = roadsGroupRef.current;
+    if (!walkthroughActive || !sceneContext?.addFrameListener || !roadsGroup) {
+      return undefined;
+    }
+    const routePath = useSceneStore.getState().highlightedRoutePath;
+    const track = createRouteTrack(routePath);
+    if (!track) {
+      useSceneStore.getState().stopWalkthrough();
+      return undefined;
+    }
+    const poiLayer = poiLayerRef.current;
+    const { lookAhead } = config.poiRoute.walkthrough;
+    const walkthroughCamera = createRouteWalkthroughCamera({
+      camera: sceneContext.camera,
+      controls: sceneContext.controls,
+      referenceGroup: roadsGroup,
+    });
+    walkthroughCamera.enter();
+    logInfo("沉浸式导航", "开始沿路线沉浸式导航", {
+      length: Math.round(track.totalLength),
+      mode: useNavigationStore.getState().transportMode,
+    });
+
+    let finished = false;
+    let labelElapsed = WALKTHROUGH_LABEL_INTERVAL;
+    let progressElapsed = 0;
+    const progress = walkthroughProgressRef.current;
+    progress.distance = useSceneStore.getState().walkthroughDistance;
+    progress.stored = progress.distance;
+    const removeFrameListener = sceneContext.addFrameListener((delta) => {
+      if (finished) return;
+      const state = useSceneStore.getState();
+      if (!state.walkthrough || state.highlightedRoutePath !== routePath) {
+        finished = true;
+        state.stopWalkthrough();
+        return;
+      }
+      if (state.walkthroughDistance !== progress.stored) {
+        progress.distance = state.walkthroughDistance;
+        progress.stored = state.walkthroughDistance;
+      }
+      if (state.walkthrough.playing && delta > 0) {
+        const { speedKmh } = resolveTransportProfile(useNavigationStore.getState().transportMode);
+        progress.distance += (speedKmh / 3.6) * state.walkthrough.rate * delta;
+        if (progress.distance >= track.totalLength) {
+          finished = true;
+          logInfo("沉浸式导航", "已到达终点，返回俯视视角");
+          state.stopWalkthrough();
+          return;
+        }
+        progressElapsed += delta;
+        if (progressElapsed >= WALKTHROUGH_PROGRESS_INTERVAL) {
+          progressElapsed = 0;
+          state.seekWalkthrough(progress.distance);
+          progress.stored = useSceneStore.getState().walkthroughDistance;
+        }
+      }
+      const { position, lookAt } = sampleRouteView(track, progress.distance, lookAhead);
+      walkthroughCamera.follow(position, lookAt);
+      labelElapsed += delta;
+      if (labelElapsed >= WALKTHROUGH_LABEL_INTERVAL) {
+        labelElapsed = 0;
+        poiLayer?.updateLabelScale?.(sceneContext.camera);
+      }
+    });
+
+    return () => {
+      removeFrameListener();
+      walkthroughCamera.exit();
+      poiLayer?.updateLabelScale?.(sceneContext.camera);
+    };
+  }, [walkthroughActive]);
+
 
 
   /**
@@ -1001,9 +1550,22 @@ useEffect(() => {
 
           {/* 体育馆使用指南面板 */}
           <GymnasiumGuidePanel />
+
+          {/* 道路封闭面板 */}
+          <RoadClosurePanel />
         </div>
       </div>
       
+      {/* 地图右键菜单：设为起点/终点、可达范围 */}
+      <MapContextMenu />
+
+      {/* 可达范围图例 */}
+      <ReachabilityLegend />
+
+      {/* 非阻塞提示：如深链接中的无效参数 */}
+      <NoticeBar />
+      <WalkthroughHud />
+
       {/* 路线信息弹窗 */}
       <RouteInfoPopup sceneContext={sceneContextRef.current} />
       
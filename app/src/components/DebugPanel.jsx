@@ -7,6 +7,8 @@
  * - 缩放比例（0.2 ~ 5）：调整整体缩放因子
  * - 偏移 X、Z（-500 ~ 500 米）：平移校园在地面的位置
  * 
+ * - 路网连通性：显示连通分量数量，可按分量给道路着色以定位断开的路段
+ * 
  * 状态管理：通过 Zustand store 与 App.jsx 通信，每次更改都会实时同步到 Three.js 场景
  */
 
@@ -14,6 +16,7 @@ import { useMemo } from "react";
 // 读取配置以提供 HDR 选项
 import config from "../config";
 import { useSceneStore } from "../store/useSceneStore";
+import { getRoadComponents } from "../lib/roadGraph";
 
 /**
  * isDev：判断是否运行在开发环境
@@ -56,6 +59,12 @@ function DebugPanel() {
    */
   const poiStatistics =
     useSceneStore((state) => state.poiStatistics) ?? { total: 0, independent: 0 };
+  const roadComponentsVisible = useSceneStore((state) => state.roadComponentsVisible) ?? false;
+  const setRoadComponentsVisible = useSceneStore((state) => state.setRoadComponentsVisible);
+  /**
+   * roadComponentSizes：各连通分量的节点数（降序），路网在模块加载时已就绪，只需计算一次
+   */
+  const roadComponentSizes = useMemo(() => getRoadComponents().sizes, []);
 
   /**
    * rotationDeg：将弧度旋转转换为角度以显示
@@ -155,6 +164,13 @@ function DebugPanel() {
     updateEnvironmentSettings({ enabled: event.target.checked });
   };
 
+  /**
+   * handleRoadComponentsToggle：开关按连通分量着色道路
+   */
+  const handleRoadComponentsToggle = (event) => {
+    setRoadComponentsVisible?.(event.target.checked);
+  };
+
   return (
     <div className="debug-panel">
       {/* 面板头部：标题和重置按钮 */}
@@ -287,6 +303,29 @@ function DebugPanel() {
           </div>
         </div>
       </details>
+
+      <details className="debug-panel__section">
+        <summary>路网连通性</summary>
+        <div className="debug-panel__section-content">
+          <div className="debug-panel__row">
+            <span>连通分量</span>
+            <span className="debug-panel__value">{roadComponentSizes.length}</span>
+          </div>
+          <div className="debug-panel__row">
+            <span>最大分量节点</span>
+            <span className="debug-panel__value">{roadComponentSizes[0] ?? 0}</span>
+          </div>
+          <label className="debug-panel__checkbox-row">
+            <input
+              type="checkbox"
+              checked={roadComponentsVisible}
+              onChange={handleRoadComponentsToggle}
+              aria-label="按连通分量着色道路"
+            />
+            <span>按连通分量着色道路</span>
+          </label>
+        </div>
+      </details>
     </div>
   );
 }
@@ -0,0 +1,134 @@
+/**
+ * LivePositionControl 组件：实时定位与轨迹回放
+ *
+ * 职责：
+ * 1. “使用定位”以浏览器 Geolocation 为定位来源
+ * 2. “回放轨迹”读取本地 GPX/NMEA 文件，按所选倍速回放，便于在桌面端测试偏航重规划
+ * 3. 显示定位状态：在路线上的里程或偏离距离、重新规划次数；“停止”结束定位并移除标记
+ * 定位来源的创建、吸附与重规划由 App.jsx 监听 useSceneStore.tracking 完成
+ */
+
+/** React Hook：回放倍速与隐藏的文件选择框 */
+import React, { useRef, useState } from "react";
+/** 全局场景状态：定位来源与最新定位 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 轨迹文件解析 */
+import { parseTrackFile } from "../lib/positionProviders";
+/** 全局配置：回放倍速选项 */
+import config from "../config/index.js";
+/** 日志工具：记录轨迹文件读取失败 */
+import { logInfo, logError } from "../logger/logger";
+/** 样式文件：按钮行与状态文本 */
+import "./LivePositionControl.css";
+
+const REPLAY_RATES = Array.isArray(config.poiRoute?.tracking?.replayRates)
+  ? config.poiRoute.tracking.replayRates
+  : [1];
+
+/**
+ * describePosition：定位状态文本
+ */
+function describePosition(livePosition) {
+  if (!livePosition) return "等待定位…";
+  const parts = [];
+  if (livePosition.offset === null) {
+    parts.push("尚未规划路线");
+  } else if (livePosition.offRoute) {
+    parts.push(`偏离路线 ${Math.round(livePosition.offset)} 米`);
+  } else {
+    parts.push(`在路线上，已行 ${Math.round(livePosition.along)} 米`);
+  }
+  if (Number.isFinite(livePosition.accuracy)) {
+    parts.push(`精度 ±${Math.round(livePosition.accuracy)} 米`);
+  }
+  if (livePosition.rerouteCount > 0) {
+    parts.push(`已重新规划 ${livePosition.rerouteCount} 次`);
+  }
+  if (livePosition.ended) {
+    parts.push("回放结束");
+  }
+  return parts.join(" · ");
+}
+
+function LivePositionControl() {
+  const tracking = useSceneStore((state) => state.tracking);
+  const livePosition = useSceneStore((state) => state.livePosition);
+  const [rate, setRate] = useState(REPLAY_RATES[REPLAY_RATES.length - 1]);
+  const fileInputRef = useRef(null);
+
+  /**
+   * handleFile：解析选中的轨迹文件并开始回放
+   */
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const { format, points } = parseTrackFile(await file.text());
+      logInfo("实时定位", "已读取轨迹文件", { file: file.name, format, points: points.length });
+      useSceneStore.getState().startTracking({ source: "replay", label: file.name, points, rate });
+    } catch (error) {
+      logError("实时定位", "轨迹文件读取失败", {
+        file: file.name,
+        错误: error?.message ?? String(error),
+      });
+      alert(error?.message ?? "轨迹文件读取失败");
+    }
+  };
+
+  return (
+    <div className="live-position">
+      <div className="live-position__title">
+        实时定位
+        {tracking && (
+          <span className="live-position__source">
+            {tracking.source === "replay" ? `回放 ${tracking.label} ×${tracking.rate}` : tracking.label}
+          </span>
+        )}
+      </div>
+      <div className="live-position__actions">
+        <button
+          type="button"
+          onClick={() =>
+            useSceneStore.getState().startTracking({ source: "geolocation", label: "浏览器定位" })
+          }
+        >
+          📡 使用定位
+        </button>
+        <button type="button" onClick={() => fileInputRef.current?.click()}>
+          📂 回放轨迹
+        </button>
+        <select
+          value={rate}
+          onChange={(event) => setRate(Number(event.target.value))}
+          title="回放倍速"
+        >
+          {REPLAY_RATES.map((value) => (
+            <option key={value} value={value}>
+              {value}×
+            </option>
+          ))}
+        </select>
+        {tracking && (
+          <button type="button" onClick={() => useSceneStore.getState().stopTracking()}>
+            ⏹ 停止
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".gpx,.nmea,.txt,.log"
+          hidden
+          onChange={handleFile}
+        />
+      </div>
+      {tracking && (
+        <div className={`live-position__status${livePosition?.offRoute ? " off-route" : ""}`}>
+          {describePosition(livePosition)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LivePositionControl;
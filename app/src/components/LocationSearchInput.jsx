@@ -2,9 +2,15 @@
 
 import React, { useState, useEffect, useRef, useMemo } from "react";
 import "./LocationSearchInput.css";
-import { getPoiRecords } from "../lib/poiIndex";
+import { findPoiById, getPoiRecords } from "../lib/poiIndex";
+import { parseLngLatText } from "../lib/coordinates";
+import { createCoordinateLocation } from "../lib/reverseGeocode";
+import { listRecentLocations, locationKey, resolveStoredLocation } from "../lib/savedPlaces";
+import { useNavigationStore } from "../store/navigationStore";
 
 const MAX_SUGGESTIONS = 7;
+// 输入框为空时列出的最近地点数量
+const MAX_RECENT_LOCATIONS = 5;
 
 function resolvePoiSource(externalPoiList) {
   if (Array.isArray(externalPoiList) && externalPoiList.length > 0) {
@@ -25,6 +31,41 @@ const LocationSearchInput = ({
   const [suggestions, setSuggestions] = useState([]);
   const [isFocused, setIsFocused] = useState(false);
   const inputRef = useRef(null);
+  const savedPlaces = useNavigationStore((state) => state.savedPlaces);
+  const addFavoritePlace = useNavigationStore((state) => state.addFavoritePlace);
+  // 输入为空时展示收藏地点与最近用过的地点（已收藏的不重复列出），POI 按 poiId 取当前记录
+  const savedEntries = useMemo(() => {
+    const favorites = savedPlaces.favorites.map((item) => {
+      const location = resolveStoredLocation(item.location, findPoiById);
+      return {
+        key: `favorite-${item.id}`,
+        icon: "⭐",
+        label: item.label === location.name ? item.label : `${item.label}（${location.name}）`,
+        location,
+      };
+    });
+    const favoriteKeys = new Set(savedPlaces.favorites.map((item) => item.id));
+    const recent = listRecentLocations(savedPlaces, MAX_RECENT_LOCATIONS)
+      .filter((location) => !favoriteKeys.has(locationKey(location)))
+      .map((stored) => {
+        const location = resolveStoredLocation(stored, findPoiById);
+        return {
+          key: `recent-${locationKey(stored)}`,
+          icon: "🕘",
+          label: location.name,
+          location,
+        };
+      });
+    return [...favorites, ...recent];
+  }, [savedPlaces]);
+  const isFavorite =
+    Boolean(selectedLocation) &&
+    savedPlaces.favorites.some((item) => item.id === locationKey(selectedLocation));
+  // 输入为经纬度（如 "30.7612, 103.9687"）时额外提供坐标地点，可用于校外目的地
+  const coordinateLocation = useMemo(() => {
+    const lngLat = parseLngLatText(searchTerm);
+    return lngLat ? createCoordinateLocation(lngLat) : null;
+  }, [searchTerm]);
 
   useEffect(() => {
     if (searchTerm.length > 0 && isFocused) {
@@ -61,10 +102,26 @@ const LocationSearchInput = ({
     inputRef.current?.blur();
   };
 
+  /**
+   * handleFavorite：收藏当前地点，名称可自定义（如“我的宿舍”）
+   */
+  const handleFavorite = () => {
+    const label = window.prompt("收藏名称", selectedLocation.name);
+    if (label === null) return;
+    addFavoritePlace(label, selectedLocation);
+  };
+
   if (selectedLocation) {
     return (
       <div className="selected-location-display">
         <span>{selectedLocation.name}</span>
+        <button
+          onClick={handleFavorite}
+          className="favorite-button"
+          title={isFavorite ? "已收藏，点击改名" : "收藏该地点"}
+        >
+          {isFavorite ? "★" : "☆"}
+        </button>
         <button onClick={onClearLocation} className="clear-button">
           ×
         </button>
@@ -83,8 +140,26 @@ const LocationSearchInput = ({
         onFocus={() => setIsFocused(true)}
         onBlur={() => setTimeout(() => setIsFocused(false), 200)}
       />
-      {suggestions.length > 0 && (
+      {isFocused && searchTerm.length === 0 && savedEntries.length > 0 && (
+        <ul className="suggestions-list saved-list">
+          {savedEntries.map((entry) => (
+            <li key={entry.key} onMouseDown={() => handleSelect(entry.location)}>
+              {entry.icon} {entry.label}
+            </li>
+          ))}
+        </ul>
+      )}
+      {isFocused && (coordinateLocation || suggestions.length > 0) && (
         <ul className="suggestions-list">
+          {coordinateLocation && (
+            <li
+              key="coordinate"
+              className="coordinate-suggestion"
+              onMouseDown={() => handleSelect(coordinateLocation)}
+            >
+              📍 {coordinateLocation.name}
+            </li>
+          )}
           {suggestions.map((poi) => (
             <li key={poi.poiId} onMouseDown={() => handleSelect(poi)}>
               {poi.name}
@@ -0,0 +1,95 @@
+/**
+ * MapContextMenu 组件：地图右键菜单
+ *
+ * 职责：
+ * 1. 在右键位置显示取点名称（反向地理编码结果）
+ * 2. 提供“设为起点 / 设为终点”，把临时地点写入 useNavigationStore
+ * 3. 提供“可达范围”，以该点为出发地显示等时圈（useSceneStore.showReachability）
+ * 4. 按 Esc 或点击菜单外部时关闭
+ */
+
+/** React 副作用钩子：绑定外部点击与 Esc 关闭 */
+import { useEffect, useRef } from "react";
+/** 全局场景状态：右键菜单位置与临时地点 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 导航状态：写入起终点 */
+import { useNavigationStore } from "../store/navigationStore";
+/** 日志工具：记录地图选点 */
+import { logInfo } from "../logger/logger";
+/** 样式文件：菜单定位与按钮 */
+import "./MapContextMenu.css";
+
+/**
+ * ACTIONS：菜单项与对应的导航 store 写入方法
+ */
+const ACTIONS = [
+  { key: "start", label: "设为起点", setter: "setStartLocation" },
+  { key: "end", label: "设为终点", setter: "setEndLocation" },
+];
+
+function MapContextMenu() {
+  const menu = useSceneStore((state) => state.mapContextMenu);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!menu) return undefined;
+    const close = () => useSceneStore.getState().closeMapContextMenu();
+    const handlePointerDown = (event) => {
+      if (menuRef.current?.contains(event.target)) return;
+      close();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") close();
+    };
+    window.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [menu]);
+
+  if (!menu) return null;
+
+  /**
+   * showReachability：以取点位置为出发地显示可达范围并关闭菜单
+   */
+  const showReachability = () => {
+    useSceneStore.getState().showReachability(menu.location);
+    logInfo("地图选点", `可达范围：${menu.location.name}`, {
+      worldX: menu.location.worldX,
+      worldZ: menu.location.worldZ,
+    });
+    useSceneStore.getState().closeMapContextMenu();
+  };
+
+  /**
+   * applyAction：写入起点/终点并关闭菜单
+   */
+  const applyAction = (action) => {
+    useNavigationStore.getState()[action.setter](menu.location);
+    logInfo("地图选点", `${action.label}：${menu.location.name}`, {
+      worldX: menu.location.worldX,
+      worldZ: menu.location.worldZ,
+    });
+    useSceneStore.getState().closeMapContextMenu();
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      className="map-context-menu"
+      style={{ left: menu.clientX, top: menu.clientY }}
+    >
+      <div className="map-context-menu-title">📍 {menu.location.name}</div>
+      {ACTIONS.map((action) => (
+        <button key={action.key} onClick={() => applyAction(action)}>
+          {action.label}
+        </button>
+      ))}
+      <button onClick={showReachability}>可达范围</button>
+    </div>
+  );
+}
+
+export default MapContextMenu;
@@ -1,21 +1,39 @@
 // app/src/components/NavigationPanel.jsx
 
 // 引入 React 及相关 Hook，负责构建交互式导航面板
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 // 读取导航状态 store，用于管理地点与交通方式
 import { useNavigationStore } from "../store/navigationStore";
 // 读取场景 store，便于直接触发三维高亮
 import { useSceneStore } from "../store/useSceneStore";
 // 导入路网求解函数，执行实际的路径规划
-import { solveRouteBetweenPoints } from "../lib/roadGraph";
+import {
+  solveAlternativeRoutes,
+  solveRouteThroughWaypoints,
+} from "../lib/roadGraph";
+// 导入夜间模式判断，按设置与当前时刻决定是否求夜间安全路线
+import { isNightHour, resolveNightMode } from "../lib/nightSafety";
+// 导入常用地点快照的还原，收藏与最近路线按 poiId 取当前 POI 记录
+import { resolveStoredLocation } from "../lib/savedPlaces";
+import { findPoiById } from "../lib/poiIndex";
+// 导入游览顺序规划，用于“依次游览”模式
+import { planTour } from "../lib/tourPlanner";
+// 导入文字导航生成，展示逐步指引
+import { buildRouteInstructions } from "../lib/routeInstructions";
+// 导入路线导出，生成 GPX/GeoJSON/KML 文件内容
+import { EXPORT_FORMATS, exportRoute } from "../lib/routeExport";
 // 读取全局配置，提供路线高亮 Mesh 等参数
 import config from "../config/index.js";
 // 引入日志工具，记录路线规划与异常
-import { logInfo, logError } from "../logger/logger";
+import { logInfo, logWarn, logError } from "../logger/logger";
 // 导入导航面板样式
 import "./NavigationPanel.css";
 // 引入地点搜索组件
 import LocationSearchInput from "./LocationSearchInput";
+// 引入“最近的…”查询组件
+import NearestFacilitySearch from "./NearestFacilitySearch";
+// 引入实时定位与轨迹回放控制
+import LivePositionControl from "./LivePositionControl";
 
 /**
  * TransportSelector：交通方式选择器（版本4实现）
@@ -29,6 +47,7 @@ const TransportSelector = () => {
     bike: { label: "自行车", icon: "🚲" },
     ebike: { label: "电动车", icon: "🛵" },
     drive: { label: "驾驶", icon: "🚗" },
+    accessible: { label: "无障碍", icon: "♿" },
   };
   const currentOption = options[transportMode] || options.walk;
   const handleSelect = (mode) => {
@@ -54,15 +73,293 @@ const TransportSelector = () => {
             </ul>
           </li>
           <li onClick={() => handleSelect("drive")}>🚗 驾驶</li>
+          <li onClick={() => handleSelect("accessible")}>♿ 无障碍（轮椅/婴儿车）</li>
         </ul>
       )}
     </div>
   );
 };
 
+/**
+ * RouteObjectiveSelector：最短路线 / 最快路线 / 凉爽路线切换
+ * 最快路线按 lib/travelTime.js 的耗时模型求解（道路等级、限速、台阶、过街、红绿灯、下车推行）
+ * 凉爽路线按 lib/shade.js 为日晒路段加价，优先走树荫与当前太阳方位下的建筑阴影
+ */
+const RouteObjectiveSelector = () => {
+  const routeObjective = useNavigationStore((state) => state.routeObjective);
+  const setRouteObjective = useNavigationStore((state) => state.setRouteObjective);
+  const options = [
+    { key: "distance", label: "📏 最短距离" },
+    { key: "time", label: "⚡ 最快到达" },
+    { key: "shade", label: "🌳 凉爽路线" },
+  ];
+  return (
+    <div className="route-objective" role="radiogroup" aria-label="路线偏好">
+      {options.map((option) => (
+        <button
+          key={option.key}
+          role="radio"
+          aria-checked={routeObjective === option.key}
+          className={routeObjective === option.key ? "active" : ""}
+          onClick={() => setRouteObjective(option.key)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * NightSafetySelector：夜间安全路线设置（关闭 / 自动 / 开启，默认关闭）
+ * 开启时按 lib/nightSafety.js 优先走有照明的主路，回避非正式小路与 track；
+ * 自动模式在 config.poiRoute.night 的时段内开启，并提示当前是否处于夜间
+ */
+const NightSafetySelector = () => {
+  const nightSafety = useNavigationStore((state) => state.nightSafety);
+  const setNightSafety = useNavigationStore((state) => state.setNightSafety);
+  const options = [
+    { key: "off", label: "关闭" },
+    { key: "auto", label: "自动" },
+    { key: "on", label: "开启" },
+  ];
+  return (
+    <div className="night-safety" role="radiogroup" aria-label="夜间安全路线">
+      <span className="night-safety-title">🌙 夜间安全</span>
+      {options.map((option) => (
+        <button
+          key={option.key}
+          role="radio"
+          aria-checked={nightSafety === option.key}
+          className={nightSafety === option.key ? "active" : ""}
+          onClick={() => setNightSafety(option.key)}
+        >
+          {option.label}
+        </button>
+      ))}
+      {nightSafety === "auto" && (
+        <span className="night-safety-hint">{isNightHour() ? "当前为夜间" : "当前为白天"}</span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * WaypointList：途经点列表，支持追加、删除与上下移动
+ * 顺序即路线经过顺序，仅依赖 navigationStore
+ */
+const WaypointList = () => {
+  const { waypoints, addWaypoint, removeWaypoint, moveWaypoint } =
+    useNavigationStore();
+  return (
+    <div className="waypoint-list">
+      {waypoints.map((waypoint, index) => (
+        <div className="waypoint-item" key={`${waypoint.poiId}-${index}`}>
+          <span className="waypoint-index">{index + 1}</span>
+          <span className="waypoint-name">{waypoint.name}</span>
+          <button
+            disabled={index === 0}
+            onClick={() => moveWaypoint(index, index - 1)}
+            title="上移"
+          >
+            ↑
+          </button>
+          <button
+            disabled={index === waypoints.length - 1}
+            onClick={() => moveWaypoint(index, index + 1)}
+            title="下移"
+          >
+            ↓
+          </button>
+          <button onClick={() => removeWaypoint(index)} title="移除">
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="input-wrapper">
+        <span className="input-icon">➕</span>
+        <LocationSearchInput
+          placeholder="添加途经点"
+          selectedLocation={null}
+          onSelectLocation={(poi) => addWaypoint(poi)}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * RouteSteps：当前路线的文字导航列表
+ * 读取 useSceneStore.activeRoute.steps，切换备选路线后自动刷新
+ */
+const RouteSteps = () => {
+  const steps = useSceneStore((state) => state.activeRoute?.steps);
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return null;
+  }
+  const icons = {
+    depart: "🚩",
+    arrive: "🏁",
+    waypoint: "📌",
+    straight: "⬆️",
+    "slight-left": "↖️",
+    left: "⬅️",
+    "sharp-left": "↙️",
+    "slight-right": "↗️",
+    right: "➡️",
+    "sharp-right": "↘️",
+    uturn: "↩️",
+  };
+  return (
+    <ol className="route-steps">
+      {steps.map((step, index) => (
+        <li key={`${step.maneuver}-${index}`}>
+          <span className="step-icon">{icons[step.maneuver] || "•"}</span>
+          <span className="step-text">{step.text}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+/**
+ * downloadTextFile：以浏览器下载的方式保存文本文件
+ * @param {{ filename: string, mimeType: string, content: string }} file
+ */
+const downloadTextFile = ({ filename, mimeType, content }) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * RouteExport：“导出路线”按钮组，把当前路线下载为 GPX/GeoJSON/KML
+ * 读取 useSceneStore.activeRoute 与 highlightedRoutePath，切换备选路线后导出的是当前路线
+ * 交通方式取求解该路线时的 activeRoute.mode，旧数据缺失时才用当前选择的 transportMode
+ */
+const RouteExport = () => {
+  const activeRoute = useSceneStore((state) => state.activeRoute);
+  const pointPath = useSceneStore((state) => state.highlightedRoutePath);
+  const transportMode = useNavigationStore((state) => state.transportMode);
+  if (!activeRoute || !Array.isArray(pointPath) || pointPath.length < 2) {
+    return null;
+  }
+  const handleExport = (format) => {
+    try {
+      const file = exportRoute(
+        {
+          from: activeRoute.from,
+          to: activeRoute.to,
+          length: activeRoute.length,
+          mode: activeRoute.mode ?? transportMode,
+          pointPath,
+          steps: activeRoute.steps,
+        },
+        format
+      );
+      downloadTextFile(file);
+      logInfo("路线导出", "已导出路线", {
+        format,
+        filename: file.filename,
+        points: pointPath.length,
+      });
+    } catch (error) {
+      logError("路线导出", "路线导出失败", {
+        format,
+        错误: error?.message ?? String(error),
+      });
+      alert("路线导出失败");
+    }
+  };
+  return (
+    <div className="route-export">
+      <span className="route-export-title">导出路线</span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button key={format} onClick={() => handleExport(format)}>
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * SavedShortcuts：常用地点与最近路线的一键入口
+ * - 点击收藏地点：未选起点时设为起点，否则设为终点
+ * - 点击最近路线：恢复起终点与交通方式并直接规划
+ * - POI 按 poiId 取当前记录显示与使用（见 resolveStoredLocation），已不存在时使用保存的快照
+ */
+const SavedShortcuts = () => {
+  const {
+    savedPlaces,
+    startLocation,
+    setStartLocation,
+    setEndLocation,
+    removeFavoritePlace,
+    clearRecentRoutes,
+    applyRecentRoute,
+  } = useNavigationStore();
+  const { favorites, recentRoutes } = savedPlaces;
+  if (favorites.length === 0 && recentRoutes.length === 0) {
+    return null;
+  }
+  const resolve = (location) => resolveStoredLocation(location, findPoiById);
+  const pickFavorite = (item) => {
+    if (startLocation) {
+      setEndLocation(resolve(item.location));
+    } else {
+      setStartLocation(resolve(item.location));
+    }
+  };
+  return (
+    <div className="saved-shortcuts">
+      {favorites.length > 0 && (
+        <div className="saved-row">
+          <span className="saved-title">常用</span>
+          {favorites.map((item) => (
+            <span className="saved-chip" key={item.id}>
+              <button onClick={() => pickFavorite(item)} title={resolve(item.location).name}>
+                ⭐ {item.label}
+              </button>
+              <button
+                className="saved-remove"
+                onClick={() => removeFavoritePlace(item.id)}
+                title="取消收藏"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {recentRoutes.length > 0 && (
+        <div className="saved-row">
+          <span className="saved-title">最近</span>
+          {recentRoutes.map((route) => (
+            <span className="saved-chip" key={route.id}>
+              <button onClick={() => applyRecentRoute(route)}>
+                {resolve(route.from).name} → {resolve(route.to).name}
+              </button>
+            </span>
+          ))}
+          <button className="saved-clear" onClick={clearRecentRoutes} title="清空最近路线">
+            清空
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 /**
  * NavigationPanel：地点搜索与路线规划面板
- * - 管理起终点选择
+ * - 管理起终点与途经点选择
  * - 调用路网算法并写入路线元数据
  * - 提供清除路线的入口
  */
@@ -71,61 +368,264 @@ const NavigationPanel = () => {
     isPanelVisible,
     startLocation,
     endLocation,
+    waypoints,
+    transportMode,
+    routeObjective,
+    nightSafety,
+    optimizeWaypointOrder,
     setStartLocation,
     setEndLocation,
+    setWaypoints,
+    setOptimizeWaypointOrder,
   } = useNavigationStore();
   const togglePanel = useNavigationStore((state) => state.togglePanel);
+  const routePlanRequest = useNavigationStore((state) => state.routePlanRequest);
+  const hasRoute = useSceneStore((state) => state.highlightedRoutePath.length >= 2);
   const navButtonRef = useRef(null);
+  const [tourInfo, setTourInfo] = useState(null);
+
+  /**
+   * resolveRoute：普通模式按既定顺序求解；游览模式先求最优访问顺序
+   * 无途经点时额外求备选路线；只求解不写状态，成功后由 planRoute 一并写入
+   * 各模式均按 useSceneStore.blockedItems 绕开封闭道路，按 routeObjective 求最短、最快或凉爽路线，
+   * 按 nightSafety 决定是否叠加夜间安全代价
+   * @param {object} from - 出发地
+   * @param {Array<object>} stops - 途经点
+   * @returns {{ route: object, alternatives: Array<object>, tour: { visited, method, names }|null }}
+   *          route 为 solveRouteThroughWaypoints 结果；tour 仅游览模式提供，visited 为按最优顺序排列的途经点
+   */
+  const resolveRoute = (from, stops) => {
+    const blocked = useSceneStore.getState().blockedItems;
+    const night = resolveNightMode(nightSafety);
+    if (!optimizeWaypointOrder && stops.length === 0) {
+      const [best, ...alternatives] = solveAlternativeRoutes(
+        from,
+        endLocation,
+        { mode: transportMode, blocked, objective: routeObjective, night }
+      );
+      return {
+        route: { ...best, legs: [{ ...best, from, to: endLocation }] },
+        alternatives: alternatives.map((route) => ({
+          pointPath: route.pointPath,
+          roadIds: route.roadIds,
+          length: Number(route.totalLength.toFixed(2)),
+          steps: buildRouteInstructions(route, { from, to: endLocation }),
+          warnings: route.warnings,
+          travelTime: route.travelTime,
+          shade: route.shade,
+          night: route.night,
+        })),
+        tour: null,
+      };
+    }
+    if (!optimizeWaypointOrder) {
+      return {
+        route: solveRouteThroughWaypoints(
+          [from, ...stops, endLocation],
+          { mode: transportMode, blocked, objective: routeObjective, night }
+        ),
+        alternatives: [],
+        tour: null,
+      };
+    }
+    const tour = planTour(from, stops, {
+      end: endLocation,
+      mode: transportMode,
+      blocked,
+      objective: routeObjective,
+      night,
+    });
+    return {
+      route: tour.route,
+      alternatives: [],
+      tour: {
+        visited: endLocation ? tour.stops.slice(1, -1) : tour.stops.slice(1),
+        method: tour.method,
+        names: tour.stops.map((stop) => stop.name),
+      },
+    };
+  };
+
+  /**
+   * applyRoute：把求解结果写入路线高亮与路线信息（useSceneStore.activeRoute）
+   * @param {object} route - 带 legs 的求解结果（legs[i] 附 from/to 地点）
+   * @param {object} from - 出发地
+   * @returns {{ totalLength: number, lastLeg: object }}
+   */
+  const applyRoute = (route, from) => {
+    const totalLength = Number((route.totalLength ?? 0).toFixed(2));
+    const store = useSceneStore.getState();
+    store.setHighlightedRoads(route.roadIds || []);
+    store.setHighlightedRoutePath(route.pointPath);
+    store.setHighlightedRouteMeta(
+      config.poiRoute?.highlightMesh
+        ? { ...config.poiRoute.highlightMesh }
+        : null
+    );
+    const lastLeg = route.legs[route.legs.length - 1];
+    store.setActiveRoute({
+      from: from.name,
+      to: lastLeg?.to?.name ?? endLocation?.name,
+      length: totalLength,
+      mode: route.mode ?? transportMode,
+      legs: route.legs.map((leg) => ({
+        from: leg.from.name,
+        to: leg.to.name,
+        length: Number(leg.totalLength.toFixed(2)),
+        travelTime: leg.travelTime ?? null,
+      })),
+      steps: buildRouteInstructions(route),
+      warnings: route.warnings ?? [],
+      objective: route.objective ?? "distance",
+      travelTime: route.travelTime ?? null,
+      shade: route.shade ?? null,
+      shadeBaseline: route.shadeBaseline ?? null,
+      night: route.night ?? null,
+    });
+    if (route.warnings?.length > 0) {
+      logWarn("路线规划", "路线存在通行提示", {
+        mode: route.mode,
+        warnings: route.warnings,
+      });
+    }
+    return { totalLength, lastLeg };
+  };
 
   /**
    * planRoute：执行路线规划并写入高亮/元信息
+   * 面板按钮触发时失败以 alert 提示；外部请求（偏航重规划等）传入 silent，失败只经 pushNotices 与日志提示，
+   * 保留原路线与起点
+   * @param {object} [request] - navigationStore.routePlanOptions
+   * @param {object} [request.start] - 本次的出发地，规划成功后才写回 startLocation
+   * @param {Array<object>} [request.waypoints] - 本次的途经点，规划成功后才写回 waypoints
+   * @param {boolean} [request.silent=false] - 不弹出 alert
    */
-  const planRoute = () => {
-    if (!startLocation || !endLocation) {
-      alert("请先选择起点和终点");
+  const planRoute = (request = {}) => {
+    const from = request.start ?? startLocation;
+    const stops = request.waypoints ?? waypoints;
+    const fail = (message) => {
+      if (request.silent) {
+        useSceneStore.getState().pushNotices([message]);
+      } else {
+        alert(message);
+      }
+    };
+    if (!from || (!endLocation && !optimizeWaypointOrder)) {
+      fail("请先选择起点和终点");
+      return;
+    }
+    if (!endLocation && stops.length === 0) {
+      fail("请至少添加一个需要游览的地点");
       return;
     }
     try {
-      const route = solveRouteBetweenPoints(startLocation, endLocation);
+      const { route, alternatives, tour } = resolveRoute(from, stops);
       const pointPath = route?.pointPath ?? [];
       if (!Array.isArray(pointPath) || pointPath.length < 2) {
-        alert("未找到路径");
+        logWarn("路线规划", "未找到路径", { from: from.name, to: endLocation?.name });
+        fail("未找到路径");
         return;
       }
-      const totalLength = Number((route.totalLength ?? 0).toFixed(2));
-      const store = useSceneStore.getState();
-      store.setHighlightedRoads(route.roadIds || []);
-      store.setHighlightedRoutePath(pointPath);
-      store.setHighlightedRouteMeta(
-        config.poiRoute?.highlightMesh
-          ? { ...config.poiRoute.highlightMesh }
-          : null
-      );
-      store.setActiveRoute({
-        from: startLocation.name,
-        to: endLocation.name,
-        length: totalLength,
-      });
+      const navigation = useNavigationStore.getState();
+      if (request.start) navigation.setStartLocation(from);
+      if (tour) {
+        setWaypoints(tour.visited);
+      } else if (request.waypoints) {
+        setWaypoints(stops);
+      }
+      setTourInfo(tour ? { method: tour.method, names: tour.names } : null);
+      useSceneStore.getState().setAlternativeRoutes(alternatives);
+      const { totalLength, lastLeg } = applyRoute(route, from);
+      // 只记录简单的起终点路线，途经点、游览顺序与偏航重规划（起点为“当前位置”）不进入最近路线
+      if (
+        endLocation &&
+        stops.length === 0 &&
+        !optimizeWaypointOrder &&
+        from.source !== "position"
+      ) {
+        navigation.recordRecentRoute(from, endLocation, transportMode);
+      }
       logInfo('路线规划', '导航面板触发路线规划', {
-        from: startLocation.name,
-        to: endLocation.name,
+        from: from.name,
+        to: lastLeg?.to?.name ?? endLocation?.name,
+        optimized: optimizeWaypointOrder,
+        waypoints: (tour ? tour.visited : stops).map((waypoint) => waypoint.name),
         length: totalLength,
+        mode: route.mode,
+        objective: routeObjective,
+        seconds: Math.round(route.travelTime?.total ?? 0),
+        shade: route.shade ? Number(route.shade.ratio.toFixed(2)) : undefined,
+        night: route.night ? Number(route.night.litRatio.toFixed(2)) : undefined,
         roadCount: route.roadIds?.length ?? 0,
+        alternatives: alternatives.length,
       });
     } catch (error) {
-      logError("路线规划", "路线规划失败", {
-        from: startLocation?.name,
+      const detail = {
+        from: from?.name,
         to: endLocation?.name,
+        waypoints: stops.map((waypoint) => waypoint.name),
+        mode: transportMode,
         错误: error?.message ?? String(error),
-      });
-      alert("路线规划失败，请检查地点是否可达");
+      };
+      if (request.silent) {
+        logWarn("路线规划", "重新规划失败，保留原路线", detail);
+      } else {
+        logError("路线规划", "路线规划失败", detail);
+      }
+      fail("路线规划失败，请检查地点是否可达");
     }
   };
 
+  // 深链接等外部请求规划路线时使用最新一次渲染的 planRoute（闭包内为最新起终点）
+  const planRouteRef = useRef(planRoute);
+  planRouteRef.current = planRoute;
+  useEffect(() => {
+    if (routePlanRequest > 0) {
+      planRouteRef.current(useNavigationStore.getState().routePlanOptions ?? {});
+    }
+  }, [routePlanRequest]);
+
+  /**
+   * showReachability：以起点为出发地显示可达范围（App.jsx 按当前交通方式求解）
+   */
+  const showReachability = () => {
+    if (!startLocation) {
+      alert("请先选择起点");
+      return;
+    }
+    useSceneStore.getState().showReachability(startLocation);
+    logInfo("可达范围", "导航面板以起点查看可达范围", {
+      from: startLocation.name,
+      mode: transportMode,
+    });
+  };
+
+  /**
+   * selectNearest：把“最近的…”查询结果设为终点并直接绘制已求得的路线
+   * 出发地为选中建筑时不改写起点，途经点不参与
+   */
+  const selectNearest = ({ poi, route }, from) => {
+    setTourInfo(null);
+    useSceneStore.getState().setAlternativeRoutes([]);
+    setEndLocation(poi);
+    useNavigationStore.getState().recordRecentRoute(from, poi, transportMode);
+    const { totalLength } = applyRoute(
+      { ...route, legs: [{ ...route, from, to: poi }] },
+      from
+    );
+    logInfo("最近地点", "已绘制到最近地点的路线", {
+      from: from.name,
+      to: poi.name,
+      length: totalLength,
+      mode: route.mode,
+    });
+  };
+
   /**
    * clearRoute：清理路线相关高亮，确保后续弹窗自动隐藏
    */
   const clearRoute = () => {
+    setTourInfo(null);
     if (typeof window !== "undefined" && typeof window.clearRouteHighlight === "function") {
       window.clearRouteHighlight();
       logInfo("路线规划", "已通过导航面板调用全局清除路线");
@@ -136,6 +636,7 @@ const NavigationPanel = () => {
     store.setHighlightedRoutePath([]);
     store.setHighlightedRouteMeta(null);
     store.setActiveRoute(null);
+    store.setAlternativeRoutes([]);
     logInfo("路线规划", "已通过导航面板清除高亮路线");
   };
 
@@ -146,6 +647,7 @@ const NavigationPanel = () => {
       </div>
       {isPanelVisible && (
         <div className="navigation-popup">
+          <SavedShortcuts />
           <div className="input-wrapper">
             <span className="input-icon">📍</span>
             <LocationSearchInput
@@ -155,6 +657,7 @@ const NavigationPanel = () => {
               onClearLocation={() => setStartLocation(null)}
             />
           </div>
+          <WaypointList />
           <div className="input-wrapper">
             <span className="input-icon">🏁</span>
             <LocationSearchInput
@@ -164,11 +667,41 @@ const NavigationPanel = () => {
               onClearLocation={() => setEndLocation(null)}
             />
           </div>
+          <label className="tour-toggle">
+            <input
+              type="checkbox"
+              checked={optimizeWaypointOrder}
+              onChange={(event) => setOptimizeWaypointOrder(event.target.checked)}
+            />
+            自动优化游览顺序（终点可留空）
+          </label>
+          {tourInfo && (
+            <div className="tour-order">
+              <span className="tour-method">
+                {tourInfo.method === "exact" ? "最优顺序" : "近似最优顺序"}
+              </span>
+              {tourInfo.names.join(" → ")}
+            </div>
+          )}
           <TransportSelector />
+          <RouteObjectiveSelector />
+          <NightSafetySelector />
           <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
-            <button onClick={planRoute}>🔍 查找路线</button>
+            <button onClick={() => planRoute()}>🔍 查找路线</button>
             <button onClick={clearRoute}>✖ 清除路线</button>
+            <button onClick={showReachability}>⏱ 可达范围</button>
+            <button
+              onClick={() => useSceneStore.getState().startWalkthrough()}
+              disabled={!hasRoute}
+              title={hasRoute ? "以第一人称视角沿当前路线前进" : "请先查找路线"}
+            >
+              🎥 沉浸导航
+            </button>
           </div>
+          <NearestFacilitySearch onSelectResult={selectNearest} />
+          <LivePositionControl />
+          <RouteExport />
+          <RouteSteps />
         </div>
       )}
     </>
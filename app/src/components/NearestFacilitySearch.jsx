@@ -0,0 +1,126 @@
+/**
+ * NearestFacilitySearch 组件：“最近的…”查询
+ *
+ * 职责：
+ * 1. 以导航起点（未选起点时为当前选中的建筑）为出发地
+ * 2. 选择设施类别后按路网实际路程列出最近的若干地点，附路程与预估时间
+ * 3. 点击结果交由调用方（NavigationPanel）设为终点并绘制路线
+ */
+
+/** React Hook：管理当前类别与查询结果 */
+import React, { useEffect, useState } from "react";
+/** 导航状态：起点与交通方式 */
+import { useNavigationStore } from "../store/navigationStore";
+/** 全局场景状态：选中建筑与封闭登记表 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 最近地点查询：类别与按路程排序的结果 */
+import { findNearestFacilities, listFacilityCategories } from "../lib/nearestFacility";
+/** 反向地理编码：由选中建筑生成出发地 */
+import { createBuildingLocation } from "../lib/reverseGeocode";
+/** 交通方式规则：路线缺少耗时汇总时按平均速度估算时间 */
+import { resolveTransportProfile } from "../lib/routingProfiles";
+/** 日志工具：记录查询与失败原因 */
+import { logInfo, logError } from "../logger/logger";
+/** 样式文件：类别按钮与结果列表 */
+import "./NearestFacilitySearch.css";
+
+/**
+ * formatResult：路程与预估分钟数文本
+ * @param {{ length: number, route: object }} result - 查询结果，耗时取 route.travelTime（见 lib/travelTime.js）
+ * @param {string} mode - 交通方式
+ */
+function formatResult({ length: meters, route }, mode) {
+  const distance = meters >= 1000 ? `${(meters / 1000).toFixed(1)} 公里` : `${Math.round(meters)} 米`;
+  const seconds = route?.travelTime?.total ?? meters / (resolveTransportProfile(mode).speedKmh / 3.6);
+  const minutes = Math.round(seconds / 60);
+  return `${distance} · ${minutes < 1 ? "<1" : minutes} 分钟`;
+}
+
+/**
+ * @param {object} props
+ * @param {(result: { poi, route, length }, start: object) => void} props.onSelectResult - 点击结果时调用
+ */
+function NearestFacilitySearch({ onSelectResult }) {
+  const { startLocation, transportMode } = useNavigationStore();
+  const selectedBuilding = useSceneStore((state) => state.selectedBuilding);
+  const [categoryKey, setCategoryKey] = useState(null);
+  const [results, setResults] = useState([]);
+  const categories = listFacilityCategories();
+  const start = startLocation || createBuildingLocation(selectedBuilding);
+
+  // 出发地或交通方式变化后旧结果失效
+  useEffect(() => {
+    setCategoryKey(null);
+    setResults([]);
+  }, [startLocation, selectedBuilding, transportMode]);
+
+  /**
+   * search：查询某类别离出发地最近的地点
+   */
+  const search = (category) => {
+    setCategoryKey(category.key);
+    if (!start) {
+      setResults([]);
+      return;
+    }
+    try {
+      const found = findNearestFacilities(start, category, {
+        mode: transportMode,
+        blocked: useSceneStore.getState().blockedItems,
+      });
+      setResults(found);
+      logInfo("最近地点", "查询最近地点", {
+        from: start.name,
+        category: category.label,
+        mode: transportMode,
+        results: found.map((item) => `${item.poi.name}（${Math.round(item.length)} 米）`),
+      });
+    } catch (error) {
+      setResults([]);
+      logError("最近地点", "最近地点查询失败", {
+        from: start.name,
+        category: category.label,
+        错误: error?.message ?? String(error),
+      });
+    }
+  };
+
+  return (
+    <div className="nearest-facility">
+      <div className="nearest-facility__title">
+        最近的…
+        <span className="nearest-facility__origin">
+          {start ? `从 ${start.name} 出发` : "请先选择起点或在地图上选中建筑"}
+        </span>
+      </div>
+      <div className="nearest-facility__categories">
+        {categories.map((category) => (
+          <button
+            key={category.key}
+            type="button"
+            className={category.key === categoryKey ? "active" : ""}
+            disabled={!start}
+            onClick={() => search(category)}
+          >
+            {category.icon} {category.label}
+          </button>
+        ))}
+      </div>
+      {categoryKey && start && results.length === 0 && (
+        <div className="nearest-facility__empty">当前交通方式下附近没有可到达的地点</div>
+      )}
+      {results.length > 0 && (
+        <ol className="nearest-facility__results">
+          {results.map((item) => (
+            <li key={item.poi.poiId} onClick={() => onSelectResult?.(item, start)}>
+              <span className="nearest-facility__name">{item.poi.name}</span>
+              <span className="nearest-facility__value">{formatResult(item, transportMode)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default NearestFacilitySearch;
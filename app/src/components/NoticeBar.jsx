@@ -0,0 +1,36 @@
+/**
+ * NoticeBar 组件：顶部居中的非阻塞提示条
+ *
+ * 职责：
+ * 1. 列出 useSceneStore.notices 中的提示（如深链接中不存在的 POI/建筑）
+ * 2. 提供关闭按钮，调用 dismissNotices 清空
+ */
+
+/** 全局场景状态：提示列表 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 样式文件：提示条浮层 */
+import "./NoticeBar.css";
+
+function NoticeBar() {
+  const notices = useSceneStore((state) => state.notices);
+  if (!notices.length) return null;
+
+  return (
+    <div className="notice-bar" role="status">
+      <ul>
+        {notices.map((notice, index) => (
+          <li key={`${notice}-${index}`}>⚠️ {notice}</li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        aria-label="关闭提示"
+        onClick={() => useSceneStore.getState().dismissNotices()}
+      >
+        ✖
+      </button>
+    </div>
+  );
+}
+
+export default NoticeBar;
@@ -0,0 +1,70 @@
+/**
+ * ReachabilityLegend 组件：可达范围（等时圈）图例
+ *
+ * 职责：
+ * 1. 显示出发地、交通方式与估算速度
+ * 2. 逐个时间分段列出颜色、可达道路总长与可达建筑数量
+ * 3. 提供关闭按钮，清除路段条带与建筑着色
+ */
+
+/** 全局场景状态：可达范围结果 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 交通方式规则：显示方式名称 */
+import { resolveTransportProfile } from "../lib/routingProfiles";
+/** 配置：分段颜色与 renderReachability 保持一致 */
+import config from "../config/index.js";
+/** 样式文件：图例浮层 */
+import "./ReachabilityLegend.css";
+
+/**
+ * formatLength：道路长度的友好文本（米 / 公里）
+ */
+function formatLength(meters) {
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} 公里`;
+  return `${Math.round(meters)} 米`;
+}
+
+function ReachabilityLegend() {
+  const reachability = useSceneStore((state) => state.reachability);
+  if (!reachability) return null;
+
+  const colors = config.poiRoute.reachability.colors;
+  const buildingCounts = reachability.bands.map(() => 0);
+  reachability.buildingBands.forEach((band) => {
+    buildingCounts[band] += 1;
+  });
+
+  return (
+    <div className="reachability-legend">
+      <div className="reachability-legend__header">
+        <span>⏱ {reachability.origin?.name ?? "地图选点"} 出发</span>
+        <button
+          type="button"
+          aria-label="关闭可达范围"
+          onClick={() => useSceneStore.getState().clearReachability()}
+        >
+          ✖
+        </button>
+      </div>
+      <div className="reachability-legend__hint">
+        {resolveTransportProfile(reachability.mode).label}，按 {reachability.speedKmh} 公里/小时估算
+      </div>
+      <ul>
+        {reachability.bands.map((minutes, index) => (
+          <li key={minutes}>
+            <span
+              className="reachability-legend__swatch"
+              style={{ background: colors[Math.min(index, colors.length - 1)] }}
+            />
+            <span className="reachability-legend__label">{minutes} 分钟内</span>
+            <span className="reachability-legend__value">
+              道路 {formatLength(reachability.bandLengths[index] ?? 0)} · 建筑 {buildingCounts[index]} 栋
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ReachabilityLegend;
@@ -0,0 +1,201 @@
+/**
+ * RoadClosurePanel 组件：道路封闭登记面板
+ *
+ * 职责：
+ * 1. 按路名封闭整条道路，或进入地图点选路段 / 绘制封闭区域模式
+ * 2. 选择新增条目的策略：禁止通行（avoid）或尽量避开（penalize）
+ * 3. 列出、移除、清空登记表；登记表由 useSceneStore 持久化到 localStorage
+ */
+
+/** React 状态钩子：控制面板展开与路名选择 */
+import { useMemo, useState } from "react";
+/** 全局场景状态：封闭登记表、取点模式与区域草稿 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 路网查询：按路名汇总可封闭的道路 */
+import { listNamedRoads } from "../lib/roadGraph";
+/** 日志工具：记录封闭登记的增删 */
+import { logInfo } from "../logger/logger";
+/** 样式文件：按钮、列表与模式提示 */
+import "./RoadClosurePanel.css";
+
+/**
+ * POLICY_LABELS：策略的中文名称
+ */
+const POLICY_LABELS = {
+  avoid: "禁止通行",
+  penalize: "尽量避开",
+};
+
+/**
+ * TYPE_ICONS：登记表条目类型图标
+ */
+const TYPE_ICONS = {
+  road: "🛣️",
+  edge: "🚧",
+  polygon: "⬡",
+};
+
+function RoadClosurePanel() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [roadName, setRoadName] = useState("");
+  const blockedItems = useSceneStore((state) => state.blockedItems);
+  const blockPolicy = useSceneStore((state) => state.blockPolicy);
+  const mapPickMode = useSceneStore((state) => state.mapPickMode);
+  const barrierDraft = useSceneStore((state) => state.barrierDraft);
+  const namedRoads = useMemo(() => listNamedRoads(), []);
+
+  // 切换面板显示状态；收起时退出取点模式，避免地图点击被意外占用
+  const togglePanel = () => {
+    if (isOpen) {
+      useSceneStore.getState().setMapPickMode(null);
+    }
+    setIsOpen(!isOpen);
+  };
+
+  /**
+   * blockNamedRoad：封闭当前选中路名下的全部道路
+   */
+  const blockNamedRoad = () => {
+    const road = namedRoads.find((entry) => entry.name === roadName);
+    if (!road) return;
+    useSceneStore.getState().addBlockedItem({
+      type: "road",
+      roadIds: road.roadIds,
+      label: road.name,
+    });
+    logInfo("道路封闭", `封闭道路 ${road.name}`, {
+      roadIds: road.roadIds,
+      policy: blockPolicy,
+    });
+    setRoadName("");
+  };
+
+  /**
+   * togglePickMode：进入/退出指定的地图取点模式
+   */
+  const togglePickMode = (mode) => {
+    useSceneStore.getState().setMapPickMode(mapPickMode === mode ? null : mode);
+  };
+
+  /**
+   * commitDraft：把草稿登记为封闭区域
+   */
+  const commitDraft = () => {
+    const id = useSceneStore.getState().commitBarrierDraft();
+    if (id) {
+      logInfo("道路封闭", "新增封闭区域", {
+        vertices: barrierDraft.length,
+        policy: blockPolicy,
+      });
+    }
+  };
+
+  /**
+   * removeItem：移除一条登记
+   */
+  const removeItem = (item) => {
+    useSceneStore.getState().removeBlockedItem(item.id);
+    logInfo("道路封闭", `解除封闭 ${item.label ?? item.id}`);
+  };
+
+  /**
+   * clearAll：清空登记表
+   */
+  const clearAll = () => {
+    useSceneStore.getState().clearBlockedItems();
+    logInfo("道路封闭", "已清空封闭登记表");
+  };
+
+  return (
+    <div className="road-closure-container">
+      <button className="road-closure-main-btn" onClick={togglePanel}>
+        🚧 道路封闭
+        {blockedItems.length > 0 && (
+          <span className="road-closure-count">{blockedItems.length}</span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="road-closure-panel">
+          <div className="road-closure-policy">
+            {Object.entries(POLICY_LABELS).map(([policy, label]) => (
+              <label key={policy}>
+                <input
+                  type="radio"
+                  name="road-closure-policy"
+                  checked={blockPolicy === policy}
+                  onChange={() => useSceneStore.getState().setBlockPolicy(policy)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="road-closure-row">
+            <select
+              value={roadName}
+              onChange={(event) => setRoadName(event.target.value)}
+            >
+              <option value="">选择道路</option>
+              {namedRoads.map((road) => (
+                <option key={road.name} value={road.name}>
+                  {road.name}
+                </option>
+              ))}
+            </select>
+            <button disabled={!roadName} onClick={blockNamedRoad}>
+              封闭
+            </button>
+          </div>
+          <div className="road-closure-row">
+            <button
+              className={mapPickMode === "block-edge" ? "active" : ""}
+              onClick={() => togglePickMode("block-edge")}
+            >
+              点选路段
+            </button>
+            <button
+              className={mapPickMode === "block-polygon" ? "active" : ""}
+              onClick={() => togglePickMode("block-polygon")}
+            >
+              绘制封闭区域
+            </button>
+          </div>
+          {mapPickMode === "block-edge" && (
+            <p className="road-closure-hint">在地图上点击需要封闭的路段</p>
+          )}
+          {mapPickMode === "block-polygon" && (
+            <div className="road-closure-hint">
+              已选 {barrierDraft.length} 个顶点（至少 3 个）
+              <button disabled={barrierDraft.length < 3} onClick={commitDraft}>
+                完成
+              </button>
+              <button onClick={() => togglePickMode("block-polygon")}>取消</button>
+            </div>
+          )}
+          {blockedItems.length > 0 && (
+            <ul className="road-closure-list">
+              {blockedItems.map((item) => (
+                <li key={item.id}>
+                  <span className="road-closure-icon">{TYPE_ICONS[item.type] || "•"}</span>
+                  <span className="road-closure-label">{item.label ?? item.id}</span>
+                  <span className={`road-closure-policy-tag ${item.policy}`}>
+                    {POLICY_LABELS[item.policy] ?? item.policy}
+                  </span>
+                  <button onClick={() => removeItem(item)} title="解除封闭">
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {blockedItems.length > 0 && (
+            <button className="road-closure-clear" onClick={clearAll}>
+              全部解除
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RoadClosurePanel;
@@ -2,38 +2,78 @@
 
 /**
  * RouteInfoPopup：显示路线距离与预计耗时的悬浮卡片
- * 依赖 highlightedRoutePath/activeRoute/transportMode 状态，自动锚定到路径包围框
+ * 依赖 highlightedRoutePath/activeRoute 状态，自动锚定到路径包围框
+ * 交通方式图标与缺省耗时估算取求解路线时的交通方式（activeRoute.mode），旧数据缺失时才用当前选择的 transportMode
+ * 多段路线（activeRoute.legs 多于一段）额外列出每段的距离与耗时
+ * 耗时取 activeRoute.travelTime（lib/travelTime.js），并拆分列出行进、台阶、下车推行、过街与红绿灯等待
+ * 凉爽路线显示树荫占比（activeRoute.shade），并与同一组地点最短路线的树荫占比（activeRoute.shadeBaseline）对照
+ * 夜间安全路线显示有照明的比例与无照明路段的总长（activeRoute.night），无照明长度以警示色标出
+ * activeRoute.warnings 非空时（如无障碍路线无法避开台阶）在卡片底部列出提示
  */
 import React, { useEffect, useState } from "react";
 import * as THREE from "three";
 import "./RouteInfoPopup.css";
 import { useSceneStore, SCENE_BASE_ALIGNMENT } from "../store/useSceneStore";
 import { useNavigationStore } from "../store/navigationStore";
+import { resolveTransportProfile } from "../lib/routingProfiles";
 
-// SPEED_KMH：不同交通方式对应的平均速度（公里/小时）
-const SPEED_KMH = {
-  walk: 5,
-  bike: 12,
-  ebike: 20,
-  drive: 30,
-  car: 30,
-};
+/**
+ * estimateSeconds：路线或分段的预计耗时
+ * 优先取求解结果的 travelTime.total，缺失时（旧数据）按交通方式平均速度估算
+ * @param {{ length?: number, travelTime?: { total: number }|null }} item - activeRoute 或 activeRoute.legs[i]
+ * @param {string} mode - 求解该路线时的交通方式
+ * @returns {number} 秒
+ */
+function estimateSeconds(item, mode = "walk") {
+  if (Number.isFinite(item?.travelTime?.total)) return item.travelTime.total;
+  const speedMps = resolveTransportProfile(mode).speedKmh / 3.6;
+  return speedMps > 0 ? Number(item?.length ?? 0) / speedMps : 0;
+}
 
 /**
- * formatTime：根据路线长度与交通方式预估分钟数
- * @param {number} lengthMeters - 路径总长度（米）
- * @param {string} mode - 当前交通方式
- * @returns {string} 友好化分钟文本
+ * formatTime：秒数 → 友好化分钟文本
+ * @param {number} seconds
+ * @returns {string}
  */
-function formatTime(lengthMeters = 0, mode = "walk") {
-  const speedKmh = SPEED_KMH[mode] || SPEED_KMH.walk;
-  const speedMps = speedKmh / 3.6;
-  const secs = speedMps > 0 ? lengthMeters / speedMps : 0;
-  const minutes = Math.round(secs / 60);
+function formatTime(seconds = 0) {
+  const minutes = Math.round(seconds / 60);
   if (minutes < 1) return "<1 分钟";
   return `${minutes} 分钟`;
 }
 
+/**
+ * formatDelay：拆分项耗时，不足 1 分钟时以秒显示
+ */
+function formatDelay(seconds) {
+  return seconds < 60 ? `${Math.round(seconds)} 秒` : formatTime(seconds);
+}
+
+/**
+ * describeTimeBreakdown：耗时拆分条目，行进时间始终列出，其余项为 0 时省略
+ * @param {object|null} travelTime - lib/travelTime.js 的耗时汇总
+ * @returns {Array<{ key: string, label: string, value: string }>}
+ */
+function describeTimeBreakdown(travelTime) {
+  if (!travelTime) return [];
+  const items = [
+    { key: "moving", label: "行进", seconds: travelTime.moving, always: true },
+    { key: "steps", label: "台阶", seconds: travelTime.steps },
+    { key: "dismount", label: `下车推行 ${travelTime.dismountCount} 次`, seconds: travelTime.dismount },
+    { key: "crossings", label: `过街 ${travelTime.crossingCount} 处`, seconds: travelTime.crossings },
+    { key: "signals", label: `红绿灯 ${travelTime.signalCount} 处`, seconds: travelTime.signals },
+  ];
+  return items
+    .filter((item) => item.always || item.seconds > 0)
+    .map((item) => ({ key: item.key, label: item.label, value: formatDelay(item.seconds || 0) }));
+}
+
+/**
+ * formatPercent：0~1 的占比 → 整数百分比文本
+ */
+function formatPercent(ratio) {
+  return `${Math.round((Number(ratio) || 0) * 100)}%`;
+}
+
 /**
  * RouteInfoPopup 组件主体
  * @param {object} props.sceneContext - 可选 Three.js 场景上下文，若未传则回退到 window.sceneContext
@@ -204,9 +244,25 @@ export default function RouteInfoPopup({ sceneContext }) {
   }
 
   const length = Number(activeRoute.length ?? 0).toFixed(2);
-  const timeText = formatTime(Number(activeRoute.length ?? 0), transportMode);
-  const icons = { walk: "🚶", bike: "🚲", ebike: "🛵", drive: "🚗", car: "🚗" };
-  const transportIcon = icons[transportMode] || icons.walk;
+  // 耗时与拆分属于求解时的交通方式，面板切换交通方式后仍按原方式显示，直到重新规划
+  const routeMode = activeRoute.mode ?? transportMode;
+  const timeText = formatTime(estimateSeconds(activeRoute, routeMode));
+  const breakdown = describeTimeBreakdown(activeRoute.travelTime);
+  const icons = {
+    walk: "🚶",
+    bike: "🚲",
+    ebike: "🛵",
+    drive: "🚗",
+    car: "🚗",
+    accessible: "♿",
+  };
+  const transportIcon = icons[routeMode] || icons.walk;
+  const legs = Array.isArray(activeRoute.legs) ? activeRoute.legs : [];
+  const warnings = Array.isArray(activeRoute.warnings) ? activeRoute.warnings : [];
+  const shade = activeRoute.shade;
+  const shadeBaseline = activeRoute.shadeBaseline;
+  const night = activeRoute.night;
+  const objectiveLabels = { time: "最快", shade: "凉爽" };
 
   return (
     <div
@@ -221,8 +277,73 @@ export default function RouteInfoPopup({ sceneContext }) {
           <div className="icon">{transportIcon}</div>
         </div>
         <div className="f-right">
-          <div className="time">{timeText}</div>
+          <div className="time">
+            {timeText}
+            {objectiveLabels[activeRoute.objective] && (
+              <span className="objective">{objectiveLabels[activeRoute.objective]}</span>
+            )}
+          </div>
           <div className="distance">{length} m</div>
+          {shade && (
+            <dl className="shade-compare">
+              <div>
+                <dt>🌳 树荫</dt>
+                <dd className="shade-ratio">{formatPercent(shade.ratio)}</dd>
+              </div>
+              {shadeBaseline && (
+                <div>
+                  <dt>最短路线 {Number(shadeBaseline.length ?? 0).toFixed(0)} m</dt>
+                  <dd>树荫 {formatPercent(shadeBaseline.ratio)}</dd>
+                </div>
+              )}
+            </dl>
+          )}
+          {night && (
+            <dl className="night-lighting">
+              <div>
+                <dt>🌙 有照明</dt>
+                <dd>{formatPercent(night.litRatio)}</dd>
+              </div>
+              {night.unlitLength > 0 && (
+                <div>
+                  <dt>无照明</dt>
+                  <dd className="unlit-length">{Number(night.unlitLength).toFixed(0)} m</dd>
+                </div>
+              )}
+            </dl>
+          )}
+          {breakdown.length > 0 && (
+            <dl className="time-breakdown">
+              {breakdown.map((item) => (
+                <div key={item.key}>
+                  <dt>{item.label}</dt>
+                  <dd>{item.value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+          {legs.length > 1 && (
+            <ol className="legs">
+              {legs.map((leg, index) => (
+                <li key={`${leg.from}-${leg.to}-${index}`}>
+                  <span className="leg-name">
+                    {leg.from} → {leg.to}
+                  </span>
+                  <span className="leg-meta">
+                    {Number(leg.length ?? 0).toFixed(0)} m ·{" "}
+                    {formatTime(estimateSeconds(leg, routeMode))}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+          {warnings.length > 0 && (
+            <ul className="warnings">
+              {warnings.map((warning) => (
+                <li key={warning}>⚠️ {warning}</li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
     </div>
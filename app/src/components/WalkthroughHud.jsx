@@ -0,0 +1,131 @@
+/**
+ * WalkthroughHud 组件：沉浸式导航的转向提示与播放控制
+ *
+ * 职责：
+ * 1. 顶部卡片显示前方下一条文字指引及剩余距离，接近转向（announceDistance 内）时突出显示
+ * 2. 底部控制条：播放/暂停、拖动进度、切换倍速、退出（Esc 同样退出）
+ * 3. 相机移动由 App.jsx 逐帧完成，本组件只读写 useSceneStore 的 walkthrough 状态
+ */
+
+/** React Hook：缓存轨迹与指引里程，注册 Esc 快捷键 */
+import React, { useEffect, useMemo } from "react";
+/** 全局场景状态：当前路线与沉浸式导航状态 */
+import { useSceneStore } from "../store/useSceneStore";
+/** 导航状态：交通方式（显示速度） */
+import { useNavigationStore } from "../store/navigationStore";
+/** 沉浸式导航：轨迹、指引里程与前方指引 */
+import { createRouteTrack, findUpcomingStep, locateSteps } from "../lib/routeWalkthrough";
+/** 交通方式规则：名称与平均速度 */
+import { resolveTransportProfile } from "../lib/routingProfiles";
+/** 全局配置：倍速选项与转向提示距离 */
+import config from "../config/index.js";
+/** 样式文件：顶部指引卡片与底部控制条 */
+import "./WalkthroughHud.css";
+
+const WALKTHROUGH_CONFIG = config.poiRoute?.walkthrough || {};
+const RATES = Array.isArray(WALKTHROUGH_CONFIG.rates) ? WALKTHROUGH_CONFIG.rates : [1];
+const ANNOUNCE_DISTANCE = Number(WALKTHROUGH_CONFIG.announceDistance) || 80;
+
+/**
+ * MANEUVER_ICONS：转向类型 → 箭头图标
+ */
+const MANEUVER_ICONS = {
+  straight: "⬆",
+  "slight-left": "↖",
+  "slight-right": "↗",
+  left: "⬅",
+  right: "➡",
+  "sharp-left": "↙",
+  "sharp-right": "↘",
+  uturn: "↩",
+  waypoint: "📍",
+  arrive: "🏁",
+};
+
+const formatMeters = (meters) =>
+  meters >= 1000 ? `${(meters / 1000).toFixed(1)} 公里` : `${Math.round(meters)} 米`;
+
+function WalkthroughHud() {
+  const walkthrough = useSceneStore((state) => state.walkthrough);
+  const distance = useSceneStore((state) => state.walkthroughDistance);
+  const routePath = useSceneStore((state) => state.highlightedRoutePath);
+  const steps = useSceneStore((state) => state.activeRoute?.steps);
+  const transportMode = useNavigationStore((state) => state.transportMode);
+  const track = useMemo(() => createRouteTrack(routePath), [routePath]);
+  const locatedSteps = useMemo(() => (track ? locateSteps(track, steps) : []), [track, steps]);
+  const active = Boolean(walkthrough);
+
+  // Esc 退出沉浸式导航
+  useEffect(() => {
+    if (!active) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        useSceneStore.getState().stopWalkthrough();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [active]);
+
+  if (!walkthrough || !track) return null;
+
+  const store = useSceneStore.getState();
+  const upcoming = findUpcomingStep(locatedSteps, distance);
+  const imminent = upcoming && upcoming.remaining <= ANNOUNCE_DISTANCE;
+  const profile = resolveTransportProfile(transportMode);
+
+  return (
+    <>
+      {upcoming && (
+        <div className={`walkthrough-turn${imminent ? " imminent" : ""}`} role="status">
+          <span className="walkthrough-turn__icon">
+            {MANEUVER_ICONS[upcoming.step.maneuver] ?? "⬆"}
+          </span>
+          <div>
+            <div className="walkthrough-turn__distance">{formatMeters(upcoming.remaining)}后</div>
+            <div className="walkthrough-turn__text">{upcoming.step.text}</div>
+          </div>
+        </div>
+      )}
+      <div className="walkthrough-controls">
+        <button
+          type="button"
+          onClick={() => store.setWalkthroughPlaying(!walkthrough.playing)}
+          title={walkthrough.playing ? "暂停" : "播放"}
+        >
+          {walkthrough.playing ? "⏸" : "▶"}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={Math.round(track.totalLength)}
+          step={1}
+          value={Math.round(distance)}
+          onChange={(event) => store.seekWalkthrough(Number(event.target.value))}
+          aria-label="导航进度"
+        />
+        <span className="walkthrough-controls__progress">
+          {formatMeters(distance)} / {formatMeters(track.totalLength)}
+        </span>
+        <span className="walkthrough-controls__rates">
+          {RATES.map((rate) => (
+            <button
+              key={rate}
+              type="button"
+              className={rate === walkthrough.rate ? "active" : ""}
+              onClick={() => store.setWalkthroughRate(rate)}
+              title={`${profile.label} ${profile.speedKmh} km/h × ${rate}`}
+            >
+              {rate}×
+            </button>
+          ))}
+        </span>
+        <button type="button" onClick={() => store.stopWalkthrough()} title="退出（Esc）">
+          ✖ 退出
+        </button>
+      </div>
+    </>
+  );
+}
+
+export default WalkthroughHud;
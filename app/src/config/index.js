@@ -34,6 +34,8 @@ export const config = {
     水系: "#4fc3f7",
     围墙: "#ae812f",
     绿化: "#4caf50",
+    // 调试面板“按连通分量着色”时各分量的颜色，首项为最大分量，其余循环使用
+    道路分量: ["#4caf50", "#ff3b30", "#ffcc00", "#af52de", "#00c7be", "#ff9500", "#5ac8fa", "#ff2d55"],
     site: {
       默认: "#d3b6b6",
       stadium: "#50E3C2",
@@ -252,9 +254,227 @@ export const config = {
   /**
    * poiRoute：POI 路径高亮相关配置
    * - maxSnapDistance：POI 吸附到道路边的最大距离（米）
+   * - spatialIndexCellSize：路网边网格索引的单元边长（米）
+   * - tour：多地点游览顺序规划参数
+   *   - exactMaxStops：目的地数量不超过该值时使用精确求解（Held-Karp），否则使用 2-opt
+   *   - twoOptMaxRounds：2-opt 最多改进轮数
+   * - alternatives：备选路线（惩罚法）参数
+   *   - count：最多返回条数（含最短路）
+   *   - penaltyFactor：已选路线经过路段的边权放大系数
+   *   - maxOverlap：与已选路线的最大重叠长度占比，超过则丢弃
+   *   - maxStretch：备选路线长度上限（相对最短路的倍数）
+   *   - maxAttempts：最多搜索轮数
+   *   - colors/opacity：备选路线光带的次要配色与透明度
+   * - instructions：文字导航参数
+   *   - landmarkRadius：转弯点附近作为地标的 POI 最大距离（米）
+   *   - minStepLength：短于该长度（米）的路段并入上一步
+   * - blocked：道路封闭登记表参数
+   *   - penaltyFactor：“尽量避开”策略下封闭路段的边权放大系数
+   *   - storageKey：登记表在 localStorage 中的键名
+   *   - pickDistance：地图点选路段时的最大吸附距离（米）
+   *   - markColor：封闭道路与封闭区域轮廓的标记颜色
+   * - mapPick：地图右键选点的反向地理编码参数
+   *   - poiRadius：以“某 POI 附近”命名的最大距离（米）
+   *   - roadRadius：以“某道路附近”命名的最大距离（米）
+   * - gates：校门通行参数
+   *   - closed：关闭的校门（boundaryGates 的 stableId 或名称），路线不会经过；
+   *     数据中 access=no/private 或 locked=yes 的校门同样视为关闭
+   * - reachability：可达范围图参数
+   *   - bands：时间分段（分钟）
+   *   - colors：各时间分段的颜色
+   *   - width/opacity：路段光带宽度（米）与透明度
+   * - travelTime：预计耗时参数
+   *   - driveSpeeds：机动车各道路等级默认车速（km/h，有 maxspeed 时取较小值）
+   *   - cycleFactors：骑行各道路等级速度系数
+   *   - surfaceFactors：路面速度系数（轮式交通方式）
+   *   - stepsSpeedKmh/pushSpeedKmh：台阶与推行速度（km/h）
+   *   - dismountPenalty：每次下车推行的附加耗时（秒）
+   *   - crossingDelay/driveCrossingDelay/signalDelay：过街（步行骑行/驾驶）与红绿灯等待（秒）
+   * - shade：凉爽路线参数
+   *   - greeneryTypes：提供树荫的绿化类型（greenType）
+   *   - treeBuffer：距树行/林地边缘多近（米）算作树荫
+   *   - sampleStep：沿路段取样间隔（米）
+   *   - sunPenalty：晒太阳路段的附加代价系数（1 表示 1 米日晒路段按 2 米计）
+   *   - minSunAltitude：太阳高度角低于该值（度）时视为没有直射阳光
+   * - night：夜间安全路线参数
+   *   - startHour/endHour：“自动”模式的夜间时段（startHour 时起至次日 endHour 时前，本地时间）
+   *   - lampRadius：路灯照明半径（米）
+   *   - sampleStep：沿路段取样间隔（米）
+   *   - unlitPenalty：无照明路段的附加代价系数
+   *   - roadFactors：各道路等级的代价系数（未列出为 1，越偏僻越大）
+   *   - avoidFactor：非正式小路（informal=yes）与 track 的回避系数
+   *   - unlitColor：路线中无照明路段的警示色
+   * - walkthrough：沉浸式导航参数
+   *   - eyeHeight：视点高度（米，应高于路线光带 highlightMesh.height）
+   *   - fov：视角
+   *   - lookAhead：朝向前视距离（米）
+   *   - rates/defaultRate：回放倍速与默认倍速
+   *   - announceDistance：HUD 提示下一转向的距离阈值（米）
+   * - tracking：实时定位参数
+   *   - offRouteDistance：偏航阈值（米）
+   *   - confirmCount：连续偏航次数，达到后判定偏航
+   *   - rerouteCooldown：重规划冷却（秒）
+   *   - replayRates/replayInterval：轨迹回放倍速与无时间戳时的间隔（秒）
+   *   - markerColor/offRouteColor：位置标记颜色（在路线上/偏航）
+   *   - markerRadius：位置标记半径（米）
+   * - saved：常用地点与最近路线参数
+   *   - storageKey：在 localStorage 中的键名
+   *   - maxRecent/maxFavorites：最近路线与收藏的最大条数
+   * - nearest：最近地点查询参数
+   *   - limit：默认返回条数
+   *   - categories：设施类别（按 poiType 或名称关键词匹配）
    */
   poiRoute: {
     maxSnapDistance: 200,
+    spatialIndexCellSize: 50,
+    tour: {
+      exactMaxStops: 10,
+      twoOptMaxRounds: 50,
+    },
+    alternatives: {
+      count: 3,
+      penaltyFactor: 1.5,
+      maxOverlap: 0.7,
+      maxStretch: 1.6,
+      maxAttempts: 10,
+      colors: ["#4FC3F7", "#FFB74D"],
+      opacity: 0.6,
+    },
+    instructions: {
+      landmarkRadius: 40,
+      minStepLength: 8,
+    },
+    blocked: {
+      penaltyFactor: 5,
+      storageKey: "campus-nav:blocked-roads",
+      pickDistance: 15,
+      markColor: "#ff3b30",
+    },
+    mapPick: {
+      poiRadius: 30,
+      roadRadius: 25,
+    },
+    gates: {
+      closed: [],
+    },
+    reachability: {
+      bands: [5, 10, 15],
+      colors: ["#34c759", "#ffcc00", "#ff9500"],
+      width: 4,
+      opacity: 0.85,
+    },
+    travelTime: {
+      driveSpeeds: {
+        motorway: 60,
+        trunk: 50,
+        primary: 40,
+        secondary: 35,
+        tertiary: 30,
+        unclassified: 25,
+        residential: 20,
+        road: 20,
+        service: 15,
+        track: 10,
+        living_street: 10,
+      },
+      cycleFactors: {
+        living_street: 0.8,
+        service: 0.9,
+        path: 0.8,
+        track: 0.7,
+      },
+      surfaceFactors: {
+        paving_stones: 0.9,
+        sett: 0.8,
+        compacted: 0.85,
+        fine_gravel: 0.8,
+        gravel: 0.7,
+        unpaved: 0.7,
+        dirt: 0.7,
+        ground: 0.7,
+        cobblestone: 0.6,
+        grass: 0.5,
+        sand: 0.4,
+      },
+      stepsSpeedKmh: 2,
+      pushSpeedKmh: 4,
+      dismountPenalty: 15,
+      crossingDelay: 6,
+      driveCrossingDelay: 2,
+      signalDelay: 25,
+    },
+    shade: {
+      greeneryTypes: ["tree_row", "wood", "forest"],
+      treeBuffer: 4,
+      sampleStep: 2,
+      sunPenalty: 1.5,
+      minSunAltitude: 5,
+    },
+    night: {
+      startHour: 19,
+      endHour: 6,
+      lampRadius: 25,
+      sampleStep: 5,
+      unlitPenalty: 1,
+      roadFactors: {
+        service: 1.2,
+        cycleway: 1.2,
+        footway: 1.3,
+        steps: 1.5,
+        path: 2,
+      },
+      avoidFactor: 5,
+      unlitColor: "#ff9500",
+    },
+    walkthrough: {
+      eyeHeight: 6,
+      fov: 75,
+      lookAhead: 12,
+      rates: [1, 2, 5, 10],
+      defaultRate: 5,
+      announceDistance: 80,
+    },
+    tracking: {
+      offRouteDistance: 25,
+      confirmCount: 2,
+      rerouteCooldown: 10,
+      replayRates: [1, 5, 10],
+      replayInterval: 1,
+      markerColor: "#0a84ff",
+      offRouteColor: "#ff9500",
+      markerRadius: 4,
+    },
+    saved: {
+      storageKey: "campus-nav:saved-places",
+      maxRecent: 8,
+      maxFavorites: 20,
+    },
+    nearest: {
+      limit: 5,
+      categories: [
+        { key: "toilets", label: "卫生间", icon: "🚻", poiTypes: ["toilets"] },
+        {
+          key: "canteen",
+          label: "食堂/餐厅",
+          icon: "🍚",
+          poiTypes: ["restaurant", "fast_food", "food_court", "cafe"],
+          nameKeywords: ["食堂"],
+        },
+        { key: "atm", label: "ATM/银行", icon: "🏧", poiTypes: ["atm", "bank"] },
+        {
+          key: "bicycle_parking",
+          label: "自行车停车点",
+          icon: "🚲",
+          poiTypes: ["bicycle_parking"],
+        },
+        {
+          key: "shop",
+          label: "超市/便利店",
+          icon: "🛒",
+          poiTypes: ["supermarket", "convenience", "kiosk"],
+        },
+      ],
+    },
     highlightMesh: {
       width: 10,
       height: 5,
@@ -0,0 +1,123 @@
+/**
+ * 建筑出入口索引：路由时以建筑入口（或外轮廓）代替建筑内部的标注点
+ *
+ * 职责：
+ * - 读取 tools/extract-entrances.js 生成的 entrances.geojson，按所属建筑分组
+ * - 读取 campus.geojson 的建筑外环，供无入口建筑计算轮廓上的接入点
+ *
+ * 坐标约定：与 roads-graph.json 一致，使用 worldX/worldZ（米）
+ */
+
+/** 入口与建筑数据：构建默认索引 */
+import entrancesRaw from "../data/entrances.geojson?raw";
+import campusRaw from "../data/campus.geojson?raw";
+/** 坐标投影：经纬度 → worldX/worldZ */
+import { projectCoordinate, findProjectionOrigin } from "./coordinates";
+
+// 不对外开放的入口 access 取值
+const PRIVATE_ACCESS_VALUES = new Set(["no", "private"]);
+
+/**
+ * isEntranceUsable：入口是否可供该交通方式使用（无障碍方式排除 wheelchair=no）
+ */
+function isEntranceUsable(entrance, mode) {
+  const tags = entrance.tags || {};
+  if (PRIVATE_ACCESS_VALUES.has(String(tags.access ?? "").toLowerCase())) return false;
+  if (mode === "accessible" && String(tags.wheelchair ?? "").toLowerCase() === "no") {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * createBuildingAccessIndex：构建入口/外轮廓索引
+ * @param {object} data
+ * @param {Array<{ entranceId, parentId, worldX, worldZ, tags? }>} data.entrances
+ * @param {Array<{ stableId, rings: Array<Array<{ worldX, worldZ }>> }>} data.buildings
+ * @returns {{ getEntrances: (buildingId, mode?) => Array, getOutline: (buildingId) => Array|null, listOutlines: () => Array }}
+ */
+export function createBuildingAccessIndex({ entrances = [], buildings = [] } = {}) {
+  const entrancesByBuilding = new Map();
+  entrances.forEach((entrance) => {
+    if (!entrance?.parentId) return;
+    if (!entrancesByBuilding.has(entrance.parentId)) {
+      entrancesByBuilding.set(entrance.parentId, []);
+    }
+    entrancesByBuilding.get(entrance.parentId).push(entrance);
+  });
+  const outlines = new Map(buildings.map((building) => [building.stableId, building.rings]));
+
+  return {
+    getEntrances: (buildingId, mode) =>
+      (entrancesByBuilding.get(buildingId) || []).filter((entrance) =>
+        isEntranceUsable(entrance, mode)
+      ),
+    getOutline: (buildingId) => outlines.get(buildingId) || null,
+    listOutlines: () => buildings,
+  };
+}
+
+/**
+ * loadDefaultIndex：由打包的数据文件构建默认索引
+ */
+function loadDefaultIndex() {
+  const campusFeatures = JSON.parse(campusRaw).features || [];
+  const origin = findProjectionOrigin(campusFeatures);
+  const toWorld = (coordinate) => {
+    const [x, y] = projectCoordinate(coordinate, origin);
+    return { worldX: x, worldZ: -y };
+  };
+
+  const entrances = (JSON.parse(entrancesRaw).features || [])
+    .filter((feature) => feature.properties?.parentId && feature.geometry?.type === "Point")
+    .map((feature) => {
+      const { entranceId, parentId, ...tags } = feature.properties;
+      return { entranceId, parentId, ...toWorld(feature.geometry.coordinates), tags };
+    });
+
+  const buildings = [];
+  campusFeatures.forEach((feature) => {
+    if (feature.properties?.featureType !== "building") return;
+    const stableId = feature.properties.stableId || feature.id;
+    const geometry = feature.geometry;
+    const polygons =
+      geometry?.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry?.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+    const rings = polygons
+      .map((polygon) => (polygon?.[0] || []).map(toWorld))
+      .filter((ring) => ring.length >= 3);
+    if (stableId && rings.length) buildings.push({ stableId, rings });
+  });
+
+  return createBuildingAccessIndex({ entrances, buildings });
+}
+
+const DEFAULT_INDEX = loadDefaultIndex();
+
+/**
+ * getBuildingEntrances：返回建筑可用的入口列表
+ * @param {string} buildingId - 建筑 stableId
+ * @param {string} [mode] - 交通方式
+ */
+export function getBuildingEntrances(buildingId, mode) {
+  return DEFAULT_INDEX.getEntrances(buildingId, mode);
+}
+
+/**
+ * getBuildingOutline：返回建筑外环（各多边形一条），未知建筑返回 null
+ * @param {string} buildingId - 建筑 stableId
+ */
+export function getBuildingOutline(buildingId) {
+  return DEFAULT_INDEX.getOutline(buildingId);
+}
+
+/**
+ * listBuildingOutlines：返回全部建筑外环，供按建筑统计的分析（如可达范围）遍历
+ * @returns {Array<{ stableId, rings: Array<Array<{ worldX, worldZ }>> }>}
+ */
+export function listBuildingOutlines() {
+  return DEFAULT_INDEX.listOutlines();
+}
@@ -0,0 +1,72 @@
+/**
+ * 建筑高度：三维拉伸（three/buildBuildings.js）与建筑阴影（lib/shade.js）共用的高度规则
+ *
+ * 职责：
+ * - resolveBuildingOverride：按建筑名称查找 config.buildingOverrides.byName 中的覆盖配置
+ * - resolveBuildingHeight：按优先级确定建筑高度
+ *
+ * 高度优先级：
+ * 1. 覆盖配置 elevation（最高优先）
+ * 2. config.heights[分类]：按分类查表（若不存在则跳过）
+ * 3. properties.elevation：数据清洗阶段写入的高度（须为正数）
+ * 4. config.heights.默认：全局默认高度
+ * 5. 10：兜底，防止高度缺失
+ * 最后叠加覆盖配置 heightOffset，结果不为正数时同样取 10
+ */
+
+// 读取全局配置，获取高度表与按名称的覆盖配置
+import config from "../config/index.js";
+
+/**
+ * FALLBACK_HEIGHT：高度缺失或不为正数时的兜底高度（米）
+ */
+const FALLBACK_HEIGHT = 10;
+
+/**
+ * resolveBuildingOverride：根据建筑名称查找覆盖配置
+ * @param {object} properties - GeoJSON properties
+ * @param {object} [settings=config] - 含 buildingOverrides 的配置对象
+ * @returns {object|null} 覆盖配置（elevation、heightOffset、color 等），无匹配时为 null
+ */
+export function resolveBuildingOverride(properties, settings = config) {
+  const name = properties?.name?.trim();
+  if (!name) return null;
+  const overrides = settings.buildingOverrides?.byName;
+  if (!overrides) return null;
+  return overrides[name] || null;
+}
+
+/**
+ * resolveBuildingHeight：建筑高度（米），优先级见模块说明
+ * @param {object} properties - GeoJSON properties（name、category、elevation）
+ * @param {object} [settings=config] - 含 heights 与 buildingOverrides 的配置对象
+ * @returns {number} 正数高度
+ */
+export function resolveBuildingHeight(properties, settings = config) {
+  const props = properties || {};
+  const override = resolveBuildingOverride(props, settings);
+  let height;
+  if (Number.isFinite(override?.elevation)) {
+    height = Number(override.elevation);
+  }
+  if (!Number.isFinite(height)) {
+    const categoryHeight = settings.heights?.[props.category || "默认"];
+    if (Number.isFinite(categoryHeight)) {
+      height = Number(categoryHeight);
+    }
+  }
+  if (!Number.isFinite(height)) {
+    const elevationFromData = Number(props.elevation);
+    if (Number.isFinite(elevationFromData) && elevationFromData > 0) {
+      height = elevationFromData;
+    }
+  }
+  if (!Number.isFinite(height) || height <= 0) {
+    const defaultHeight = Number(settings.heights?.默认);
+    height = Number.isFinite(defaultHeight) && defaultHeight > 0 ? defaultHeight : FALLBACK_HEIGHT;
+  }
+  if (Number.isFinite(override?.heightOffset)) {
+    height += Number(override.heightOffset);
+  }
+  return Number.isFinite(height) && height > 0 ? height : FALLBACK_HEIGHT;
+}
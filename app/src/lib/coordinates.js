@@ -65,6 +65,32 @@ export function projectCoordinate([lng, lat], origin) {
   return [x, y];
 }
 
+/**
+ * unprojectCoordinate：projectCoordinate 的逆变换，平面坐标 → 经纬度
+ * 
+ * 参数：
+ * - [x, y]：平面坐标（米，x 向东、y 向北）
+ * - origin：投影原点，须与投影时相同
+ * 
+ * 返回：[lng, lat]
+ * 
+ * 公式：
+ * lng = origin.lng + x / (METERS_PER_DEGREE * cos(origin.lat * π/180))
+ * lat = origin.lat + y / METERS_PER_DEGREE
+ * 
+ * 说明：
+ * - 与 projectCoordinate 互为精确逆运算（仅有浮点误差），用于把路线导出为 GPX/KML 等经纬度格式
+ * - 若 origin 为空，直接返回原始坐标（与 projectCoordinate 的降级处理对称）
+ */
+export function unprojectCoordinate([x, y], origin) {
+  if (!origin) {
+    return [x, y];
+  }
+  const lng = origin.lng + x / (METERS_PER_DEGREE * Math.cos((origin.lat * Math.PI) / 180));
+  const lat = origin.lat + y / METERS_PER_DEGREE;
+  return [lng, lat];
+}
+
 /**
  * projectPolygon：将多边形（由多个环组成）投影为平面坐标
  * 
@@ -239,3 +265,76 @@ export function toCartesianCoordinates(coordinates) {
     ring.map(([x, y]) => [x, y, 0])
   );
 }
+
+/**
+ * composeSceneTransform：把调试面板的增量变换叠加到基准姿态上
+ * 
+ * 参数：
+ * - base：基准姿态 { rotationY, scale, offset: { x, z } }（SCENE_BASE_ALIGNMENT）
+ * - delta：增量变换，结构相同（useSceneStore.sceneTransform），缺省视为不额外校正
+ * 
+ * 返回：{ rotationY, scale, offset: { x, z } }，即各几何体 Group 实际使用的旋转/缩放/平移
+ * 
+ * 规则：旋转与平移相加，缩放相乘（与 App.applySceneTransform 一致）
+ */
+export function composeSceneTransform(base, delta) {
+  return {
+    rotationY: (base?.rotationY ?? 0) + (delta?.rotationY ?? 0),
+    scale: (base?.scale ?? 1) * (delta?.scale ?? 1),
+    offset: {
+      x: (base?.offset?.x ?? 0) + (delta?.offset?.x ?? 0),
+      z: (base?.offset?.z ?? 0) + (delta?.offset?.z ?? 0),
+    },
+  };
+}
+
+/**
+ * sceneToGraphPoint：把场景世界坐标还原为路网坐标（roads-graph.json 的 worldX/worldZ）
+ * 
+ * 参数：
+ * - point：射线命中的世界坐标 { x, z }
+ * - transform：composeSceneTransform 的结果
+ * 
+ * 返回：{ worldX, worldZ }；缩放为 0 或坐标非法时返回 null
+ * 
+ * 公式（Group 依次缩放、绕 Y 轴旋转 θ、平移，此处逆序还原）：
+ * dx = (x - offset.x) / scale，dz = (z - offset.z) / scale
+ * worldX = dx·cosθ - dz·sinθ
+ * worldZ = dx·sinθ + dz·cosθ
+ */
+export function sceneToGraphPoint(point, transform) {
+  const scale = transform?.scale ?? 1;
+  if (!Number.isFinite(point?.x) || !Number.isFinite(point?.z) || !scale) return null;
+  const theta = transform?.rotationY ?? 0;
+  const dx = (point.x - (transform?.offset?.x ?? 0)) / scale;
+  const dz = (point.z - (transform?.offset?.z ?? 0)) / scale;
+  return {
+    worldX: dx * Math.cos(theta) - dz * Math.sin(theta),
+    worldZ: dx * Math.sin(theta) + dz * Math.cos(theta),
+  };
+}
+
+/**
+ * parseLngLatText：解析用户粘贴的经纬度文本
+ * 
+ * 参数：
+ * - text：如 "30.7612, 103.9687"（地图应用常见的“纬度, 经度”）或 "103.9687 30.7612"
+ * 
+ * 返回：{ lng, lat }；无法解析或超出经纬度范围时返回 null
+ * 
+ * 规则：
+ * - 以逗号、中文逗号或空白分隔的两个数字
+ * - 第一个数的绝对值大于 90 时只能是经度，按“经度, 纬度”解释；否则按“纬度, 经度”解释
+ */
+export function parseLngLatText(text) {
+  const parts = String(text ?? "")
+    .trim()
+    .split(/[\s,，]+/)
+    .filter(Boolean);
+  if (parts.length !== 2) return null;
+  const [first, second] = parts.map(Number);
+  if (!Number.isFinite(first) || !Number.isFinite(second)) return null;
+  const [lng, lat] = Math.abs(first) > 90 ? [first, second] : [second, first];
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lng, lat };
+}
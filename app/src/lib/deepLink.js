@@ -0,0 +1,143 @@
+/**
+ * 深链接：把起终点、交通方式、选中建筑与相机姿态编码进 URL 查询参数，便于分享与刷新后恢复
+ *
+ * 参数约定（均可缺省）：
+ * - from / to：起终点 POI 的 poiId（地图选点、坐标地点没有 poiId，不写入）
+ * - mode：交通方式（walk/bike/ebike/drive/accessible）
+ * - sel：选中建筑的 stableId
+ * - cam：相机位置与观察目标 "px,py,pz,tx,ty,tz"（场景坐标，保留 1 位小数）
+ *
+ * 职责：
+ * - parseDeepLink / buildDeepLinkSearch：查询串 ↔ 参数对象
+ * - resolveDeepLink：用调用方提供的查找函数校验参数，无效项写入 issues 供提示
+ * 本模块不读写 window.location，由 App 负责 history.replaceState
+ */
+
+/**
+ * CAMERA_DIGITS：相机坐标保留的小数位数
+ */
+const CAMERA_DIGITS = 1;
+
+/**
+ * formatCamera：相机姿态 → cam 参数文本
+ * @param {{ position: {x,y,z}, target: {x,y,z} }} pose
+ * @returns {string|null} 坐标非法时返回 null
+ */
+export function formatCamera(pose) {
+  const values = [pose?.position, pose?.target].flatMap((vector) => [
+    vector?.x,
+    vector?.y,
+    vector?.z,
+  ]);
+  if (!values.every(Number.isFinite)) return null;
+  return values.map((value) => Number(value.toFixed(CAMERA_DIGITS))).join(",");
+}
+
+/**
+ * parseCamera：cam 参数文本 → 相机姿态
+ * @param {string} text
+ * @returns {{ position: {x,y,z}, target: {x,y,z} }|null} 不是 6 个有限数字时返回 null
+ */
+export function parseCamera(text) {
+  const values = String(text ?? "")
+    .split(",")
+    .map((part) => (part.trim() === "" ? NaN : Number(part)));
+  if (values.length !== 6 || !values.every(Number.isFinite)) return null;
+  const [px, py, pz, tx, ty, tz] = values;
+  return { position: { x: px, y: py, z: pz }, target: { x: tx, y: ty, z: tz } };
+}
+
+/**
+ * parseDeepLink：解析查询串
+ * @param {string} search - 如 window.location.search（可带或不带 “?”）
+ * @returns {{ from: string|null, to: string|null, mode: string|null, sel: string|null, cam: string|null }}
+ *          均为原始文本，未做校验
+ */
+export function parseDeepLink(search) {
+  const params = new URLSearchParams(search || "");
+  const read = (key) => params.get(key)?.trim() || null;
+  return {
+    from: read("from"),
+    to: read("to"),
+    mode: read("mode"),
+    sel: read("sel"),
+    cam: read("cam"),
+  };
+}
+
+/**
+ * buildDeepLinkSearch：由当前状态生成查询串，保留与深链接无关的其他参数
+ * @param {object} state
+ * @param {object|null} [state.startLocation] - 起点（取 poiId）
+ * @param {object|null} [state.endLocation] - 终点（取 poiId）
+ * @param {string} [state.transportMode] - 交通方式，"walk" 为默认值不写入
+ * @param {string|null} [state.selectedBuilding] - 选中建筑 stableId
+ * @param {{ position, target }|null} [state.camera] - 相机姿态
+ * @param {string} [baseSearch] - 现有查询串
+ * @returns {string} 以 “?” 开头的查询串，无参数时为空字符串
+ */
+export function buildDeepLinkSearch(state, baseSearch = "") {
+  const params = new URLSearchParams(baseSearch || "");
+  const assign = (key, value) => {
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  };
+  assign("from", state?.startLocation?.poiId);
+  assign("to", state?.endLocation?.poiId);
+  assign("mode", state?.transportMode && state.transportMode !== "walk" ? state.transportMode : null);
+  assign("sel", state?.selectedBuilding);
+  assign("cam", state?.camera ? formatCamera(state.camera) : null);
+  const text = params.toString();
+  return text ? `?${text}` : "";
+}
+
+/**
+ * resolveDeepLink：校验深链接参数，返回可直接写入 store 的值
+ * @param {ReturnType<typeof parseDeepLink>} link
+ * @param {object} lookups
+ * @param {(poiId: string) => object|null} lookups.findPoi - 按 poiId 查 POI
+ * @param {(stableId: string) => boolean} lookups.hasBuilding - 建筑是否存在
+ * @param {(mode: string) => boolean} lookups.isMode - 交通方式是否合法
+ * @returns {{ startLocation, endLocation, mode, selectedBuilding, camera, issues: string[] }}
+ *          无效或缺省的项为 null，issues 为面向用户的中文提示
+ */
+export function resolveDeepLink(link, { findPoi, hasBuilding, isMode }) {
+  const issues = [];
+  const resolvePoi = (poiId, label) => {
+    if (!poiId) return null;
+    const poi = findPoi(poiId);
+    if (!poi) issues.push(`链接中的${label}（${poiId}）不存在，已忽略`);
+    return poi || null;
+  };
+  const startLocation = resolvePoi(link.from, "起点");
+  const endLocation = resolvePoi(link.to, "终点");
+
+  let mode = null;
+  if (link.mode) {
+    if (isMode(link.mode)) {
+      mode = link.mode;
+    } else {
+      issues.push(`链接中的交通方式（${link.mode}）无效，已改用步行`);
+    }
+  }
+
+  let selectedBuilding = null;
+  if (link.sel) {
+    if (hasBuilding(link.sel)) {
+      selectedBuilding = link.sel;
+    } else {
+      issues.push(`链接中的建筑（${link.sel}）不存在，已忽略`);
+    }
+  }
+
+  let camera = null;
+  if (link.cam) {
+    camera = parseCamera(link.cam);
+    if (!camera) issues.push("链接中的视角参数无效，已使用默认视角");
+  }
+
+  return { startLocation, endLocation, mode, selectedBuilding, camera, issues };
+}
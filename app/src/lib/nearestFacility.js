@@ -0,0 +1,92 @@
+/**
+ * “最近的…”查询：按路网实际路程（而非直线距离）找出离起点最近的若干同类地点
+ *
+ * 职责：
+ * - listFacilityCategories：读取 config.poiRoute.nearest.categories 中的设施类别
+ * - matchesCategory：判断 POI 是否属于某类别（poiType 或名称关键词）
+ * - findNearestFacilities：对类别内每个候选求路线，按路线长度升序返回前 N 个
+ *
+ * 约定：起点与候选均为 POI 记录结构（worldX/worldZ，建筑类带 parentId），
+ * 建筑类地点照常从入口/外轮廓接入路网（见 solveRouteBetweenPoints）
+ */
+
+// 读取路网求解函数，作为默认的两点路线来源
+import { solveRouteBetweenPoints } from "./roadGraph.js";
+// 读取 POI 列表，作为默认候选来源
+import { getPoiRecords } from "./poiIndex.js";
+// 读取全局配置，获取设施类别与默认返回条数
+import config from "../config/index.js";
+
+/**
+ * DEFAULT_LIMIT：默认返回的最近地点数量
+ */
+const DEFAULT_LIMIT = Number(config.poiRoute?.nearest?.limit) || 5;
+
+/**
+ * listFacilityCategories：返回可查询的设施类别
+ * @returns {Array<{ key: string, label: string, icon?: string, poiTypes: string[], nameKeywords?: string[] }>}
+ */
+export function listFacilityCategories() {
+  return config.poiRoute?.nearest?.categories || [];
+}
+
+/**
+ * matchesCategory：POI 的 poiType 属于类别，或名称包含类别的任一关键词
+ * @param {{ name?: string, poiType?: string }} poi
+ * @param {{ poiTypes?: string[], nameKeywords?: string[] }} category
+ */
+export function matchesCategory(poi, category) {
+  if (!poi || !category) return false;
+  if ((category.poiTypes || []).includes(poi.poiType)) return true;
+  const name = poi.name || "";
+  return (category.nameKeywords || []).some((keyword) => keyword && name.includes(keyword));
+}
+
+/**
+ * findNearestFacilities：求离起点路程最近的若干同类地点
+ * - 起点本身（poiId 相同）不作为候选；当前交通方式下不可达的候选直接跳过
+ * @param {{ worldX: number, worldZ: number, poiId?: string }} start - 起点
+ * @param {string|object} category - 类别 key（见 listFacilityCategories）或类别对象
+ * @param {object} [options]
+ * @param {string} [options.mode] - 交通方式
+ * @param {Array} [options.blocked] - 封闭登记表
+ * @param {number} [options.limit] - 返回条数，默认 config.poiRoute.nearest.limit
+ * @param {object[]} [options.pois] - 候选 POI 列表，默认 getPoiRecords()
+ * @param {(from, to, options) => object} [options.solveLeg] - 两点求解函数
+ * @returns {Array<{ poi: object, route: object, length: number }>} 按 length（米）升序，
+ *          route 为 solveLeg 的结果
+ */
+export function findNearestFacilities(start, category, options = {}) {
+  if (!Number.isFinite(start?.worldX) || !Number.isFinite(start?.worldZ)) {
+    throw new Error("最近地点查询缺少起点");
+  }
+  const resolved =
+    typeof category === "string"
+      ? listFacilityCategories().find((item) => item.key === category)
+      : category;
+  if (!resolved) {
+    throw new Error(`未知的设施类别：${category}`);
+  }
+  const limit = Number(options.limit) || DEFAULT_LIMIT;
+  const solveLeg = options.solveLeg || solveRouteBetweenPoints;
+  const candidates = (options.pois || getPoiRecords()).filter(
+    (poi) =>
+      matchesCategory(poi, resolved) &&
+      !(start.poiId && poi.poiId === start.poiId) &&
+      Number.isFinite(poi.worldX) &&
+      Number.isFinite(poi.worldZ)
+  );
+
+  const results = [];
+  candidates.forEach((poi) => {
+    let route;
+    try {
+      route = solveLeg(start, poi, { mode: options.mode, blocked: options.blocked });
+    } catch {
+      return;
+    }
+    if (!Number.isFinite(route?.totalLength)) return;
+    results.push({ poi, route, length: route.totalLength });
+  });
+  return results.sort((a, b) => a.length - b.length).slice(0, limit);
+}
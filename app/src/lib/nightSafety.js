@@ -0,0 +1,156 @@
+/**
+ * 夜间安全路线：按路灯与 lit 标签判断路段照明，并给出夜间的道路代价系数
+ *
+ * 职责：
+ * - isNightHour / resolveNightMode：按 config.poiRoute.night 的时段判断是否处于夜间，“自动”模式据此开启夜间路线
+ * - resolveLitTag：解析道路的 lit 标签
+ * - getNightRoadFactor：道路等级系数，非正式小路（informal=yes）与 track 另乘回避系数
+ * - createLightingIndex：由路灯坐标构建照明判断，沿线段取样统计有照明的长度并切分出无照明的片段
+ *
+ * 约定：
+ * - 道路带 lit 标签时以标签为准，否则距最近路灯不超过 lampRadius 米视为有照明
+ * - 本模块不读取路网数据，路灯坐标（roads-graph.json 的 lamps）与道路标签由调用方传入
+ */
+
+// 读取全局配置，获取夜间时段与代价参数
+import config from "../config/index.js";
+// 点索引复用线段网格索引（起终点重合的零长线段）
+import { createSegmentIndex } from "./spatialIndex.js";
+
+/**
+ * OPTIONS：夜间参数，未配置的项使用默认值
+ */
+const OPTIONS = {
+  startHour: 19,
+  endHour: 6,
+  lampRadius: 25,
+  sampleStep: 5,
+  unlitPenalty: 1,
+  roadFactors: {},
+  avoidFactor: 5,
+  ...(config.poiRoute?.night || {}),
+};
+
+/**
+ * LIT_VALUES / UNLIT_VALUES：lit 标签中表示有照明 / 无照明的取值
+ */
+const LIT_VALUES = new Set(["yes", "24/7", "automatic", "limited", "interval", "sunset-sunrise", "dusk-dawn"]);
+const UNLIT_VALUES = new Set(["no", "disused"]);
+
+/**
+ * NIGHT_SAFETY_MODES：夜间安全设置的取值
+ * - auto：按时段自动开启；on：始终开启；off：关闭
+ */
+export const NIGHT_SAFETY_MODES = ["auto", "on", "off"];
+
+/**
+ * isNightHour：给定时刻（本地时间）是否处于夜间时段
+ * startHour 大于 endHour 时跨越午夜（如 19 → 6），相等时视为全天都不是夜间
+ * @param {Date|number} [date] - 默认为当前时刻
+ * @returns {boolean}
+ */
+export function isNightHour(date = new Date()) {
+  const hour = new Date(date).getHours();
+  const start = Number(OPTIONS.startHour);
+  const end = Number(OPTIONS.endHour);
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * resolveNightMode：由夜间安全设置得到本次规划是否按夜间路线求解
+ * @param {"auto"|"on"|"off"} setting - 非法值按 off 处理
+ * @param {Date|number} [date] - auto 模式判断时段所用的时刻
+ * @returns {boolean}
+ */
+export function resolveNightMode(setting, date = new Date()) {
+  if (setting === "on") return true;
+  if (setting === "auto") return isNightHour(date);
+  return false;
+}
+
+/**
+ * resolveLitTag：解析 lit 标签
+ * @param {object|null} tags - 道路标签
+ * @returns {boolean|null} 有照明 / 无照明；没有标签或取值无法识别时返回 null
+ */
+export function resolveLitTag(tags) {
+  const value = String(tags?.lit ?? "").trim().toLowerCase();
+  if (LIT_VALUES.has(value)) return true;
+  if (UNLIT_VALUES.has(value)) return false;
+  return null;
+}
+
+/**
+ * getNightRoadFactor：夜间的道路代价系数（≥ 1）
+ * 道路等级系数取 roadFactors（*_link 按主等级，未列出为 1）；非正式小路与 track 再乘 avoidFactor
+ * @param {object|null} tags - 道路标签
+ * @returns {number}
+ */
+export function getNightRoadFactor(tags) {
+  if (!tags) return 1;
+  const highway = String(tags.highway ?? "").replace(/_link$/, "");
+  let factor = Math.max(1, Number(OPTIONS.roadFactors?.[highway]) || 1);
+  const informal = String(tags.informal ?? "").toLowerCase() === "yes";
+  if (informal || highway === "track") factor *= Math.max(1, Number(OPTIONS.avoidFactor) || 1);
+  return factor;
+}
+
+/**
+ * getUnlitPenalty：无照明路段的附加代价系数（config.poiRoute.night.unlitPenalty）
+ */
+export function getUnlitPenalty() {
+  return Math.max(0, Number(OPTIONS.unlitPenalty) || 0);
+}
+
+/**
+ * createLightingIndex：构建照明判断
+ * @param {Array<{ worldX: number, worldZ: number }>} lamps - 路灯坐标
+ * @returns {{
+ *   isNearLamp: (point: { worldX, worldZ }) => boolean,
+ *   measureSegment: (a: { worldX, worldZ }, b: { worldX, worldZ }, tags?: object|null) => { litLength: number, unlit: Array<{ start, end }> }
+ * }} measureSegment 按 sampleStep 取样，unlit 为线段中连续无照明的片段；结果按线段与 lit 标签缓存
+ */
+export function createLightingIndex(lamps = []) {
+  const lampIndex = createSegmentIndex(
+    lamps.filter((lamp) => Number.isFinite(lamp?.worldX) && Number.isFinite(lamp?.worldZ)),
+    (lamp) => ({ a: lamp, b: lamp })
+  );
+
+  const isNearLamp = (point) =>
+    Boolean(lampIndex.findNearest({ x: point.worldX, z: point.worldZ }, { maxDistance: OPTIONS.lampRadius }));
+
+  const cache = new Map();
+  const measureSegment = (a, b, tags = null) => {
+    const litTag = resolveLitTag(tags);
+    const key = `${a.worldX},${a.worldZ}|${b.worldX},${b.worldZ}|${litTag}`;
+    if (cache.has(key)) return cache.get(key);
+    const length = Math.hypot(b.worldX - a.worldX, b.worldZ - a.worldZ);
+    const samples = Math.max(1, Math.ceil(length / OPTIONS.sampleStep));
+    const pointAt = (ratio) => ({
+      worldX: a.worldX + (b.worldX - a.worldX) * ratio,
+      worldZ: a.worldZ + (b.worldZ - a.worldZ) * ratio,
+    });
+    let litCount = 0;
+    const unlit = [];
+    let unlitFrom = null;
+    for (let i = 0; i < samples; i += 1) {
+      const lit = litTag ?? isNearLamp(pointAt((i + 0.5) / samples));
+      if (lit) {
+        litCount += 1;
+        if (unlitFrom !== null) {
+          unlit.push({ start: pointAt(unlitFrom / samples), end: pointAt(i / samples) });
+          unlitFrom = null;
+        }
+      } else if (unlitFrom === null) {
+        unlitFrom = i;
+      }
+    }
+    if (unlitFrom !== null) unlit.push({ start: pointAt(unlitFrom / samples), end: { ...b } });
+    const result = { litLength: (litCount / samples) * length, unlit };
+    cache.set(key, result);
+    return result;
+  };
+
+  return { isNearLamp, measureSegment };
+}
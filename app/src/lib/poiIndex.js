@@ -7,6 +7,7 @@ const campusData = JSON.parse(campusRaw);
 const projectionOrigin = findProjectionOrigin(campusData.features || []);
 
 const poiByName = new Map();
+const poiById = new Map();
 const poiList = [];
 
 (poiData.features || []).forEach((feature) => {
@@ -27,10 +28,14 @@ const poiList = [];
     parentId: props.parentId ?? null,
     parentType: props.parentType ?? null,
     poiType: props.poiType ?? null,
+    sourceType: props.sourceType ?? null,
   };
   if (!poiByName.has(name)) {
     poiByName.set(name, record);
   }
+  if (record.poiId) {
+    poiById.set(record.poiId, record);
+  }
   poiList.push(record);
 });
 
@@ -39,6 +44,11 @@ export function findPoiByName(name) {
   return poiByName.get(name.trim()) || null;
 }
 
+export function findPoiById(poiId) {
+  if (!poiId) return null;
+  return poiById.get(poiId) || null;
+}
+
 export function listPoiNames() {
   return Array.from(poiByName.keys());
 }
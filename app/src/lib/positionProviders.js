@@ -0,0 +1,277 @@
+/**
+ * 定位来源：统一浏览器定位与轨迹回放的接口，供实时定位与偏航重规划使用
+ *
+ * 提供者接口：
+ *   provider.start({ onPosition, onError, onEnd }) 开始定位，重复调用会先停止上一轮
+ *   provider.stop() 停止定位，之后不再回调
+ * onPosition 收到 { lng, lat, accuracy, timestamp }：WGS84 经纬度、精度（米，未知为 null）、时间戳（毫秒）
+ *
+ * 职责：
+ * - parseGpxTrack / parseNmeaTrack / parseTrackFile：把录制的 GPX、NMEA 文本解析为定位点序列
+ * - createReplayProvider：按记录的时间间隔（可加速）依次回放定位点，便于在桌面端测试
+ * - createGeolocationProvider：包装 Geolocation.watchPosition，geolocation 对象由调用方传入
+ *
+ * 约定：本模块不直接访问 navigator / window，计时使用标准 setTimeout
+ */
+
+/**
+ * REPLAY_MIN_DELAY / REPLAY_MAX_DELAY：回放相邻两点的最短/最长等待（毫秒）
+ * 记录中重复时间戳或长时间中断时避免过快或卡住
+ */
+const REPLAY_MIN_DELAY = 50;
+const REPLAY_MAX_DELAY = 10000;
+
+/**
+ * GEOLOCATION_ERRORS：GeolocationPositionError.code → 中文说明
+ */
+const GEOLOCATION_ERRORS = {
+  1: "定位权限被拒绝",
+  2: "无法获取当前位置",
+  3: "定位超时",
+};
+
+const isValidLngLat = (lng, lat) =>
+  Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+/**
+ * readAttribute：读取 XML 标签属性文本
+ */
+function readAttribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes);
+  return match ? match[1] : null;
+}
+
+/**
+ * parseGpxTrack：解析 GPX 文本中的轨迹点（trkpt），没有时依次退回路线点（rtept）、航点（wpt）
+ * @param {string} text
+ * @returns {Array<{ lng: number, lat: number, time: number|null }>} time 为 <time> 的毫秒时间戳
+ */
+export function parseGpxTrack(text) {
+  const source = String(text ?? "");
+  for (const tag of ["trkpt", "rtept", "wpt"]) {
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, "g");
+    const points = [];
+    let match;
+    while ((match = pattern.exec(source))) {
+      const lat = Number(readAttribute(match[1], "lat"));
+      const lng = Number(readAttribute(match[1], "lon"));
+      if (!isValidLngLat(lng, lat)) continue;
+      const timeText = /<time>([^<]+)<\/time>/.exec(match[2] || "")?.[1];
+      const time = timeText ? Date.parse(timeText.trim()) : NaN;
+      points.push({ lng, lat, time: Number.isFinite(time) ? time : null });
+    }
+    if (points.length > 0) return points;
+  }
+  return [];
+}
+
+/**
+ * isNmeaChecksumValid：校验 “*hh” 校验和（$ 与 * 之间字符的异或），没有校验和时视为有效
+ */
+function isNmeaChecksumValid(sentence) {
+  const star = sentence.indexOf("*");
+  if (star < 0) return true;
+  let checksum = 0;
+  for (let i = 1; i < star; i += 1) {
+    checksum ^= sentence.charCodeAt(i);
+  }
+  return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+/**
+ * parseNmeaAngle：NMEA 的 ddmm.mmmm / dddmm.mmmm 与半球 → 十进制度
+ */
+function parseNmeaAngle(value, hemisphere, degreeDigits) {
+  if (!value) return NaN;
+  const degrees = Number(value.slice(0, degreeDigits));
+  const minutes = Number(value.slice(degreeDigits));
+  const decimal = degrees + minutes / 60;
+  return hemisphere === "S" || hemisphere === "W" ? -decimal : decimal;
+}
+
+/**
+ * parseNmeaTime：hhmmss(.ss) 与可选的 ddmmyy → 毫秒时间戳
+ * 没有日期（GGA）时返回当天零点起的毫秒数，只用于计算相邻点间隔
+ */
+function parseNmeaTime(timeText, dateText) {
+  if (!/^\d{6}/.test(timeText || "")) return null;
+  const hours = Number(timeText.slice(0, 2));
+  const minutes = Number(timeText.slice(2, 4));
+  const seconds = Number(timeText.slice(4));
+  if (/^\d{6}$/.test(dateText || "")) {
+    const day = Number(dateText.slice(0, 2));
+    const month = Number(dateText.slice(2, 4));
+    const year = 2000 + Number(dateText.slice(4, 6));
+    return Date.UTC(year, month - 1, day, hours, minutes, 0) + Math.round(seconds * 1000);
+  }
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * parseNmeaTrack：解析 NMEA 0183 文本中的 RMC（状态 A）与 GGA（定位质量非 0）语句
+ * 校验和错误的语句被跳过；同一时刻的 RMC 与 GGA 只保留先出现的一条
+ * @param {string} text
+ * @returns {Array<{ lng: number, lat: number, time: number|null }>}
+ */
+export function parseNmeaTrack(text) {
+  const points = [];
+  let lastTimeText = null;
+  String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .forEach((sentence) => {
+      if (!sentence.startsWith("$") || !isNmeaChecksumValid(sentence)) return;
+      const fields = sentence.split("*")[0].split(",");
+      const type = fields[0].slice(3);
+      let timeText;
+      let lat;
+      let lng;
+      let time;
+      if (type === "RMC") {
+        if (fields[2] !== "A") return;
+        timeText = fields[1];
+        lat = parseNmeaAngle(fields[3], fields[4], 2);
+        lng = parseNmeaAngle(fields[5], fields[6], 3);
+        time = parseNmeaTime(fields[1], fields[9]);
+      } else if (type === "GGA") {
+        if (!fields[6] || fields[6] === "0") return;
+        timeText = fields[1];
+        lat = parseNmeaAngle(fields[2], fields[3], 2);
+        lng = parseNmeaAngle(fields[4], fields[5], 3);
+        time = parseNmeaTime(fields[1]);
+      } else {
+        return;
+      }
+      if (!isValidLngLat(lng, lat)) return;
+      if (timeText && timeText === lastTimeText) return;
+      lastTimeText = timeText || null;
+      points.push({ lng, lat, time });
+    });
+  return points;
+}
+
+/**
+ * parseTrackFile：按内容识别 GPX 或 NMEA 并解析
+ * @param {string} text - 文件内容
+ * @returns {{ format: "gpx"|"nmea", points: Array<{ lng, lat, time }> }}
+ * @throws {Error} 无法识别格式或没有有效定位点时抛出中文错误
+ */
+export function parseTrackFile(text) {
+  const source = String(text ?? "");
+  let format;
+  let points;
+  if (/<gpx[\s>]/i.test(source)) {
+    format = "gpx";
+    points = parseGpxTrack(source);
+  } else if (/^\s*\$G[A-Z]{4},/m.test(source)) {
+    format = "nmea";
+    points = parseNmeaTrack(source);
+  } else {
+    throw new Error("无法识别的轨迹文件格式（支持 GPX 与 NMEA）");
+  }
+  if (points.length === 0) {
+    throw new Error("轨迹文件中没有有效的定位点");
+  }
+  return { format, points };
+}
+
+/**
+ * createReplayProvider：轨迹回放定位来源
+ * @param {Array<{ lng, lat, time }>} points - parseTrackFile 的结果
+ * @param {object} [options]
+ * @param {number} [options.rate=1] - 回放倍速
+ * @param {number} [options.interval=1] - 定位点没有时间戳时的间隔（秒）
+ * @returns {{ start: Function, stop: Function }}
+ */
+export function createReplayProvider(points, options = {}) {
+  const track = Array.isArray(points) ? points : [];
+  const rate = Number(options.rate) > 0 ? Number(options.rate) : 1;
+  const interval = (Number(options.interval) > 0 ? Number(options.interval) : 1) * 1000;
+  let timer = null;
+  // 每轮回放的序号；回调中调用 stop 后不再继续排队
+  let session = 0;
+
+  const delayBetween = (previous, next) => {
+    const gap =
+      Number.isFinite(previous.time) && Number.isFinite(next.time) ? next.time - previous.time : interval;
+    return Math.min(Math.max(gap / rate, REPLAY_MIN_DELAY), REPLAY_MAX_DELAY);
+  };
+
+  const stop = () => {
+    session += 1;
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const start = ({ onPosition, onError, onEnd } = {}) => {
+    stop();
+    const current = session;
+    if (track.length === 0) {
+      onError?.(new Error("轨迹中没有定位点"));
+      return;
+    }
+    const startedAt = Date.now();
+    const firstTime = track[0].time;
+    let index = 0;
+    const emit = () => {
+      const point = track[index];
+      // 回放时间戳 = 开始回放的时刻 + 记录中的时间偏移（不随倍速缩放）
+      const offset =
+        Number.isFinite(point.time) && Number.isFinite(firstTime) ? point.time - firstTime : index * interval;
+      onPosition?.({ lng: point.lng, lat: point.lat, accuracy: null, timestamp: startedAt + offset });
+      if (current !== session) return;
+      index += 1;
+      if (index >= track.length) {
+        timer = null;
+        onEnd?.();
+        return;
+      }
+      timer = setTimeout(emit, delayBetween(point, track[index]));
+    };
+    emit();
+  };
+
+  return { start, stop };
+}
+
+/**
+ * createGeolocationProvider：浏览器定位来源
+ * @param {Geolocation|null|undefined} geolocation - 通常为 navigator.geolocation
+ * @param {PositionOptions} [options] - 传给 watchPosition，默认开启高精度
+ * @returns {{ start: Function, stop: Function }}
+ */
+export function createGeolocationProvider(geolocation, options = {}) {
+  let watchId = null;
+
+  const stop = () => {
+    if (watchId !== null) {
+      geolocation.clearWatch(watchId);
+      watchId = null;
+    }
+  };
+
+  const start = ({ onPosition, onError } = {}) => {
+    if (!geolocation?.watchPosition) {
+      onError?.(new Error("当前浏览器不支持定位"));
+      return;
+    }
+    stop();
+    watchId = geolocation.watchPosition(
+      (position) => {
+        const { longitude, latitude, accuracy } = position.coords;
+        onPosition?.({
+          lng: longitude,
+          lat: latitude,
+          accuracy: Number.isFinite(accuracy) ? accuracy : null,
+          timestamp: position.timestamp ?? Date.now(),
+        });
+      },
+      (error) => onError?.(new Error(GEOLOCATION_ERRORS[error?.code] || error?.message || "定位失败")),
+      { enableHighAccuracy: true, maximumAge: 1000, timeout: 15000, ...options }
+    );
+  };
+
+  return { start, stop };
+}
@@ -0,0 +1,168 @@
+/**
+ * 反向地理编码：把地图上的任意点描述为可读的地点名称
+ *
+ * 职责：
+ * - describeMapPoint：按“点中的建筑 → 附近 POI → 附近道路 → 坐标”的优先级生成名称
+ * - createMapLocation：生成与 POI 结构一致的临时地点，供导航起终点使用
+ * - createCoordinateLocation：由粘贴的经纬度生成临时地点（可位于校外，如地铁站）
+ * - createBuildingLocation：由建筑 stableId 生成地点（如以当前选中的建筑为起点）
+ *
+ * 坐标约定：与 roads-graph.json 一致，使用 worldX/worldZ（米）
+ */
+
+/** 全局配置：附近 POI / 道路的搜索半径（poiRoute.mapPick） */
+import config from "../config/index.js";
+/** POI 列表：查找点击位置附近的地点 */
+import { getPoiRecords } from "./poiIndex";
+/** 路网查询：查找点击位置附近的道路及其名称 */
+import { findNearestRoadEdge, getRoadTags, projectToGraph } from "./roadGraph";
+/** 建筑外环：建筑没有标注 POI 时以外环重心定位 */
+import { getBuildingOutline } from "./buildingAccess";
+
+const POI_RECORDS = getPoiRecords();
+
+/**
+ * findNearestPoi：返回 radius 内最近的 POI，没有则返回 null
+ */
+function findNearestPoi(point, radius) {
+  let best = null;
+  let bestDistance = radius;
+  POI_RECORDS.forEach((poi) => {
+    const distance = Math.hypot(poi.worldX - point.worldX, poi.worldZ - point.worldZ);
+    if (distance <= bestDistance) {
+      best = poi;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * findNearestRoadName：返回 radius 内最近的有名称道路，没有则返回 null
+ */
+function findNearestRoadName(point, radius) {
+  const hit = findNearestRoadEdge(
+    { x: point.worldX, z: point.worldZ },
+    {
+      maxDistance: radius,
+      filter: (edge) => {
+        const tags = getRoadTags(edge.roadId);
+        return Boolean(tags?.["name:zh"] || tags?.name);
+      },
+    }
+  );
+  if (!hit) return null;
+  const tags = getRoadTags(hit.edge.roadId);
+  return tags["name:zh"] || tags.name;
+}
+
+/**
+ * describeMapPoint：生成地图点的名称
+ * @param {{ worldX: number, worldZ: number }} point - 路网坐标
+ * @param {object} [options]
+ * @param {string} [options.buildingName] - 射线点中的建筑名称（“未命名建筑”视为缺失）
+ * @param {number} [options.poiRadius] - 附近 POI 搜索半径（米），默认 config.poiRoute.mapPick.poiRadius
+ * @param {number} [options.roadRadius] - 附近道路搜索半径（米），默认 config.poiRoute.mapPick.roadRadius
+ * @param {string} [options.fallbackName] - 附近既无 POI 也无道路时使用的名称，缺省为“地图选点（x, z）”
+ * @returns {{ name: string, poi: object|null }} poi 为命中的附近 POI
+ */
+export function describeMapPoint(point, options = {}) {
+  const buildingName = options.buildingName;
+  if (buildingName && buildingName !== "未命名建筑") {
+    return { name: buildingName, poi: null };
+  }
+  const poi = findNearestPoi(point, options.poiRadius ?? config.poiRoute.mapPick.poiRadius);
+  if (poi) {
+    return { name: `${poi.name}附近`, poi };
+  }
+  const roadName = findNearestRoadName(point, options.roadRadius ?? config.poiRoute.mapPick.roadRadius);
+  if (roadName) {
+    return { name: `${roadName}附近`, poi: null };
+  }
+  return {
+    name:
+      options.fallbackName ??
+      `地图选点（${Math.round(point.worldX)}, ${Math.round(point.worldZ)}）`,
+    poi: null,
+  };
+}
+
+/**
+ * createMapLocation：生成地图选点的临时地点
+ * @param {{ worldX: number, worldZ: number }} point - 路网坐标
+ * @param {object} [options] - 同 describeMapPoint，另可传 buildingId
+ * @returns {{ poiId: null, name, worldX, worldZ, parentId, parentType, source: "map" }|null}
+ *          坐标非法时返回 null；poiId 为空，不参与 POI 高亮
+ */
+export function createMapLocation(point, options = {}) {
+  if (!Number.isFinite(point?.worldX) || !Number.isFinite(point?.worldZ)) return null;
+  const { name } = describeMapPoint(point, options);
+  const hasBuilding = Boolean(options.buildingId);
+  return {
+    poiId: null,
+    name,
+    worldX: point.worldX,
+    worldZ: point.worldZ,
+    parentId: hasBuilding ? options.buildingId : null,
+    parentType: hasBuilding ? "building" : null,
+    source: "map",
+  };
+}
+
+/**
+ * createCoordinateLocation：由经纬度生成临时地点
+ * @param {{ lng: number, lat: number }} lngLat - WGS84 经纬度（见 parseLngLatText）
+ * @param {object} [options] - 同 describeMapPoint
+ * @returns {{ poiId: null, name, worldX, worldZ, lng, lat, parentId: null, parentType: null, source: "coordinate" }|null}
+ *          经纬度非法时返回 null；附近没有 POI/道路时以“坐标（纬度, 经度）”命名
+ */
+export function createCoordinateLocation(lngLat, options = {}) {
+  if (!Number.isFinite(lngLat?.lng) || !Number.isFinite(lngLat?.lat)) return null;
+  const point = projectToGraph([lngLat.lng, lngLat.lat]);
+  const { name } = describeMapPoint(point, {
+    ...options,
+    fallbackName: `坐标（${lngLat.lat.toFixed(5)}, ${lngLat.lng.toFixed(5)}）`,
+  });
+  return {
+    poiId: null,
+    name,
+    worldX: point.worldX,
+    worldZ: point.worldZ,
+    lng: lngLat.lng,
+    lat: lngLat.lat,
+    parentId: null,
+    parentType: null,
+    source: "coordinate",
+  };
+}
+
+/**
+ * createBuildingLocation：由建筑 stableId 生成导航地点
+ * - 建筑有派生标签 POI（sourceType = "label"）时直接使用该 POI，与搜索框选中建筑一致
+ * - 否则以最长外环的顶点均值定位，名称取建筑内的首个 POI 或 fallbackName
+ * @param {string} buildingId - 建筑 stableId
+ * @param {object} [options]
+ * @param {string} [options.fallbackName="未命名建筑"] - 建筑内没有任何 POI 时的名称
+ * @returns {object|null} POI 记录或 { poiId: null, name, worldX, worldZ, parentId, parentType: "building", source: "building" }；
+ *          未知建筑返回 null
+ */
+export function createBuildingLocation(buildingId, options = {}) {
+  if (!buildingId) return null;
+  const inside = POI_RECORDS.filter((poi) => poi.parentId === buildingId);
+  const label = inside.find((poi) => poi.sourceType === "label");
+  if (label) return label;
+  const rings = getBuildingOutline(buildingId);
+  if (!rings) return null;
+  const ring = rings.reduce((longest, item) => (item.length > longest.length ? item : longest));
+  const worldX = ring.reduce((sum, point) => sum + point.worldX, 0) / ring.length;
+  const worldZ = ring.reduce((sum, point) => sum + point.worldZ, 0) / ring.length;
+  return {
+    poiId: null,
+    name: inside[0]?.name ?? options.fallbackName ?? "未命名建筑",
+    worldX,
+    worldZ,
+    parentId: buildingId,
+    parentType: "building",
+    source: "building",
+  };
+}
@@ -1,15 +1,38 @@
 import graphData from "../data/roads-graph.json";
 import config from "../config/index.js";
+import { isGateClosed, isRoadClosed, resolveTransportProfile } from "./routingProfiles.js";
+import { projectCoordinate, unprojectCoordinate } from "./coordinates.js";
+import { createTravelTimeModel, mergeTravelTimes, summarizeTravelTime } from "./travelTime.js";
+import { createSegmentIndex, segmentIntersectsPolygon } from "./spatialIndex.js";
+import { getCampusSun, getSunPenalty, measureSegmentShade } from "./shade.js";
+import { createLightingIndex, getNightRoadFactor, getUnlitPenalty } from "./nightSafety.js";
+import {
+  getBuildingEntrances,
+  getBuildingOutline,
+  listBuildingOutlines,
+} from "./buildingAccess.js";
 
 const BASE_NODES = graphData.nodes || [];
+const ROAD_TAGS = graphData.roads || {};
 const BASE_EDGES = (graphData.edges || []).map((edge, index) => ({
   id: edge.id || `edge-${index}`,
   from: edge.from,
   to: edge.to,
   length: Number(edge.length) || 0,
   roadId: edge.roadId || null,
+  oneway: Boolean(edge.oneway),
+  contraflow: Boolean(edge.contraflow),
+  gateId: edge.gateId || null,
+  boundaryCrossing: edge.boundaryCrossing || null,
 }));
 
+const BASE_EDGE_BY_ID = new Map(BASE_EDGES.map((edge) => [edge.id, edge]));
+
+// 带标签的节点（人行横道、路缘等），供交通方式计算节点代价与障碍提示
+const BASE_NODE_TAGS = new Map(
+  BASE_NODES.filter((node) => node.tags).map((node) => [node.id, node.tags])
+);
+
 const BASE_NODE_MAP = new Map(
   BASE_NODES.map((node) => [
     node.id,
@@ -26,102 +49,286 @@ BASE_EDGES.forEach((edge) => {
   if (!BASE_NODE_MAP.has(edge.from) || !BASE_NODE_MAP.has(edge.to)) return;
   if (!BASE_ADJACENCY.has(edge.from)) BASE_ADJACENCY.set(edge.from, []);
   BASE_ADJACENCY.get(edge.from).push({
+    id: edge.id,
+    from: edge.from,
     to: edge.to,
     length: edge.length,
     roadId: edge.roadId,
+    oneway: edge.oneway,
+    contraflow: edge.contraflow,
+    gateId: edge.gateId,
+    boundaryCrossing: edge.boundaryCrossing,
   });
 });
 
+// 校门字典（stableId → { name, worldX, worldZ, access }），穿越围墙的边以 gateId 引用
+const GATES = graphData.gates || {};
+// 关闭的校门：config.poiRoute.gates.closed（stableId 或名称）与数据中不对外开放的校门
+const CLOSED_GATE_IDS = (() => {
+  const configured = new Set(config.poiRoute?.gates?.closed || []);
+  return new Set(
+    Object.entries(GATES)
+      .filter(
+        ([gateId, gate]) =>
+          configured.has(gateId) || configured.has(gate.name) || isGateClosed(gate.access)
+      )
+      .map(([gateId]) => gateId)
+  );
+})();
+
 const MAX_SNAP_DISTANCE = Number(config.poiRoute?.maxSnapDistance) || 20;
 const EPSILON = 1e-4;
+// 子边反向时的围墙穿越方向
+const REVERSE_CROSSING = { exit: "enter", enter: "exit" };
+// 备选路线参数：条数、惩罚系数、最大重叠占比、最大绕行倍数、最多搜索轮数
+const ALTERNATIVE_OPTIONS = {
+  count: 3,
+  penaltyFactor: 1.5,
+  maxOverlap: 0.7,
+  maxStretch: 1.6,
+  maxAttempts: 10,
+  ...(config.poiRoute?.alternatives || {}),
+};
 
-function createContext() {
-  const nodeMap = new Map();
-  BASE_NODE_MAP.forEach((node, id) => {
-    nodeMap.set(id, { ...node });
-  });
-  const adjacency = new Map();
-  BASE_NODE_MAP.forEach((_value, id) => {
-    const edges = BASE_ADJACENCY.get(id) || [];
-    adjacency.set(
-      id,
-      edges.map((edge) => ({
-        to: edge.to,
-        length: edge.length,
-        roadId: edge.roadId,
-      }))
-    );
+// 封闭路段参数：penalize 策略的边权放大系数
+const BLOCKED_PENALTY_FACTOR = Number(config.poiRoute?.blocked?.penaltyFactor) || 5;
+
+// 无入口建筑沿外轮廓取样寻找接入点的步长（米）
+const FOOTPRINT_SAMPLE_STEP = 2;
+// 外轮廓接入点缓存：`${buildingId}|${mode}` → { worldX, worldZ, distance }|null
+const FOOTPRINT_ACCESS_CACHE = new Map();
+
+// 可达范围默认的时间分段（分钟，升序）
+const REACHABILITY_BANDS = config.poiRoute?.reachability?.bands || [5, 10, 15];
+
+// 路网边的网格索引：模块加载时构建一次，供吸附与地图点击查询复用
+const EDGE_INDEX = createSegmentIndex(
+  BASE_EDGES,
+  (edge) => {
+    const a = BASE_NODE_MAP.get(edge.from);
+    const b = BASE_NODE_MAP.get(edge.to);
+    return a && b ? { a, b } : null;
+  },
+  { cellSize: config.poiRoute?.spatialIndexCellSize }
+);
+
+// 路灯照明索引：夜间安全路线据此判断路段照明
+const LIGHTING_INDEX = createLightingIndex(graphData.lamps || []);
+
+/**
+ * createEdgeFilter：按交通方式生成边过滤函数，道路标签判断结果按 roadId 缓存
+ * - 遵守单行的交通方式跳过 contraflow（逆行）边
+ * - 经过关闭校门的边对所有交通方式不可用
+ * @param {string} mode - transportMode
+ * @returns {(edge: { roadId: string|null, contraflow?: boolean, gateId?: string }) => boolean}
+ */
+function createEdgeFilter(mode) {
+  const profile = resolveTransportProfile(mode);
+  const cache = new Map();
+  return (edge) => {
+    if (profile.respectsOneway && edge?.contraflow) return false;
+    if (edge?.gateId && CLOSED_GATE_IDS.has(edge.gateId)) return false;
+    const roadId = edge?.roadId;
+    if (!roadId) return true;
+    if (!cache.has(roadId)) {
+      const tags = ROAD_TAGS[roadId];
+      cache.set(roadId, tags ? !isRoadClosed(tags) && profile.isRoadAllowed(tags) : true);
+    }
+    return cache.get(roadId);
+  };
+}
+
+/**
+ * baseEdgeOf：找到边对应的基础路网边（吸附产生的临时子边 id 以原边 id 为前缀）
+ */
+function baseEdgeOf(edge) {
+  if (!edge?.id) return null;
+  return BASE_EDGE_BY_ID.get(String(edge.id).split(":")[0]) || null;
+}
+
+/**
+ * collectPolygonEdges：返回与多边形相交的基础边
+ */
+function collectPolygonEdges(polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3) return [];
+  const bbox = polygon.reduce(
+    (box, point) => ({
+      minX: Math.min(box.minX, point.worldX),
+      maxX: Math.max(box.maxX, point.worldX),
+      minZ: Math.min(box.minZ, point.worldZ),
+      maxZ: Math.max(box.maxZ, point.worldZ),
+    }),
+    { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity }
+  );
+  return EDGE_INDEX.queryBBox(bbox).filter((edge) =>
+    segmentIntersectsPolygon(
+      BASE_NODE_MAP.get(edge.from),
+      BASE_NODE_MAP.get(edge.to),
+      polygon
+    )
+  );
+}
+
+/**
+ * createBlockedEvaluator：把封闭登记表转为边级判断
+ * - 条目类型：road（roadId 或 roadIds）、edge（edgeId，正反两向同时封闭）、polygon（worldX/worldZ 顶点）
+ * - policy：avoid（默认，禁止通行）或 penalize（边权乘以 BLOCKED_PENALTY_FACTOR）
+ * @param {Array} items - useSceneStore.blockedItems
+ * @returns {{ policyOf(edge): "avoid"|"penalize"|null, roadIds: Set<string> }}
+ *          roadIds 为受影响的道路，供图层标记
+ */
+function createBlockedEvaluator(items = []) {
+  const roadPolicies = new Map();
+  const edgePolicies = new Map();
+  const roadIds = new Set();
+  // 同一路段既 avoid 又 penalize 时以 avoid 为准
+  const assign = (map, key, policy) => {
+    if (map.get(key) === "avoid") return;
+    map.set(key, policy);
+  };
+  const assignEdge = (edge, policy) => {
+    assign(edgePolicies, undirectedEdgeKey(edge), policy);
+    if (edge.roadId) roadIds.add(edge.roadId);
+  };
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    if (!item) return;
+    const policy = item.policy === "penalize" ? "penalize" : "avoid";
+    if (item.type === "road") {
+      const ids = Array.isArray(item.roadIds) ? item.roadIds : [item.roadId];
+      ids.filter(Boolean).forEach((roadId) => {
+        assign(roadPolicies, roadId, policy);
+        roadIds.add(roadId);
+      });
+    } else if (item.type === "edge") {
+      const edge = BASE_EDGE_BY_ID.get(item.edgeId);
+      if (edge) assignEdge(edge, policy);
+    } else if (item.type === "polygon") {
+      collectPolygonEdges(item.polygon).forEach((edge) => assignEdge(edge, policy));
+    } else if (item.type === "gate") {
+      BASE_EDGES.filter((edge) => edge.gateId === item.gateId).forEach((edge) =>
+        assignEdge(edge, policy)
+      );
+    }
   });
+  const policyOf = (edge) => {
+    const roadPolicy = edge?.roadId ? roadPolicies.get(edge.roadId) : undefined;
+    if (roadPolicy === "avoid") return "avoid";
+    const base = baseEdgeOf(edge);
+    const edgePolicy = base ? edgePolicies.get(undirectedEdgeKey(base)) : undefined;
+    return edgePolicy || roadPolicy || null;
+  };
+  return { policyOf, roadIds };
+}
+
+/**
+ * createContext：为单次求解创建叠加层（overlay）
+ * - 基础路网只读共享，吸附产生的临时节点/边写入 overlay，避免每次深拷贝整张图
+ */
+function createContext() {
   return {
-    nodeMap,
-    adjacency,
+    extraNodes: new Map(),
+    extraAdjacency: new Map(),
     tempCounter: 0,
   };
 }
 
-function nearestPointOnSegment(point, a, b) {
-  const ax = a.worldX;
-  const az = a.worldZ;
-  const bx = b.worldX;
-  const bz = b.worldZ;
-  const px = point.x;
-  const pz = point.z;
-  const abx = bx - ax;
-  const abz = bz - az;
-  const apx = px - ax;
-  const apz = pz - az;
-  const abLenSq = abx * abx + abz * abz;
-  if (abLenSq === 0) {
-    return {
-      ratio: 0,
-      point: { x: ax, z: az },
-      distance: Math.hypot(px - ax, pz - az),
-    };
-  }
-  let t = (apx * abx + apz * abz) / abLenSq;
-  t = Math.max(0, Math.min(1, t));
-  const closestX = ax + abx * t;
-  const closestZ = az + abz * t;
+function getContextNode(context, nodeId) {
+  return context.extraNodes.get(nodeId) || BASE_NODE_MAP.get(nodeId) || null;
+}
+
+function getContextNeighbors(context, nodeId) {
+  const baseEdges = BASE_ADJACENCY.get(nodeId);
+  const extraEdges = context.extraAdjacency.get(nodeId);
+  if (!extraEdges) return baseEdges || [];
+  if (!baseEdges) return extraEdges;
+  return baseEdges.concat(extraEdges);
+}
+
+/**
+ * createMinHeap：按 priority 升序出队的二叉堆
+ * @returns {{ push(item, priority): void, pop(): any, size(): number }}
+ */
+function createMinHeap() {
+  const items = [];
+  const priorities = [];
+
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+    [priorities[i], priorities[j]] = [priorities[j], priorities[i]];
+  };
+
   return {
-    ratio: t,
-    point: { x: closestX, z: closestZ },
-    distance: Math.hypot(px - closestX, pz - closestZ),
+    push(item, priority) {
+      items.push(item);
+      priorities.push(priority);
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (priorities[parent] <= priorities[index]) break;
+        swap(parent, index);
+        index = parent;
+      }
+    },
+    pop() {
+      if (items.length === 0) return undefined;
+      const top = items[0];
+      const lastItem = items.pop();
+      const lastPriority = priorities.pop();
+      if (items.length > 0) {
+        items[0] = lastItem;
+        priorities[0] = lastPriority;
+        let index = 0;
+        const length = items.length;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < length && priorities[left] < priorities[smallest]) smallest = left;
+          if (right < length && priorities[right] < priorities[smallest]) smallest = right;
+          if (smallest === index) break;
+          swap(smallest, index);
+          index = smallest;
+        }
+      }
+      return top;
+    },
+    size() {
+      return items.length;
+    },
   };
 }
 
-function findClosestEdge(point) {
-  let bestEdge = null;
-  let bestRatio = 0;
-  let bestPoint = null;
-  let bestDistance = Infinity;
-  BASE_EDGES.forEach((edge) => {
-    const fromNode = BASE_NODE_MAP.get(edge.from);
-    const toNode = BASE_NODE_MAP.get(edge.to);
-    if (!fromNode || !toNode) return;
-    const result = nearestPointOnSegment(point, fromNode, toNode);
-    if (result.distance <= MAX_SNAP_DISTANCE && result.distance < bestDistance) {
-      bestEdge = edge;
-      bestRatio = result.ratio;
-      bestPoint = result.point;
-      bestDistance = result.distance;
-    }
+function findClosestEdge(point, isEdgeAllowed = () => true, maxDistance = MAX_SNAP_DISTANCE) {
+  const hit = EDGE_INDEX.findNearest(point, {
+    maxDistance,
+    filter: isEdgeAllowed,
   });
-  if (!bestEdge || !bestPoint) {
+  if (!hit) {
     return null;
   }
   return {
-    edge: bestEdge,
-    ratio: bestRatio,
-    point: bestPoint,
-    distance: bestDistance,
+    edge: hit.item,
+    ratio: hit.ratio,
+    point: hit.point,
+    distance: hit.distance,
   };
 }
 
-function addEdge(adjacency, fromId, toId, length, roadId) {
-  if (!adjacency.has(fromId)) {
-    adjacency.set(fromId, []);
+function addEdge(context, fromId, toId, length, roadId, flags = {}) {
+  if (!context.extraAdjacency.has(fromId)) {
+    context.extraAdjacency.set(fromId, []);
   }
-  adjacency.get(fromId).push({ to: toId, length, roadId });
+  context.extraAdjacency.get(fromId).push({
+    id: `${flags.id ?? "temp-edge"}:${fromId}->${toId}`,
+    from: fromId,
+    to: toId,
+    length,
+    roadId,
+    oneway: Boolean(flags.oneway),
+    contraflow: Boolean(flags.contraflow),
+    gateId: flags.gateId || null,
+    boundaryCrossing: flags.boundaryCrossing || null,
+  });
 }
 
 function insertPointAsNode(context, snap, label) {
@@ -137,20 +344,46 @@ function insertPointAsNode(context, snap, label) {
     worldZ: snap.point.z,
     isTemp: true,
   };
-  context.nodeMap.set(tempId, node);
-  context.adjacency.set(tempId, []);
+  context.extraNodes.set(tempId, node);
 
   const totalLength = snap.edge.length;
   const lengthToTemp = totalLength * snap.ratio;
   const lengthFromTemp = totalLength * (1 - snap.ratio);
-  addEdge(context.adjacency, snap.edge.from, tempId, lengthToTemp, snap.edge.roadId);
-  addEdge(context.adjacency, tempId, snap.edge.to, lengthFromTemp, snap.edge.roadId);
-  addEdge(context.adjacency, tempId, snap.edge.from, lengthToTemp, snap.edge.roadId);
-  addEdge(context.adjacency, snap.edge.to, tempId, lengthFromTemp, snap.edge.roadId);
+  // 与吸附边同向的子边继承其单行与穿越围墙属性，反向子边取相反的逆行标记与穿越方向
+  const { id, roadId, oneway, contraflow, gateId, boundaryCrossing } = snap.edge;
+  const alongFlags = { id, oneway, contraflow, gateId, boundaryCrossing };
+  const reverseFlags = {
+    id,
+    oneway,
+    contraflow: Boolean(oneway && !contraflow),
+    gateId,
+    boundaryCrossing: REVERSE_CROSSING[boundaryCrossing] || null,
+  };
+  addEdge(context, snap.edge.from, tempId, lengthToTemp, roadId, alongFlags);
+  addEdge(context, tempId, snap.edge.to, lengthFromTemp, roadId, alongFlags);
+  addEdge(context, tempId, snap.edge.from, lengthToTemp, roadId, reverseFlags);
+  addEdge(context, snap.edge.to, tempId, lengthFromTemp, roadId, reverseFlags);
   return tempId;
 }
 
-function runDijkstra(context, startId, endId) {
+/**
+ * runAStar：二叉堆 A* 搜索
+ * - 边权默认为长度（米），启发函数为到终点的 worldX/worldZ 欧氏距离，可采纳且一致
+ * - getEdgeWeight(edge, incomingEdge) 可放大边权（≥ 长度），用于备选路线惩罚与按耗时求解；
+ *   incomingEdge 为到达当前节点所经的边（起点为 undefined），用于下车推行等与前一路段相关的代价；
+ *   totalLength 始终为实际长度
+ * - getEdgeState(edge)：可选，边权依赖前一路段时给出到达状态（如是否处于推行），搜索改在 (节点, 状态) 上进行，
+ *   同一节点以不同状态到达时分别确定，保证与前一路段相关的代价下结果仍为最优；getEdgeWeight 只能依赖该状态
+ * - 同一节点（状态）可能多次入堆，出堆时若已确定则跳过（lazy deletion）
+ */
+function runAStar(
+  context,
+  startId,
+  endId,
+  isEdgeAllowed = () => true,
+  getEdgeWeight = (edge) => edge.length,
+  getEdgeState = null
+) {
   if (startId === endId) {
     return {
       nodePath: [startId],
@@ -158,45 +391,58 @@ function runDijkstra(context, startId, endId) {
       totalLength: 0,
     };
   }
-  const distances = new Map();
+  const endNode = getContextNode(context, endId);
+  if (!endNode) return null;
+  const heuristic = (nodeId) => {
+    const node = getContextNode(context, nodeId);
+    if (!node) return 0;
+    return Math.hypot(node.worldX - endNode.worldX, node.worldZ - endNode.worldZ);
+  };
+  // 搜索键：无状态时即节点 id，否则为“节点|到达状态”；起点不带状态
+  const keyOf = getEdgeState ? (edge) => `${edge.to}|${getEdgeState(edge)}` : (edge) => edge.to;
+  const nodeOfKey = new Map([[startId, startId]]);
+
+  const distances = new Map([[startId, 0]]);
   const previous = new Map();
-  const queue = new Set(context.nodeMap.keys());
-  queue.forEach((nodeId) => {
-    distances.set(nodeId, nodeId === startId ? 0 : Infinity);
-  });
-
-  while (queue.size > 0) {
-    let currentId = null;
-    let bestDistance = Infinity;
-    queue.forEach((nodeId) => {
-      const dist = distances.get(nodeId) ?? Infinity;
-      if (dist < bestDistance) {
-        bestDistance = dist;
-        currentId = nodeId;
-      }
-    });
-    if (currentId === null) break;
-    queue.delete(currentId);
-    if (currentId === endId) break;
-    const neighbors = context.adjacency.get(currentId) || [];
-    neighbors.forEach((edge) => {
-      const tentative = (distances.get(currentId) ?? Infinity) + edge.length;
-      if (tentative < (distances.get(edge.to) ?? Infinity)) {
-        distances.set(edge.to, tentative);
-        previous.set(edge.to, { from: currentId, edge });
+  const settled = new Set();
+  const heap = createMinHeap();
+  heap.push(startId, heuristic(startId));
+  let endKey = null;
+
+  while (heap.size() > 0) {
+    const currentKey = heap.pop();
+    if (settled.has(currentKey)) continue;
+    settled.add(currentKey);
+    const currentId = nodeOfKey.get(currentKey);
+    if (currentId === endId) {
+      endKey = currentKey;
+      break;
+    }
+    const currentDistance = distances.get(currentKey);
+    const incoming = previous.get(currentKey)?.edge;
+    getContextNeighbors(context, currentId).forEach((edge) => {
+      if (!isEdgeAllowed(edge)) return;
+      const nextKey = keyOf(edge);
+      if (settled.has(nextKey)) return;
+      const tentative = currentDistance + getEdgeWeight(edge, incoming);
+      if (tentative < (distances.get(nextKey) ?? Infinity)) {
+        nodeOfKey.set(nextKey, edge.to);
+        distances.set(nextKey, tentative);
+        previous.set(nextKey, { from: currentKey, edge });
+        heap.push(nextKey, tentative + heuristic(edge.to));
       }
     });
   }
 
-  if (!previous.has(endId)) {
+  if (endKey === null) {
     return null;
   }
 
   const nodePath = [];
   const edgePath = [];
-  let current = endId;
+  let current = endKey;
   while (current !== undefined) {
-    nodePath.unshift(current);
+    nodePath.unshift(nodeOfKey.get(current));
     const prev = previous.get(current);
     if (!prev) break;
     edgePath.unshift(prev.edge);
@@ -206,28 +452,425 @@ function runDijkstra(context, startId, endId) {
   return {
     nodePath,
     edgePath,
-    totalLength: distances.get(endId) ?? 0,
+    totalLength: edgePath.reduce((sum, edge) => sum + edge.length, 0),
   };
 }
 
-export function solveRouteBetweenPoints(startPoint, endPoint) {
+/**
+ * createTimeCost：按耗时模型计算的边代价（最快路线）
+ * - 代价 = (路段耗时 + 终点节点的过街/红绿灯等待) × 模型最高速度，即“以最高速度行驶的等效米数”
+ * - 路段耗时不小于 长度 / 最高速度，代价不小于边长，欧氏距离启发函数仍可采纳
+ */
+function createTimeCost(model) {
+  return (edge, incoming) => {
+    const previousTags = incoming ? ROAD_TAGS[incoming.roadId] || null : undefined;
+    const { seconds } = model.edgeTime(ROAD_TAGS[edge.roadId] || null, edge.length, previousTags);
+    const delay = model.nodeDelay(BASE_NODE_TAGS.get(edge.to) || null)?.seconds || 0;
+    return (seconds + delay) * model.maxSpeed;
+  };
+}
+
+/**
+ * createProfileWeight：按交通方式的道路代价系数与节点附加代价生成边权函数
+ * - baseCost 为基础代价，默认为长度（最短路线），最快路线传入 createTimeCost 的结果
+ * - 系数按 roadId 缓存；未定义 getCostFactor/getNodePenalty 的方式边权即基础代价
+ * - 系数 ≥ 1 且附加代价 ≥ 0，欧氏距离启发函数仍可采纳
+ */
+function createProfileWeight(profile, baseCost = (edge) => edge.length) {
+  if (!profile.getCostFactor && !profile.getNodePenalty) {
+    return baseCost;
+  }
+  const factorCache = new Map();
+  const factorOf = (roadId) => {
+    if (!profile.getCostFactor || !roadId || !ROAD_TAGS[roadId]) return 1;
+    if (!factorCache.has(roadId)) {
+      factorCache.set(roadId, Math.max(1, profile.getCostFactor(ROAD_TAGS[roadId]) || 1));
+    }
+    return factorCache.get(roadId);
+  };
+  const penaltyOf = (nodeId) => {
+    const tags = BASE_NODE_TAGS.get(nodeId);
+    if (!tags || !profile.getNodePenalty) return 0;
+    return Math.max(0, profile.getNodePenalty(tags) || 0);
+  };
+  return (edge, incoming) =>
+    baseCost(edge, incoming) * factorOf(edge.roadId) + penaltyOf(edge.to);
+}
+
+/**
+ * createShadeCost：凉爽路线的边代价
+ * - 代价 = 长度 + 日晒长度 × sunPenalty，树荫与建筑阴影中的路段不加价，代价不小于边长
+ */
+function createShadeCost(context, sun) {
+  const penalty = getSunPenalty();
+  return (edge) => edge.length + (edge.length - shadedLengthOf(context, edge, sun)) * penalty;
+}
+
+/**
+ * shadedLengthOf：边处于阴凉中的长度（米），按端点间线段取样（见 lib/shade.js）
+ */
+function shadedLengthOf(context, edge, sun) {
+  const from = getContextNode(context, edge.from);
+  const to = getContextNode(context, edge.to);
+  if (!from || !to) return 0;
+  const length = Math.hypot(to.worldX - from.worldX, to.worldZ - from.worldZ);
+  if (!(length > 0)) return edge.length;
+  return (measureSegmentShade(from, to, sun) / length) * edge.length;
+}
+
+/**
+ * lightingOf：边的照明情况（见 lib/nightSafety.js），有照明长度按边长折算
+ * @returns {{ litLength: number, unlit: Array<{ start, end }> }}
+ */
+function lightingOf(context, edge) {
+  const from = getContextNode(context, edge.from);
+  const to = getContextNode(context, edge.to);
+  if (!from || !to) return { litLength: 0, unlit: [] };
+  const length = Math.hypot(to.worldX - from.worldX, to.worldZ - from.worldZ);
+  const { litLength, unlit } = LIGHTING_INDEX.measureSegment(from, to, ROAD_TAGS[edge.roadId] || null);
+  return { litLength: length > 0 ? (litLength / length) * edge.length : edge.length, unlit };
+}
+
+/**
+ * nightFactorOf：夜间安全路线的边权系数（≥ 1）
+ * 道路等级与非正式小路系数 × (1 + 无照明占比 × unlitPenalty)
+ */
+function nightFactorOf(context, edge) {
+  const unlitRatio = edge.length > 0 ? 1 - lightingOf(context, edge).litLength / edge.length : 0;
+  return (
+    getNightRoadFactor(ROAD_TAGS[edge.roadId] || null) * (1 + Math.max(0, unlitRatio) * getUnlitPenalty())
+  );
+}
+
+/**
+ * DISTANCE_OBJECTIVE：默认求解目标（最短路线，非夜间）
+ */
+const DISTANCE_OBJECTIVE = { key: "distance", night: false };
+
+/**
+ * resolveObjective：解析求解目标与夜间偏好
+ * - "time" 为最快路线，"shade" 为凉爽路线（附带 options.date 时刻的太阳位置，默认当前时刻），其余为最短路线
+ * - night 为 true 时在上述目标之上叠加夜间安全系数（见 nightFactorOf）
+ * @returns {{ key: "distance"|"time"|"shade", night: boolean, sun?: { azimuth: number, altitude: number } }}
+ */
+function resolveObjective(objective, date, night = false) {
+  const isNight = Boolean(night);
+  if (objective === "time") return { key: "time", night: isNight };
+  if (objective === "shade") return { key: "shade", night: isNight, sun: getCampusSun(date) };
+  return isNight ? { key: "distance", night: true } : DISTANCE_OBJECTIVE;
+}
+
+/**
+ * estimatePathTime：按交通方式的耗时模型汇总路径耗时（见 lib/travelTime.js）
+ */
+function estimatePathTime(path, mode) {
+  return summarizeTravelTime(
+    createTravelTimeModel(mode),
+    path.edgePath.map((edge) => ({
+      length: edge.length,
+      tags: ROAD_TAGS[edge.roadId] || null,
+      nodeTags: BASE_NODE_TAGS.get(edge.to) || null,
+    }))
+  );
+}
+
+/**
+ * estimatePathShade：路径的阴凉统计
+ * @returns {{ ratio: number, shadedLength: number, sun: { azimuth, altitude } }} ratio 为阴凉长度占比（0~1）
+ */
+function estimatePathShade(context, path, sun) {
+  const shadedLength = path.edgePath.reduce(
+    (sum, edge) => sum + shadedLengthOf(context, edge, sun),
+    0
+  );
+  return {
+    ratio: path.totalLength > 0 ? shadedLength / path.totalLength : 0,
+    shadedLength,
+    sun,
+  };
+}
+
+/**
+ * describeShadeBaseline：凉爽路线的对照——同一组接入点之间最短路线的阴凉统计（同一太阳位置）
+ * @param {{ context, path }|null} baseline - searchBestAccess 求得的最短路线
+ * @returns {{ length: number, shadedLength: number, ratio: number }|null}
+ */
+function describeShadeBaseline(baseline, sun) {
+  if (!baseline) return null;
+  const { ratio, shadedLength } = estimatePathShade(baseline.context, baseline.path, sun);
+  return { length: baseline.path.totalLength, shadedLength, ratio };
+}
+
+/**
+ * estimatePathLighting：路径的照明统计
+ * @returns {{ litLength: number, unlitLength: number, litRatio: number, unlitSegments: Array<{ start, end }> }}
+ *          unlitSegments 为无照明的片段（路网坐标），供路线图层以警示色绘制
+ */
+function estimatePathLighting(context, path) {
+  let litLength = 0;
+  const unlitSegments = [];
+  path.edgePath.forEach((edge) => {
+    const lighting = lightingOf(context, edge);
+    litLength += lighting.litLength;
+    unlitSegments.push(...lighting.unlit);
+  });
+  return {
+    litLength,
+    unlitLength: Math.max(0, path.totalLength - litLength),
+    litRatio: path.totalLength > 0 ? litLength / path.totalLength : 0,
+    unlitSegments,
+  };
+}
+
+/**
+ * measurePath：比较候选路径所用的度量
+ * 最快路线为耗时（秒），凉爽路线为加上日晒代价的长度，最短路线为实际长度（米）；
+ * 夜间再乘以沿线按长度加权的平均夜间系数
+ */
+function measurePath(context, path, mode, objective) {
+  let measure = path.totalLength;
+  if (objective.key === "time") measure = estimatePathTime(path, mode).total;
+  if (objective.key === "shade") {
+    const { shadedLength } = estimatePathShade(context, path, objective.sun);
+    measure = path.totalLength + (path.totalLength - shadedLength) * getSunPenalty();
+  }
+  if (objective.night && path.totalLength > 0) {
+    const weighted = path.edgePath.reduce(
+      (sum, edge) => sum + edge.length * nightFactorOf(context, edge),
+      0
+    );
+    measure *= weighted / path.totalLength;
+  }
+  return measure;
+}
+
+/**
+ * prepareSearch：吸附起终点并插入 overlay，返回一次求解所需的上下文
+ * - 封闭登记表中 avoid 的边既不能通行也不能吸附，penalize 的边放大边权
+ * - 最快路线的边权按耗时模型计算，凉爽路线的边权按日晒长度加价，夜间再乘以 nightFactorOf
+ * - 骑行的最快路线另给出 getEdgeState（到达时是否处于推行），上下车耗时取决于前一路段，A* 须按该状态区分节点
+ */
+function prepareSearch(startPoint, endPoint, mode, blockedItems, objective = DISTANCE_OBJECTIVE) {
+  const modeFilter = createEdgeFilter(mode);
+  const blocked = createBlockedEvaluator(blockedItems);
   const context = createContext();
-  const startSnap = findClosestEdge({ x: startPoint.worldX, z: startPoint.worldZ });
+  let baseCost;
+  let getEdgeState = null;
+  if (objective.key === "time") {
+    const model = createTravelTimeModel(mode);
+    baseCost = createTimeCost(model);
+    if (resolveTransportProfile(mode).requiresDismount) {
+      getEdgeState = (edge) =>
+        model.edgeTime(ROAD_TAGS[edge.roadId] || null, 0).type === "dismount";
+    }
+  }
+  if (objective.key === "shade") baseCost = createShadeCost(context, objective.sun);
+  const objectiveWeight = createProfileWeight(resolveTransportProfile(mode), baseCost);
+  const profileWeight = objective.night
+    ? (edge, incoming) => objectiveWeight(edge, incoming) * nightFactorOf(context, edge)
+    : objectiveWeight;
+  const isEdgeAllowed = (edge) => modeFilter(edge) && blocked.policyOf(edge) !== "avoid";
+  const getEdgeWeight = (edge, incoming) =>
+    blocked.policyOf(edge) === "penalize"
+      ? profileWeight(edge, incoming) * BLOCKED_PENALTY_FACTOR
+      : profileWeight(edge, incoming);
+  const startSnap = findClosestEdge(
+    { x: startPoint.worldX, z: startPoint.worldZ },
+    isEdgeAllowed
+  );
   if (!startSnap) {
     throw new Error("POI 未贴合道路：起点");
   }
-  const endSnap = findClosestEdge({ x: endPoint.worldX, z: endPoint.worldZ });
+  const endSnap = findClosestEdge(
+    { x: endPoint.worldX, z: endPoint.worldZ },
+    isEdgeAllowed
+  );
   if (!endSnap) {
     throw new Error("POI 未贴合道路：终点");
   }
   const startId = insertPointAsNode(context, startSnap, "start");
   const endId = insertPointAsNode(context, endSnap, "end");
-  const path = runDijkstra(context, startId, endId);
-  if (!path) {
-    throw new Error("未找到可行路线");
+  return { context, startId, endId, isEdgeAllowed, getEdgeWeight, getEdgeState };
+}
+
+/**
+ * findFootprintAccessPoint：无入口建筑取外轮廓上离可通行道路最近的点（按 FOOTPRINT_SAMPLE_STEP 取样）
+ * 结果按建筑与交通方式缓存；轮廓附近没有可吸附道路时返回 null
+ */
+function findFootprintAccessPoint(buildingId, outline, mode) {
+  const cacheKey = `${buildingId}|${mode}`;
+  if (FOOTPRINT_ACCESS_CACHE.has(cacheKey)) return FOOTPRINT_ACCESS_CACHE.get(cacheKey);
+  const isEdgeAllowed = createEdgeFilter(mode);
+  let best = null;
+  outline.forEach((ring) => {
+    for (let i = 0; i < ring.length - 1; i += 1) {
+      const a = ring[i];
+      const b = ring[i + 1];
+      const length = Math.hypot(b.worldX - a.worldX, b.worldZ - a.worldZ);
+      const steps = Math.max(1, Math.ceil(length / FOOTPRINT_SAMPLE_STEP));
+      for (let step = 0; step < steps; step += 1) {
+        const ratio = step / steps;
+        const sample = {
+          x: a.worldX + (b.worldX - a.worldX) * ratio,
+          z: a.worldZ + (b.worldZ - a.worldZ) * ratio,
+        };
+        const hit = findClosestEdge(sample, isEdgeAllowed);
+        if (hit && (!best || hit.distance < best.distance)) {
+          best = { worldX: sample.x, worldZ: sample.z, distance: hit.distance };
+        }
+      }
+    }
+  });
+  FOOTPRINT_ACCESS_CACHE.set(cacheKey, best);
+  return best;
+}
+
+/**
+ * resolveAccessCandidates：地点在路网上的接入候选点
+ * - 地点自带 accessPoints（[{ worldX, worldZ, entranceId?, name? }]）时直接作为入口使用
+ * - 属于建筑的地点（parentType = "building"）：取该建筑可用的入口；没有入口时取外轮廓上离道路最近的点
+ * - 其余地点：自身坐标
+ * @returns {Array<{ worldX, worldZ, access: { type: "entrance"|"footprint"|"point", entranceId?, name? } }>}
+ */
+function resolveAccessCandidates(point, mode) {
+  const self = [{ worldX: point?.worldX, worldZ: point?.worldZ, access: { type: "point" } }];
+  if (Array.isArray(point?.accessPoints) && point.accessPoints.length > 0) {
+    return point.accessPoints.map((entrance) => ({
+      worldX: entrance.worldX,
+      worldZ: entrance.worldZ,
+      access: { type: "entrance", entranceId: entrance.entranceId, name: entrance.name },
+    }));
   }
+  if (point?.parentType !== "building" || !point.parentId) return self;
+  const entrances = getBuildingEntrances(point.parentId, mode);
+  if (entrances.length > 0) {
+    return entrances.map((entrance) => ({
+      worldX: entrance.worldX,
+      worldZ: entrance.worldZ,
+      access: { type: "entrance", entranceId: entrance.entranceId, name: entrance.tags?.name },
+    }));
+  }
+  const outline = getBuildingOutline(point.parentId);
+  const footprint = outline ? findFootprintAccessPoint(point.parentId, outline, mode) : null;
+  if (!footprint) return self;
+  return [{ worldX: footprint.worldX, worldZ: footprint.worldZ, access: { type: "footprint" } }];
+}
+
+/**
+ * searchBestAccess：在起终点的接入候选组合中取 measurePath 最小（最短路线时即实际长度最短）的路线
+ * 凉爽路线在同一批搜索上下文中顺带求按实际长度最短的路线，作为树荫占比的对照
+ * @returns {{ best: { search, path, start, end, measure }|null, baseline: { context, path }|null, error: Error|null }}
+ *          全部组合失败时 best 为 null，error 为首个吸附/搜索错误；measure 见 measurePath；
+ *          baseline 仅凉爽路线提供
+ */
+function searchBestAccess(
+  startPoint,
+  endPoint,
+  mode,
+  blockedItems,
+  useEntrances = true,
+  objective = DISTANCE_OBJECTIVE
+) {
+  const starts = useEntrances ? resolveAccessCandidates(startPoint, mode) : [startPoint];
+  const ends = useEntrances ? resolveAccessCandidates(endPoint, mode) : [endPoint];
+  let best = null;
+  let baseline = null;
+  let firstError = null;
+  starts.forEach((start) => {
+    ends.forEach((end) => {
+      try {
+        const search = prepareSearch(start, end, mode, blockedItems, objective);
+        const path = runAStar(
+          search.context,
+          search.startId,
+          search.endId,
+          search.isEdgeAllowed,
+          search.getEdgeWeight,
+          search.getEdgeState
+        );
+        if (!path) return;
+        const measure = measurePath(search.context, path, mode, objective);
+        if (!best || measure < best.measure) {
+          best = { search, path, start, end, measure };
+        }
+        if (objective.key !== "shade") return;
+        const shortest = runAStar(
+          search.context,
+          search.startId,
+          search.endId,
+          search.isEdgeAllowed
+        );
+        if (shortest && (!baseline || shortest.totalLength < baseline.path.totalLength)) {
+          baseline = { context: search.context, path: shortest };
+        }
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    });
+  });
+  return { best, baseline, error: firstError };
+}
+
+/**
+ * describeAccess：对外输出的接入点信息，未使用入口/轮廓（useEntrances = false）时为 null
+ */
+function describeAccess(candidate) {
+  if (!candidate?.access) return null;
+  return { ...candidate.access, worldX: candidate.worldX, worldZ: candidate.worldZ };
+}
+
+/**
+ * summarizeIssues：按交通方式的 describeIssue 汇总路线上的障碍（道路按 roadId 去重，节点逐个计数）
+ * @returns {string|null} 如“台阶 2 处、未降低的路缘 1 处”，无障碍时返回 null
+ */
+function summarizeIssues(path, profile) {
+  if (!profile.describeIssue) return null;
+  const counts = new Map();
+  const count = (issue) => {
+    if (issue) counts.set(issue, (counts.get(issue) || 0) + 1);
+  };
+  const seenRoads = new Set();
+  path.edgePath.forEach((edge) => {
+    if (!edge.roadId || seenRoads.has(edge.roadId) || !ROAD_TAGS[edge.roadId]) return;
+    seenRoads.add(edge.roadId);
+    count(profile.describeIssue(ROAD_TAGS[edge.roadId]));
+  });
+  path.nodePath.forEach((nodeId) => {
+    const tags = BASE_NODE_TAGS.get(nodeId);
+    if (tags) count(profile.describeIssue(tags));
+  });
+  if (counts.size === 0) return null;
+  return Array.from(counts, ([issue, total]) => `${issue} ${total} 处`).join("、");
+}
+
+/**
+ * collectGateCrossings：路线依次穿越围墙的位置
+ * 吸附拆分出的两段子边都带有穿越标记，相邻且相同的记录只保留一条
+ * @returns {Array<{ gateId: string|null, name: string|null, direction: "exit"|"enter" }>}
+ *          gateId 为 null 表示未登记校门的围墙缺口
+ */
+function collectGateCrossings(edgePath) {
+  const crossings = [];
+  edgePath.forEach((edge) => {
+    if (!edge.boundaryCrossing) return;
+    const last = crossings[crossings.length - 1];
+    if (last && last.gateId === edge.gateId && last.direction === edge.boundaryCrossing) return;
+    crossings.push({
+      gateId: edge.gateId || null,
+      name: edge.gateId ? GATES[edge.gateId]?.name ?? null : null,
+      direction: edge.boundaryCrossing,
+    });
+  });
+  return crossings;
+}
+
+/**
+ * buildRouteResult：补充 pointPath/roadIds/gates/warnings/travelTime，形成对外的路线结构
+ * warnings 为面向用户的提示（如无障碍路线仍需经过的障碍），无提示时为空数组；凉爽路线另附 shade，夜间另附 night
+ */
+function buildRouteResult(context, path, mode, objective = DISTANCE_OBJECTIVE) {
   const pointPath = path.nodePath
-    .map((nodeId) => context.nodeMap.get(nodeId))
+    .map((nodeId) => getContextNode(context, nodeId))
     .filter(Boolean)
     .map((node) => ({
       worldX: node.worldX,
@@ -236,11 +879,700 @@ export function solveRouteBetweenPoints(startPoint, endPoint) {
   const roadIds = path.edgePath
     .map((edge) => edge.roadId)
     .filter((roadId) => Boolean(roadId));
+  const issues = summarizeIssues(path, resolveTransportProfile(mode));
+  const gates = collectGateCrossings(path.edgePath);
+  const warnings = issues ? [`路线含${issues}，请注意`] : [];
+  if (gates.some((gate) => !gate.gateId)) {
+    warnings.push("路线经过未登记校门的围墙缺口，请确认可以通行");
+  }
   return {
     ...path,
     roadIds,
     pointPath,
+    mode,
+    objective: objective.key,
+    gates,
+    warnings,
+    travelTime: estimatePathTime(path, mode),
+    ...(objective.key === "shade" ? { shade: estimatePathShade(context, path, objective.sun) } : {}),
+    ...(objective.night ? { night: estimatePathLighting(context, path) } : {}),
+  };
+}
+
+/**
+ * solveFallbackRoute：本方式无法到达时按 profile.fallbackMode 求解，并附带明确提示
+ * 结果的 mode 仍为原交通方式，fallbackMode 记录实际使用的方式
+ */
+function solveFallbackRoute(startPoint, endPoint, profile, blockedItems, useEntrances, objective) {
+  const fallback = resolveTransportProfile(profile.fallbackMode);
+  const { best, baseline, error } = searchBestAccess(
+    startPoint,
+    endPoint,
+    fallback.key,
+    blockedItems,
+    useEntrances,
+    objective
+  );
+  if (!best) {
+    throw error || new Error("未找到可行路线");
+  }
+  const issues = summarizeIssues(best.path, profile);
+  return {
+    ...buildRouteResult(best.search.context, best.path, profile.key, objective),
+    ...(objective.key === "shade"
+      ? { shadeBaseline: describeShadeBaseline(baseline, objective.sun) }
+      : {}),
+    startAccess: describeAccess(best.start),
+    endAccess: describeAccess(best.end),
+    fallbackMode: fallback.key,
+    warnings: [
+      `无法找到${profile.label}路线，已改用${fallback.label}路线` +
+        (issues ? `，途经${issues}` : ""),
+    ],
+  };
+}
+
+/**
+ * undirectedEdgeKey：忽略方向的边标识，正反两条有向边视为同一路段
+ */
+function undirectedEdgeKey(edge) {
+  return edge.from < edge.to ? `${edge.from}|${edge.to}` : `${edge.to}|${edge.from}`;
+}
+
+/**
+ * solveRouteBetweenPoints：在路网上求两点之间的最短路（或最快路线）
+ * @param {{ worldX: number, worldZ: number }} startPoint - 起点（通常为 POI 记录）
+ * @param {{ worldX: number, worldZ: number }} endPoint - 终点
+ * @param {object} [options]
+ * @param {string} [options.mode="walk"] - 交通方式，决定哪些道路可通行及可吸附
+ * @param {Array} [options.blocked] - 封闭登记表（见 createBlockedEvaluator）
+ * @param {boolean} [options.useEntrances=true] - 建筑类地点是否改从入口/外轮廓接入路网（见 resolveAccessCandidates）
+ * @param {"distance"|"time"|"shade"} [options.objective="distance"] - 求解目标：最短路线、按耗时模型的最快路线或少晒太阳的凉爽路线
+ * @param {Date|number} [options.date] - 凉爽路线计算太阳位置的时刻，默认当前时刻
+ * @param {boolean} [options.night=false] - 夜间安全路线：偏好有路灯照明、等级较高的道路，回避非正式小路与 track
+ * @returns {{ nodePath, edgePath, totalLength, roadIds, pointPath, mode, objective, gates, warnings, travelTime, shade?, shadeBaseline?, night?, startAccess, endAccess, fallbackMode? }}
+ *          travelTime 为按 lib/travelTime.js 估算的耗时汇总（秒，含行进/台阶/推行/过街/红绿灯拆分）；
+ *          shade 仅凉爽路线提供：{ ratio, shadedLength, sun }，ratio 为处于树荫或建筑阴影中的长度占比；
+ *          shadeBaseline 仅凉爽路线提供：同一组接入点之间最短路线的 { length, shadedLength, ratio }，用于对照；
+ *          night 仅夜间路线提供：{ litLength, unlitLength, litRatio, unlitSegments }，unlitSegments 为无照明片段 [{ start, end }]；
+ *          gates 为依次穿越围墙的校门 [{ gateId, name, direction: "exit"|"enter" }]（见 collectGateCrossings）；
+ *          startAccess/endAccess 为实际使用的接入点 { type, worldX, worldZ, entranceId?, name? }；
+ *          带 fallbackMode 的交通方式（无障碍）无法到达时改用该方式求解，并在 warnings 中说明
+ */
+export function solveRouteBetweenPoints(startPoint, endPoint, options = {}) {
+  const profile = resolveTransportProfile(options.mode);
+  const mode = profile.key;
+  const useEntrances = options.useEntrances !== false;
+  const objective = resolveObjective(options.objective, options.date, options.night);
+  try {
+    const { best, baseline, error } = searchBestAccess(
+      startPoint,
+      endPoint,
+      mode,
+      options.blocked,
+      useEntrances,
+      objective
+    );
+    if (!best) {
+      throw error || new Error("未找到可行路线");
+    }
+    return {
+      ...buildRouteResult(best.search.context, best.path, mode, objective),
+      ...(objective.key === "shade"
+        ? { shadeBaseline: describeShadeBaseline(baseline, objective.sun) }
+        : {}),
+      startAccess: describeAccess(best.start),
+      endAccess: describeAccess(best.end),
+    };
+  } catch (error) {
+    if (!profile.fallbackMode) throw error;
+    return solveFallbackRoute(
+      startPoint,
+      endPoint,
+      profile,
+      options.blocked,
+      useEntrances,
+      objective
+    );
+  }
+}
+
+/**
+ * solveAlternativeRoutes：惩罚法求至多 k 条差异明显的备选路线
+ * - 第一条为最短路（最快路线时为耗时最少的路线）；之后每轮把已选路线经过的路段边权乘以 penaltyFactor 再搜索
+ * - 候选与任一已选路线的重叠长度占比超过 maxOverlap 时丢弃
+ * - 候选的度量（实际长度，最快路线为耗时，凉爽路线为加上日晒代价的长度，夜间再乘平均夜间系数）超过首条 maxStretch 倍时停止，避免绕远
+ * @param {{ worldX: number, worldZ: number }} startPoint - 起点
+ * @param {{ worldX: number, worldZ: number }} endPoint - 终点
+ * @param {object} [options]
+ * @param {string} [options.mode="walk"] - 交通方式
+ * @param {number} [options.count] - 最多返回条数，默认 config.poiRoute.alternatives.count
+ * @param {Array} [options.blocked] - 封闭登记表
+ * @param {"distance"|"time"|"shade"} [options.objective="distance"] - 求解目标
+ * @param {Date|number} [options.date] - 凉爽路线计算太阳位置的时刻
+ * @param {boolean} [options.night=false] - 夜间安全路线
+ * @returns {Array<{ nodePath, edgePath, totalLength, roadIds, pointPath, mode, objective, travelTime, shade?, shadeBaseline?, night?, overlap }>}
+ *          按上述度量升序，首条即 solveRouteBetweenPoints 的结果；overlap 为与已选路线的最大重叠占比；
+ *          凉爽路线的各条共用同一 shadeBaseline
+ */
+export function solveAlternativeRoutes(startPoint, endPoint, options = {}) {
+  const profile = resolveTransportProfile(options.mode);
+  const mode = profile.key;
+  const count = Number(options.count) || ALTERNATIVE_OPTIONS.count;
+  const useEntrances = options.useEntrances !== false;
+  const objective = resolveObjective(options.objective, options.date, options.night);
+  // 先按最短路选定起终点接入点，备选路线沿用同一组接入点
+  const { best, baseline, error } = searchBestAccess(
+    startPoint,
+    endPoint,
+    mode,
+    options.blocked,
+    useEntrances,
+    objective
+  );
+  if (!best) {
+    // 本方式无法到达时只返回退回方式的单条路线，不再求备选
+    if (profile.fallbackMode) {
+      return [
+        {
+          ...solveFallbackRoute(
+            startPoint,
+            endPoint,
+            profile,
+            options.blocked,
+            useEntrances,
+            objective
+          ),
+          overlap: 0,
+        },
+      ];
+    }
+    throw error || new Error("未找到可行路线");
+  }
+  const shortest = best.path;
+  const access = { startAccess: describeAccess(best.start), endAccess: describeAccess(best.end) };
+  const shadeBaseline =
+    objective.key === "shade" ? { shadeBaseline: describeShadeBaseline(baseline, objective.sun) } : {};
+  const {
+    context,
+    startId,
+    endId,
+    isEdgeAllowed,
+    getEdgeWeight: getBaseWeight,
+    getEdgeState,
+  } = best.search;
+  const accepted = [{ path: shortest, overlap: 0, measure: best.measure }];
+  const toLengthMap = (path) => {
+    const lengths = new Map();
+    path.edgePath.forEach((edge) => {
+      const key = undirectedEdgeKey(edge);
+      lengths.set(key, (lengths.get(key) || 0) + edge.length);
+    });
+    return lengths;
+  };
+  const acceptedLengths = [toLengthMap(shortest)];
+  const penalties = new Map();
+  const penalize = (path) => {
+    path.edgePath.forEach((edge) => {
+      const key = undirectedEdgeKey(edge);
+      penalties.set(key, (penalties.get(key) || 1) * ALTERNATIVE_OPTIONS.penaltyFactor);
+    });
+  };
+  const getEdgeWeight = (edge, incoming) =>
+    getBaseWeight(edge, incoming) * (penalties.get(undirectedEdgeKey(edge)) || 1);
+
+  penalize(shortest);
+  for (
+    let attempt = 0;
+    attempt < ALTERNATIVE_OPTIONS.maxAttempts && accepted.length < count;
+    attempt += 1
+  ) {
+    const candidate = runAStar(
+      context,
+      startId,
+      endId,
+      isEdgeAllowed,
+      getEdgeWeight,
+      getEdgeState
+    );
+    if (!candidate) break;
+    const measure = measurePath(context, candidate, mode, objective);
+    if (measure > best.measure * ALTERNATIVE_OPTIONS.maxStretch) break;
+    penalize(candidate);
+    const candidateLengths = toLengthMap(candidate);
+    const overlap = acceptedLengths.reduce((worst, lengths) => {
+      let shared = 0;
+      candidateLengths.forEach((length, key) => {
+        if (lengths.has(key)) shared += Math.min(length, lengths.get(key));
+      });
+      return Math.max(worst, candidate.totalLength > 0 ? shared / candidate.totalLength : 1);
+    }, 0);
+    if (overlap > ALTERNATIVE_OPTIONS.maxOverlap) continue;
+    accepted.push({ path: candidate, overlap, measure });
+    acceptedLengths.push(candidateLengths);
+  }
+
+  return accepted
+    .sort((left, right) => left.measure - right.measure)
+    .map(({ path, overlap }) => ({
+      ...buildRouteResult(context, path, mode, objective),
+      ...shadeBaseline,
+      ...access,
+      overlap,
+    }));
+}
+
+/**
+ * mergeShade：合并各段凉爽路线的阴凉统计
+ */
+function mergeShade(legs, sun) {
+  const totalLength = legs.reduce((sum, leg) => sum + leg.totalLength, 0);
+  const shadedLength = legs.reduce((sum, leg) => sum + (leg.shade?.shadedLength || 0), 0);
+  return { ratio: totalLength > 0 ? shadedLength / totalLength : 0, shadedLength, sun };
+}
+
+/**
+ * mergeShadeBaseline：合并各段凉爽路线的最短路线对照，任一段缺失时为 null
+ */
+function mergeShadeBaseline(legs) {
+  if (legs.some((leg) => !leg.shadeBaseline)) return null;
+  const length = legs.reduce((sum, leg) => sum + leg.shadeBaseline.length, 0);
+  const shadedLength = legs.reduce((sum, leg) => sum + leg.shadeBaseline.shadedLength, 0);
+  return { length, shadedLength, ratio: length > 0 ? shadedLength / length : 0 };
+}
+
+/**
+ * mergeLighting：合并各段夜间路线的照明统计
+ */
+function mergeLighting(legs) {
+  const totalLength = legs.reduce((sum, leg) => sum + leg.totalLength, 0);
+  const litLength = legs.reduce((sum, leg) => sum + (leg.night?.litLength || 0), 0);
+  return {
+    litLength,
+    unlitLength: Math.max(0, totalLength - litLength),
+    litRatio: totalLength > 0 ? litLength / totalLength : 0,
+    unlitSegments: legs.flatMap((leg) => leg.night?.unlitSegments || []),
+  };
+}
+
+/**
+ * solveRouteThroughWaypoints：按顺序经过多个地点的分段路线
+ * - 相邻两点各自调用 solveRouteBetweenPoints，再首尾相接
+ * - 拼接时去掉后一段的首个节点，避免途经点重复
+ * @param {Array<{ worldX: number, worldZ: number, name?: string }>} points - 起点、途经点…、终点
+ * @param {object} [options] - 同 solveRouteBetweenPoints
+ * @returns {{ legs, nodePath, edgePath, totalLength, roadIds, pointPath, mode, objective, gates, warnings, travelTime, shade?, shadeBaseline?, night? }}
+ *          多段时 warnings 中的每条提示带段号前缀；travelTime 为各段耗时之和；凉爽路线的 shade 与 shadeBaseline 按各段合计，
+ *          夜间路线的 night 合计各段照明长度并拼接无照明片段
+ */
+export function solveRouteThroughWaypoints(points, options = {}) {
+  const stops = Array.isArray(points) ? points.filter(Boolean) : [];
+  if (stops.length < 2) {
+    throw new Error("途经点不足：至少需要起点和终点");
+  }
+  const mode = resolveTransportProfile(options.mode).key;
+  // 各段共用同一时刻，凉爽路线的太阳位置保持一致
+  const date = options.date ?? Date.now();
+  const objective = resolveObjective(options.objective, date, options.night);
+  const legs = [];
+  for (let index = 0; index < stops.length - 1; index += 1) {
+    const from = stops[index];
+    const to = stops[index + 1];
+    try {
+      const leg = solveRouteBetweenPoints(from, to, { ...options, mode, date });
+      legs.push({ ...leg, from, to });
+    } catch (error) {
+      throw new Error(`第 ${index + 1} 段（${from.name ?? "起点"} → ${to.name ?? "终点"}）：${error.message}`);
+    }
+  }
+  const joinPath = (key) =>
+    legs.reduce(
+      (result, leg, index) => result.concat(index === 0 ? leg[key] : leg[key].slice(1)),
+      []
+    );
+  return {
+    legs,
+    nodePath: joinPath("nodePath"),
+    edgePath: legs.flatMap((leg) => leg.edgePath),
+    pointPath: joinPath("pointPath"),
+    roadIds: Array.from(new Set(legs.flatMap((leg) => leg.roadIds))),
+    totalLength: legs.reduce((sum, leg) => sum + leg.totalLength, 0),
+    mode,
+    objective: objective.key,
+    gates: legs.flatMap((leg) => leg.gates || []),
+    warnings: legs.flatMap((leg, index) =>
+      (leg.warnings || []).map((warning) =>
+        legs.length > 1
+          ? `第 ${index + 1} 段（${leg.from.name ?? "起点"} → ${leg.to.name ?? "终点"}）：${warning}`
+          : warning
+      )
+    ),
+    travelTime: mergeTravelTimes(legs.map((leg) => leg.travelTime)),
+    ...(objective.key === "shade"
+      ? { shade: mergeShade(legs, objective.sun), shadeBaseline: mergeShadeBaseline(legs) }
+      : {}),
+    ...(objective.night ? { night: mergeLighting(legs) } : {}),
+  };
+}
+
+/**
+ * runBoundedDijkstra：多源 Dijkstra，累计长度超过 maxLength 的节点不再扩展
+ * @returns {Map<string, number>} 节点 → 距最近源点的路网距离（米），只含不超过 maxLength 的节点
+ */
+function runBoundedDijkstra(context, sourceIds, isEdgeAllowed, maxLength) {
+  const distances = new Map();
+  const settled = new Set();
+  const heap = createMinHeap();
+  sourceIds.forEach((nodeId) => {
+    distances.set(nodeId, 0);
+    heap.push(nodeId, 0);
+  });
+  while (heap.size() > 0) {
+    const currentId = heap.pop();
+    if (settled.has(currentId)) continue;
+    settled.add(currentId);
+    const currentDistance = distances.get(currentId);
+    getContextNeighbors(context, currentId).forEach((edge) => {
+      if (settled.has(edge.to) || !isEdgeAllowed(edge)) return;
+      const tentative = currentDistance + edge.length;
+      if (tentative > maxLength || tentative >= (distances.get(edge.to) ?? Infinity)) return;
+      distances.set(edge.to, tentative);
+      heap.push(edge.to, tentative);
+    });
+  }
+  return distances;
+}
+
+/**
+ * splitReachableEdge：把一条路段按时间分段切成若干子段
+ * - 路段上距 a 端 t 米处的代价为 min(forward + t, backward + length - t)，forward/backward 为经 a/b 端进入的距离
+ * - 切点取各分段上限与两端代价的交点，子段中点代价落入的第一个分段即其分段，超出最大分段的子段丢弃
+ * @returns {Array<{ band: number, start: number, end: number }>} start/end 为距 a 端的长度（米）
+ */
+function splitReachableEdge(length, forward, backward, limits) {
+  const cuts = new Set([0, length]);
+  limits.forEach((limit) => {
+    [limit - forward, length - (limit - backward)].forEach((cut) => {
+      if (cut > 0 && cut < length) cuts.add(cut);
+    });
+  });
+  const positions = Array.from(cuts).sort((a, b) => a - b);
+  const pieces = [];
+  for (let i = 0; i < positions.length - 1; i += 1) {
+    const middle = (positions[i] + positions[i + 1]) / 2;
+    const cost = Math.min(forward + middle, backward + length - middle);
+    const band = limits.findIndex((limit) => cost <= limit);
+    if (band < 0) continue;
+    const last = pieces[pieces.length - 1];
+    if (last && last.band === band && Math.abs(last.end - positions[i]) <= EPSILON) {
+      last.end = positions[i + 1];
+    } else {
+      pieces.push({ band, start: positions[i], end: positions[i + 1] });
+    }
+  }
+  return pieces;
+}
+
+/**
+ * isOutlineWithin：建筑外环包围盒是否在任一源点 maxLength 米（直线）以内，路网距离不小于直线距离，超出即不可达
+ */
+function isOutlineWithin(rings, sources, maxLength) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  rings.forEach((ring) =>
+    ring.forEach(({ worldX, worldZ }) => {
+      minX = Math.min(minX, worldX);
+      maxX = Math.max(maxX, worldX);
+      minZ = Math.min(minZ, worldZ);
+      maxZ = Math.max(maxZ, worldZ);
+    })
+  );
+  return sources.some(({ worldX, worldZ }) => {
+    const dx = Math.max(minX - worldX, 0, worldX - maxX);
+    const dz = Math.max(minZ - worldZ, 0, worldZ - maxZ);
+    return Math.hypot(dx, dz) <= maxLength;
+  });
+}
+
+/**
+ * computeReachability：从某地出发在给定时间内可到达的路段与建筑（等时圈）
+ * - 出发地按 resolveAccessCandidates 取接入点（建筑取入口或外轮廓），多个接入点同时作为源点
+ * - 耗时 = 路网长度 / 交通方式平均速度（profile.speedKmh），不计无障碍代价系数；封闭登记表中 avoid 的路段不可通行
+ * - 建筑的耗时取其各接入点吸附到路网处的最小代价
+ * @param {{ worldX: number, worldZ: number }} origin - 出发地（POI 记录或地图选点）
+ * @param {object} [options]
+ * @param {string} [options.mode="walk"] - 交通方式，决定可通行道路与速度
+ * @param {number[]} [options.bands] - 时间分段（分钟，升序），默认 config.poiRoute.reachability.bands
+ * @param {number} [options.speedKmh] - 覆盖交通方式的平均速度
+ * @param {Array} [options.blocked] - 封闭登记表
+ * @param {boolean} [options.useEntrances=true] - 建筑类出发地是否从入口/外轮廓接入
+ * @returns {{ mode, speedKmh, bands, origins, segments, bandLengths, buildingBands }}
+ *          segments 为 [{ band, roadId, start: { worldX, worldZ }, end: { worldX, worldZ } }]，band 为 bands 下标；
+ *          bandLengths[i] 为第 i 段的道路总长（米）；buildingBands 为 Map(建筑 stableId → band)
+ */
+export function computeReachability(origin, options = {}) {
+  const profile = resolveTransportProfile(options.mode);
+  const mode = profile.key;
+  const bands = (Array.isArray(options.bands) ? options.bands : REACHABILITY_BANDS)
+    .map(Number)
+    .filter((minutes) => minutes > 0)
+    .sort((a, b) => a - b);
+  if (bands.length === 0) {
+    throw new Error("可达范围缺少时间分段");
+  }
+  const speedKmh = Number(options.speedKmh) || profile.speedKmh;
+  const limits = bands.map((minutes) => (minutes * speedKmh * 1000) / 60);
+  const maxLength = limits[limits.length - 1];
+
+  const modeFilter = createEdgeFilter(mode);
+  const blocked = createBlockedEvaluator(options.blocked);
+  const isEdgeAllowed = (edge) => modeFilter(edge) && blocked.policyOf(edge) !== "avoid";
+  const context = createContext();
+  const candidates =
+    options.useEntrances === false ? [origin] : resolveAccessCandidates(origin, mode);
+  const sources = [];
+  candidates.forEach((candidate) => {
+    const snap = findClosestEdge({ x: candidate?.worldX, z: candidate?.worldZ }, isEdgeAllowed);
+    if (!snap) return;
+    sources.push({
+      candidate,
+      snap,
+      nodeId: insertPointAsNode(context, snap, "origin"),
+    });
+  });
+  if (sources.length === 0) {
+    throw new Error("POI 未贴合道路：起点");
+  }
+  const distances = runBoundedDijkstra(
+    context,
+    sources.map((source) => source.nodeId),
+    isEdgeAllowed,
+    maxLength
+  );
+
+  // 被起点吸附拆分的基础边由其子边代替，避免与子边重复绘制
+  const splitKeys = new Set(
+    sources
+      .filter(({ snap }) => snap.ratio > EPSILON && snap.ratio < 1 - EPSILON)
+      .map(({ snap }) => undirectedEdgeKey(snap.edge))
+  );
+  // 正反两条有向边合并为一个路段：forward 为经 a 端进入的距离，backward 为经 b 端进入的距离
+  const pairs = new Map();
+  distances.forEach((distance, nodeId) => {
+    getContextNeighbors(context, nodeId).forEach((edge) => {
+      const key = undirectedEdgeKey(edge);
+      if (splitKeys.has(key) || !isEdgeAllowed(edge)) return;
+      if (!pairs.has(key)) {
+        pairs.set(key, {
+          a: edge.from,
+          b: edge.to,
+          length: edge.length,
+          roadId: edge.roadId,
+          forward: Infinity,
+          backward: Infinity,
+        });
+      }
+      const pair = pairs.get(key);
+      if (pair.a === edge.from) pair.forward = distance;
+      else pair.backward = distance;
+    });
+  });
+
+  const segments = [];
+  const bandLengths = bands.map(() => 0);
+  pairs.forEach((pair) => {
+    const a = getContextNode(context, pair.a);
+    const b = getContextNode(context, pair.b);
+    if (!a || !b) return;
+    const pointAt = (offset) => {
+      const ratio = pair.length > 0 ? offset / pair.length : 0;
+      return {
+        worldX: a.worldX + (b.worldX - a.worldX) * ratio,
+        worldZ: a.worldZ + (b.worldZ - a.worldZ) * ratio,
+      };
+    };
+    splitReachableEdge(pair.length, pair.forward, pair.backward, limits).forEach((piece) => {
+      segments.push({
+        band: piece.band,
+        roadId: pair.roadId,
+        start: pointAt(piece.start),
+        end: pointAt(piece.end),
+      });
+      bandLengths[piece.band] += piece.end - piece.start;
+    });
+  });
+
+  /**
+   * costAt：吸附到基础边 edge 的 ratio 处的最小代价；与起点吸附在同一条边上时直接沿边计算
+   */
+  const costAt = (snap) => {
+    const { edge, ratio } = snap;
+    let cost = Infinity;
+    sources.forEach((source) => {
+      if (source.snap.edge.id === edge.id) {
+        cost = Math.min(cost, Math.abs(ratio - source.snap.ratio) * edge.length);
+      }
+    });
+    const fromDistance = distances.get(edge.from);
+    if (fromDistance !== undefined) cost = Math.min(cost, fromDistance + ratio * edge.length);
+    const toDistance = distances.get(edge.to);
+    const reverse = (BASE_ADJACENCY.get(edge.to) || []).find(
+      (candidate) => candidate.to === edge.from && isEdgeAllowed(candidate)
+    );
+    if (toDistance !== undefined && reverse) {
+      cost = Math.min(cost, toDistance + (1 - ratio) * edge.length);
+    }
+    return cost;
   };
+  const buildingBands = new Map();
+  const sourcePoints = sources.map((source) => ({
+    worldX: source.snap.point.x,
+    worldZ: source.snap.point.z,
+  }));
+  listBuildingOutlines().forEach(({ stableId, rings }) => {
+    if (!isOutlineWithin(rings, sourcePoints, maxLength)) return;
+    let best = Infinity;
+    resolveAccessCandidates({ parentType: "building", parentId: stableId }, mode).forEach(
+      (candidate) => {
+        if (!Number.isFinite(candidate.worldX) || !Number.isFinite(candidate.worldZ)) return;
+        const snap = findClosestEdge({ x: candidate.worldX, z: candidate.worldZ }, isEdgeAllowed);
+        if (snap) best = Math.min(best, costAt(snap));
+      }
+    );
+    const band = limits.findIndex((limit) => best <= limit);
+    if (band >= 0) buildingBands.set(stableId, band);
+  });
+
+  return {
+    mode,
+    speedKmh,
+    bands,
+    origins: sources.map((source) => describeAccess(source.candidate)),
+    segments,
+    bandLengths,
+    buildingBands,
+  };
+}
+
+/**
+ * resolveBlockedRoadIds：封闭登记表影响到的道路（roads 图层标记用）
+ * 包含 highway=construction 等数据中本就封闭的道路
+ * @param {Array} blockedItems - useSceneStore.blockedItems
+ * @returns {string[]}
+ */
+export function resolveBlockedRoadIds(blockedItems) {
+  const roadIds = createBlockedEvaluator(blockedItems).roadIds;
+  Object.entries(ROAD_TAGS).forEach(([roadId, tags]) => {
+    if (isRoadClosed(tags)) roadIds.add(roadId);
+  });
+  return Array.from(roadIds);
+}
+
+/**
+ * listNamedRoads：按路名汇总 roadId，供封闭道路选择器使用
+ * @returns {Array<{ name: string, roadIds: string[] }>} 按名称排序
+ */
+export function listNamedRoads() {
+  const byName = new Map();
+  Object.entries(ROAD_TAGS).forEach(([roadId, tags]) => {
+    const name = tags?.["name:zh"] || tags?.name;
+    if (!name) return;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(roadId);
+  });
+  return Array.from(byName, ([name, roadIds]) => ({ name, roadIds })).sort((a, b) =>
+    a.name.localeCompare(b.name, "zh")
+  );
+}
+
+/**
+ * getRoadTags：读取 roads 字典中的道路标签（highway/name 等），缺失时返回 null
+ * @param {string} roadId - 道路 stableId
+ * @returns {object|null}
+ */
+export function getRoadTags(roadId) {
+  return ROAD_TAGS[roadId] || null;
+}
+
+/**
+ * listCampusGates：校门列表（路网中登记的 boundaryGates）
+ * @returns {Array<{ id, name, worldX, worldZ, access, closed }>} closed 为 true 的校门路线不会经过
+ */
+export function listCampusGates() {
+  return Object.entries(GATES).map(([id, gate]) => ({
+    id,
+    name: gate.name ?? null,
+    worldX: Number(gate.worldX),
+    worldZ: Number(gate.worldZ),
+    access: gate.access || {},
+    closed: CLOSED_GATE_IDS.has(id),
+  }));
+}
+
+/**
+ * projectToGraph：经纬度 → 路网坐标（与 roads-graph.json 使用同一投影原点）
+ * @param {[number, number]} coordinate - [lng, lat]
+ * @returns {{ worldX: number, worldZ: number }}
+ */
+export function projectToGraph(coordinate) {
+  const [x, y] = projectCoordinate(coordinate, graphData.metadata?.projectionOrigin);
+  return { worldX: x, worldZ: -y };
+}
+
+/**
+ * graphToLngLat：路网坐标 → 经纬度，projectToGraph 的逆变换
+ * @param {{ worldX: number, worldZ: number }} point
+ * @returns {[number, number]} [lng, lat]
+ */
+export function graphToLngLat(point) {
+  return unprojectCoordinate([point.worldX, -point.worldZ], graphData.metadata?.projectionOrigin);
+}
+
+let ROAD_COMPONENTS = null;
+
+/**
+ * getRoadComponents：路网连通分量（忽略单行方向），按节点数降序编号，0 为最大分量
+ * 结果在首次调用时计算并缓存，供调试面板按分量给道路着色
+ * @returns {{ sizes: number[], byRoadId: Map<string, number> }} sizes[i] 为第 i 个分量的节点数
+ */
+export function getRoadComponents() {
+  if (ROAD_COMPONENTS) return ROAD_COMPONENTS;
+  const neighbors = new Map();
+  BASE_EDGES.forEach((edge) => {
+    if (!neighbors.has(edge.from)) neighbors.set(edge.from, new Set());
+    if (!neighbors.has(edge.to)) neighbors.set(edge.to, new Set());
+    neighbors.get(edge.from).add(edge.to);
+    neighbors.get(edge.to).add(edge.from);
+  });
+  const componentOf = new Map();
+  const components = [];
+  BASE_NODES.forEach(({ id }) => {
+    if (componentOf.has(id)) return;
+    const members = [id];
+    componentOf.set(id, components.length);
+    for (let index = 0; index < members.length; index += 1) {
+      (neighbors.get(members[index]) || []).forEach((neighborId) => {
+        if (componentOf.has(neighborId)) return;
+        componentOf.set(neighborId, components.length);
+        members.push(neighborId);
+      });
+    }
+    components.push(members);
+  });
+  // 按节点数降序重新编号
+  const order = components
+    .map((members, index) => ({ index, size: members.length }))
+    .sort((a, b) => b.size - a.size);
+  const rank = new Map(order.map(({ index }, position) => [index, position]));
+  const byRoadId = new Map();
+  BASE_EDGES.forEach((edge) => {
+    if (!edge.roadId || byRoadId.has(edge.roadId)) return;
+    byRoadId.set(edge.roadId, rank.get(componentOf.get(edge.from)));
+  });
+  ROAD_COMPONENTS = { sizes: order.map(({ size }) => size), byRoadId };
+  return ROAD_COMPONENTS;
 }
 
 export function getRoadGraphSummary() {
@@ -249,3 +1581,35 @@ export function getRoadGraphSummary() {
     edges: BASE_EDGES.length,
   };
 }
+
+/**
+ * findNearestRoadEdge：查询离某点最近的可通行路网边（供地图点击等功能复用）
+ * @param {{ x: number, z: number }} point - worldX/worldZ 坐标
+ * @param {object} [options]
+ * @param {string} [options.mode] - 交通方式，缺省时不过滤
+ * @param {number} [options.maxDistance] - 最大距离（米），默认 config.poiRoute.maxSnapDistance
+ * @param {(edge) => boolean} [options.filter] - 附加过滤条件（如只要有名称的道路）
+ * @returns {{ edge, ratio, point, distance }|null}
+ */
+export function findNearestRoadEdge(point, options = {}) {
+  const isModeAllowed = options.mode ? createEdgeFilter(options.mode) : () => true;
+  const isEdgeAllowed = options.filter
+    ? (edge) => isModeAllowed(edge) && options.filter(edge)
+    : isModeAllowed;
+  const maxDistance = Number.isFinite(options.maxDistance)
+    ? options.maxDistance
+    : MAX_SNAP_DISTANCE;
+  return findClosestEdge(point, isEdgeAllowed, maxDistance);
+}
+
+/**
+ * queryRoadEdgesInBBox：返回与包围盒相交的路网边
+ * @param {{ minX: number, minZ: number, maxX: number, maxZ: number }} bbox - worldX/worldZ 范围
+ * @param {object} [options]
+ * @param {string} [options.mode] - 交通方式，缺省时不过滤
+ * @returns {Array<{ id, from, to, length, roadId }>}
+ */
+export function queryRoadEdgesInBBox(bbox, options = {}) {
+  const isEdgeAllowed = options.mode ? createEdgeFilter(options.mode) : undefined;
+  return EDGE_INDEX.queryBBox(bbox, isEdgeAllowed);
+}
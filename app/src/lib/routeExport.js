@@ -0,0 +1,205 @@
+/**
+ * 路线导出：把当前路线转为 GPX / GeoJSON / KML 文本，便于导入手机地图与运动类应用
+ *
+ * 职责：
+ * - 路线折线（pointPath，路网坐标）经 graphToLngLat 还原为 WGS84 经纬度
+ * - 每条文字导航步骤导出为一个航点，名称为指引文本，附该步距离（米）
+ * - exportRoute 按格式返回 { filename, mimeType, content }，下载动作由调用方完成
+ *
+ * 约定：输出坐标保留 7 位小数（约 1 厘米），GPX/KML 为 UTF-8 XML
+ */
+
+// 读取路网逆投影，把 worldX/worldZ 还原为经纬度
+import { graphToLngLat } from "./roadGraph.js";
+// 读取交通方式名称，写入路线说明
+import { resolveTransportProfile } from "./routingProfiles.js";
+
+/**
+ * COORDINATE_DIGITS：导出经纬度保留的小数位数
+ */
+const COORDINATE_DIGITS = 7;
+
+/**
+ * EXPORT_FORMATS：支持的导出格式（扩展名与 MIME 类型）
+ */
+export const EXPORT_FORMATS = {
+  gpx: { label: "GPX", extension: "gpx", mimeType: "application/gpx+xml" },
+  geojson: { label: "GeoJSON", extension: "geojson", mimeType: "application/geo+json" },
+  kml: { label: "KML", extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+};
+
+const round = (value) => Number(value.toFixed(COORDINATE_DIGITS));
+
+const toLngLat = (point) => graphToLngLat(point).map(round);
+
+/**
+ * escapeXml：转义 XML 文本与属性中的特殊字符
+ */
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * describeRoute：路线名称与说明（起终点、总长、交通方式）
+ */
+function describeRoute(route) {
+  const name = `${route.from ?? "起点"} → ${route.to ?? "终点"}`;
+  const length = Math.round(Number(route.length) || 0);
+  const mode = route.mode ? `，${resolveTransportProfile(route.mode).label}` : "";
+  return { name, description: `全程 ${length} 米${mode}` };
+}
+
+/**
+ * collectWaypoints：带坐标的导航步骤 → 航点
+ * @returns {Array<{ lngLat: [number, number], name: string, distance: number, maneuver: string }>}
+ */
+function collectWaypoints(steps) {
+  return (Array.isArray(steps) ? steps : [])
+    .filter((step) => Number.isFinite(step?.point?.worldX) && Number.isFinite(step?.point?.worldZ))
+    .map((step) => ({
+      lngLat: toLngLat(step.point),
+      name: step.text ?? "",
+      distance: Math.round(Number(step.distance) || 0),
+      maneuver: step.maneuver ?? null,
+    }));
+}
+
+/**
+ * toGeoJSON：LineString 路线 + Point 航点的 FeatureCollection
+ * @param {object} route - 见 exportRoute
+ * @returns {object}
+ */
+export function toGeoJSON(route) {
+  const { name, description } = describeRoute(route);
+  const line = {
+    type: "Feature",
+    properties: {
+      name,
+      description,
+      from: route.from ?? null,
+      to: route.to ?? null,
+      length: Number(route.length) || 0,
+      mode: route.mode ?? null,
+    },
+    geometry: { type: "LineString", coordinates: route.pointPath.map(toLngLat) },
+  };
+  const waypoints = collectWaypoints(route.steps).map((waypoint, index) => ({
+    type: "Feature",
+    properties: {
+      index: index + 1,
+      name: waypoint.name,
+      distance: waypoint.distance,
+      maneuver: waypoint.maneuver,
+    },
+    geometry: { type: "Point", coordinates: waypoint.lngLat },
+  }));
+  return { type: "FeatureCollection", features: [line, ...waypoints] };
+}
+
+/**
+ * toGpx：GPX 1.1 文本，航点为 wpt，路线为单段 trk
+ * @param {object} route - 见 exportRoute
+ * @returns {string}
+ */
+export function toGpx(route) {
+  const { name, description } = describeRoute(route);
+  const waypoints = collectWaypoints(route.steps).map(
+    ({ lngLat: [lng, lat], name: text, distance }) =>
+      `  <wpt lat="${lat}" lon="${lng}">\n` +
+      `    <name>${escapeXml(text)}</name>\n` +
+      `    <desc>${distance} 米</desc>\n` +
+      "  </wpt>"
+  );
+  const points = route.pointPath.map((point) => {
+    const [lng, lat] = toLngLat(point);
+    return `      <trkpt lat="${lat}" lon="${lng}"></trkpt>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="campus-nav" xmlns="http://www.topografix.com/GPX/1/1">',
+    "  <metadata>",
+    `    <name>${escapeXml(name)}</name>`,
+    `    <desc>${escapeXml(description)}</desc>`,
+    "  </metadata>",
+    ...waypoints,
+    "  <trk>",
+    `    <name>${escapeXml(name)}</name>`,
+    "    <trkseg>",
+    ...points,
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * toKml：KML 2.2 文本，路线为 LineString Placemark，航点为 Point Placemark
+ * @param {object} route - 见 exportRoute
+ * @returns {string}
+ */
+export function toKml(route) {
+  const { name, description } = describeRoute(route);
+  const coordinates = route.pointPath.map((point) => toLngLat(point).join(",")).join(" ");
+  const waypoints = collectWaypoints(route.steps).map(
+    ({ lngLat, name: text, distance }) =>
+      "    <Placemark>\n" +
+      `      <name>${escapeXml(text)}</name>\n` +
+      `      <description>${distance} 米</description>\n` +
+      `      <Point><coordinates>${lngLat.join(",")}</coordinates></Point>\n` +
+      "    </Placemark>"
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    `    <description>${escapeXml(description)}</description>`,
+    "    <Placemark>",
+    `      <name>${escapeXml(name)}</name>`,
+    `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+    "    </Placemark>",
+    ...waypoints,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * exportRoute：按格式生成路线文件
+ * @param {object} route
+ * @param {string} [route.from] - 起点名称
+ * @param {string} [route.to] - 终点名称
+ * @param {number} [route.length] - 总长度（米）
+ * @param {string} [route.mode] - 交通方式
+ * @param {Array<{ worldX: number, worldZ: number }>} route.pointPath - 路线折线（至少 2 点）
+ * @param {Array} [route.steps] - buildRouteInstructions 的结果
+ * @param {"gpx"|"geojson"|"kml"} format
+ * @returns {{ filename: string, mimeType: string, content: string }}
+ */
+export function exportRoute(route, format) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`不支持的导出格式：${format}`);
+  }
+  if (!Array.isArray(route?.pointPath) || route.pointPath.length < 2) {
+    throw new Error("没有可导出的路线");
+  }
+  const content =
+    format === "gpx"
+      ? toGpx(route)
+      : format === "kml"
+      ? toKml(route)
+      : JSON.stringify(toGeoJSON(route), null, 2);
+  const baseName = `路线_${route.from ?? "起点"}_${route.to ?? "终点"}`.replace(
+    /[\\/:*?"<>|\s]+/g,
+    "_"
+  );
+  return { filename: `${baseName}.${target.extension}`, mimeType: target.mimeType, content };
+}
@@ -0,0 +1,273 @@
+/**
+ * 路线文字导航（turn-by-turn）：把 edgePath/pointPath 转为逐步的中文指引
+ *
+ * 职责：
+ * - 连续且同一 roadId 的边合并为一段，过短的连接段并入上一段
+ * - 依据相邻两段的方位角差判断左转/右转/直行/掉头
+ * - 道路名取 name:zh → name → highway 中文泛称；转弯点附近的 POI 作为地标
+ * - 穿越校园围墙的路段在指引末尾注明经过的校门（出校/进校）
+ *
+ * 坐标约定：worldX 向东、worldZ 向南（worldZ = -投影 y），方位角以正北为 0°、顺时针为正
+ */
+
+// 读取道路标签与校门列表，获取路名、道路等级与校门名称
+import { getRoadTags, listCampusGates } from "./roadGraph.js";
+// 读取 POI 列表，作为转弯处的地标
+import { getPoiRecords } from "./poiIndex.js";
+// 读取全局配置，获取地标搜索半径与最短步骤长度
+import config from "../config/index.js";
+
+/**
+ * LANDMARK_RADIUS：转弯点与地标 POI 的最大距离（米）
+ */
+const LANDMARK_RADIUS = Number(config.poiRoute?.instructions?.landmarkRadius) || 40;
+
+/**
+ * MIN_STEP_LENGTH：短于该长度（米）的路段并入上一段，避免路口连接线产生噪声步骤
+ */
+const MIN_STEP_LENGTH = Number(config.poiRoute?.instructions?.minStepLength) || 8;
+
+/**
+ * HIGHWAY_LABELS：无路名时按道路等级给出的泛称
+ */
+const HIGHWAY_LABELS = {
+  footway: "人行道",
+  pedestrian: "步行街",
+  path: "小路",
+  steps: "台阶",
+  cycleway: "自行车道",
+  service: "辅路",
+  living_street: "生活区道路",
+  track: "土路",
+};
+
+/**
+ * GATE_NAMES：校门 stableId → 名称（无名称的校门统称“校门”）
+ */
+const GATE_NAMES = new Map(listCampusGates().map((gate) => [gate.id, gate.name || "校门"]));
+
+/**
+ * DIRECTION_LABELS：八方位中文名称，自正北起顺时针
+ */
+const DIRECTION_LABELS = ["北", "东北", "东", "东南", "南", "西南", "西", "西北"];
+
+/**
+ * MANEUVER_LABELS：转向类型 → 中文动作
+ */
+const MANEUVER_LABELS = {
+  straight: "直行",
+  "slight-left": "稍向左转",
+  "slight-right": "稍向右转",
+  left: "左转",
+  right: "右转",
+  "sharp-left": "向左急转",
+  "sharp-right": "向右急转",
+  uturn: "掉头",
+};
+
+/**
+ * computeBearing：两点连线的方位角（度，0~360）
+ */
+export function computeBearing(from, to) {
+  const dx = to.worldX - from.worldX;
+  const north = -(to.worldZ - from.worldZ);
+  const degrees = (Math.atan2(dx, north) * 180) / Math.PI;
+  return (degrees + 360) % 360;
+}
+
+/**
+ * classifyTurn：根据前后两段方位角判断转向
+ * @param {number} inBearing - 进入路口的方位角
+ * @param {number} outBearing - 离开路口的方位角
+ * @returns {string} MANEUVER_LABELS 的键
+ */
+export function classifyTurn(inBearing, outBearing) {
+  let delta = outBearing - inBearing;
+  while (delta > 180) delta -= 360;
+  while (delta <= -180) delta += 360;
+  const magnitude = Math.abs(delta);
+  const side = delta > 0 ? "right" : "left";
+  if (magnitude < 25) return "straight";
+  if (magnitude < 60) return `slight-${side}`;
+  if (magnitude < 135) return side;
+  if (magnitude < 165) return `sharp-${side}`;
+  return "uturn";
+}
+
+/**
+ * resolveRoadName：道路显示名称
+ */
+function resolveRoadName(roadId) {
+  const tags = getRoadTags(roadId);
+  if (!tags) return "道路";
+  return tags["name:zh"] || tags.name || HIGHWAY_LABELS[tags.highway] || "道路";
+}
+
+/**
+ * findLandmark：查找离某点最近的 POI 名称（限定半径内）
+ */
+function findLandmark(point, pois, excludeNames) {
+  let best = null;
+  pois.forEach((poi) => {
+    if (excludeNames.has(poi.name)) return;
+    const distance = Math.hypot(poi.worldX - point.worldX, poi.worldZ - point.worldZ);
+    if (distance <= LANDMARK_RADIUS && (!best || distance < best.distance)) {
+      best = { name: poi.name, distance };
+    }
+  });
+  return best?.name ?? null;
+}
+
+/**
+ * describeGate：路段穿越围墙的说明，如“经南门出校”；未登记校门的缺口称“围墙缺口”
+ */
+function describeGate(gate) {
+  const name = gate.gateId ? GATE_NAMES.get(gate.gateId) || "校门" : "围墙缺口";
+  return `经${name}${gate.direction === "exit" ? "出校" : "进校"}`;
+}
+
+/**
+ * groupSegments：按 roadId 合并连续边，返回带首尾方位角的路段
+ * edgePath[i] 对应 pointPath[i] → pointPath[i + 1]
+ * 路段内首次穿越围墙的位置记为 gate（{ gateId, direction }），合并路段时保留
+ */
+function groupSegments(leg) {
+  const edges = Array.isArray(leg?.edgePath) ? leg.edgePath : [];
+  const points = Array.isArray(leg?.pointPath) ? leg.pointPath : [];
+  const segments = [];
+  edges.forEach((edge, index) => {
+    const from = points[index];
+    const to = points[index + 1];
+    if (!from || !to || !(edge.length > 0)) return;
+    const bearing = computeBearing(from, to);
+    const gate = edge.boundaryCrossing
+      ? { gateId: edge.gateId || null, direction: edge.boundaryCrossing }
+      : null;
+    const last = segments[segments.length - 1];
+    if (last && last.roadId === edge.roadId) {
+      last.length += edge.length;
+      last.endBearing = bearing;
+      last.gate = last.gate || gate;
+      return;
+    }
+    segments.push({
+      roadId: edge.roadId,
+      roadName: resolveRoadName(edge.roadId),
+      length: edge.length,
+      start: from,
+      startBearing: bearing,
+      endBearing: bearing,
+      gate,
+    });
+  });
+  // 过短路段并入上一段且不改变其朝向；同名且直行衔接的路段合并为一步
+  return segments.reduce((result, segment) => {
+    const last = result[result.length - 1];
+    if (last && segment.length < MIN_STEP_LENGTH) {
+      last.length += segment.length;
+      last.gate = last.gate || segment.gate;
+      return result;
+    }
+    if (
+      last &&
+      segment.roadName === last.roadName &&
+      classifyTurn(last.endBearing, segment.startBearing) === "straight"
+    ) {
+      last.length += segment.length;
+      last.endBearing = segment.endBearing;
+      last.gate = last.gate || segment.gate;
+      return result;
+    }
+    result.push({ ...segment });
+    return result;
+  }, []);
+}
+
+const formatMeters = (meters) => `${Math.max(1, Math.round(meters))} 米`;
+
+/**
+ * buildLegSteps：单段路线的指引（出发 → 若干转向 → 到达）
+ */
+function buildLegSteps(leg, from, to, pois, isLastLeg) {
+  const segments = groupSegments(leg);
+  const excludeNames = new Set([from?.name, to?.name].filter(Boolean));
+  const steps = [];
+  segments.forEach((segment, index) => {
+    const gateText = segment.gate ? `，${describeGate(segment.gate)}` : "";
+    if (index === 0) {
+      const direction = DIRECTION_LABELS[Math.round(segment.startBearing / 45) % 8];
+      const origin = from?.name ? `从${from.name}` : "从起点";
+      steps.push({
+        type: "depart",
+        maneuver: "depart",
+        roadId: segment.roadId,
+        roadName: segment.roadName,
+        distance: segment.length,
+        landmark: null,
+        gate: segment.gate,
+        point: segment.start,
+        text: `${origin}向${direction}出发，沿${segment.roadName}前行 ${formatMeters(segment.length)}${gateText}`,
+      });
+      return;
+    }
+    const previous = segments[index - 1];
+    const maneuver = classifyTurn(previous.endBearing, segment.startBearing);
+    const landmark = findLandmark(segment.start, pois, excludeNames);
+    const prefix = landmark ? `在${landmark}处` : "";
+    const action =
+      maneuver === "straight"
+        ? `${prefix}直行进入${segment.roadName}`
+        : `${prefix}${MANEUVER_LABELS[maneuver]}`;
+    const follow =
+      maneuver === "straight"
+        ? `，前行 ${formatMeters(segment.length)}`
+        : `，沿${segment.roadName}前行 ${formatMeters(segment.length)}`;
+    steps.push({
+      type: maneuver === "straight" ? "continue" : "turn",
+      maneuver,
+      roadId: segment.roadId,
+      roadName: segment.roadName,
+      distance: segment.length,
+      landmark,
+      gate: segment.gate,
+      point: segment.start,
+      text: `${action}${follow}${gateText}`,
+    });
+  });
+  const lastPoint = leg?.pointPath?.[leg.pointPath.length - 1] ?? null;
+  const targetName = to?.name ?? (isLastLeg ? "终点" : "途经点");
+  steps.push({
+    type: isLastLeg ? "arrive" : "waypoint",
+    maneuver: isLastLeg ? "arrive" : "waypoint",
+    roadId: null,
+    roadName: null,
+    distance: 0,
+    landmark: to?.name ?? null,
+    gate: null,
+    point: lastPoint,
+    text: isLastLeg ? `到达${targetName}` : `到达途经点${targetName}`,
+  });
+  return steps;
+}
+
+/**
+ * buildRouteInstructions：生成整条路线的文字指引
+ * @param {object} route - solveRouteBetweenPoints / solveRouteThroughWaypoints 的结果
+ * @param {object} [options]
+ * @param {object} [options.from] - 起点（含 name），单段路线时使用
+ * @param {object} [options.to] - 终点（含 name），单段路线时使用
+ * @param {Array} [options.pois] - 地标候选，默认 getPoiRecords()
+ * @returns {Array<{ type, maneuver, roadId, roadName, distance, landmark, gate, point, text }>}
+ *          gate 为该步穿越围墙的位置 { gateId, direction }，未穿越时为 null
+ */
+export function buildRouteInstructions(route, options = {}) {
+  if (!route) return [];
+  const pois = Array.isArray(options.pois) ? options.pois : getPoiRecords();
+  const legs =
+    Array.isArray(route.legs) && route.legs.length > 0
+      ? route.legs
+      : [{ ...route, from: options.from, to: options.to }];
+  return legs.flatMap((leg, index) =>
+    buildLegSteps(leg, leg.from, leg.to, pois, index === legs.length - 1)
+  );
+}
@@ -0,0 +1,117 @@
+/**
+ * 实时定位跟踪：把定位点吸附到当前路线上，并判断是否偏航需要重新规划
+ *
+ * 职责：
+ * - snapToRoute：求定位点到路线折线的最近点、偏离距离与沿线里程
+ * - createOffRouteMonitor：偏离超过阈值且连续若干次定位都如此时才触发重规划，两次重规划之间有冷却时间，
+ *   避免定位漂移造成频繁重算
+ * - createCurrentLocation：定位点 → 导航地点“当前位置”，作为重规划的起点
+ * - remainingWaypoints：按已走过的里程去掉已经经过的途经点，重规划时不再折返
+ *
+ * 坐标约定：路网坐标（worldX 向东、worldZ 向南），经纬度换算由调用方经 projectToGraph 完成
+ */
+
+/**
+ * snapToRoute：定位点吸附到路线
+ * @param {{ points: Array<{ worldX, worldZ }>, cumulative: number[] }} track - 当前路线轨迹（routeWalkthrough.createRouteTrack）
+ * @param {{ worldX: number, worldZ: number }} point - 定位点（路网坐标）
+ * @returns {{ worldX: number, worldZ: number, offset: number, along: number }|null}
+ *          offset 为定位点到路线的距离（米），along 为吸附点距起点的里程；参数无效时返回 null
+ */
+export function snapToRoute(track, point) {
+  if (!track || !Number.isFinite(point?.worldX) || !Number.isFinite(point?.worldZ)) return null;
+  let best = null;
+  for (let i = 0; i < track.points.length - 1; i += 1) {
+    const from = track.points[i];
+    const to = track.points[i + 1];
+    const dx = to.worldX - from.worldX;
+    const dz = to.worldZ - from.worldZ;
+    const lengthSquared = dx * dx + dz * dz;
+    const projection = (point.worldX - from.worldX) * dx + (point.worldZ - from.worldZ) * dz;
+    const ratio = lengthSquared > 0 ? Math.min(Math.max(projection / lengthSquared, 0), 1) : 0;
+    const worldX = from.worldX + dx * ratio;
+    const worldZ = from.worldZ + dz * ratio;
+    const offset = Math.hypot(point.worldX - worldX, point.worldZ - worldZ);
+    if (!best || offset < best.offset) {
+      best = {
+        worldX,
+        worldZ,
+        offset,
+        along: track.cumulative[i] + Math.sqrt(lengthSquared) * ratio,
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * createOffRouteMonitor：偏航判定
+ * @param {object} [options]
+ * @param {number} [options.threshold=25] - 偏离路线超过该距离（米）视为偏航
+ * @param {number} [options.confirmCount=2] - 连续偏航的定位次数达到该值才重规划
+ * @param {number} [options.cooldown=10] - 两次重规划的最短间隔（秒，按定位时间戳计）
+ * @returns {{ update: (offset: number, timestamp: number) => { offRoute: boolean, reroute: boolean }, reset: () => void }}
+ */
+export function createOffRouteMonitor(options = {}) {
+  const threshold = Number(options.threshold) > 0 ? Number(options.threshold) : 25;
+  const confirmCount = Math.max(1, Math.round(Number(options.confirmCount) || 2));
+  const cooldown = (Number(options.cooldown) >= 0 ? Number(options.cooldown) : 10) * 1000;
+  let strikes = 0;
+  let lastRerouteAt = -Infinity;
+
+  const update = (offset, timestamp) => {
+    const offRoute = Number(offset) > threshold;
+    strikes = offRoute ? strikes + 1 : 0;
+    const now = Number(timestamp) || 0;
+    const reroute = offRoute && strikes >= confirmCount && now - lastRerouteAt >= cooldown;
+    if (reroute) {
+      strikes = 0;
+      lastRerouteAt = now;
+    }
+    return { offRoute, reroute };
+  };
+
+  const reset = () => {
+    strikes = 0;
+  };
+
+  return { update, reset };
+}
+
+/**
+ * createCurrentLocation：由定位点生成导航地点“当前位置”
+ * @param {{ worldX: number, worldZ: number }} point - 定位点（路网坐标）
+ * @param {{ lng: number, lat: number }} [lngLat] - 原始经纬度
+ * @returns {{ poiId: null, name: "当前位置", worldX, worldZ, lng, lat, parentId: null, parentType: null, source: "position" }}
+ */
+export function createCurrentLocation(point, lngLat = {}) {
+  return {
+    poiId: null,
+    name: "当前位置",
+    worldX: point.worldX,
+    worldZ: point.worldZ,
+    lng: lngLat.lng ?? null,
+    lat: lngLat.lat ?? null,
+    parentId: null,
+    parentType: null,
+    source: "position",
+  };
+}
+
+/**
+ * remainingWaypoints：尚未经过的途经点
+ * 第 i 个途经点位于前 i + 1 段路线的累计长度处，里程不超过 along 的视为已经过
+ * @param {Array<object>} waypoints - 按经过顺序排列的途经点
+ * @param {Array<{ length: number }>} legs - 当前路线各段（activeRoute.legs），段数应为途经点数 + 1
+ * @param {number} along - 已走过的里程（米），通常为最后一次在路线上时的吸附里程
+ * @returns {Array<object>} 段数与途经点数不匹配时原样返回
+ */
+export function remainingWaypoints(waypoints, legs, along) {
+  const list = Array.isArray(waypoints) ? waypoints : [];
+  if (!Array.isArray(legs) || legs.length !== list.length + 1 || !(Number(along) > 0)) return list;
+  let cumulative = 0;
+  return list.filter((_, index) => {
+    cumulative += Number(legs[index]?.length) || 0;
+    return cumulative > along;
+  });
+}
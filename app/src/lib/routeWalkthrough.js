@@ -0,0 +1,175 @@
+/**
+ * 沉浸式导航：沿路线折线（pointPath）按里程取点，供第一人称相机逐帧跟随
+ *
+ * 职责：
+ * - createRouteTrack：折线 → 带累计里程的轨迹，去除重复点
+ * - sampleRouteTrack：按里程取位置与前进方位角（超出范围时夹到两端）
+ * - sampleRouteView：相机位置与前视点（前视点沿路线前移，路口处视线提前转向）
+ * - locateSteps / findUpcomingStep：把文字导航步骤定位到轨迹里程上，求前方下一条指引及剩余距离
+ *
+ * 坐标约定：与路网一致，worldX 向东、worldZ 向南；方位角以正北为 0°、顺时针为正
+ * 本模块不依赖 Three.js，换算为场景坐标由 three/routeWalkthroughCamera.js 完成
+ */
+
+// 复用文字导航的方位角计算，保证 HUD 与指引方向一致
+import { computeBearing } from "./routeInstructions.js";
+
+/**
+ * POINT_EPSILON：相邻点去重阈值（米）
+ */
+const POINT_EPSILON = 1e-3;
+
+/**
+ * STEP_MATCH_TOLERANCE：指引坐标与轨迹顶点视为重合的距离（米）
+ */
+const STEP_MATCH_TOLERANCE = 0.5;
+
+/**
+ * createRouteTrack：构建轨迹
+ * @param {Array<{ worldX: number, worldZ: number }>} pointPath
+ * @returns {{ points: Array<{ worldX, worldZ }>, cumulative: number[], totalLength: number }|null}
+ *          有效点少于 2 个时返回 null
+ */
+export function createRouteTrack(pointPath) {
+  const points = [];
+  (Array.isArray(pointPath) ? pointPath : []).forEach((point) => {
+    const worldX = Number(point?.worldX);
+    const worldZ = Number(point?.worldZ);
+    if (!Number.isFinite(worldX) || !Number.isFinite(worldZ)) return;
+    const last = points[points.length - 1];
+    if (last && Math.hypot(worldX - last.worldX, worldZ - last.worldZ) <= POINT_EPSILON) return;
+    points.push({ worldX, worldZ });
+  });
+  if (points.length < 2) return null;
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i += 1) {
+    const previous = points[i - 1];
+    const current = points[i];
+    cumulative.push(
+      cumulative[i - 1] + Math.hypot(current.worldX - previous.worldX, current.worldZ - previous.worldZ)
+    );
+  }
+  return { points, cumulative, totalLength: cumulative[cumulative.length - 1] };
+}
+
+/**
+ * findSegmentIndex：二分查找里程所在的线段下标（线段 i 为 points[i] → points[i + 1]）
+ */
+function findSegmentIndex(cumulative, distance) {
+  let low = 0;
+  let high = cumulative.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (cumulative[mid] <= distance) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * sampleRouteTrack：按里程取点
+ * @param {ReturnType<typeof createRouteTrack>} track
+ * @param {number} distance - 距起点的里程（米），超出 [0, totalLength] 时夹到两端
+ * @returns {{ worldX: number, worldZ: number, bearing: number, distance: number, segmentIndex: number }}
+ */
+export function sampleRouteTrack(track, distance) {
+  const clamped = Math.min(Math.max(Number(distance) || 0, 0), track.totalLength);
+  const index = findSegmentIndex(track.cumulative, clamped);
+  const from = track.points[index];
+  const to = track.points[index + 1];
+  const length = track.cumulative[index + 1] - track.cumulative[index];
+  const ratio = length > 0 ? (clamped - track.cumulative[index]) / length : 0;
+  return {
+    worldX: from.worldX + (to.worldX - from.worldX) * ratio,
+    worldZ: from.worldZ + (to.worldZ - from.worldZ) * ratio,
+    bearing: computeBearing(from, to),
+    distance: clamped,
+    segmentIndex: index,
+  };
+}
+
+/**
+ * sampleRouteView：第一人称视角的位置与前视点
+ * 前视点取前方 lookAhead 米处的路线点；接近终点时沿末段方向外推，避免视线退化为朝下
+ * @param {ReturnType<typeof createRouteTrack>} track
+ * @param {number} distance - 当前里程（米）
+ * @param {number} lookAhead - 前视距离（米）
+ * @returns {{ position: object, lookAt: { worldX: number, worldZ: number } }}
+ *          position 为 sampleRouteTrack 的结果
+ */
+export function sampleRouteView(track, distance, lookAhead) {
+  const position = sampleRouteTrack(track, distance);
+  const ahead = Math.max(Number(lookAhead) || 0, 1);
+  const remaining = track.totalLength - position.distance;
+  if (remaining >= ahead) {
+    const { worldX, worldZ } = sampleRouteTrack(track, position.distance + ahead);
+    return { position, lookAt: { worldX, worldZ } };
+  }
+  const last = track.points[track.points.length - 1];
+  const beforeLast = track.points[track.points.length - 2];
+  const radians = (computeBearing(beforeLast, last) * Math.PI) / 180;
+  const extra = ahead - remaining;
+  return {
+    position,
+    lookAt: {
+      worldX: last.worldX + Math.sin(radians) * extra,
+      worldZ: last.worldZ - Math.cos(radians) * extra,
+    },
+  };
+}
+
+/**
+ * locateSteps：求每条指引在轨迹上的里程
+ * 指引按顺序依次匹配，只在上一条指引之后的顶点中查找：与指引坐标重合的顶点有多个时
+ * （往返路线），取里程最接近“上一条指引里程 + 该步距离”的一个；没有重合顶点时取最近顶点
+ * @param {ReturnType<typeof createRouteTrack>} track
+ * @param {Array<{ point: { worldX, worldZ }|null, distance?: number }>} steps - buildRouteInstructions 的结果
+ * @returns {Array<object>} 原步骤附加 at（米）；缺少坐标的步骤被跳过
+ */
+export function locateSteps(track, steps) {
+  const located = [];
+  let cursor = 0;
+  let expected = 0;
+  (Array.isArray(steps) ? steps : []).forEach((step) => {
+    const x = Number(step?.point?.worldX);
+    const z = Number(step?.point?.worldZ);
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return;
+    let best = null;
+    for (let i = cursor; i < track.points.length; i += 1) {
+      const point = track.points[i];
+      const gap = Math.hypot(point.worldX - x, point.worldZ - z);
+      const offset = Math.abs(track.cumulative[i] - expected);
+      const matched = gap <= STEP_MATCH_TOLERANCE;
+      const bestMatched = best && best.gap <= STEP_MATCH_TOLERANCE;
+      if (
+        !best ||
+        (matched && (!bestMatched || offset < best.offset)) ||
+        (!matched && !bestMatched && gap < best.gap)
+      ) {
+        best = { index: i, gap, offset };
+      }
+    }
+    cursor = best.index;
+    const at = track.cumulative[best.index];
+    located.push({ ...step, at });
+    expected = at + (Number(step.distance) || 0);
+  });
+  return located;
+}
+
+/**
+ * findUpcomingStep：当前里程前方的下一条指引（出发步骤不算）
+ * @param {Array<{ at: number, maneuver: string }>} locatedSteps - locateSteps 的结果
+ * @param {number} distance - 当前里程（米）
+ * @returns {{ step: object, remaining: number }|null} 已越过全部指引时返回 null
+ */
+export function findUpcomingStep(locatedSteps, distance) {
+  const current = Number(distance) || 0;
+  const step = (locatedSteps || []).find(
+    (item) => item.maneuver !== "depart" && item.at > current + POINT_EPSILON
+  );
+  return step ? { step, remaining: step.at - current } : null;
+}
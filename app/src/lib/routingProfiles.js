@@ -0,0 +1,338 @@
+/**
+ * 交通方式路由规则：根据道路 OSM 标签判断某种交通方式能否通行
+ *
+ * 职责：
+ * - 将 navigationStore.transportMode（walk/bike/ebike/drive/accessible/car）映射为路由规则
+ * - 读取 roads-graph.json 中 roads 字典的 highway/access/foot/bicycle 等标签
+ * - 无障碍方式额外读取 surface/kerb/wheelchair 与节点 tags，给出代价系数与障碍说明
+ * - 骑行方式判断路段是否需要下车推行（bicycle=dismount 或显式放行的人行道/台阶）
+ * - 仅做纯判断，不关心图结构，roadGraph.js 在搜索时调用
+ */
+
+/**
+ * PERMISSIVE_VALUES：显式允许通行的标签值（foot=yes、bicycle=designated 等）
+ */
+const PERMISSIVE_VALUES = new Set(["yes", "designated", "permissive", "official"]);
+
+/**
+ * DENIED_VALUES：显式禁止通行的标签值
+ */
+const DENIED_VALUES = new Set(["no", "private"]);
+
+/**
+ * WALK_FORBIDDEN_HIGHWAYS：步行禁止进入的道路等级（高速/快速路及其匝道）
+ */
+const WALK_FORBIDDEN_HIGHWAYS = new Set([
+  "motorway",
+  "motorway_link",
+  "trunk",
+  "trunk_link",
+]);
+
+/**
+ * CYCLE_FORBIDDEN_HIGHWAYS：骑行默认禁止的道路等级（台阶、纯人行道、高速）
+ * 若道路显式标注 bicycle=yes/designated 则放行
+ */
+const CYCLE_FORBIDDEN_HIGHWAYS = new Set([
+  "steps",
+  "footway",
+  "pedestrian",
+  "corridor",
+  "motorway",
+  "motorway_link",
+]);
+
+/**
+ * PUSH_HIGHWAYS：骑行方式即使被显式放行（bicycle=yes/permissive）也需下车推行的道路等级
+ * bicycle=designated 表示人车共用道，可以骑行
+ */
+const PUSH_HIGHWAYS = new Set(["steps", "footway", "pedestrian", "corridor"]);
+
+/**
+ * DRIVE_ALLOWED_HIGHWAYS：允许机动车通行的道路等级
+ */
+const DRIVE_ALLOWED_HIGHWAYS = new Set([
+  "motorway",
+  "motorway_link",
+  "trunk",
+  "trunk_link",
+  "primary",
+  "primary_link",
+  "secondary",
+  "secondary_link",
+  "tertiary",
+  "tertiary_link",
+  "unclassified",
+  "residential",
+  "living_street",
+  "service",
+  "road",
+  "track",
+]);
+
+/**
+ * SURFACE_COST_FACTORS：无障碍出行的路面代价系数，未列出的铺装路面为 1
+ */
+const SURFACE_COST_FACTORS = {
+  compacted: 1.5,
+  sett: 1.5,
+  fine_gravel: 2,
+  grass_paver: 2,
+  cobblestone: 2.5,
+  gravel: 3,
+  pebblestone: 3,
+  unhewn_cobblestone: 3,
+  unpaved: 3,
+  dirt: 3,
+  earth: 3,
+  ground: 3,
+  woodchips: 3,
+  grass: 4,
+  mud: 4,
+  sand: 4,
+};
+
+/**
+ * BAD_SMOOTHNESS_VALUES：平整度较差、轮椅难以通行的 smoothness 取值（代价 ×2）
+ */
+const BAD_SMOOTHNESS_VALUES = new Set(["bad", "very_bad", "horrible", "very_horrible", "impassable"]);
+
+/**
+ * LOWERED_KERB_VALUES / RAISED_KERB_VALUES：路缘是否已降低（kerb 标签）
+ */
+const LOWERED_KERB_VALUES = new Set(["lowered", "flush", "no"]);
+const RAISED_KERB_VALUES = new Set(["raised", "yes"]);
+
+/**
+ * KERB_PENALTY_METERS：无障碍方式经过人行横道节点时附加的代价（米）
+ * - lowered：已降低路缘，无附加代价
+ * - unknown：未标注路缘，略微绕开以优先选择已确认降低的路口
+ * - raised：未降低路缘，轮椅难以通过，仅在别无选择时经过并给出提示
+ */
+const KERB_PENALTY_METERS = {
+  lowered: 0,
+  unknown: 15,
+  raised: 200,
+};
+
+/**
+ * CLOSED_HIGHWAYS：对所有交通方式封闭的道路等级（施工中）
+ */
+const CLOSED_HIGHWAYS = new Set(["construction"]);
+
+/**
+ * MODE_ALIASES：历史遗留的交通方式别名
+ */
+const MODE_ALIASES = {
+  car: "drive",
+  wheelchair: "accessible",
+};
+
+/**
+ * hasValue：判断标签值是否落在集合内（大小写不敏感）
+ */
+function hasValue(value, valueSet) {
+  if (value === undefined || value === null) return false;
+  return valueSet.has(String(value).toLowerCase());
+}
+
+function isWalkAllowed(tags) {
+  if (WALK_FORBIDDEN_HIGHWAYS.has(tags.highway)) return false;
+  if (hasValue(tags.foot, PERMISSIVE_VALUES)) return true;
+  if (hasValue(tags.foot, DENIED_VALUES)) return false;
+  return String(tags.access ?? "").toLowerCase() !== "no";
+}
+
+function isCycleAllowed(tags) {
+  if (hasValue(tags.bicycle, PERMISSIVE_VALUES)) return true;
+  if (String(tags.bicycle ?? "").toLowerCase() === "dismount") return true;
+  if (hasValue(tags.bicycle, DENIED_VALUES)) return false;
+  if (CYCLE_FORBIDDEN_HIGHWAYS.has(tags.highway)) return false;
+  return String(tags.access ?? "").toLowerCase() !== "no";
+}
+
+/**
+ * requiresCycleDismount：骑行方式在该路段是否需要下车推行
+ */
+function requiresCycleDismount(tags) {
+  const bicycle = String(tags.bicycle ?? "").toLowerCase();
+  if (bicycle === "dismount") return true;
+  return PUSH_HIGHWAYS.has(tags.highway) && bicycle !== "designated";
+}
+
+function isDriveAllowed(tags) {
+  if (!DRIVE_ALLOWED_HIGHWAYS.has(tags.highway)) return false;
+  const motorTag = tags.motorcar ?? tags.motor_vehicle ?? tags.vehicle;
+  if (hasValue(motorTag, PERMISSIVE_VALUES)) return true;
+  if (hasValue(motorTag, DENIED_VALUES)) return false;
+  return !hasValue(tags.access, DENIED_VALUES);
+}
+
+/**
+ * classifyKerb：把 kerb 标签归为 lowered / raised / unknown
+ */
+function classifyKerb(value) {
+  if (hasValue(value, LOWERED_KERB_VALUES)) return "lowered";
+  if (hasValue(value, RAISED_KERB_VALUES)) return "raised";
+  return "unknown";
+}
+
+/**
+ * isAccessibleAllowed：无障碍方式在步行规则基础上禁止台阶与 wheelchair=no，wheelchair=yes 时放行
+ */
+function isAccessibleAllowed(tags) {
+  if (!isWalkAllowed(tags)) return false;
+  if (String(tags.wheelchair ?? "").toLowerCase() === "no") return false;
+  if (hasValue(tags.wheelchair, PERMISSIVE_VALUES)) return true;
+  return tags.highway !== "steps";
+}
+
+/**
+ * getAccessibleCostFactor：无障碍方式的道路代价系数（路面、平整度、人行横道路缘）
+ */
+function getAccessibleCostFactor(tags) {
+  let factor = SURFACE_COST_FACTORS[String(tags.surface ?? "").toLowerCase()] || 1;
+  if (hasValue(tags.smoothness, BAD_SMOOTHNESS_VALUES)) factor *= 2;
+  if (tags.footway === "crossing" || tags.highway === "crossing") {
+    const kerb = classifyKerb(tags.kerb);
+    if (kerb === "unknown") factor *= 1.5;
+    if (kerb === "raised") factor *= 5;
+  }
+  return factor;
+}
+
+/**
+ * getAccessibleNodePenalty：经过带标签节点（人行横道、路缘）时的附加代价（米）
+ */
+function getAccessibleNodePenalty(nodeTags) {
+  if (String(nodeTags.wheelchair ?? "").toLowerCase() === "no") {
+    return KERB_PENALTY_METERS.raised;
+  }
+  const isCrossing = nodeTags.highway === "crossing" || nodeTags.crossing !== undefined;
+  if (!isCrossing && nodeTags.barrier !== "kerb") return 0;
+  return KERB_PENALTY_METERS[classifyKerb(nodeTags.kerb)];
+}
+
+/**
+ * describeAccessibleIssue：说明道路/节点对轮椅、婴儿车不友好的原因，无问题返回 null
+ * @param {object} tags - 道路或节点标签
+ * @returns {string|null}
+ */
+function describeAccessibleIssue(tags) {
+  if (tags.highway === "steps" && !hasValue(tags.wheelchair, PERMISSIVE_VALUES)) return "台阶";
+  if (String(tags.wheelchair ?? "").toLowerCase() === "no") return "不可轮椅通行路段";
+  const isKerbed =
+    tags.footway === "crossing" ||
+    tags.highway === "crossing" ||
+    tags.crossing !== undefined ||
+    tags.barrier === "kerb";
+  if (isKerbed && classifyKerb(tags.kerb) === "raised") return "未降低的路缘";
+  if ((SURFACE_COST_FACTORS[String(tags.surface ?? "").toLowerCase()] || 1) >= 3) {
+    return "碎石/土路等不平整路面";
+  }
+  return null;
+}
+
+/**
+ * TRANSPORT_PROFILES：交通方式 → 路由规则
+ * - isRoadAllowed(tags)：道路标签是否允许该方式通行
+ * - respectsOneway：是否遵守 oneway（步行可双向通行单行道）
+ * - speedKmh：平均速度（公里/小时），用于可达范围、沉浸式导航回放，以及 lib/travelTime.js 的基准速度
+ * - timeModel：预计耗时模型（foot 步行 / wheelchair 轮椅 / cycle 骑行 / drive 机动车），见 lib/travelTime.js
+ * - getCostFactor(tags)：可选，道路边权系数（≥ 1），缺省为 1
+ * - getNodePenalty(nodeTags)：可选，进入带标签节点时附加的代价（米）
+ * - describeIssue(tags)：可选，道路/节点不适合该方式的原因，用于提示
+ * - fallbackMode：可选，本方式找不到路线时退回的交通方式（结果附带提示）
+ * - requiresDismount(tags)：可选，路段是否需要下车推行（按推行速度计时并附加上下车耗时）
+ */
+export const TRANSPORT_PROFILES = Object.freeze({
+  walk: Object.freeze({
+    key: "walk",
+    label: "步行",
+    isRoadAllowed: isWalkAllowed,
+    respectsOneway: false,
+    speedKmh: 5,
+    timeModel: "foot",
+  }),
+  bike: Object.freeze({
+    key: "bike",
+    label: "自行车",
+    isRoadAllowed: isCycleAllowed,
+    respectsOneway: true,
+    speedKmh: 12,
+    timeModel: "cycle",
+    requiresDismount: requiresCycleDismount,
+  }),
+  ebike: Object.freeze({
+    key: "ebike",
+    label: "电动车",
+    isRoadAllowed: isCycleAllowed,
+    respectsOneway: true,
+    speedKmh: 20,
+    timeModel: "cycle",
+    requiresDismount: requiresCycleDismount,
+  }),
+  drive: Object.freeze({
+    key: "drive",
+    label: "驾驶",
+    isRoadAllowed: isDriveAllowed,
+    respectsOneway: true,
+    speedKmh: 30,
+    timeModel: "drive",
+  }),
+  accessible: Object.freeze({
+    key: "accessible",
+    label: "无障碍",
+    isRoadAllowed: isAccessibleAllowed,
+    respectsOneway: false,
+    // 轮椅/婴儿车：手动轮椅在平整路面的常见速度
+    speedKmh: 3.5,
+    timeModel: "wheelchair",
+    getCostFactor: getAccessibleCostFactor,
+    getNodePenalty: getAccessibleNodePenalty,
+    describeIssue: describeAccessibleIssue,
+    fallbackMode: "walk",
+  }),
+});
+
+/**
+ * resolveTransportProfile：按交通方式取路由规则，未知值回退到步行
+ * @param {string} mode - transportMode
+ * @returns {object} TRANSPORT_PROFILES 中的规则对象
+ */
+export function resolveTransportProfile(mode) {
+  const key = MODE_ALIASES[mode] ?? mode;
+  return TRANSPORT_PROFILES[key] || TRANSPORT_PROFILES.walk;
+}
+
+/**
+ * isRoadClosed：道路是否处于封闭状态（highway=construction），与交通方式无关
+ * @param {object|null} tags - roads 字典中的道路标签
+ * @returns {boolean}
+ */
+export function isRoadClosed(tags) {
+  return Boolean(tags) && CLOSED_HIGHWAYS.has(tags.highway);
+}
+
+/**
+ * isGateClosed：校门通行标签是否表明不对外开放（access=no/private 或 locked=yes）
+ * @param {object|null} access - roads-graph.json gates[id].access
+ * @returns {boolean}
+ */
+export function isGateClosed(access) {
+  if (!access) return false;
+  const value = String(access.access ?? "").toLowerCase();
+  return value === "no" || value === "private" || String(access.locked ?? "").toLowerCase() === "yes";
+}
+
+/**
+ * isRoadAllowedForMode：判断道路标签是否允许指定交通方式通行
+ * @param {object|null} tags - roads 字典中的道路标签，缺失时视为无限制
+ * @param {string} mode - transportMode
+ * @returns {boolean}
+ */
+export function isRoadAllowedForMode(tags, mode) {
+  if (!tags) return true;
+  if (isRoadClosed(tags)) return false;
+  return resolveTransportProfile(mode).isRoadAllowed(tags);
+}
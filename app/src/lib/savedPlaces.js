@@ -0,0 +1,176 @@
+/**
+ * 常用地点与最近路线：localStorage 持久化数据的版本化结构与纯函数操作
+ *
+ * 存储结构（SAVED_PLACES_VERSION = 1）：
+ * {
+ *   version: 1,
+ *   favorites: [{ id, label, location, createdAt }],        // 收藏地点，如“我的宿舍”
+ *   recentRoutes: [{ id, from, to, mode, usedAt }],         // 最近路线，最新在前
+ * }
+ * location / from / to 为 toStoredLocation 精简后的地点快照（POI、地图选点或坐标地点）；
+ * 带 poiId 的快照在使用时经 resolveStoredLocation 取回当前的 POI 记录，POI 已不存在时才使用快照
+ *
+ * 约定：所有函数返回新对象，不修改入参；读写 localStorage 由 navigationStore 负责
+ */
+
+/**
+ * SAVED_PLACES_VERSION：当前存储结构版本，结构变化时递增并在 migrateSavedPlaces 中补迁移
+ */
+export const SAVED_PLACES_VERSION = 1;
+
+/**
+ * LOCATION_FIELDS：持久化时保留的地点字段
+ */
+const LOCATION_FIELDS = [
+  "poiId",
+  "name",
+  "worldX",
+  "worldZ",
+  "parentId",
+  "parentType",
+  "poiType",
+  "source",
+  "lng",
+  "lat",
+];
+
+/**
+ * createEmptySavedPlaces：空数据
+ */
+export function createEmptySavedPlaces() {
+  return { version: SAVED_PLACES_VERSION, favorites: [], recentRoutes: [] };
+}
+
+/**
+ * toStoredLocation：只保留可序列化的地点字段，坐标非法时返回 null
+ * @param {object} location
+ * @returns {object|null}
+ */
+export function toStoredLocation(location) {
+  if (!location?.name || !Number.isFinite(location.worldX) || !Number.isFinite(location.worldZ)) {
+    return null;
+  }
+  const stored = {};
+  LOCATION_FIELDS.forEach((field) => {
+    if (location[field] !== undefined) stored[field] = location[field];
+  });
+  return stored;
+}
+
+/**
+ * resolveStoredLocation：按 poiId 取回当前的 POI 记录（名称、坐标随数据更新），找不到时返回快照本身
+ * @param {object|null} location - 持久化的地点快照
+ * @param {(poiId: string) => object|null} findPoi - POI 查找函数（通常为 lib/poiIndex.js 的 findPoiById）
+ * @returns {object|null}
+ */
+export function resolveStoredLocation(location, findPoi) {
+  if (!location?.poiId || typeof findPoi !== "function") return location ?? null;
+  return findPoi(location.poiId) || location;
+}
+
+/**
+ * locationKey：判断两个地点是否相同（有 poiId 时按 poiId，否则按取整到米的坐标）
+ */
+export function locationKey(location) {
+  if (!location) return "";
+  if (location.poiId) return `poi:${location.poiId}`;
+  return `xy:${Math.round(location.worldX)},${Math.round(location.worldZ)}`;
+}
+
+/**
+ * migrateSavedPlaces：把 localStorage 中读出的任意值整理为当前版本结构
+ * - 缺失、无法识别或来自更新版本的数据返回空结构（不猜测未知格式）
+ * - 丢弃地点无效的条目
+ * @param {any} raw - JSON.parse 的结果
+ */
+export function migrateSavedPlaces(raw) {
+  if (!raw || typeof raw !== "object" || raw.version !== SAVED_PLACES_VERSION) {
+    return createEmptySavedPlaces();
+  }
+  const favorites = (Array.isArray(raw.favorites) ? raw.favorites : [])
+    .map((item) => ({ ...item, location: toStoredLocation(item?.location) }))
+    .filter((item) => item.id && item.label && item.location);
+  const recentRoutes = (Array.isArray(raw.recentRoutes) ? raw.recentRoutes : [])
+    .map((item) => ({ ...item, from: toStoredLocation(item?.from), to: toStoredLocation(item?.to) }))
+    .filter((item) => item.id && item.from && item.to);
+  return { version: SAVED_PLACES_VERSION, favorites, recentRoutes };
+}
+
+/**
+ * addRecentRoute：记录一条路线，相同起终点与交通方式的旧记录移到最前
+ * @param {object} data - migrateSavedPlaces 的结果
+ * @param {{ from: object, to: object, mode: string }} route
+ * @param {object} [options]
+ * @param {number} [options.limit=8] - 最多保留条数
+ * @param {number} [options.now=Date.now()] - 时间戳（毫秒）
+ */
+export function addRecentRoute(data, route, options = {}) {
+  const from = toStoredLocation(route?.from);
+  const to = toStoredLocation(route?.to);
+  if (!from || !to) return data;
+  const mode = route.mode || "walk";
+  const id = `${locationKey(from)}>${locationKey(to)}@${mode}`;
+  const limit = Number(options.limit) || 8;
+  const recentRoutes = [
+    { id, from, to, mode, usedAt: options.now ?? Date.now() },
+    ...data.recentRoutes.filter((item) => item.id !== id),
+  ].slice(0, limit);
+  return { ...data, recentRoutes };
+}
+
+/**
+ * addFavorite：收藏地点；同一地点已收藏时只更新名称
+ * @param {object} data
+ * @param {string} label - 收藏名称，缺省为地点名称
+ * @param {object} location
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - 最多收藏数量，超出时不再添加
+ * @param {number} [options.now=Date.now()]
+ */
+export function addFavorite(data, label, location, options = {}) {
+  const stored = toStoredLocation(location);
+  if (!stored) return data;
+  const id = locationKey(stored);
+  const name = String(label ?? "").trim() || stored.name;
+  if (data.favorites.some((item) => item.id === id)) {
+    return {
+      ...data,
+      favorites: data.favorites.map((item) => (item.id === id ? { ...item, label: name } : item)),
+    };
+  }
+  const limit = Number(options.limit) || 20;
+  if (data.favorites.length >= limit) return data;
+  return {
+    ...data,
+    favorites: [
+      ...data.favorites,
+      { id, label: name, location: stored, createdAt: options.now ?? Date.now() },
+    ],
+  };
+}
+
+/**
+ * removeFavorite：按 id 取消收藏
+ */
+export function removeFavorite(data, id) {
+  return { ...data, favorites: data.favorites.filter((item) => item.id !== id) };
+}
+
+/**
+ * listRecentLocations：最近路线中出现过的地点（去重，最近使用在前）
+ * @param {object} data
+ * @param {number} [limit=5]
+ */
+export function listRecentLocations(data, limit = 5) {
+  const seen = new Set();
+  const locations = [];
+  data.recentRoutes.forEach((route) => {
+    [route.to, route.from].forEach((location) => {
+      const key = locationKey(location);
+      if (seen.has(key)) return;
+      seen.add(key);
+      locations.push(location);
+    });
+  });
+  return locations.slice(0, limit);
+}
@@ -0,0 +1,295 @@
+/**
+ * 树荫与建筑阴影：判断路网上的点在给定太阳方位下是否处于阴凉中，供“凉爽路线”求解与树荫占比统计
+ *
+ * 职责：
+ * - computeSunPosition：按日期与经纬度计算太阳方位角与高度角
+ * - createShadeIndex：由建筑外轮廓（含高度）与成荫绿化（树行、林地）构建阴凉判断，沿线段取样统计阴凉长度
+ * - getCampusSun / measurePathShade / measureSegmentShade：使用打包的校园数据与校园位置的默认索引
+ *
+ * 判断规则：
+ * - 距成荫绿化（config.poiRoute.shade.greeneryTypes）的树行或林地边缘不超过 treeBuffer 米，或位于林地内，视为树荫
+ * - 从该点朝太阳方向水平延伸 建筑高度 / tan(高度角) 米内遇到建筑外轮廓，视为处于该建筑的阴影中
+ * - 太阳高度角低于 minSunAltitude 时没有直射阳光，全部视为阴凉
+ *
+ * 坐标约定：与 roads-graph.json 一致，worldX 向东、worldZ 向南；方位角以正北为 0°、顺时针为正
+ */
+
+/** 建筑与绿化数据：构建默认索引 */
+import campusRaw from "../data/campus.geojson?raw";
+/** 全局配置：阴凉参数 */
+import config from "../config/index.js";
+/** 坐标投影：经纬度 → worldX/worldZ */
+import { projectCoordinate, findProjectionOrigin } from "./coordinates.js";
+/** 建筑高度：与三维拉伸高度共用同一规则 */
+import { resolveBuildingHeight } from "./buildingHeight.js";
+/** 线段网格索引：加速树行距离与建筑阴影查询 */
+import { createSegmentIndex, isPointInPolygon, segmentIntersectsPolygon } from "./spatialIndex.js";
+
+/**
+ * OPTIONS：阴凉参数，未配置的项使用默认值
+ */
+const OPTIONS = {
+  greeneryTypes: ["tree_row", "wood", "forest"],
+  treeBuffer: 4,
+  sampleStep: 2,
+  sunPenalty: 1.5,
+  minSunAltitude: 5,
+  ...(config.poiRoute?.shade || {}),
+};
+
+const RAD = Math.PI / 180;
+
+/**
+ * computeSunPosition：太阳位置（低精度天文算法，误差约 1°，足够判断阴影方向）
+ * @param {Date|number} date - 时刻
+ * @param {{ lng: number, lat: number }} location - 观测点经纬度
+ * @returns {{ azimuth: number, altitude: number }} 方位角（0~360°，正北为 0、顺时针）与高度角（度，地平线以下为负）
+ */
+export function computeSunPosition(date, location) {
+  const days = new Date(date).getTime() / 86400000 + 2440587.5 - 2451545.0;
+  const meanAnomaly = (357.529 + 0.98560028 * days) * RAD;
+  const meanLongitude = 280.459 + 0.98564736 * days;
+  const eclipticLongitude =
+    (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly)) * RAD;
+  const obliquity = (23.439 - 0.00000036 * days) * RAD;
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude)
+  );
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const siderealDegrees = (18.697374558 + 24.06570982441908 * days) * 15 + location.lng;
+  const hourAngle = siderealDegrees * RAD - rightAscension;
+  const latitude = location.lat * RAD;
+  const altitude = Math.asin(
+    Math.sin(latitude) * Math.sin(declination) +
+      Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle),
+    Math.tan(declination) * Math.cos(latitude) - Math.sin(latitude) * Math.cos(hourAngle)
+  );
+  return {
+    azimuth: ((azimuth / RAD) % 360 + 360) % 360,
+    altitude: altitude / RAD,
+  };
+}
+
+/**
+ * createShadeIndex：构建阴凉判断
+ * @param {object} data
+ * @param {Array<{ rings: Array<Array<{ worldX, worldZ }>>, height: number }>} data.buildings - 建筑外环与高度（米）
+ * @param {Array<Array<{ worldX, worldZ }>>} [data.treeRows] - 树行折线
+ * @param {Array<Array<{ worldX, worldZ }>>} [data.woods] - 林地外环
+ * @returns {{
+ *   isShaded: (point: { worldX, worldZ }, sun: { azimuth, altitude }) => boolean,
+ *   measureSegment: (a: { worldX, worldZ }, b: { worldX, worldZ }, sun) => number,
+ *   measurePath: (points: Array<{ worldX, worldZ }>, sun) => { totalLength: number, shadedLength: number, ratio: number }
+ * }} measureSegment 返回线段中处于阴凉的长度（米），按 sampleStep 取样；同一太阳位置下的结果按线段缓存
+ */
+export function createShadeIndex({ buildings = [], treeRows = [], woods = [] } = {}) {
+  const toSegments = (points, closed) => {
+    const segments = [];
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i += 1) {
+      segments.push({ a: points[i], b: points[(i + 1) % points.length] });
+    }
+    return segments;
+  };
+
+  const canopyIndex = createSegmentIndex(
+    [
+      ...treeRows.flatMap((line) => toSegments(line, false)),
+      ...woods.flatMap((ring) => toSegments(ring, true)),
+    ],
+    (segment) => segment
+  );
+  const woodBoxes = woods.map((ring) => ({
+    ring,
+    minX: Math.min(...ring.map((point) => point.worldX)),
+    maxX: Math.max(...ring.map((point) => point.worldX)),
+    minZ: Math.min(...ring.map((point) => point.worldZ)),
+    maxZ: Math.max(...ring.map((point) => point.worldZ)),
+  }));
+  const buildingIndex = createSegmentIndex(
+    buildings.flatMap((building) =>
+      building.rings.flatMap((ring) =>
+        toSegments(ring, true).map((segment) => ({ ...segment, building, ring }))
+      )
+    ),
+    (segment) => segment
+  );
+  const maxHeight = buildings.reduce((max, building) => Math.max(max, building.height), 0);
+
+  const isUnderCanopy = (point) => {
+    if (canopyIndex.findNearest({ x: point.worldX, z: point.worldZ }, { maxDistance: OPTIONS.treeBuffer })) {
+      return true;
+    }
+    return woodBoxes.some(
+      (box) =>
+        point.worldX >= box.minX &&
+        point.worldX <= box.maxX &&
+        point.worldZ >= box.minZ &&
+        point.worldZ <= box.maxZ &&
+        isPointInPolygon(point, box.ring)
+    );
+  };
+
+  const isInBuildingShadow = (point, sun) => {
+    const slope = Math.tan(sun.altitude * RAD);
+    const dx = Math.sin(sun.azimuth * RAD);
+    const dz = -Math.cos(sun.azimuth * RAD);
+    const reach = maxHeight / slope;
+    const candidates = buildingIndex.queryBBox({
+      minX: point.worldX,
+      maxX: point.worldX + dx * reach,
+      minZ: point.worldZ,
+      maxZ: point.worldZ + dz * reach,
+    });
+    const checked = new Set();
+    return candidates.some(({ building, ring }) => {
+      if (checked.has(ring)) return false;
+      checked.add(ring);
+      const length = building.height / slope;
+      const end = { worldX: point.worldX + dx * length, worldZ: point.worldZ + dz * length };
+      return segmentIntersectsPolygon(point, end, ring);
+    });
+  };
+
+  const isShaded = (point, sun) =>
+    !(sun.altitude >= OPTIONS.minSunAltitude) ||
+    isUnderCanopy(point) ||
+    isInBuildingShadow(point, sun);
+
+  // 线段结果只保留当前太阳位置的一份，太阳位置变化时清空
+  let cacheKey = null;
+  let cache = new Map();
+  const measureSegment = (a, b, sun) => {
+    const length = Math.hypot(b.worldX - a.worldX, b.worldZ - a.worldZ);
+    if (!(length > 0)) return 0;
+    const sunKey = `${sun.azimuth}|${sun.altitude}`;
+    if (sunKey !== cacheKey) {
+      cacheKey = sunKey;
+      cache = new Map();
+    }
+    const key = `${a.worldX},${a.worldZ}|${b.worldX},${b.worldZ}`;
+    if (cache.has(key)) return cache.get(key);
+    const samples = Math.max(1, Math.ceil(length / OPTIONS.sampleStep));
+    let shaded = 0;
+    for (let i = 0; i < samples; i += 1) {
+      const ratio = (i + 0.5) / samples;
+      const point = {
+        worldX: a.worldX + (b.worldX - a.worldX) * ratio,
+        worldZ: a.worldZ + (b.worldZ - a.worldZ) * ratio,
+      };
+      if (isShaded(point, sun)) shaded += 1;
+    }
+    const result = (shaded / samples) * length;
+    cache.set(key, result);
+    return result;
+  };
+
+  const measurePath = (points, sun) => {
+    const list = Array.isArray(points) ? points : [];
+    let totalLength = 0;
+    let shadedLength = 0;
+    for (let i = 0; i < list.length - 1; i += 1) {
+      totalLength += Math.hypot(list[i + 1].worldX - list[i].worldX, list[i + 1].worldZ - list[i].worldZ);
+      shadedLength += measureSegment(list[i], list[i + 1], sun);
+    }
+    return { totalLength, shadedLength, ratio: totalLength > 0 ? shadedLength / totalLength : 0 };
+  };
+
+  return { isShaded, measureSegment, measurePath };
+}
+
+/**
+ * loadDefaultIndex：由打包的 campus.geojson 构建默认索引
+ */
+function loadDefaultIndex() {
+  const features = JSON.parse(campusRaw).features || [];
+  const origin = findProjectionOrigin(features);
+  const toWorld = (coordinate) => {
+    const [x, y] = projectCoordinate(coordinate, origin);
+    return { worldX: x, worldZ: -y };
+  };
+  const outerRings = (geometry) => {
+    const polygons =
+      geometry?.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry?.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+    return polygons
+      .map((polygon) => (polygon?.[0] || []).map(toWorld))
+      .filter((ring) => ring.length >= 3);
+  };
+
+  const buildings = [];
+  const treeRows = [];
+  const woods = [];
+  features.forEach((feature) => {
+    const properties = feature.properties || {};
+    if (properties.featureType === "building") {
+      const rings = outerRings(feature.geometry);
+      if (rings.length) buildings.push({ rings, height: resolveBuildingHeight(properties) });
+      return;
+    }
+    if (properties.featureType !== "greenery") return;
+    if (!OPTIONS.greeneryTypes.includes(properties.greenType)) return;
+    if (feature.geometry?.type === "LineString") {
+      const line = feature.geometry.coordinates.map(toWorld);
+      if (line.length >= 2) treeRows.push(line);
+      return;
+    }
+    woods.push(...outerRings(feature.geometry));
+  });
+
+  return { origin, index: createShadeIndex({ buildings, treeRows, woods }) };
+}
+
+let DEFAULT_INDEX = null;
+
+/**
+ * getDefaultIndex：首次使用时再解析校园数据，避免不求凉爽路线时的加载开销
+ */
+function getDefaultIndex() {
+  if (!DEFAULT_INDEX) DEFAULT_INDEX = loadDefaultIndex();
+  return DEFAULT_INDEX;
+}
+
+/**
+ * getCampusSun：校园位置在给定时刻的太阳位置（方位角、高度角保留 1 位小数，便于缓存复用）
+ * @param {Date|number} [date] - 默认为当前时刻
+ * @returns {{ azimuth: number, altitude: number }}
+ */
+export function getCampusSun(date = new Date()) {
+  const { azimuth, altitude } = computeSunPosition(date, getDefaultIndex().origin);
+  return { azimuth: Math.round(azimuth * 10) / 10, altitude: Math.round(altitude * 10) / 10 };
+}
+
+/**
+ * measureSegmentShade：校园数据下线段处于阴凉的长度（米）
+ * @param {{ worldX, worldZ }} a
+ * @param {{ worldX, worldZ }} b
+ * @param {{ azimuth: number, altitude: number }} sun - 通常为 getCampusSun 的结果
+ */
+export function measureSegmentShade(a, b, sun) {
+  return getDefaultIndex().index.measureSegment(a, b, sun);
+}
+
+/**
+ * measurePathShade：校园数据下折线的阴凉统计
+ * @param {Array<{ worldX, worldZ }>} points - 如路线的 pointPath
+ * @param {{ azimuth: number, altitude: number }} sun
+ * @returns {{ totalLength: number, shadedLength: number, ratio: number }} ratio 为阴凉长度占比（0~1）
+ */
+export function measurePathShade(points, sun) {
+  return getDefaultIndex().index.measurePath(points, sun);
+}
+
+/**
+ * getSunPenalty：凉爽路线中日晒路段的附加代价系数（config.poiRoute.shade.sunPenalty）
+ */
+export function getSunPenalty() {
+  return Math.max(0, Number(OPTIONS.sunPenalty) || 0);
+}
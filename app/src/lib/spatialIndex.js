@@ -0,0 +1,276 @@
+/**
+ * 线段空间索引：均匀网格（uniform grid）加速“最近线段”与“范围查询”
+ *
+ * 职责：
+ * - 模块加载时一次性把线段登记到其包围盒覆盖的所有网格
+ * - findNearest：按网格环逐圈外扩，找 maxDistance 内最近的线段，可附加过滤函数
+ * - queryBBox：返回与包围盒相交网格内、且自身包围盒与之相交的全部线段
+ *
+ * 坐标约定：与 roads-graph.json 一致，使用 worldX/worldZ（米）
+ */
+
+/**
+ * DEFAULT_CELL_SIZE：默认网格边长（米）
+ */
+const DEFAULT_CELL_SIZE = 50;
+
+/**
+ * nearestPointOnSegment：求点到线段的最近点
+ * @param {{ x: number, z: number }} point - 查询点
+ * @param {{ worldX: number, worldZ: number }} a - 线段起点
+ * @param {{ worldX: number, worldZ: number }} b - 线段终点
+ * @returns {{ ratio: number, point: { x: number, z: number }, distance: number }}
+ */
+export function nearestPointOnSegment(point, a, b) {
+  const ax = a.worldX;
+  const az = a.worldZ;
+  const bx = b.worldX;
+  const bz = b.worldZ;
+  const px = point.x;
+  const pz = point.z;
+  const abx = bx - ax;
+  const abz = bz - az;
+  const apx = px - ax;
+  const apz = pz - az;
+  const abLenSq = abx * abx + abz * abz;
+  if (abLenSq === 0) {
+    return {
+      ratio: 0,
+      point: { x: ax, z: az },
+      distance: Math.hypot(px - ax, pz - az),
+    };
+  }
+  let t = (apx * abx + apz * abz) / abLenSq;
+  t = Math.max(0, Math.min(1, t));
+  const closestX = ax + abx * t;
+  const closestZ = az + abz * t;
+  return {
+    ratio: t,
+    point: { x: closestX, z: closestZ },
+    distance: Math.hypot(px - closestX, pz - closestZ),
+  };
+}
+
+/**
+ * isPointInPolygon：射线法判断点是否在多边形内（边界上的点视为内部与否不作保证）
+ * @param {{ worldX: number, worldZ: number }} point
+ * @param {Array<{ worldX: number, worldZ: number }>} polygon - 顶点序列，首尾无需重复
+ * @returns {boolean}
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses =
+      (a.worldZ > point.worldZ) !== (b.worldZ > point.worldZ) &&
+      point.worldX <
+        ((b.worldX - a.worldX) * (point.worldZ - a.worldZ)) / (b.worldZ - a.worldZ) + a.worldX;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * segmentsIntersect：判断两条线段是否相交（含端点接触）
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const cross = (o, a, b) =>
+    (a.worldX - o.worldX) * (b.worldZ - o.worldZ) - (a.worldZ - o.worldZ) * (b.worldX - o.worldX);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+  const onSegment = (o, a, b) =>
+    Math.min(o.worldX, a.worldX) <= b.worldX &&
+    b.worldX <= Math.max(o.worldX, a.worldX) &&
+    Math.min(o.worldZ, a.worldZ) <= b.worldZ &&
+    b.worldZ <= Math.max(o.worldZ, a.worldZ);
+  return (
+    (d1 === 0 && onSegment(q1, q2, p1)) ||
+    (d2 === 0 && onSegment(q1, q2, p2)) ||
+    (d3 === 0 && onSegment(p1, p2, q1)) ||
+    (d4 === 0 && onSegment(p1, p2, q2))
+  );
+}
+
+/**
+ * segmentIntersectsPolygon：线段是否与多边形有交集（端点在内部或穿过任一条边）
+ * @param {{ worldX: number, worldZ: number }} a - 线段起点
+ * @param {{ worldX: number, worldZ: number }} b - 线段终点
+ * @param {Array<{ worldX: number, worldZ: number }>} polygon
+ * @returns {boolean}
+ */
+export function segmentIntersectsPolygon(a, b, polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3) return false;
+  if (isPointInPolygon(a, polygon) || isPointInPolygon(b, polygon)) return true;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    if (segmentsIntersect(a, b, polygon[j], polygon[i])) return true;
+  }
+  return false;
+}
+
+/**
+ * createSegmentIndex：构建线段网格索引
+ * @param {Array} items - 任意业务对象（如路网边）
+ * @param {(item) => ({ a, b }|null)} getSegment - 取线段端点（worldX/worldZ），返回 null 表示跳过
+ * @param {object} [options]
+ * @param {number} [options.cellSize=50] - 网格边长（米）
+ * @returns {{ findNearest, queryBBox, size: number }}
+ */
+export function createSegmentIndex(items = [], getSegment, options = {}) {
+  const rawCellSize = Number(options.cellSize);
+  const cellSize =
+    Number.isFinite(rawCellSize) && rawCellSize > 0 ? rawCellSize : DEFAULT_CELL_SIZE;
+  const cells = new Map();
+  const records = [];
+  // 已登记网格的行列范围，用于限定无距离上限查询的外扩圈数
+  const extent = { minCX: Infinity, maxCX: -Infinity, minCZ: Infinity, maxCZ: -Infinity };
+
+  const toCell = (value) => Math.floor(value / cellSize);
+  const cellKey = (cx, cz) => `${cx}:${cz}`;
+
+  items.forEach((item, order) => {
+    const segment = getSegment(item);
+    if (!segment?.a || !segment?.b) return;
+    const { a, b } = segment;
+    const record = {
+      item,
+      order,
+      a,
+      b,
+      minX: Math.min(a.worldX, b.worldX),
+      maxX: Math.max(a.worldX, b.worldX),
+      minZ: Math.min(a.worldZ, b.worldZ),
+      maxZ: Math.max(a.worldZ, b.worldZ),
+    };
+    records.push(record);
+    extent.minCX = Math.min(extent.minCX, toCell(record.minX));
+    extent.maxCX = Math.max(extent.maxCX, toCell(record.maxX));
+    extent.minCZ = Math.min(extent.minCZ, toCell(record.minZ));
+    extent.maxCZ = Math.max(extent.maxCZ, toCell(record.maxZ));
+    for (let cx = toCell(record.minX); cx <= toCell(record.maxX); cx += 1) {
+      for (let cz = toCell(record.minZ); cz <= toCell(record.maxZ); cz += 1) {
+        const key = cellKey(cx, cz);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(record);
+      }
+    }
+  });
+
+  /**
+   * findNearest：查询 maxDistance 内最近的线段
+   * - 第 r 圈网格与查询点的距离下界为 (r - 1) × cellSize，据此提前终止
+   * - 距离相同按登记顺序取最早者，保证与线性扫描结果一致
+   * @param {{ x: number, z: number }} point
+   * @param {object} [queryOptions]
+   * @param {number} [queryOptions.maxDistance=Infinity]
+   * @param {(item) => boolean} [queryOptions.filter]
+   * @returns {{ item, ratio, point, distance }|null}
+   */
+  const findNearest = (point, queryOptions = {}) => {
+    const maxDistance = Number.isFinite(queryOptions.maxDistance)
+      ? queryOptions.maxDistance
+      : Infinity;
+    const filter = queryOptions.filter || null;
+    if (!Number.isFinite(point?.x) || !Number.isFinite(point?.z) || records.length === 0) {
+      return null;
+    }
+    const originX = toCell(point.x);
+    const originZ = toCell(point.z);
+    const visited = new Set();
+    let best = null;
+    const extentRing = Math.max(
+      originX - extent.minCX,
+      extent.maxCX - originX,
+      originZ - extent.minCZ,
+      extent.maxCZ - originZ
+    );
+    const maxRing = Number.isFinite(maxDistance)
+      ? Math.min(Math.ceil(maxDistance / cellSize) + 1, extentRing)
+      : extentRing;
+
+    const inspect = (record) => {
+      if (visited.has(record)) return;
+      visited.add(record);
+      if (filter && !filter(record.item)) return;
+      const result = nearestPointOnSegment(point, record.a, record.b);
+      if (result.distance > maxDistance) return;
+      if (
+        !best ||
+        result.distance < best.distance ||
+        (result.distance === best.distance && record.order < best.order)
+      ) {
+        best = { ...result, item: record.item, order: record.order };
+      }
+    };
+
+    for (let ring = 0; ring <= maxRing; ring += 1) {
+      for (let cx = originX - ring; cx <= originX + ring; cx += 1) {
+        for (let cz = originZ - ring; cz <= originZ + ring; cz += 1) {
+          const onRing =
+            Math.abs(cx - originX) === ring || Math.abs(cz - originZ) === ring;
+          if (!onRing) continue;
+          const bucket = cells.get(cellKey(cx, cz));
+          if (bucket) bucket.forEach(inspect);
+        }
+      }
+      if (best && best.distance <= ring * cellSize) break;
+      if (visited.size >= records.length) break;
+    }
+
+    if (!best) return null;
+    return {
+      item: best.item,
+      ratio: best.ratio,
+      point: best.point,
+      distance: best.distance,
+    };
+  };
+
+  /**
+   * queryBBox：返回包围盒与查询范围相交的线段
+   * @param {{ minX: number, minZ: number, maxX: number, maxZ: number }} bbox
+   * @param {(item) => boolean} [filter]
+   * @returns {Array} 业务对象数组（按登记顺序）
+   */
+  const queryBBox = (bbox, filter) => {
+    if (!bbox) return [];
+    const minX = Math.min(bbox.minX, bbox.maxX);
+    const maxX = Math.max(bbox.minX, bbox.maxX);
+    const minZ = Math.min(bbox.minZ, bbox.maxZ);
+    const maxZ = Math.max(bbox.minZ, bbox.maxZ);
+    if (![minX, maxX, minZ, maxZ].every(Number.isFinite)) return [];
+    const hits = new Set();
+    for (let cx = toCell(minX); cx <= toCell(maxX); cx += 1) {
+      for (let cz = toCell(minZ); cz <= toCell(maxZ); cz += 1) {
+        const bucket = cells.get(cellKey(cx, cz));
+        if (!bucket) continue;
+        bucket.forEach((record) => {
+          if (
+            record.maxX < minX ||
+            record.minX > maxX ||
+            record.maxZ < minZ ||
+            record.minZ > maxZ
+          ) {
+            return;
+          }
+          if (filter && !filter(record.item)) return;
+          hits.add(record);
+        });
+      }
+    }
+    return Array.from(hits)
+      .sort((left, right) => left.order - right.order)
+      .map((record) => record.item);
+  };
+
+  return {
+    findNearest,
+    queryBBox,
+    size: records.length,
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * 多地点游览顺序规划（TSP）：给定起点与若干目的地，求总路程最短（或总耗时最少）的访问顺序
+ *
+ * 职责：
+ * - buildDistanceMatrix：调用路网求解器得到两两之间的路网距离或预计耗时（有向，单行道下不对称）
+ * - solveVisitOrder：小规模用 Held-Karp 动态规划精确求解，大规模用最近邻 + 2-opt 启发式
+ * - planTour：串联上述两步，并按最终顺序求完整路线
+ *
+ * 约定：下标 0 为固定起点；传入 endIndex 时终点固定，否则终点自由（开放路径）
+ */
+
+// 读取路网求解函数，作为默认的两点距离来源
+import { solveRouteBetweenPoints, solveRouteThroughWaypoints } from "./roadGraph.js";
+// 读取全局配置，获取精确求解规模上限与 2-opt 轮数
+import config from "../config/index.js";
+
+/**
+ * EXACT_MAX_STOPS：精确求解允许的最大目的地数量（不含起点），超过则改用 2-opt
+ */
+const EXACT_MAX_STOPS = Number(config.poiRoute?.tour?.exactMaxStops) || 10;
+
+/**
+ * TWO_OPT_MAX_ROUNDS：2-opt 最多改进轮数，避免极端输入下长时间循环
+ */
+const TWO_OPT_MAX_ROUNDS = Number(config.poiRoute?.tour?.twoOptMaxRounds) || 50;
+
+/**
+ * buildDistanceMatrix：计算地点两两之间的路网距离
+ * @param {Array<{ worldX: number, worldZ: number }>} points - 地点列表
+ * @param {object} [options]
+ * @param {string} [options.mode] - 交通方式
+ * @param {Array} [options.blocked] - 封闭登记表
+ * @param {"distance"|"time"|"shade"} [options.objective="distance"] - 为 "time" 时矩阵元素为预计耗时（秒），
+ *        为 "shade" 时为各段凉爽路线的长度
+ * @param {boolean} [options.night=false] - 按夜间安全路线求解各段（矩阵元素仍为路程或耗时）
+ * @param {(from, to, options) => { totalLength: number, travelTime?: { total: number } }} [options.solveLeg] - 两点求解函数
+ * @returns {number[][]} matrix[i][j] 为 i → j 的距离（米）或耗时（秒），不可达为 Infinity
+ */
+export function buildDistanceMatrix(points, options = {}) {
+  const solveLeg = options.solveLeg || solveRouteBetweenPoints;
+  const byTime = options.objective === "time";
+  return points.map((from, i) =>
+    points.map((to, j) => {
+      if (i === j) return 0;
+      try {
+        const leg = solveLeg(from, to, {
+          mode: options.mode,
+          blocked: options.blocked,
+          objective: options.objective,
+          night: options.night,
+        });
+        const cost = byTime ? leg?.travelTime?.total : leg?.totalLength;
+        return Number.isFinite(cost) ? cost : Infinity;
+      } catch {
+        return Infinity;
+      }
+    })
+  );
+}
+
+/**
+ * pathCost：按顺序累加路径长度
+ * @param {number[][]} matrix
+ * @param {number[]} order - 含起点的完整下标序列
+ * @returns {number}
+ */
+export function pathCost(matrix, order) {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i += 1) {
+    total += matrix[order[i]][order[i + 1]];
+  }
+  return total;
+}
+
+/**
+ * solveExact：Held-Karp 动态规划，复杂度 O(2^n · n²)
+ * dp[mask][j]：从起点出发、访问完 mask 中的目的地且停在 j 的最短距离
+ */
+function solveExact(matrix, stops, endIndex) {
+  const count = stops.length;
+  const full = (1 << count) - 1;
+  const dp = Array.from({ length: 1 << count }, () => new Array(count).fill(Infinity));
+  const parent = Array.from({ length: 1 << count }, () => new Array(count).fill(-1));
+  stops.forEach((stop, j) => {
+    dp[1 << j][j] = matrix[0][stop];
+  });
+  for (let mask = 1; mask <= full; mask += 1) {
+    for (let j = 0; j < count; j += 1) {
+      const current = dp[mask][j];
+      if (!(mask & (1 << j)) || current === Infinity) continue;
+      for (let k = 0; k < count; k += 1) {
+        if (mask & (1 << k)) continue;
+        const nextMask = mask | (1 << k);
+        const candidate = current + matrix[stops[j]][stops[k]];
+        if (candidate < dp[nextMask][k]) {
+          dp[nextMask][k] = candidate;
+          parent[nextMask][k] = j;
+        }
+      }
+    }
+  }
+  let bestLast = -1;
+  let bestCost = Infinity;
+  for (let j = 0; j < count; j += 1) {
+    const tail = endIndex === null ? 0 : matrix[stops[j]][endIndex];
+    const cost = dp[full][j] + tail;
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestLast = j;
+    }
+  }
+  // 全部不可达时保持原顺序，由调用方根据 Infinity 长度报错
+  if (bestLast < 0) return [...stops];
+  const reversed = [];
+  let mask = full;
+  let cursor = bestLast;
+  while (cursor >= 0) {
+    reversed.push(stops[cursor]);
+    const previous = parent[mask][cursor];
+    mask &= ~(1 << cursor);
+    cursor = previous;
+  }
+  return reversed.reverse();
+}
+
+/**
+ * solveHeuristic：最近邻构造初始解，再用 2-opt 反转区间直至无改进
+ * 距离矩阵可能不对称，因此每次反转都重新计算整条路径的长度
+ */
+function solveHeuristic(matrix, stops, endIndex) {
+  const remaining = new Set(stops);
+  const visit = [];
+  let cursor = 0;
+  while (remaining.size > 0) {
+    let next = null;
+    remaining.forEach((candidate) => {
+      if (next === null || matrix[cursor][candidate] < matrix[cursor][next]) {
+        next = candidate;
+      }
+    });
+    visit.push(next);
+    remaining.delete(next);
+    cursor = next;
+  }
+  const withEnds = (inner) => [0, ...inner, ...(endIndex === null ? [] : [endIndex])];
+  let best = visit;
+  let bestCost = pathCost(matrix, withEnds(best));
+  for (let round = 0; round < TWO_OPT_MAX_ROUNDS; round += 1) {
+    let improved = false;
+    for (let i = 0; i < best.length - 1; i += 1) {
+      for (let k = i + 1; k < best.length; k += 1) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, k + 1).reverse(),
+          ...best.slice(k + 1),
+        ];
+        const cost = pathCost(matrix, withEnds(candidate));
+        if (cost < bestCost) {
+          best = candidate;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+}
+
+/**
+ * solveVisitOrder：求访问顺序
+ * @param {number[][]} matrix - buildDistanceMatrix 的结果
+ * @param {object} [options]
+ * @param {number|null} [options.endIndex=null] - 固定终点下标，null 表示终点自由
+ * @returns {{ order: number[], length: number, method: "exact"|"2-opt" }}
+ *          order 含起点 0 与固定终点
+ */
+export function solveVisitOrder(matrix, options = {}) {
+  const endIndex = Number.isInteger(options.endIndex) ? options.endIndex : null;
+  const stops = matrix
+    .map((_, index) => index)
+    .filter((index) => index !== 0 && index !== endIndex);
+  const method = stops.length <= EXACT_MAX_STOPS ? "exact" : "2-opt";
+  let inner = [];
+  if (stops.length > 0) {
+    inner =
+      method === "exact"
+        ? solveExact(matrix, stops, endIndex)
+        : solveHeuristic(matrix, stops, endIndex);
+  }
+  const order = [0, ...inner, ...(endIndex === null ? [] : [endIndex])];
+  return { order, length: pathCost(matrix, order), method };
+}
+
+/**
+ * planTour：规划“依次游览”路线
+ * @param {object} start - 固定起点
+ * @param {object[]} destinations - 需要访问的地点（顺序无关）
+ * @param {object} [options]
+ * @param {object|null} [options.end] - 固定终点，缺省时终点自由
+ * @param {string} [options.mode] - 交通方式
+ * @param {Array} [options.blocked] - 封闭登记表
+ * @param {"distance"|"time"|"shade"} [options.objective="distance"] - 按总路程或总耗时排序，凉爽路线按各段凉爽路线的总路程
+ * @param {boolean} [options.night=false] - 按夜间安全路线求解
+ * @returns {{ stops: object[], order: number[], method: string, route: object }}
+ *          stops 为按访问顺序排列的地点（含起终点），route 为 solveRouteThroughWaypoints 结果
+ */
+export function planTour(start, destinations = [], options = {}) {
+  if (!start) {
+    throw new Error("游览规划缺少起点");
+  }
+  const points = [start, ...destinations.filter(Boolean)];
+  if (options.end) {
+    points.push(options.end);
+  }
+  const endIndex = options.end ? points.length - 1 : null;
+  const matrix = buildDistanceMatrix(points, {
+    mode: options.mode,
+    blocked: options.blocked,
+    objective: options.objective,
+    night: options.night,
+  });
+  const { order, length, method } = solveVisitOrder(matrix, { endIndex });
+  if (!Number.isFinite(length)) {
+    throw new Error("部分地点之间不可达，无法规划游览顺序");
+  }
+  const stops = order.map((index) => points[index]);
+  const route = solveRouteThroughWaypoints(stops, {
+    mode: options.mode,
+    blocked: options.blocked,
+    objective: options.objective,
+    night: options.night,
+  });
+  return { stops, order, method, route };
+}
@@ -0,0 +1,229 @@
+/**
+ * 预计耗时模型：按道路等级、限速、路面、台阶、过街与红绿灯估算路线耗时
+ *
+ * 职责：
+ * - parseMaxspeed：解析 OSM maxspeed 标签（"30"、"20 mph"、"walk"）
+ * - createTravelTimeModel：按交通方式给出路段耗时与节点等待时间，roadGraph.js 以此构建“最快路线”的边权
+ * - summarizeTravelTime / mergeTravelTimes：沿路线累计耗时，并拆分为行进、台阶、下车推行、过街与红绿灯
+ *
+ * 约定：
+ * - 基准速度为 routingProfiles.js 中的 speedKmh，耗时模型由 profile.timeModel 决定，参数见 config.poiRoute.travelTime
+ * - 下车推行：骑行进入需推行的路段（profile.requiresDismount）且上一路段可以骑行时，计一次上下车耗时；
+ *   从推行路段出发不计
+ * - 本模块不读取路网数据，道路与节点标签由调用方传入
+ */
+
+// 读取全局配置，获取各道路等级速度与等待时间
+import config from "../config/index.js";
+// 读取交通方式规则，获取基准速度、耗时模型与推行判断
+import { resolveTransportProfile } from "./routingProfiles.js";
+
+/**
+ * OPTIONS：耗时参数，未配置的项使用默认值
+ */
+const OPTIONS = {
+  driveSpeeds: {},
+  cycleFactors: {},
+  surfaceFactors: {},
+  stepsSpeedKmh: 2,
+  pushSpeedKmh: 4,
+  dismountPenalty: 15,
+  crossingDelay: 6,
+  driveCrossingDelay: 2,
+  signalDelay: 25,
+  ...(config.poiRoute?.travelTime || {}),
+};
+
+/**
+ * MPH_TO_KMH：英里/小时 → 公里/小时
+ */
+const MPH_TO_KMH = 1.609344;
+
+/**
+ * WALK_MAXSPEED_KMH：maxspeed=walk（步行速度限行）折算的车速
+ */
+const WALK_MAXSPEED_KMH = 6;
+
+/**
+ * MODEL_CACHE：交通方式 → 耗时模型，模型只依赖配置，可跨求解复用
+ */
+const MODEL_CACHE = new Map();
+
+/**
+ * parseMaxspeed：解析 maxspeed 标签
+ * @param {string|number|undefined} value - 如 "30"、"30 km/h"、"20 mph"、"walk"
+ * @returns {number|null} 公里/小时；缺失或无法识别（如 "none"、"CN:urban"、多值）时返回 null
+ */
+export function parseMaxspeed(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase();
+  if (text === "walk") return WALK_MAXSPEED_KMH;
+  const match = /^(\d+(?:\.\d+)?)\s*(mph|km\/h|kmh|kph)?$/.exec(text);
+  if (!match) return null;
+  const speed = Number(match[1]) * (match[2] === "mph" ? MPH_TO_KMH : 1);
+  return speed > 0 ? speed : null;
+}
+
+/**
+ * maxOf：数值字典中的最大值与 floor 取较大者
+ */
+const maxOf = (values, floor) =>
+  Object.values(values || {}).reduce((max, value) => Math.max(max, Number(value) || 0), floor);
+
+/**
+ * createTravelTimeModel：按交通方式创建耗时模型
+ * - foot（步行）：按基准速度，台阶按 stepsSpeedKmh，不受路面影响
+ * - wheelchair（无障碍）：基准速度 × 路面系数
+ * - cycle（自行车/电动车）：基准速度 × 道路等级系数 × 路面系数，不超过 maxspeed；需推行的路段按推行速度
+ * - drive（驾驶）：道路等级默认车速与 maxspeed 取较小值 × 路面系数
+ * @param {string} mode - transportMode
+ * @returns {{
+ *   mode: string,
+ *   maxSpeed: number,
+ *   edgeTime: (tags: object|null, length: number, previousTags?: object|null) => { seconds: number, type: "moving"|"steps"|"dismount", dismounted: boolean },
+ *   nodeDelay: (nodeTags: object|null) => { seconds: number, type: "crossing"|"signals" }|null
+ * }} maxSpeed 为模型可能出现的最高速度（米/秒），供 A* 启发函数换算；previousTags 为 undefined 表示路线起始路段
+ */
+export function createTravelTimeModel(mode) {
+  const profile = resolveTransportProfile(mode);
+  if (MODEL_CACHE.has(profile.key)) return MODEL_CACHE.get(profile.key);
+  const kind = profile.timeModel || "foot";
+  const baseKmh = profile.speedKmh;
+  const wheeled = kind !== "foot";
+
+  const paceOf = (tags) => {
+    if (!tags) return { kmh: baseKmh, type: "moving" };
+    const isSteps = tags.highway === "steps";
+    if (profile.requiresDismount?.(tags)) {
+      return { kmh: isSteps ? OPTIONS.stepsSpeedKmh : OPTIONS.pushSpeedKmh, type: "dismount" };
+    }
+    if (isSteps && kind === "foot") return { kmh: OPTIONS.stepsSpeedKmh, type: "steps" };
+    const highway = String(tags.highway ?? "").replace(/_link$/, "");
+    let kmh = baseKmh;
+    if (kind === "drive") kmh = Number(OPTIONS.driveSpeeds[highway]) || baseKmh;
+    if (kind === "cycle") kmh = baseKmh * (Number(OPTIONS.cycleFactors[highway]) || 1);
+    if (kind === "drive" || kind === "cycle") {
+      const limit = parseMaxspeed(tags.maxspeed);
+      if (limit) kmh = Math.min(kmh, limit);
+    }
+    if (wheeled) {
+      kmh *= Number(OPTIONS.surfaceFactors[String(tags.surface ?? "").toLowerCase()]) || 1;
+    }
+    return { kmh, type: "moving" };
+  };
+
+  // 道路标签对象来自路网数据（只读共享），按对象缓存配速（秒/米）
+  const paceCache = new WeakMap();
+  const defaultPace = { secondsPerMeter: 3.6 / baseKmh, type: "moving" };
+  const pace = (tags) => {
+    if (!tags) return defaultPace;
+    if (!paceCache.has(tags)) {
+      const { kmh, type } = paceOf(tags);
+      paceCache.set(tags, { secondsPerMeter: 3.6 / kmh, type });
+    }
+    return paceCache.get(tags);
+  };
+
+  const surfaceMax = wheeled ? maxOf(OPTIONS.surfaceFactors, 1) : 1;
+  let maxKmh = baseKmh;
+  if (kind === "foot") maxKmh = Math.max(baseKmh, OPTIONS.stepsSpeedKmh);
+  if (kind === "cycle") {
+    maxKmh = Math.max(
+      baseKmh * maxOf(OPTIONS.cycleFactors, 1) * surfaceMax,
+      OPTIONS.pushSpeedKmh,
+      OPTIONS.stepsSpeedKmh
+    );
+  }
+  if (kind === "drive") maxKmh = maxOf(OPTIONS.driveSpeeds, baseKmh) * surfaceMax;
+  if (kind === "wheelchair") maxKmh = baseKmh * surfaceMax;
+
+  const edgeTime = (tags, length, previousTags) => {
+    const { secondsPerMeter, type } = pace(tags || null);
+    const dismounted =
+      type === "dismount" && previousTags !== undefined && pace(previousTags || null).type !== "dismount";
+    return {
+      seconds: (Number(length) || 0) * secondsPerMeter + (dismounted ? OPTIONS.dismountPenalty : 0),
+      type,
+      dismounted,
+    };
+  };
+
+  const nodeDelay = (nodeTags) => {
+    if (!nodeTags) return null;
+    if (nodeTags.highway === "traffic_signals" || nodeTags.crossing === "traffic_signals") {
+      return { seconds: OPTIONS.signalDelay, type: "signals" };
+    }
+    const isCrossing =
+      nodeTags.highway === "crossing" ||
+      (nodeTags.crossing !== undefined && nodeTags.crossing !== "no");
+    if (!isCrossing) return null;
+    return {
+      seconds: kind === "drive" ? OPTIONS.driveCrossingDelay : OPTIONS.crossingDelay,
+      type: "crossing",
+    };
+  };
+
+  const model = { mode: profile.key, maxSpeed: maxKmh / 3.6, edgeTime, nodeDelay };
+  MODEL_CACHE.set(profile.key, model);
+  return model;
+}
+
+/**
+ * createEmptyTravelTime：空的耗时汇总
+ * @returns {{ total, moving, steps, dismount, crossings, signals, crossingCount, signalCount, dismountCount }}
+ *          耗时单位为秒；dismount 含推行时间与上下车耗时
+ */
+export function createEmptyTravelTime() {
+  return {
+    total: 0,
+    moving: 0,
+    steps: 0,
+    dismount: 0,
+    crossings: 0,
+    signals: 0,
+    crossingCount: 0,
+    signalCount: 0,
+    dismountCount: 0,
+  };
+}
+
+/**
+ * summarizeTravelTime：沿路线累计耗时
+ * @param {ReturnType<typeof createTravelTimeModel>} model
+ * @param {Array<{ length: number, tags: object|null, nodeTags: object|null }>} segments -
+ *        依次经过的路段，nodeTags 为路段终点节点的标签
+ * @returns {ReturnType<typeof createEmptyTravelTime>}
+ */
+export function summarizeTravelTime(model, segments) {
+  const summary = createEmptyTravelTime();
+  (Array.isArray(segments) ? segments : []).forEach((segment, index) => {
+    const previousTags = index === 0 ? undefined : segments[index - 1].tags || null;
+    const { seconds, type, dismounted } = model.edgeTime(segment.tags, segment.length, previousTags);
+    summary[type] += seconds;
+    if (dismounted) summary.dismountCount += 1;
+    const delay = model.nodeDelay(segment.nodeTags);
+    if (delay) {
+      summary[delay.type === "signals" ? "signals" : "crossings"] += delay.seconds;
+      summary[delay.type === "signals" ? "signalCount" : "crossingCount"] += 1;
+    }
+  });
+  summary.total =
+    summary.moving + summary.steps + summary.dismount + summary.crossings + summary.signals;
+  return summary;
+}
+
+/**
+ * mergeTravelTimes：合并多段路线的耗时汇总（缺失的段视为 0）
+ * @param {Array<ReturnType<typeof createEmptyTravelTime>|null|undefined>} list
+ * @returns {ReturnType<typeof createEmptyTravelTime>}
+ */
+export function mergeTravelTimes(list) {
+  const merged = createEmptyTravelTime();
+  (Array.isArray(list) ? list : []).forEach((item) => {
+    if (!item) return;
+    Object.keys(merged).forEach((key) => {
+      merged[key] += Number(item[key]) || 0;
+    });
+  });
+  return merged;
+}
@@ -2,9 +2,59 @@
 import { create } from "zustand";
 // 引入场景 store，便于在导航状态变化时同步高亮模型
 import { useSceneStore } from "./useSceneStore";
+// 引入常用地点/最近路线的版本化数据操作
+import {
+  addFavorite,
+  addRecentRoute,
+  migrateSavedPlaces,
+  removeFavorite,
+  resolveStoredLocation,
+} from "../lib/savedPlaces";
+// 按 poiId 取回 POI 的当前记录，恢复最近路线时使用
+import { findPoiById } from "../lib/poiIndex";
+// 夜间安全设置的合法取值（auto / on / off）
+import { NIGHT_SAFETY_MODES } from "../lib/nightSafety";
+// 读取全局配置，获取持久化键名与条数上限
+import config from "../config/index.js";
 
 // 定义交通方式的合法取值，需与 RouteInfoPopup 等组件共享同一枚举
-const TRANSPORT_MODE_KEYS = ["walk", "bike", "ebike", "drive", "car"];
+const TRANSPORT_MODE_KEYS = ["walk", "bike", "ebike", "drive", "accessible", "car"];
+// 路线求解目标的合法取值（见 lib/roadGraph.js 的 options.objective）
+const ROUTE_OBJECTIVES = ["distance", "time", "shade"];
+
+/**
+ * SAVED_OPTIONS：常用地点与最近路线的存储参数（见 config.poiRoute.saved）
+ */
+const SAVED_OPTIONS = {
+  storageKey: config.poiRoute?.saved?.storageKey || "campus-nav:saved-places",
+  maxRecent: Number(config.poiRoute?.saved?.maxRecent) || 8,
+  maxFavorites: Number(config.poiRoute?.saved?.maxFavorites) || 20,
+};
+
+/**
+ * loadSavedPlaces：从 localStorage 读取常用地点与最近路线
+ * 非浏览器环境、数据缺失、解析失败或版本不符时返回空结构
+ */
+const loadSavedPlaces = () => {
+  try {
+    if (typeof localStorage === "undefined") return migrateSavedPlaces(null);
+    return migrateSavedPlaces(JSON.parse(localStorage.getItem(SAVED_OPTIONS.storageKey) || "null"));
+  } catch {
+    return migrateSavedPlaces(null);
+  }
+};
+
+/**
+ * saveSavedPlaces：写回 localStorage（存储不可用时静默跳过）
+ */
+const saveSavedPlaces = (data) => {
+  try {
+    if (typeof localStorage === "undefined") return;
+    localStorage.setItem(SAVED_OPTIONS.storageKey, JSON.stringify(data));
+  } catch {
+    // 隐私模式或配额不足时仅在本次会话内保留
+  }
+};
 
 /**
  * useNavigationStore：管理导航面板的展示、地点选择及交通方式
@@ -16,9 +66,16 @@ export const useNavigationStore = create((set, get) => ({
   panelPosition: { top: 0, left: 0 }, // 存储面板的 CSS 位置
   startLocation: null, // 起点 POI 信息 { poiId, name, worldX, worldZ, parentId, parentType }
   endLocation: null, // 终点 POI 信息
+  waypoints: [], // 途经点 POI 列表（按经过顺序，不含起终点）
+  optimizeWaypointOrder: false, // 是否自动求最优访问顺序（游览模式，终点可为空）
   transportMode: "walk", // 交通方式（取值与 TRANSPORT_MODE_KEYS 保持一致）
+  routeObjective: "distance", // 求解目标："distance" 最短路线 / "time" 按耗时模型的最快路线 / "shade" 少晒太阳的凉爽路线
+  nightSafety: "off", // 夜间安全路线："off" 关闭（默认，路灯数据稀少）/ "auto" 按 config.poiRoute.night 时段自动开启 / "on" 始终开启
   routePath: null, // 路线坐标数组 [ [x,y,z], [x,y,z], ... ]
   routeSummary: null, // 路线信息 { fromPoi, toPoi, distance }
+  savedPlaces: loadSavedPlaces(), // 常用地点与最近路线 { version, favorites, recentRoutes }（见 lib/savedPlaces.js）
+  routePlanRequest: 0, // 自增序号：NavigationPanel 监听后执行一次路线规划（如深链接恢复起终点后）
+  routePlanOptions: null, // 最近一次规划请求的选项 { start?, waypoints?, silent? }（见 requestRoutePlan）
 
   // --- ACTIONS ---
   /**
@@ -61,10 +118,103 @@ export const useNavigationStore = create((set, get) => ({
   },
 
   /**
-   * updateHighlights：根据起终点同步 useSceneStore 的模型/POI 高亮
+   * addWaypoint：在途经点列表末尾追加地点
+   * @param {object} location - 途经点地点对象，结构同 startLocation
+   */
+  addWaypoint: (location) => {
+    if (!location) return;
+    set((state) => ({ waypoints: [...state.waypoints, location] }));
+    get().updateHighlights();
+  },
+
+  /**
+   * removeWaypoint：按下标移除途经点，越界时忽略
+   * @param {number} index - 途经点下标
+   */
+  removeWaypoint: (index) => {
+    const { waypoints } = get();
+    if (index < 0 || index >= waypoints.length) return;
+    set({ waypoints: waypoints.filter((_, i) => i !== index) });
+    get().updateHighlights();
+  },
+
+  /**
+   * moveWaypoint：调整途经点顺序
+   * @param {number} fromIndex - 原下标
+   * @param {number} toIndex - 目标下标
+   */
+  moveWaypoint: (fromIndex, toIndex) => {
+    const { waypoints } = get();
+    if (
+      fromIndex === toIndex ||
+      fromIndex < 0 ||
+      fromIndex >= waypoints.length ||
+      toIndex < 0 ||
+      toIndex >= waypoints.length
+    ) {
+      return;
+    }
+    const next = [...waypoints];
+    const [moved] = next.splice(fromIndex, 1);
+    next.splice(toIndex, 0, moved);
+    set({ waypoints: next });
+  },
+
+  /**
+   * setWaypoints：整体替换途经点（游览顺序规划完成后写回结果）
+   * @param {object[]} list - 新的途经点列表
+   */
+  setWaypoints: (list) => {
+    set({ waypoints: Array.isArray(list) ? list.filter(Boolean) : [] });
+    get().updateHighlights();
+  },
+
+  /**
+   * setOptimizeWaypointOrder：开关游览模式
+   * @param {boolean} enabled
+   */
+  setOptimizeWaypointOrder: (enabled) => {
+    set({ optimizeWaypointOrder: Boolean(enabled) });
+  },
+
+  /**
+   * setRouteObjective：切换最短路线（"distance"）、最快路线（"time"）与凉爽路线（"shade"），非法值回退到 "distance"
+   * @param {"distance"|"time"|"shade"} objective
+   */
+  setRouteObjective: (objective) => {
+    set({ routeObjective: ROUTE_OBJECTIVES.includes(objective) ? objective : "distance" });
+  },
+
+  /**
+   * setNightSafety：切换夜间安全路线的设置，非法值回退到 "off"
+   * @param {"auto"|"on"|"off"} setting
+   */
+  setNightSafety: (setting) => {
+    set({ nightSafety: NIGHT_SAFETY_MODES.includes(setting) ? setting : "off" });
+  },
+
+  /**
+   * clearWaypoints：清空全部途经点
+   */
+  clearWaypoints: () => {
+    set({ waypoints: [] });
+    get().updateHighlights();
+  },
+
+  /**
+   * getRouteStops：按经过顺序返回 [起点, ...途经点, 终点]，缺失的起终点会被跳过
+   * @returns {object[]}
+   */
+  getRouteStops: () => {
+    const { startLocation, waypoints, endLocation } = get();
+    return [startLocation, ...waypoints, endLocation].filter(Boolean);
+  },
+
+  /**
+   * updateHighlights：根据起终点与途经点同步 useSceneStore 的模型/POI 高亮
    */
   updateHighlights: () => {
-    const { startLocation, endLocation } = get();
+    const { startLocation, endLocation, waypoints } = get();
     const idsToHighlight = [];
     const modelRefs = [];
 
@@ -81,6 +231,7 @@ export const useNavigationStore = create((set, get) => ({
     };
 
     collect(startLocation);
+    waypoints.forEach(collect);
     collect(endLocation);
 
     const sceneStore = useSceneStore.getState();
@@ -91,6 +242,85 @@ export const useNavigationStore = create((set, get) => ({
     }
   },
 
+  /**
+   * requestRoutePlan：请求导航面板按当前起终点规划路线（不依赖面板是否展开）
+   * @param {object} [options]
+   * @param {object} [options.start] - 以该地点为出发地，规划成功后才写回 startLocation
+   * @param {Array<object>} [options.waypoints] - 以该列表为途经点，规划成功后才写回 waypoints
+   * @param {boolean} [options.silent=false] - 失败时不弹出 alert，改为 pushNotices 提示并保留原路线
+   */
+  requestRoutePlan: (options = null) => {
+    set((state) => ({
+      routePlanRequest: state.routePlanRequest + 1,
+      routePlanOptions: options,
+    }));
+  },
+
+  /**
+   * recordRecentRoute：记录一条成功规划的路线（起终点 + 交通方式）并持久化
+   * @param {object} from - 起点
+   * @param {object} to - 终点
+   * @param {string} mode - 交通方式
+   */
+  recordRecentRoute: (from, to, mode) => {
+    const next = addRecentRoute(get().savedPlaces, { from, to, mode }, {
+      limit: SAVED_OPTIONS.maxRecent,
+    });
+    if (next === get().savedPlaces) return;
+    saveSavedPlaces(next);
+    set({ savedPlaces: next });
+  },
+
+  /**
+   * addFavoritePlace：收藏地点（如“我的宿舍”），同一地点再次收藏时改名
+   * @param {string} label - 收藏名称，空白时使用地点名称
+   * @param {object} location - 地点对象
+   */
+  addFavoritePlace: (label, location) => {
+    const next = addFavorite(get().savedPlaces, label, location, {
+      limit: SAVED_OPTIONS.maxFavorites,
+    });
+    if (next === get().savedPlaces) return;
+    saveSavedPlaces(next);
+    set({ savedPlaces: next });
+  },
+
+  /**
+   * removeFavoritePlace：取消收藏
+   * @param {string} id - 收藏条目 id
+   */
+  removeFavoritePlace: (id) => {
+    const next = removeFavorite(get().savedPlaces, id);
+    saveSavedPlaces(next);
+    set({ savedPlaces: next });
+  },
+
+  /**
+   * clearRecentRoutes：清空最近路线
+   */
+  clearRecentRoutes: () => {
+    const next = { ...get().savedPlaces, recentRoutes: [] };
+    saveSavedPlaces(next);
+    set({ savedPlaces: next });
+  },
+
+  /**
+   * applyRecentRoute：恢复最近路线的起终点与交通方式并请求规划
+   * 起终点按 poiId 取当前的 POI 记录，POI 已不存在时使用保存的快照
+   * @param {{ from: object, to: object, mode: string }} route - savedPlaces.recentRoutes 中的条目
+   */
+  applyRecentRoute: (route) => {
+    if (!route?.from || !route?.to) return;
+    get().setTransportMode(route.mode);
+    set({
+      startLocation: resolveStoredLocation(route.from, findPoiById),
+      endLocation: resolveStoredLocation(route.to, findPoiById),
+      waypoints: [],
+    });
+    get().updateHighlights();
+    get().requestRoutePlan();
+  },
+
   /**
    * setTransportMode：写入交通方式，非法值回退到 'walk'
    * @param {string} mode - 待设置的交通方式
@@ -26,6 +26,11 @@ const DEFAULT_POI_VISIBLE =
  */
 const MAX_LOG_PREVIEW = 50;
 
+/**
+ * DEFAULT_WALKTHROUGH_RATE：沉浸式导航的默认回放倍速
+ */
+const DEFAULT_WALKTHROUGH_RATE = Number(config.poiRoute?.walkthrough?.defaultRate) || 1;
+
 /**
  * BASE_ROTATION：校园的基准旋转角度
  * 单位：弧度（rad）
@@ -105,6 +110,41 @@ const getInitialEnvironmentSettings = () => ({
   toneMapping: config.environment?.toneMapping ?? "ACESFilmic",
 });
 
+/**
+ * BLOCKED_STORAGE_KEY：道路封闭登记表在 localStorage 中的键名
+ */
+const BLOCKED_STORAGE_KEY =
+  config.poiRoute?.blocked?.storageKey || "campus-nav:blocked-roads";
+
+/**
+ * loadBlockedItems：从 localStorage 读取道路封闭登记表
+ * 非浏览器环境、数据缺失或解析失败时返回空数组
+ */
+const loadBlockedItems = () => {
+  try {
+    if (typeof localStorage === "undefined") return [];
+    const parsed = JSON.parse(localStorage.getItem(BLOCKED_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((item) => item?.id && item?.type) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * saveBlockedItems：把登记表写回 localStorage（存储不可用时静默跳过）
+ */
+const saveBlockedItems = (items) => {
+  try {
+    if (typeof localStorage === "undefined") return;
+    localStorage.setItem(BLOCKED_STORAGE_KEY, JSON.stringify(items));
+  } catch {
+    // 隐私模式或配额不足时不影响本次会话内的封闭状态
+  }
+};
+
+// 登记表条目自增序号，与时间戳组合生成唯一 id
+let blockedItemSeq = 0;
+
 /**
  * getInitialData：集中定义 store 的所有初始状态
  * 
@@ -142,7 +182,21 @@ const getInitialData = () => ({
   highlightedRoutePath: [],
   highlightedRouteMeta: null,
   activeRoute: null,
+  alternativeRoutes: [],
+  blockedItems: loadBlockedItems(),
+  blockPolicy: "avoid",
+  mapPickMode: null,
+  barrierDraft: [],
+  mapContextMenu: null,
   roadGraphReady: false,
+  roadComponentsVisible: false,
+  reachabilityOrigin: null,
+  reachability: null,
+  notices: [],
+  walkthrough: null,
+  walkthroughDistance: 0,
+  tracking: null,
+  livePosition: null,
   highlightedLocationIds: new Set(),
   highlightedModelIds: new Map(),
   guidePanelsVisible: {},
@@ -159,7 +213,7 @@ const getInitialData = () => ({
  * 状态字段及操作方法说明详见下方
  */
 // useSceneStore：集中暴露校园导航需要的状态与 setter
-export const useSceneStore = create((set) => ({
+export const useSceneStore = create((set, get) => ({
   ...getInitialData(),
 
   /**
@@ -302,15 +356,247 @@ export const useSceneStore = create((set) => ({
     }),
 
   /**
-   * setActiveRoute：记录当前路线信息（{ from, to, length }）
+   * setActiveRoute：记录当前路线信息（{ from, to, length, mode?, legs?, steps?, warnings?, objective?, travelTime?, shade?, shadeBaseline?, night? }）
+   * mode 为求解该路线时的交通方式，travelTime 与图标均按它显示（面板切换交通方式不会改写）
+   * travelTime 为 lib/travelTime.js 的耗时汇总（秒），legs[i].travelTime 为各段耗时
+   * 凉爽路线另有 shade（{ ratio, shadedLength, sun }）与 shadeBaseline（同一组地点最短路线的 { length, shadedLength, ratio }）
+   * 夜间安全路线另有 night（{ litLength, unlitLength, litRatio, unlitSegments }），unlitSegments 由 App.jsx 绘制为警示色
    */
   setActiveRoute: (routeInfo) => set({ activeRoute: routeInfo || null }),
 
+  /**
+   * setAlternativeRoutes：记录备选路线（不含当前路线）
+   * 参数：routes - [{ pointPath, roadIds, length, steps, warnings, travelTime, shade?, night? }]
+   */
+  setAlternativeRoutes: (routes) =>
+    set({ alternativeRoutes: Array.isArray(routes) ? routes : [] }),
+
+  /**
+   * selectAlternativeRoute：把第 index 条备选路线设为当前路线，原当前路线放回该位置
+   * 参数：index - alternativeRoutes 下标
+   */
+  selectAlternativeRoute: (index) =>
+    set((state) => {
+      const chosen = state.alternativeRoutes[index];
+      if (!chosen || !state.activeRoute) return {};
+      const previous = {
+        pointPath: state.highlightedRoutePath,
+        roadIds: state.highlightedRoadIds,
+        length: state.activeRoute.length,
+        steps: state.activeRoute.steps,
+        warnings: state.activeRoute.warnings,
+        travelTime: state.activeRoute.travelTime,
+        shade: state.activeRoute.shade,
+        night: state.activeRoute.night,
+      };
+      const alternativeRoutes = [...state.alternativeRoutes];
+      alternativeRoutes[index] = previous;
+      return {
+        alternativeRoutes,
+        highlightedRoutePath: chosen.pointPath,
+        highlightedRoadIds: chosen.roadIds,
+        activeRoute: {
+          ...state.activeRoute,
+          length: chosen.length,
+          steps: chosen.steps,
+          warnings: chosen.warnings,
+          travelTime: chosen.travelTime,
+          shade: chosen.shade,
+          night: chosen.night,
+        },
+      };
+    }),
+
+  /**
+   * addBlockedItem：向道路封闭登记表追加一条并持久化
+   * 参数：item - { type: "road"|"edge"|"polygon", policy?, label?, roadIds?|edgeId?|polygon? }
+   * policy 缺省时取当前 blockPolicy；返回新条目 id
+   */
+  addBlockedItem: (item) => {
+    if (!item?.type) return null;
+    blockedItemSeq += 1;
+    const id = `blocked-${Date.now()}-${blockedItemSeq}`;
+    set((state) => {
+      const blockedItems = [
+        ...state.blockedItems,
+        { ...item, id, policy: item.policy || state.blockPolicy },
+      ];
+      saveBlockedItems(blockedItems);
+      return { blockedItems };
+    });
+    return id;
+  },
+
+  /**
+   * removeBlockedItem：按 id 移除登记表条目并持久化
+   */
+  removeBlockedItem: (id) =>
+    set((state) => {
+      const blockedItems = state.blockedItems.filter((item) => item.id !== id);
+      saveBlockedItems(blockedItems);
+      return { blockedItems };
+    }),
+
+  /**
+   * clearBlockedItems：清空登记表并持久化
+   */
+  clearBlockedItems: () => {
+    saveBlockedItems([]);
+    set({ blockedItems: [] });
+  },
+
+  /**
+   * setBlockPolicy：设置新增封闭条目的默认策略（avoid 禁止通行 / penalize 尽量避开）
+   */
+  setBlockPolicy: (policy) =>
+    set({ blockPolicy: policy === "penalize" ? "penalize" : "avoid" }),
+
+  /**
+   * setMapPickMode：设置地图点击的用途（"block-edge" 点选路段 / "block-polygon" 绘制区域 / null）
+   * 切换模式时丢弃未完成的区域草稿
+   */
+  setMapPickMode: (mode) => set({ mapPickMode: mode || null, barrierDraft: [] }),
+
+  /**
+   * appendBarrierPoint：向封闭区域草稿追加一个顶点（worldX/worldZ）
+   */
+  appendBarrierPoint: (point) =>
+    set((state) => ({
+      barrierDraft: [...state.barrierDraft, { worldX: point.worldX, worldZ: point.worldZ }],
+    })),
+
+  /**
+   * commitBarrierDraft：草稿至少 3 个顶点时登记为 polygon 条目并退出绘制
+   * 返回新条目 id，顶点不足时返回 null 且保留草稿
+   */
+  commitBarrierDraft: (label) => {
+    const { barrierDraft, addBlockedItem } = get();
+    if (barrierDraft.length < 3) return null;
+    const id = addBlockedItem({
+      type: "polygon",
+      polygon: barrierDraft,
+      label: label || "封闭区域",
+    });
+    set({ mapPickMode: null, barrierDraft: [] });
+    return id;
+  },
+
+  /**
+   * openMapContextMenu：右键地图后弹出“设为起点/设为终点”菜单
+   * 参数：{ clientX, clientY, location }，location 为 createMapLocation 生成的临时地点
+   */
+  openMapContextMenu: (menu) => set({ mapContextMenu: menu?.location ? menu : null }),
+
+  /**
+   * closeMapContextMenu：关闭地图右键菜单
+   */
+  closeMapContextMenu: () => set({ mapContextMenu: null }),
+
   /**
    * markRoadGraphReady：标记路网数据已加载
    */
   markRoadGraphReady: () => set({ roadGraphReady: true }),
 
+  /**
+   * setRoadComponentsVisible：调试面板开关，按路网连通分量给道路着色
+   */
+  setRoadComponentsVisible: (visible) => set({ roadComponentsVisible: Boolean(visible) }),
+
+  /**
+   * showReachability：以 POI 或地图选点为出发地显示可达范围
+   * App.jsx 监听 reachabilityOrigin，按当前交通方式与封闭登记表求解后写入 reachability
+   */
+  showReachability: (origin) => set({ reachabilityOrigin: origin || null }),
+
+  /**
+   * setReachability：写入 computeReachability 的结果（附带 origin），路段与建筑按时间分段着色
+   */
+  setReachability: (reachability) => set({ reachability: reachability || null }),
+
+  /**
+   * clearReachability：关闭可达范围显示
+   */
+  clearReachability: () => set({ reachabilityOrigin: null, reachability: null }),
+
+  /**
+   * pushNotices：追加面向用户的非阻塞提示（如深链接中的无效参数），由 NoticeBar 显示
+   * @param {string[]} messages
+   */
+  pushNotices: (messages) =>
+    set((state) => ({
+      notices: [...state.notices, ...(Array.isArray(messages) ? messages : []).filter(Boolean)],
+    })),
+
+  /**
+   * dismissNotices：关闭全部提示
+   */
+  dismissNotices: () => set({ notices: [] }),
+
+  /**
+   * startWalkthrough：沿当前路线开始沉浸式导航（从起点播放），没有路线时忽略
+   * App.jsx 监听 walkthrough 切换第一人称相机，并按交通方式速度 × 倍速逐帧推进 walkthroughDistance
+   */
+  startWalkthrough: () =>
+    set((state) => {
+      if (state.highlightedRoutePath.length < 2) return {};
+      return {
+        walkthrough: { playing: true, rate: state.walkthrough?.rate ?? DEFAULT_WALKTHROUGH_RATE },
+        walkthroughDistance: 0,
+      };
+    }),
+
+  /**
+   * setWalkthroughPlaying：播放/暂停
+   */
+  setWalkthroughPlaying: (playing) =>
+    set((state) =>
+      state.walkthrough ? { walkthrough: { ...state.walkthrough, playing: Boolean(playing) } } : {}
+    ),
+
+  /**
+   * setWalkthroughRate：回放倍速（相对交通方式的平均速度）
+   */
+  setWalkthroughRate: (rate) =>
+    set((state) => {
+      const value = Number(rate);
+      if (!state.walkthrough || !(value > 0)) return {};
+      return { walkthrough: { ...state.walkthrough, rate: value } };
+    }),
+
+  /**
+   * seekWalkthrough：跳到指定里程（米），拖动进度条与逐帧推进共用
+   */
+  seekWalkthrough: (distance) =>
+    set((state) =>
+      state.walkthrough ? { walkthroughDistance: Math.max(Number(distance) || 0, 0) } : {}
+    ),
+
+  /**
+   * stopWalkthrough：结束沉浸式导航，相机回到俯视视角
+   */
+  stopWalkthrough: () => set({ walkthrough: null, walkthroughDistance: 0 }),
+
+  /**
+   * startTracking：开始实时定位（替换正在进行的定位）
+   * App.jsx 监听 tracking 创建定位来源（lib/positionProviders.js），把每次定位写入 livePosition
+   * @param {{ source: "geolocation"|"replay", label: string, points?: Array, rate?: number }} tracking
+   *        回放时 points 为 parseTrackFile 的定位点，rate 为回放倍速
+   */
+  startTracking: (tracking) => {
+    if (!tracking?.source) return;
+    set({ tracking: { ...tracking }, livePosition: null });
+  },
+
+  /**
+   * setLivePosition：写入最新定位（路网坐标、吸附点、偏离距离与偏航状态）
+   */
+  setLivePosition: (position) => set({ livePosition: position || null }),
+
+  /**
+   * stopTracking：停止实时定位并移除位置标记
+   */
+  stopTracking: () => set({ tracking: null, livePosition: null }),
+
   /**
    * toggleLayerVisibility：切换指定图层的可见性
    * 参数：layerKey - 图层标识符（如 "buildings", "boundary", "water", "roads"）
@@ -9,6 +9,7 @@ const mockState = {
     exposure: 1,
     toneMapping: "ACESFilmic",
   },
+  roadComponentsVisible: false,
 };
 
 const mockUpdateSceneTransform = vi.fn((partial) => {
@@ -26,6 +27,10 @@ const mockResetSceneTransform = vi.fn(() => {
   mockState.sceneTransform = { rotationY: 0, scale: 1, offset: { x: 0, z: 0 } };
 });
 
+const mockSetRoadComponentsVisible = vi.fn((visible) => {
+  mockState.roadComponentsVisible = visible;
+});
+
 const mockUpdateEnvironmentSettings = vi.fn((partial) => {
   mockState.environmentSettings = {
     ...mockState.environmentSettings,
@@ -41,6 +46,8 @@ vi.mock("../../store/useSceneStore", () => {
       resetSceneTransform: mockResetSceneTransform,
       environmentSettings: mockState.environmentSettings,
       updateEnvironmentSettings: mockUpdateEnvironmentSettings,
+      roadComponentsVisible: mockState.roadComponentsVisible,
+      setRoadComponentsVisible: mockSetRoadComponentsVisible,
     });
   hook.getState = () => ({
     sceneTransform: mockState.sceneTransform,
@@ -52,6 +59,10 @@ vi.mock("../../store/useSceneStore", () => {
   return { useSceneStore: hook };
 });
 
+vi.mock("../../lib/roadGraph", () => ({
+  getRoadComponents: () => ({ sizes: [120, 6, 2], byRoadId: new Map() }),
+}));
+
 import DebugPanel from "../../components/DebugPanel";
 
 describe("DebugPanel", () => {
@@ -66,6 +77,8 @@ describe("DebugPanel", () => {
       toneMapping: "ACESFilmic",
     };
     mockUpdateEnvironmentSettings.mockClear();
+    mockState.roadComponentsVisible = false;
+    mockSetRoadComponentsVisible.mockClear();
   });
 
   it("updates rotation via slider", () => {
@@ -97,4 +110,12 @@ describe("DebugPanel", () => {
     fireEvent.click(checkbox);
     expect(mockUpdateEnvironmentSettings).toHaveBeenCalledWith({ enabled: false });
   });
+
+  it("shows road components and toggles component colouring", () => {
+    render(<DebugPanel />);
+    expect(screen.getAllByText("连通分量")[0].nextSibling.textContent).toBe("3");
+    expect(screen.getAllByText("最大分量节点")[0].nextSibling.textContent).toBe("120");
+    fireEvent.click(screen.getAllByLabelText("按连通分量着色道路")[0]);
+    expect(mockSetRoadComponentsVisible).toHaveBeenCalledWith(true);
+  });
 });
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, act, cleanup, fireEvent, screen } from "@testing-library/react";
+import NavigationPanel from "../../components/NavigationPanel";
+import { useNavigationStore } from "../../store/navigationStore";
+import { useSceneStore } from "../../store/useSceneStore";
+import { exportRoute } from "../../lib/routeExport";
+
+vi.mock("../../lib/roadGraph", async (importOriginal) => ({
+  ...(await importOriginal()),
+  solveAlternativeRoutes: vi.fn(() => {
+    throw new Error("起点距离路网过远");
+  }),
+}));
+
+vi.mock("../../lib/routeExport", async (importOriginal) => ({
+  ...(await importOriginal()),
+  exportRoute: vi.fn(() => {
+    throw new Error("测试中不下载");
+  }),
+}));
+
+const start = { poiId: "a", name: "图书馆", worldX: 0, worldZ: 0 };
+const end = { poiId: "b", name: "体育馆", worldX: 100, worldZ: 0 };
+const current = { poiId: null, name: "当前位置", worldX: 5000, worldZ: 5000, source: "position" };
+const previousPath = [
+  { worldX: 0, worldZ: 0 },
+  { worldX: 100, worldZ: 0 },
+];
+
+describe("NavigationPanel 外部规划请求", () => {
+  beforeEach(() => {
+    vi.spyOn(window, "alert").mockImplementation(() => {});
+    useNavigationStore.setState({
+      startLocation: start,
+      endLocation: end,
+      waypoints: [],
+      optimizeWaypointOrder: false,
+      routePlanRequest: 0,
+      routePlanOptions: null,
+    });
+    useSceneStore.setState({ notices: [], highlightedRoutePath: previousPath });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it("偏航重规划失败时不弹窗，以提示告知并保留原路线与起点", () => {
+    render(<NavigationPanel />);
+    act(() => {
+      useNavigationStore.getState().requestRoutePlan({ start: current, waypoints: [], silent: true });
+    });
+    expect(window.alert).not.toHaveBeenCalled();
+    expect(useNavigationStore.getState().startLocation).toBe(start);
+    expect(useSceneStore.getState().highlightedRoutePath).toBe(previousPath);
+    expect(useSceneStore.getState().notices).toEqual(["路线规划失败，请检查地点是否可达"]);
+  });
+
+  it("普通规划请求失败时仍以 alert 提示", () => {
+    render(<NavigationPanel />);
+    act(() => {
+      useNavigationStore.getState().requestRoutePlan();
+    });
+    expect(window.alert).toHaveBeenCalledWith("路线规划失败，请检查地点是否可达");
+    expect(useSceneStore.getState().notices).toEqual([]);
+  });
+});
+
+describe("NavigationPanel 导出路线", () => {
+  beforeEach(() => {
+    vi.spyOn(window, "alert").mockImplementation(() => {});
+    useNavigationStore.setState({
+      isPanelVisible: true,
+      transportMode: "drive",
+      routePlanRequest: 0,
+      routePlanOptions: null,
+    });
+    useSceneStore.setState({
+      highlightedRoutePath: previousPath,
+      activeRoute: { from: "图书馆", to: "体育馆", length: 100, mode: "bike", steps: [] },
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    useNavigationStore.setState({ isPanelVisible: false });
+    useSceneStore.setState({ activeRoute: null });
+  });
+
+  it("按求解路线时的交通方式导出，而非当前选择的方式", () => {
+    render(<NavigationPanel />);
+    fireEvent.click(screen.getByText("GPX"));
+    expect(exportRoute).toHaveBeenCalledWith(expect.objectContaining({ mode: "bike" }), "gpx");
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { render, screen, cleanup } from "@testing-library/react";
+import RouteInfoPopup from "../../components/RouteInfoPopup";
+import { useNavigationStore } from "../../store/navigationStore";
+import { useSceneStore } from "../../store/useSceneStore";
+
+const travelTime = {
+  total: 600,
+  moving: 480,
+  steps: 0,
+  dismount: 120,
+  crossings: 0,
+  signals: 0,
+  dismountCount: 2,
+  crossingCount: 0,
+  signalCount: 0,
+};
+
+describe("RouteInfoPopup 交通方式", () => {
+  beforeEach(() => {
+    useSceneStore.setState({ highlightedRoutePath: [], activeRoute: null });
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("切换交通方式后仍按求解路线时的方式显示图标与耗时", () => {
+    useSceneStore.setState({
+      activeRoute: { from: "图书馆", to: "体育馆", length: 1200, mode: "bike", travelTime },
+    });
+    useNavigationStore.setState({ transportMode: "drive" });
+    render(<RouteInfoPopup />);
+    expect(screen.getByText("🚲")).toBeTruthy();
+    expect(screen.queryByText("🚗")).toBeNull();
+    expect(screen.getByText("10 分钟")).toBeTruthy();
+    expect(screen.getByText("下车推行 2 次")).toBeTruthy();
+  });
+
+  it("缺少 travelTime 时按路线的交通方式速度估算", () => {
+    // 步行 5 km/h，1000 米约 12 分钟；若按当前的驾驶方式估算会远小于此
+    useSceneStore.setState({
+      activeRoute: { from: "图书馆", to: "体育馆", length: 1000, mode: "walk", travelTime: null },
+    });
+    useNavigationStore.setState({ transportMode: "drive" });
+    render(<RouteInfoPopup />);
+    expect(screen.getByText("🚶")).toBeTruthy();
+    expect(screen.getByText("12 分钟")).toBeTruthy();
+  });
+});
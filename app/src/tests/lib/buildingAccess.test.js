@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import {
+  createBuildingAccessIndex,
+  getBuildingOutline,
+  getBuildingEntrances,
+} from "../../lib/buildingAccess";
+import { getPoiRecords } from "../../lib/poiIndex";
+
+describe("buildingAccess", () => {
+  const index = createBuildingAccessIndex({
+    entrances: [
+      { entranceId: "e-main", parentId: "b1", worldX: 0, worldZ: 0, tags: { entrance: "main" } },
+      {
+        entranceId: "e-staff",
+        parentId: "b1",
+        worldX: 5,
+        worldZ: 0,
+        tags: { entrance: "service", access: "private" },
+      },
+      {
+        entranceId: "e-side",
+        parentId: "b1",
+        worldX: 0,
+        worldZ: 5,
+        tags: { entrance: "yes", wheelchair: "no" },
+      },
+      { entranceId: "e-orphan", parentId: null, worldX: 9, worldZ: 9 },
+    ],
+    buildings: [{ stableId: "b1", rings: [[{ worldX: 0, worldZ: 0 }]] }],
+  });
+
+  it("按建筑分组并排除不开放的入口", () => {
+    expect(index.getEntrances("b1").map((item) => item.entranceId)).toEqual([
+      "e-main",
+      "e-side",
+    ]);
+    expect(index.getEntrances("unknown")).toEqual([]);
+  });
+
+  it("无障碍方式排除 wheelchair=no 的入口", () => {
+    expect(index.getEntrances("b1", "accessible").map((item) => item.entranceId)).toEqual([
+      "e-main",
+    ]);
+  });
+
+  it("返回建筑外环，未知建筑为 null", () => {
+    expect(index.getOutline("b1")).toHaveLength(1);
+    expect(index.getOutline("unknown")).toBeNull();
+    expect(index.listOutlines().map((item) => item.stableId)).toEqual(["b1"]);
+  });
+
+  it("默认索引覆盖 POI 所属建筑的外轮廓", () => {
+    const poi = getPoiRecords().find((item) => item.parentType === "building");
+    const outline = getBuildingOutline(poi.parentId);
+    expect(outline.length).toBeGreaterThan(0);
+    expect(outline[0].length).toBeGreaterThanOrEqual(3);
+    expect(Number.isFinite(outline[0][0].worldX)).toBe(true);
+    expect(Array.isArray(getBuildingEntrances(poi.parentId, "walk"))).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { resolveBuildingHeight, resolveBuildingOverride } from "../../lib/buildingHeight";
+
+const settings = {
+  heights: { 教学楼: 30, 默认: 9 },
+  buildingOverrides: {
+    byName: {
+      图书馆: { elevation: 40, heightOffset: 5, color: "#ff0000" },
+      体育馆: { heightOffset: -3 },
+      地下车库: { elevation: 2, heightOffset: -8 },
+    },
+  },
+};
+
+describe("buildingHeight", () => {
+  it("按名称（去除首尾空白）查找覆盖配置", () => {
+    expect(resolveBuildingOverride({ name: " 图书馆 " }, settings).color).toBe("#ff0000");
+    expect(resolveBuildingOverride({ name: "食堂" }, settings)).toBeNull();
+    expect(resolveBuildingOverride({}, settings)).toBeNull();
+    expect(resolveBuildingOverride({ name: "图书馆" }, { heights: {} })).toBeNull();
+  });
+
+  it("高度优先级：覆盖 elevation → 分类 → 数据 elevation → 默认", () => {
+    expect(resolveBuildingHeight({ name: "图书馆", category: "教学楼", elevation: 12 }, settings)).toBe(45);
+    expect(resolveBuildingHeight({ category: "教学楼", elevation: 12 }, settings)).toBe(30);
+    expect(resolveBuildingHeight({ category: "宿舍", elevation: 12 }, settings)).toBe(12);
+    expect(resolveBuildingHeight({ category: "宿舍", elevation: 0 }, settings)).toBe(9);
+    expect(resolveBuildingHeight({ name: "体育馆" }, settings)).toBe(6);
+  });
+
+  it("缺少默认高度或结果不为正数时兜底为 10 米", () => {
+    expect(resolveBuildingHeight({}, { heights: {} })).toBe(10);
+    expect(resolveBuildingHeight({ name: "地下车库" }, settings)).toBe(10);
+    expect(resolveBuildingHeight(null, {})).toBe(10);
+  });
+});
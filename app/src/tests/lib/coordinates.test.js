@@ -0,0 +1,100 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import {
+  composeSceneTransform,
+  sceneToGraphPoint,
+  parseLngLatText,
+  projectCoordinate,
+  unprojectCoordinate,
+} from "../../lib/coordinates";
+import graphData from "../../data/roads-graph.json";
+import { graphToLngLat, projectToGraph } from "../../lib/roadGraph";
+
+describe("场景坐标还原", () => {
+  const base = { rotationY: 0.9, scale: 1, offset: { x: -500, z: -141 } };
+
+  it("增量变换与基准姿态叠加：旋转/平移相加，缩放相乘", () => {
+    const delta = { rotationY: 0.1, scale: 2, offset: { x: 10, z: -5 } };
+    expect(composeSceneTransform(base, delta)).toEqual({
+      rotationY: 1,
+      scale: 2,
+      offset: { x: -490, z: -146 },
+    });
+    expect(composeSceneTransform(base, null)).toEqual({
+      rotationY: 0.9,
+      scale: 1,
+      offset: { x: -500, z: -141 },
+    });
+  });
+
+  it("与 Three.js Group 的局部 → 世界变换互逆", () => {
+    const transform = composeSceneTransform(base, {
+      rotationY: 0.3,
+      scale: 1.5,
+      offset: { x: 20, z: 40 },
+    });
+    const group = new THREE.Group();
+    group.rotation.y = transform.rotationY;
+    group.scale.setScalar(transform.scale);
+    group.position.set(transform.offset.x, 0, transform.offset.z);
+    group.updateMatrixWorld(true);
+    const world = group.localToWorld(new THREE.Vector3(123, 0, -456));
+    const local = sceneToGraphPoint({ x: world.x, z: world.z }, transform);
+    expect(local.worldX).toBeCloseTo(123, 6);
+    expect(local.worldZ).toBeCloseTo(-456, 6);
+  });
+
+  it("非法坐标或缩放为 0 时返回 null", () => {
+    expect(sceneToGraphPoint({ x: NaN, z: 0 }, base)).toBeNull();
+    expect(sceneToGraphPoint({ x: 1, z: 1 }, { ...base, scale: 0 })).toBeNull();
+  });
+});
+
+describe("经纬度文本解析", () => {
+  it("默认按“纬度, 经度”解释，首个数超过 90 时按“经度, 纬度”", () => {
+    expect(parseLngLatText("30.7612369, 103.9686662")).toEqual({ lng: 103.9686662, lat: 30.7612369 });
+    expect(parseLngLatText("103.9686662 30.7612369")).toEqual({ lng: 103.9686662, lat: 30.7612369 });
+    expect(parseLngLatText(" 30.76，103.97 ")).toEqual({ lng: 103.97, lat: 30.76 });
+  });
+
+  it("非坐标文本返回 null", () => {
+    expect(parseLngLatText("图书馆")).toBeNull();
+    expect(parseLngLatText("30.76")).toBeNull();
+    expect(parseLngLatText("120, 200")).toBeNull();
+  });
+});
+
+describe("投影逆变换", () => {
+  const origin = { lng: 103.9687, lat: 30.7612 };
+
+  it("经纬度 → 平面 → 经纬度往返无损", () => {
+    [
+      [103.9687, 30.7612],
+      [103.9751, 30.7583],
+      [103.95, 30.78],
+      [104.1, 30.6],
+    ].forEach((coordinate) => {
+      const [lng, lat] = unprojectCoordinate(projectCoordinate(coordinate, origin), origin);
+      expect(lng).toBeCloseTo(coordinate[0], 10);
+      expect(lat).toBeCloseTo(coordinate[1], 10);
+    });
+    const [x, y] = projectCoordinate(unprojectCoordinate([1234.5, -678.9], origin), origin);
+    expect(x).toBeCloseTo(1234.5, 6);
+    expect(y).toBeCloseTo(-678.9, 6);
+  });
+
+  it("缺少原点时原样返回", () => {
+    expect(unprojectCoordinate([1, 2], null)).toEqual([1, 2]);
+  });
+
+  it("路网坐标还原为节点的原始经纬度", () => {
+    graphData.nodes.slice(0, 20).forEach((node) => {
+      const [lng, lat] = graphToLngLat(node);
+      expect(lng).toBeCloseTo(node.lng, 9);
+      expect(lat).toBeCloseTo(node.lat, 9);
+      const back = projectToGraph([lng, lat]);
+      expect(back.worldX).toBeCloseTo(node.worldX, 6);
+      expect(back.worldZ).toBeCloseTo(node.worldZ, 6);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildDeepLinkSearch,
+  formatCamera,
+  parseCamera,
+  parseDeepLink,
+  resolveDeepLink,
+} from "../../lib/deepLink";
+
+const pois = {
+  "poi-node/1": { poiId: "poi-node/1", name: "图书馆" },
+  "poi-node/2": { poiId: "poi-node/2", name: "一食堂" },
+};
+const lookups = {
+  findPoi: (poiId) => pois[poiId] || null,
+  hasBuilding: (stableId) => stableId === "way/100",
+  isMode: (mode) => ["walk", "bike"].includes(mode),
+};
+const camera = {
+  position: { x: 120.04, y: 350.26, z: -80 },
+  target: { x: 0, y: 0, z: 12.55 },
+};
+
+describe("deepLink", () => {
+  it("相机姿态编码为 6 个数字并可还原", () => {
+    expect(formatCamera(camera)).toBe("120,350.3,-80,0,0,12.6");
+    expect(parseCamera("120,350.3,-80,0,0,12.6")).toEqual({
+      position: { x: 120, y: 350.3, z: -80 },
+      target: { x: 0, y: 0, z: 12.6 },
+    });
+    expect(parseCamera("1,2,3")).toBeNull();
+    expect(parseCamera("1,2,3,4,5,abc")).toBeNull();
+    expect(parseCamera("1,2,3,4,5,")).toBeNull();
+    expect(formatCamera({ position: { x: 1, y: 2, z: NaN }, target: camera.target })).toBeNull();
+  });
+
+  it("由状态生成查询串，保留无关参数并省略默认值", () => {
+    const search = buildDeepLinkSearch(
+      {
+        startLocation: pois["poi-node/1"],
+        endLocation: { poiId: null, name: "地图选点" },
+        transportMode: "bike",
+        selectedBuilding: "way/100",
+        camera,
+      },
+      "?debug=1&to=poi-node/9"
+    );
+    const params = new URLSearchParams(search);
+    expect(params.get("debug")).toBe("1");
+    expect(params.get("from")).toBe("poi-node/1");
+    expect(params.has("to")).toBe(false);
+    expect(params.get("mode")).toBe("bike");
+    expect(params.get("sel")).toBe("way/100");
+    expect(params.get("cam")).toBe("120,350.3,-80,0,0,12.6");
+    expect(buildDeepLinkSearch({ transportMode: "walk" }, "?mode=bike")).toBe("");
+  });
+
+  it("解析并校验链接参数，往返一致", () => {
+    const search = buildDeepLinkSearch({
+      startLocation: pois["poi-node/1"],
+      endLocation: pois["poi-node/2"],
+      transportMode: "bike",
+      selectedBuilding: "way/100",
+      camera,
+    });
+    const resolved = resolveDeepLink(parseDeepLink(search), lookups);
+    expect(resolved.startLocation).toBe(pois["poi-node/1"]);
+    expect(resolved.endLocation).toBe(pois["poi-node/2"]);
+    expect(resolved.mode).toBe("bike");
+    expect(resolved.selectedBuilding).toBe("way/100");
+    expect(resolved.camera.position.y).toBe(350.3);
+    expect(resolved.issues).toEqual([]);
+  });
+
+  it("无效参数置空并给出提示，缺省参数不提示", () => {
+    const resolved = resolveDeepLink(
+      parseDeepLink("?from=poi-node/404&mode=plane&sel=way/404&cam=oops"),
+      lookups
+    );
+    expect(resolved).toMatchObject({
+      startLocation: null,
+      endLocation: null,
+      mode: null,
+      selectedBuilding: null,
+      camera: null,
+    });
+    expect(resolved.issues).toHaveLength(4);
+    expect(resolved.issues[0]).toContain("poi-node/404");
+    expect(resolveDeepLink(parseDeepLink(""), lookups).issues).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import {
+  listFacilityCategories,
+  matchesCategory,
+  findNearestFacilities,
+} from "../../lib/nearestFacility";
+import { getPoiRecords } from "../../lib/poiIndex";
+import { solveRouteBetweenPoints } from "../../lib/roadGraph";
+
+const toilets = { key: "toilets", poiTypes: ["toilets"] };
+
+/**
+ * straightSolver：以直线距离为路程的求解函数，并可指定不可达的终点
+ */
+const straightSolver = (unreachable = new Set()) => (from, to) => {
+  if (unreachable.has(to.poiId)) throw new Error("未找到可行路线");
+  return { totalLength: Math.hypot(to.worldX - from.worldX, to.worldZ - from.worldZ) };
+};
+
+describe("nearestFacility", () => {
+  it("读取配置中的设施类别，按 poiType 或名称关键词匹配", () => {
+    const keys = listFacilityCategories().map((category) => category.key);
+    expect(keys).toEqual(expect.arrayContaining(["toilets", "canteen", "atm", "bicycle_parking"]));
+    const canteen = listFacilityCategories().find((category) => category.key === "canteen");
+    expect(matchesCategory({ name: "二食堂（梁园）", poiType: "label" }, canteen)).toBe(true);
+    expect(matchesCategory({ name: "小吃", poiType: "fast_food" }, canteen)).toBe(true);
+    expect(matchesCategory({ name: "图书馆", poiType: "label" }, canteen)).toBe(false);
+  });
+
+  it("按路程排序并截取前 N 个，跳过起点自身与不可达地点", () => {
+    const pois = [
+      { poiId: "a", name: "卫生间", poiType: "toilets", worldX: 30, worldZ: 0 },
+      { poiId: "b", name: "卫生间", poiType: "toilets", worldX: 10, worldZ: 0 },
+      { poiId: "c", name: "卫生间", poiType: "toilets", worldX: 20, worldZ: 0 },
+      { poiId: "d", name: "卫生间", poiType: "toilets", worldX: 5, worldZ: 0 },
+      { poiId: "start", name: "卫生间", poiType: "toilets", worldX: 0, worldZ: 0 },
+      { poiId: "e", name: "ATM", poiType: "atm", worldX: 1, worldZ: 0 },
+    ];
+    const start = pois[4];
+    const results = findNearestFacilities(start, toilets, {
+      pois,
+      limit: 2,
+      solveLeg: straightSolver(new Set(["d"])),
+    });
+    expect(results.map((item) => item.poi.poiId)).toEqual(["b", "c"]);
+    expect(results[0].length).toBe(10);
+    expect(results[0].route.totalLength).toBe(10);
+  });
+
+  it("路程而非直线距离决定顺序", () => {
+    const pois = [
+      { poiId: "near", poiType: "toilets", worldX: 10, worldZ: 0 },
+      { poiId: "far", poiType: "toilets", worldX: 50, worldZ: 0 },
+    ];
+    const detour = (from, to) => ({ totalLength: to.poiId === "near" ? 200 : 60 });
+    const results = findNearestFacilities({ worldX: 0, worldZ: 0 }, toilets, {
+      pois,
+      solveLeg: detour,
+    });
+    expect(results.map((item) => item.poi.poiId)).toEqual(["far", "near"]);
+  });
+
+  it("在真实路网上求最近的卫生间", () => {
+    const records = getPoiRecords();
+    const start = records.find((record) => record.sourceType === "label");
+    const results = findNearestFacilities(start, "toilets", { limit: 3 });
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.length).toBeLessThanOrEqual(3);
+    results.forEach((item, index) => {
+      expect(item.poi.poiType).toBe("toilets");
+      expect(item.route.pointPath.length).toBeGreaterThanOrEqual(2);
+      if (index > 0) expect(item.length).toBeGreaterThanOrEqual(results[index - 1].length);
+    });
+    const direct = solveRouteBetweenPoints(start, results[0].poi);
+    expect(results[0].length).toBeCloseTo(direct.totalLength, 6);
+  });
+
+  it("缺少起点或类别未知时报错", () => {
+    expect(() => findNearestFacilities(null, "toilets")).toThrow("缺少起点");
+    expect(() => findNearestFacilities({ worldX: 0, worldZ: 0 }, "unknown")).toThrow(
+      "未知的设施类别"
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import {
+  createLightingIndex,
+  getNightRoadFactor,
+  isNightHour,
+  resolveLitTag,
+  resolveNightMode,
+} from "../../lib/nightSafety";
+import config from "../../config/index.js";
+
+const options = config.poiRoute.night;
+const at = (hour) => new Date(2024, 9, 1, hour, 30);
+
+describe("nightSafety", () => {
+  it("按配置时段判断夜间，跨越午夜", () => {
+    expect(isNightHour(at(options.startHour))).toBe(true);
+    expect(isNightHour(at(options.endHour - 1))).toBe(true);
+    expect(isNightHour(at(options.endHour))).toBe(false);
+    expect(isNightHour(at(12))).toBe(false);
+  });
+
+  it("夜间安全设置：开启/关闭优先，自动按时段", () => {
+    expect(resolveNightMode("on", at(12))).toBe(true);
+    expect(resolveNightMode("off", at(options.startHour))).toBe(false);
+    expect(resolveNightMode("auto", at(options.startHour))).toBe(true);
+    expect(resolveNightMode("auto", at(12))).toBe(false);
+    expect(resolveNightMode("unknown", at(options.startHour))).toBe(false);
+  });
+
+  it("解析 lit 标签", () => {
+    expect(resolveLitTag({ lit: "yes" })).toBe(true);
+    expect(resolveLitTag({ lit: "sunset-sunrise" })).toBe(true);
+    expect(resolveLitTag({ lit: "no" })).toBe(false);
+    expect(resolveLitTag({ highway: "footway" })).toBeNull();
+    expect(resolveLitTag(null)).toBeNull();
+  });
+
+  it("非正式小路与 track 另乘回避系数", () => {
+    expect(getNightRoadFactor({ highway: "primary" })).toBe(1);
+    expect(getNightRoadFactor({ highway: "footway" })).toBe(options.roadFactors.footway);
+    expect(getNightRoadFactor({ highway: "path", informal: "yes" })).toBe(
+      options.roadFactors.path * options.avoidFactor
+    );
+    expect(getNightRoadFactor({ highway: "track" })).toBe(options.avoidFactor);
+    expect(getNightRoadFactor(null)).toBe(1);
+  });
+
+  it("按路灯距离切分有照明与无照明片段，lit 标签优先", () => {
+    const index = createLightingIndex([{ worldX: 0, worldZ: 0 }]);
+    expect(index.isNearLamp({ worldX: options.lampRadius - 1, worldZ: 0 })).toBe(true);
+    expect(index.isNearLamp({ worldX: options.lampRadius + 1, worldZ: 0 })).toBe(false);
+
+    const a = { worldX: 0, worldZ: 0 };
+    const b = { worldX: 100, worldZ: 0 };
+    const measured = index.measureSegment(a, b);
+    expect(measured.litLength).toBeGreaterThan(0);
+    expect(measured.litLength).toBeLessThan(100);
+    expect(measured.unlit).toHaveLength(1);
+    expect(measured.unlit[0].start.worldX).toBeGreaterThan(options.lampRadius - options.sampleStep);
+    expect(measured.unlit[0].end).toEqual(b);
+
+    expect(index.measureSegment(a, b, { lit: "yes" })).toEqual({ litLength: 100, unlit: [] });
+    expect(index.measureSegment(a, b, { lit: "no" }).litLength).toBe(0);
+  });
+});
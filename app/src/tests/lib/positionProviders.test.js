@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  parseGpxTrack,
+  parseNmeaTrack,
+  parseTrackFile,
+  createReplayProvider,
+  createGeolocationProvider,
+} from "../../lib/positionProviders";
+
+/**
+ * withChecksum：为 NMEA 语句补上 “*hh” 校验和
+ */
+const withChecksum = (body) => {
+  let checksum = 0;
+  for (const char of body) checksum ^= char.charCodeAt(0);
+  return `$${body}*${checksum.toString(16).toUpperCase().padStart(2, "0")}`;
+};
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" creator="test">
+  <wpt lat="30.1" lon="103.1"><name>忽略</name></wpt>
+  <trk><trkseg>
+    <trkpt lat="30.7612" lon="103.9687"><time>2024-05-01T08:00:00Z</time></trkpt>
+    <trkpt lon='103.9690' lat='30.7615'><time>2024-05-01T08:00:05Z</time></trkpt>
+    <trkpt lat="999" lon="103.9"/>
+    <trkpt lat="30.7618" lon="103.9693"/>
+  </trkseg></trk>
+</gpx>`;
+
+describe("positionProviders 轨迹解析", () => {
+  it("解析 GPX 轨迹点与时间，跳过非法坐标", () => {
+    const points = parseGpxTrack(GPX);
+    expect(points).toEqual([
+      { lng: 103.9687, lat: 30.7612, time: Date.parse("2024-05-01T08:00:00Z") },
+      { lng: 103.969, lat: 30.7615, time: Date.parse("2024-05-01T08:00:05Z") },
+      { lng: 103.9693, lat: 30.7618, time: null },
+    ]);
+    expect(parseGpxTrack('<gpx><wpt lat="30.1" lon="103.1"/></gpx>')).toEqual([
+      { lng: 103.1, lat: 30.1, time: null },
+    ]);
+  });
+
+  it("解析 NMEA 的 RMC/GGA，校验和错误或无效定位被跳过，同一时刻只取一条", () => {
+    const text = [
+      withChecksum("GPRMC,080000.00,A,3045.672,N,10358.122,E,0.5,90.0,010524,,,A"),
+      withChecksum("GPGGA,080000.00,3045.672,N,10358.122,E,1,08,0.9,500.0,M,,M,,"),
+      withChecksum("GNGGA,080001.00,3045.680,N,10358.130,E,1,08,0.9,500.0,M,,M,,"),
+      withChecksum("GPRMC,080002.00,V,3045.690,N,10358.140,E,0.5,90.0,010524,,,N"),
+      withChecksum("GPGGA,080003.00,3045.700,S,10358.150,W,0,00,,,M,,M,,"),
+      "$GPGGA,080004.00,3045.710,N,10358.160,E,1,08,0.9,500.0,M,,M,,*00",
+      "随意的一行",
+    ].join("\r\n");
+    const points = parseNmeaTrack(text);
+    expect(points).toHaveLength(2);
+    expect(points[0].lat).toBeCloseTo(30 + 45.672 / 60, 9);
+    expect(points[0].lng).toBeCloseTo(103 + 58.122 / 60, 9);
+    expect(points[0].time).toBe(Date.UTC(2024, 4, 1, 8, 0, 0));
+    expect(points[1].time).toBe(((8 * 60 + 0) * 60 + 1) * 1000);
+  });
+
+  it("按内容识别格式，无法识别或没有定位点时报错", () => {
+    expect(parseTrackFile(GPX).format).toBe("gpx");
+    const nmea = withChecksum("GPGGA,080001.00,3045.680,N,10358.130,E,1,08,0.9,500.0,M,,M,,");
+    expect(parseTrackFile(`${nmea}\n`).format).toBe("nmea");
+    expect(() => parseTrackFile("lat,lng\n30,103")).toThrow("无法识别的轨迹文件格式");
+    expect(() => parseTrackFile("<gpx></gpx>")).toThrow("没有有效的定位点");
+  });
+});
+
+describe("positionProviders 定位来源", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("按记录间隔与倍速回放，结束时回调 onEnd，stop 后不再回调", () => {
+    vi.useFakeTimers();
+    const points = [
+      { lng: 1, lat: 1, time: 0 },
+      { lng: 2, lat: 2, time: 4000 },
+      { lng: 3, lat: 3, time: null },
+    ];
+    const onPosition = vi.fn();
+    const onEnd = vi.fn();
+    const provider = createReplayProvider(points, { rate: 2, interval: 3 });
+    provider.start({ onPosition, onEnd });
+    expect(onPosition).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(1999);
+    expect(onPosition).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(1);
+    expect(onPosition).toHaveBeenCalledTimes(2);
+    expect(onPosition.mock.calls[1][0].timestamp - onPosition.mock.calls[0][0].timestamp).toBe(4000);
+    vi.advanceTimersByTime(1500);
+    expect(onPosition).toHaveBeenCalledTimes(3);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+
+    const again = vi.fn();
+    provider.start({ onPosition: again });
+    provider.stop();
+    vi.advanceTimersByTime(10000);
+    expect(again).toHaveBeenCalledTimes(1);
+  });
+
+  it("包装 watchPosition，错误码转为中文说明", () => {
+    let success;
+    let failure;
+    const geolocation = {
+      watchPosition: vi.fn((onSuccess, onFailure) => {
+        success = onSuccess;
+        failure = onFailure;
+        return 7;
+      }),
+      clearWatch: vi.fn(),
+    };
+    const onPosition = vi.fn();
+    const onError = vi.fn();
+    const provider = createGeolocationProvider(geolocation);
+    provider.start({ onPosition, onError });
+    success({ coords: { longitude: 103.9, latitude: 30.7, accuracy: 12 }, timestamp: 5 });
+    expect(onPosition).toHaveBeenCalledWith({ lng: 103.9, lat: 30.7, accuracy: 12, timestamp: 5 });
+    failure({ code: 1 });
+    expect(onError.mock.calls[0][0].message).toBe("定位权限被拒绝");
+    provider.stop();
+    expect(geolocation.clearWatch).toHaveBeenCalledWith(7);
+
+    const unsupported = vi.fn();
+    createGeolocationProvider(undefined).start({ onError: unsupported });
+    expect(unsupported.mock.calls[0][0].message).toBe("当前浏览器不支持定位");
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import graphData from "../../data/roads-graph.json";
+import {
+  describeMapPoint,
+  createMapLocation,
+  createCoordinateLocation,
+  createBuildingLocation,
+} from "../../lib/reverseGeocode";
+import { getPoiRecords } from "../../lib/poiIndex";
+import { listBuildingOutlines } from "../../lib/buildingAccess";
+import config from "../../config/index.js";
+
+const poi = getPoiRecords()[0];
+const roadTags = graphData.roads || {};
+const nodeById = new Map(graphData.nodes.map((node) => [node.id, node]));
+
+describe("reverseGeocode", () => {
+  it("点中建筑时优先使用建筑名称", () => {
+    const result = describeMapPoint(
+      { worldX: poi.worldX, worldZ: poi.worldZ },
+      { buildingName: "犀浦一号楼" }
+    );
+    expect(result.name).toBe("犀浦一号楼");
+  });
+
+  it("未命名建筑退回到附近 POI", () => {
+    const result = describeMapPoint(
+      { worldX: poi.worldX + 1, worldZ: poi.worldZ },
+      { buildingName: "未命名建筑" }
+    );
+    expect(result.poi).not.toBeNull();
+    expect(result.name).toMatch(/附近$/);
+  });
+
+  it("附近没有 POI 时使用有名称的道路", () => {
+    const named = graphData.edges.find((edge) => roadTags[edge.roadId]?.name);
+    const node = nodeById.get(named.from);
+    const result = describeMapPoint(
+      { worldX: node.worldX, worldZ: node.worldZ },
+      { poiRadius: 0 }
+    );
+    expect(result.poi).toBeNull();
+    expect(result.name).toMatch(/附近$/);
+  });
+
+  it("未传半径时按 config.poiRoute.mapPick 搜索", () => {
+    const mapPick = config.poiRoute.mapPick;
+    const point = { worldX: poi.worldX + 1, worldZ: poi.worldZ };
+    expect(describeMapPoint(point).poi).not.toBeNull();
+    const { poiRadius, roadRadius } = mapPick;
+    try {
+      mapPick.poiRadius = 0;
+      mapPick.roadRadius = 0;
+      expect(describeMapPoint(point)).toEqual({ name: expect.stringMatching(/^地图选点/), poi: null });
+    } finally {
+      mapPick.poiRadius = poiRadius;
+      mapPick.roadRadius = roadRadius;
+    }
+  });
+
+  it("远离 POI 与道路时显示坐标", () => {
+    const result = describeMapPoint({ worldX: 1e6, worldZ: -1e6 });
+    expect(result.name).toBe("地图选点（1000000, -1000000）");
+  });
+
+  it("生成与 POI 结构一致的临时地点", () => {
+    const location = createMapLocation(
+      { worldX: 1e6, worldZ: 0 },
+      { buildingName: "图书馆", buildingId: "way/1" }
+    );
+    expect(location).toEqual({
+      poiId: null,
+      name: "图书馆",
+      worldX: 1e6,
+      worldZ: 0,
+      parentId: "way/1",
+      parentType: "building",
+      source: "map",
+    });
+    expect(createMapLocation(null)).toBeNull();
+  });
+
+  it("经纬度生成与路网同一投影的临时地点", () => {
+    const node = graphData.nodes[0];
+    const location = createCoordinateLocation({ lng: node.lng, lat: node.lat });
+    expect(location.source).toBe("coordinate");
+    expect(location.poiId).toBeNull();
+    expect(location.worldX).toBeCloseTo(node.worldX, 6);
+    expect(location.worldZ).toBeCloseTo(node.worldZ, 6);
+    const remote = createCoordinateLocation({ lng: 100, lat: 20 });
+    expect(remote.name).toBe("坐标（20.00000, 100.00000）");
+    expect(createCoordinateLocation({ lng: NaN, lat: 20 })).toBeNull();
+  });
+
+  it("建筑地点优先使用建筑的标注 POI，否则取外环重心", () => {
+    const label = getPoiRecords().find(
+      (record) => record.sourceType === "label" && record.parentType === "building"
+    );
+    expect(createBuildingLocation(label.parentId)).toBe(label);
+
+    const withPoi = new Set(getPoiRecords().map((record) => record.parentId));
+    const bare = listBuildingOutlines().find((building) => !withPoi.has(building.stableId));
+    const location = createBuildingLocation(bare.stableId);
+    const ring = bare.rings[0];
+    expect(location).toMatchObject({
+      poiId: null,
+      name: "未命名建筑",
+      parentId: bare.stableId,
+      parentType: "building",
+      source: "building",
+    });
+    expect(location.worldX).toBeGreaterThanOrEqual(Math.min(...ring.map((p) => p.worldX)));
+    expect(location.worldX).toBeLessThanOrEqual(Math.max(...ring.map((p) => p.worldX)));
+    expect(createBuildingLocation("way/does-not-exist")).toBeNull();
+    expect(createBuildingLocation(null)).toBeNull();
+  });
+});
@@ -1,6 +1,22 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, beforeAll, vi } from "vitest";
 import graphData from "../../data/roads-graph.json";
-import { solveRouteBetweenPoints } from "../../lib/roadGraph";
+import {
+  computeReachability,
+  solveRouteBetweenPoints,
+  solveRouteThroughWaypoints,
+  solveAlternativeRoutes,
+  findNearestRoadEdge,
+  getRoadComponents,
+  queryRoadEdgesInBBox,
+  resolveBlockedRoadIds,
+  listNamedRoads,
+  listCampusGates,
+  projectToGraph,
+} from "../../lib/roadGraph";
+import { findPoiById, getPoiRecords } from "../../lib/poiIndex";
+import { getCampusSun, measurePathShade } from "../../lib/shade";
+import { isRoadAllowedForMode, TRANSPORT_PROFILES } from "../../lib/routingProfiles";
+import config from "../../config/index.js";
 
 const firstEdge = graphData.edges.find(
   (edge) => edge && edge.from && edge.to
@@ -9,6 +25,177 @@ const fromNode =
   graphData.nodes.find((node) => node.id === firstEdge?.from) || {};
 const toNode =
   graphData.nodes.find((node) => node.id === firstEdge?.to) || {};
+const roadTags = graphData.roads || {};
+const nodeById = new Map(graphData.nodes.map((node) => [node.id, node]));
+const findEdgeByHighway = (highway) =>
+  graphData.edges.find((edge) => roadTags[edge.roadId]?.highway === highway);
+const toPoint = (nodeId) => {
+  const node = nodeById.get(nodeId) || {};
+  return { worldX: Number(node.worldX), worldZ: Number(node.worldZ) };
+};
+/**
+ * createRandom：固定种子的线性同余随机数，保证基准用例可复现
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+};
+
+/**
+ * referenceShortestLength：朴素 Dijkstra（线性扫描），作为 A* 结果的对照
+ */
+const referenceShortestLength = (startId, endId, mode) => {
+  const adjacency = new Map();
+  graphData.edges.forEach((edge) => {
+    if (!isRoadAllowedForMode(roadTags[edge.roadId], mode)) return;
+    if (!adjacency.has(edge.from)) adjacency.set(edge.from, []);
+    adjacency.get(edge.from).push(edge);
+  });
+  const distances = new Map([[startId, 0]]);
+  const open = new Set([startId]);
+  const done = new Set();
+  while (open.size > 0) {
+    let current = null;
+    open.forEach((id) => {
+      if (current === null || distances.get(id) < distances.get(current)) current = id;
+    });
+    open.delete(current);
+    done.add(current);
+    if (current === endId) return distances.get(current);
+    (adjacency.get(current) || []).forEach((edge) => {
+      if (done.has(edge.to)) return;
+      const next = distances.get(current) + Number(edge.length);
+      if (next < (distances.get(edge.to) ?? Infinity)) {
+        distances.set(edge.to, next);
+        open.add(edge.to);
+      }
+    });
+  }
+  return Infinity;
+};
+
+const highwaysOf = (route) =>
+  new Set(route.roadIds.map((roadId) => roadTags[roadId]?.highway));
+
+/**
+ * SYNTHETIC_GRAPH：几何已知的合成路网（坐标单位为米），各组相距 1 公里以上互不吸附
+ * - 非正式小路组：A(0,0) → B(100,0) 直连为 informal=yes 的小路，经 C(50,40) 的主路绕行 128 米
+ * - track 组：同上，直连为 track
+ * - 路灯组：D(0,2000) → F(100,2000) 直连无照明，经 E(50,2040) 绕行，绕行段上方有两盏路灯
+ * - 树荫组：G(0,3000) → H(100,3000) 直连全程日晒，经 I(50,3040) 绕行的两段位于树荫带（见 SYNTHETIC_TREE_STRIP）
+ * - 推行组（骑行）：P0(-20,4000) → P(0,4000) → Q(20,4000) → R(40,4000) 均为须推行的人行道；
+ *   P → M → Q 另有 30 米可骑行的支路，骑到 Q 后再进入推行路段要多一次上下车耗时
+ * - 车速组（驾驶）：J(0,5000) → K(100,5000) 直连为 residential，经 L(50,5040) 绕行为车速更高的 secondary
+ */
+const SYNTHETIC_NODES = [
+  ["A", 0, 0],
+  ["B", 100, 0],
+  ["C", 50, 40],
+  ["A2", 0, 1000],
+  ["B2", 100, 1000],
+  ["C2", 50, 1040],
+  ["D", 0, 2000],
+  ["F", 100, 2000],
+  ["E", 50, 2040],
+  ["G", 0, 3000],
+  ["H", 100, 3000],
+  ["I", 50, 3040],
+  ["P0", -20, 4000],
+  ["P", 0, 4000],
+  ["Q", 20, 4000],
+  ["R", 40, 4000],
+  ["M", 10, 4000 + Math.sqrt(125)],
+  ["J", 0, 5000],
+  ["K", 100, 5000],
+  ["L", 50, 5040],
+].map(([id, worldX, worldZ]) => ({ id, worldX, worldZ }));
+const SYNTHETIC_ROADS = {
+  "syn/informal": { highway: "footway", informal: "yes" },
+  "syn/track": { highway: "track" },
+  "syn/main": { highway: "service" },
+  "syn/dark": { highway: "footway" },
+  "syn/lamplit": { highway: "footway" },
+  "syn/sunny": { highway: "footway" },
+  "syn/shady": { highway: "footway" },
+  "syn/push": { highway: "footway", bicycle: "dismount" },
+  "syn/ride": { highway: "residential" },
+  "syn/residential": { highway: "residential" },
+  "syn/secondary": { highway: "secondary" },
+};
+const SYNTHETIC_LINKS = [
+  ["A", "B", "syn/informal"],
+  ["A", "C", "syn/main"],
+  ["C", "B", "syn/main"],
+  ["A2", "B2", "syn/track"],
+  ["A2", "C2", "syn/main"],
+  ["C2", "B2", "syn/main"],
+  ["D", "F", "syn/dark"],
+  ["D", "E", "syn/lamplit"],
+  ["E", "F", "syn/lamplit"],
+  ["G", "H", "syn/sunny"],
+  ["G", "I", "syn/shady"],
+  ["I", "H", "syn/shady"],
+  ["P0", "P", "syn/push"],
+  ["P", "Q", "syn/push"],
+  ["Q", "R", "syn/push"],
+  ["P", "M", "syn/ride"],
+  ["M", "Q", "syn/ride"],
+  ["J", "K", "syn/residential"],
+  ["J", "L", "syn/secondary"],
+  ["L", "K", "syn/secondary"],
+];
+const SYNTHETIC_LAMPS = [
+  { id: "lamp-1", worldX: 35, worldZ: 2028 },
+  { id: "lamp-2", worldX: 65, worldZ: 2028 },
+];
+const SYNTHETIC_GRAPH = (() => {
+  const byId = new Map(SYNTHETIC_NODES.map((node) => [node.id, node]));
+  const edges = SYNTHETIC_LINKS.flatMap(([from, to, roadId], index) => {
+    const length = Math.hypot(
+      byId.get(to).worldX - byId.get(from).worldX,
+      byId.get(to).worldZ - byId.get(from).worldZ
+    );
+    return [
+      { id: `syn-${index}-f`, from, to, length, roadId },
+      { id: `syn-${index}-b`, from: to, to: from, length, roadId },
+    ];
+  });
+  return { nodes: SYNTHETIC_NODES, edges, roads: SYNTHETIC_ROADS, gates: {}, lamps: SYNTHETIC_LAMPS };
+})();
+/**
+ * SYNTHETIC_TREE_STRIP：合成路网的树荫带（worldZ 范围），中点落在带内的线段全程阴凉，其余全程日晒
+ */
+const SYNTHETIC_TREE_STRIP = { minZ: 3010, maxZ: 3100 };
+const measureSyntheticShade = (a, b) => {
+  const midZ = (a.worldZ + b.worldZ) / 2;
+  const inStrip = midZ > SYNTHETIC_TREE_STRIP.minZ && midZ < SYNTHETIC_TREE_STRIP.maxZ;
+  return inStrip ? Math.hypot(b.worldX - a.worldX, b.worldZ - a.worldZ) : 0;
+};
+const roadsOf = (route) => [...new Set(route.roadIds)];
+const syntheticPoint = (id) => {
+  const node = SYNTHETIC_NODES.find((item) => item.id === id);
+  return { worldX: node.worldX, worldZ: node.worldZ };
+};
+
+/**
+ * loadSyntheticRoadGraph：以 SYNTHETIC_GRAPH 与合成树荫带重新加载 roadGraph，返回新的模块实例
+ * （本文件其余用例仍用真实路网与校园阴凉数据）
+ */
+const loadSyntheticRoadGraph = async () => {
+  vi.resetModules();
+  vi.doMock("../../data/roads-graph.json", () => ({ default: SYNTHETIC_GRAPH }));
+  vi.doMock("../../lib/shade.js", async (importOriginal) => ({
+    ...(await importOriginal()),
+    measureSegmentShade: measureSyntheticShade,
+  }));
+  const module = await import("../../lib/roadGraph");
+  vi.doUnmock("../../data/roads-graph.json");
+  vi.doUnmock("../../lib/shade.js");
+  return module;
+};
 
 describe("roadGraph solver", () => {
   it("finds route between two nodes on the same edge", () => {
@@ -29,4 +216,684 @@ describe("roadGraph solver", () => {
     expect(route.totalLength).toBe(0);
     expect(route.edgePath.length).toBe(0);
   });
+
+  it("步行路线不经过快速路", () => {
+    const trunkEdge = findEdgeByHighway("trunk");
+    const route = solveRouteBetweenPoints(
+      toPoint(trunkEdge.from),
+      toPoint(trunkEdge.to),
+      { mode: "walk" }
+    );
+    expect(route.mode).toBe("walk");
+    expect(highwaysOf(route).has("trunk")).toBe(false);
+  });
+
+  it("驾驶路线只使用机动车道路", () => {
+    const footEdge = findEdgeByHighway("footway");
+    const route = solveRouteBetweenPoints(
+      toPoint(footEdge.from),
+      toPoint(footEdge.to),
+      { mode: "drive" }
+    );
+    const highways = highwaysOf(route);
+    expect(highways.has("footway")).toBe(false);
+    expect(highways.has("cycleway")).toBe(false);
+    expect(highways.has("steps")).toBe(false);
+  });
+
+  it("未知交通方式回退为步行", () => {
+    const route = solveRouteBetweenPoints(
+      { worldX: Number(fromNode.worldX), worldZ: Number(fromNode.worldZ) },
+      { worldX: Number(toNode.worldX), worldZ: Number(toNode.worldZ) },
+      { mode: "teleport" }
+    );
+    expect(route.mode).toBe("walk");
+  });
+
+  it("骑行/驾驶遵守单行，步行可逆行", () => {
+    const onewayEdge = graphData.edges.find(
+      (edge) => edge.oneway && !edge.contraflow && edge.length > 10
+    );
+    const start = toPoint(onewayEdge.to);
+    const end = toPoint(onewayEdge.from);
+    const walkRoute = solveRouteBetweenPoints(start, end, { mode: "walk" });
+    expect(walkRoute.totalLength).toBeCloseTo(onewayEdge.length, 3);
+    const driveRoute = solveRouteBetweenPoints(start, end, { mode: "drive" });
+    expect(driveRoute.edgePath.some((edge) => edge.contraflow)).toBe(false);
+    expect(driveRoute.totalLength).toBeGreaterThan(onewayEdge.length);
+  });
+});
+
+describe("roadGraph 多途经点路线", () => {
+  const a = toPoint(firstEdge.from);
+  const b = toPoint(firstEdge.to);
+  const nextEdge = graphData.edges.find(
+    (edge) => edge.from === firstEdge.to && edge.to !== firstEdge.from
+  );
+  const c = toPoint(nextEdge?.to ?? firstEdge.from);
+
+  it("分段求解并首尾拼接", () => {
+    const route = solveRouteThroughWaypoints([a, b, c], { mode: "walk" });
+    const legAB = solveRouteBetweenPoints(a, b);
+    const legBC = solveRouteBetweenPoints(b, c);
+    expect(route.legs).toHaveLength(2);
+    expect(route.totalLength).toBeCloseTo(legAB.totalLength + legBC.totalLength, 6);
+    expect(route.pointPath.length).toBe(
+      legAB.pointPath.length + legBC.pointPath.length - 1
+    );
+    expect(route.mode).toBe("walk");
+  });
+
+  it("地点不足或某段失败时报错并指明段号", () => {
+    expect(() => solveRouteThroughWaypoints([a])).toThrow("途经点不足");
+    const farAway = { name: "远处", worldX: 1e6, worldZ: 1e6 };
+    expect(() => solveRouteThroughWaypoints([a, b, farAway])).toThrow(/第 2 段/);
+  });
+});
+
+describe("roadGraph 空间查询", () => {
+  it("最近边查询按交通方式过滤", () => {
+    const footEdge = findEdgeByHighway("footway");
+    const point = toPoint(footEdge.from);
+    const walkHit = findNearestRoadEdge({ x: point.worldX, z: point.worldZ }, { mode: "walk" });
+    expect(walkHit.distance).toBeCloseTo(0, 6);
+    const driveHit = findNearestRoadEdge({ x: point.worldX, z: point.worldZ }, { mode: "drive" });
+    if (driveHit) {
+      expect(roadTags[driveHit.edge.roadId]?.highway).not.toBe("footway");
+    }
+  });
+
+  it("范围查询返回包含该点的边", () => {
+    const point = toPoint(firstEdge.from);
+    const edges = queryRoadEdgesInBBox({
+      minX: point.worldX - 1,
+      maxX: point.worldX + 1,
+      minZ: point.worldZ - 1,
+      maxZ: point.worldZ + 1,
+    });
+    expect(edges.some((edge) => edge.id === firstEdge.id)).toBe(true);
+  });
+});
+
+describe("roadGraph 连通分量", () => {
+  it("分量按节点数降序编号，路网中的每条道路都有分量", () => {
+    const { sizes, byRoadId } = getRoadComponents();
+    expect(sizes.length).toBeGreaterThan(0);
+    expect(sizes.reduce((sum, size) => sum + size, 0)).toBe(graphData.nodes.length);
+    sizes.slice(1).forEach((size, index) => expect(size).toBeLessThanOrEqual(sizes[index]));
+    graphData.edges.forEach((edge) => {
+      expect(byRoadId.get(edge.roadId)).toBeLessThan(sizes.length);
+    });
+  });
+});
+
+describe("roadGraph A* 正确性与性能基准", () => {
+  it("A* 与朴素 Dijkstra 的路线长度一致", () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 15; i += 1) {
+      const startNode = graphData.nodes[Math.floor(random() * graphData.nodes.length)];
+      const endNode = graphData.nodes[Math.floor(random() * graphData.nodes.length)];
+      const expected = referenceShortestLength(startNode.id, endNode.id, "walk");
+      if (!Number.isFinite(expected)) continue;
+      const route = solveRouteBetweenPoints(toPoint(startNode.id), toPoint(endNode.id), {
+        mode: "walk",
+      });
+      expect(route.totalLength).toBeCloseTo(expected, 6);
+    }
+  });
+
+  /**
+   * solveRandomPairs：按固定种子随机规划 300 组 POI 步行路线
+   * 吸附失败或不可达的组合不计入成功数；求解成功的路线在 try 之外断言，断言失败不会被当作不可达
+   */
+  const solveRandomPairs = () => {
+    const pois = getPoiRecords();
+    const random = createRandom(20251118);
+    const pairCount = 300;
+    let solved = 0;
+    for (let i = 0; i < pairCount; i += 1) {
+      const from = pois[Math.floor(random() * pois.length)];
+      const to = pois[Math.floor(random() * pois.length)];
+      let route;
+      try {
+        route = solveRouteBetweenPoints(from, to, { mode: "walk" });
+      } catch {
+        continue;
+      }
+      expect(route.pointPath.length).toBeGreaterThan(0);
+      solved += 1;
+    }
+    return { pairCount, solved };
+  };
+
+  it("随机规划 300 组 POI 路线，绝大多数可达", () => {
+    const { pairCount, solved } = solveRandomPairs();
+    expect(solved).toBeGreaterThan(pairCount * 0.85);
+  });
+
+  // 耗时检查依赖机器性能，只在显式开启时运行：ROUTE_BENCH=1 pnpm vitest run src/tests/lib/roadGraph.test.js
+  it.runIf(globalThis.process?.env?.ROUTE_BENCH === "1")("随机规划 300 组 POI 路线在时限内完成", () => {
+    const startedAt = performance.now();
+    solveRandomPairs();
+    expect(performance.now() - startedAt).toBeLessThan(5000);
+  });
+});
+
+describe("roadGraph 备选路线", () => {
+  const pois = getPoiRecords();
+
+  it("首条与最短路一致，备选路线满足差异与绕行约束", () => {
+    const random = createRandom(2024);
+    let checked = 0;
+    for (let i = 0; i < 40 && checked < 5; i += 1) {
+      const a = pois[Math.floor(random() * pois.length)];
+      const b = pois[Math.floor(random() * pois.length)];
+      let routes;
+      try {
+        routes = solveAlternativeRoutes(a, b, { mode: "walk" });
+      } catch {
+        continue;
+      }
+      const shortest = solveRouteBetweenPoints(a, b, { mode: "walk" });
+      expect(routes[0].totalLength).toBeCloseTo(shortest.totalLength, 6);
+      expect(routes.length).toBeLessThanOrEqual(3);
+      routes.slice(1).forEach((route) => {
+        expect(route.totalLength).toBeLessThanOrEqual(shortest.totalLength * 1.6 + 1e-6);
+        expect(route.overlap).toBeLessThanOrEqual(0.7);
+        expect(route.pointPath.length).toBeGreaterThan(1);
+      });
+      checked += 1;
+    }
+    expect(checked).toBeGreaterThan(0);
+  });
+
+  it("count 为 1 时只返回最短路", () => {
+    const routes = solveAlternativeRoutes(toPoint(firstEdge.from), toPoint(firstEdge.to), {
+      count: 1,
+    });
+    expect(routes).toHaveLength(1);
+  });
+});
+
+describe("roadGraph 最快路线", () => {
+  const options = config.poiRoute.travelTime;
+  let synthetic;
+  beforeAll(async () => {
+    synthetic = await loadSyntheticRoadGraph();
+  });
+
+  it("最快路线改走车速更高的绕行道路，耗时汇总等于各项之和", () => {
+    const shortest = synthetic.solveRouteBetweenPoints(syntheticPoint("J"), syntheticPoint("K"), {
+      mode: "drive",
+    });
+    const fastest = synthetic.solveRouteBetweenPoints(syntheticPoint("J"), syntheticPoint("K"), {
+      mode: "drive",
+      objective: "time",
+    });
+    expect(shortest.objective).toBe("distance");
+    expect(roadsOf(shortest)).toEqual(["syn/residential"]);
+    expect(fastest.objective).toBe("time");
+    expect(roadsOf(fastest)).toEqual(["syn/secondary"]);
+    const seconds = (length, highway) => length / (options.driveSpeeds[highway] / 3.6);
+    expect(shortest.travelTime.total).toBeCloseTo(seconds(100, "residential"), 6);
+    expect(fastest.travelTime.total).toBeCloseTo(seconds(2 * Math.hypot(50, 40), "secondary"), 6);
+    const { travelTime } = fastest;
+    expect(travelTime.total).toBeCloseTo(
+      travelTime.moving + travelTime.steps + travelTime.dismount + travelTime.crossings + travelTime.signals,
+      6
+    );
+  });
+
+  it("骑行推行：避开会多一次上下车的捷径，求得的路线确为最快", () => {
+    const route = synthetic.solveRouteBetweenPoints(syntheticPoint("P0"), syntheticPoint("R"), {
+      mode: "bike",
+      objective: "time",
+    });
+    // 全程推行 60 米无上下车耗时；骑支路虽快，但到 Q 后再进入推行路段要多计 dismountPenalty
+    const push = 1 / (options.pushSpeedKmh / 3.6);
+    expect(roadsOf(route)).toEqual(["syn/push"]);
+    expect(route.travelTime.dismountCount).toBe(0);
+    expect(route.travelTime.total).toBeCloseTo(60 * push, 6);
+    const viaRide = 20 * push + 30 / (TRANSPORT_PROFILES.bike.speedKmh / 3.6) + 20 * push + options.dismountPenalty;
+    expect(route.travelTime.total).toBeLessThan(viaRide);
+  });
+
+  it("备选路线按耗时升序", () => {
+    const alternatives = synthetic.solveAlternativeRoutes(syntheticPoint("J"), syntheticPoint("K"), {
+      mode: "drive",
+      objective: "time",
+    });
+    expect(alternatives.map(roadsOf)).toEqual([["syn/secondary"], ["syn/residential"]]);
+    expect(alternatives[1].travelTime.total).toBeGreaterThan(alternatives[0].travelTime.total);
+  });
+
+  it("多段路线的耗时为各段之和", () => {
+    const stops = [toPoint(firstEdge.from), toPoint(firstEdge.to), toPoint(firstEdge.from)];
+    const route = solveRouteThroughWaypoints(stops, { mode: "walk", objective: "time" });
+    expect(route.objective).toBe("time");
+    expect(route.travelTime.total).toBeCloseTo(
+      route.legs.reduce((sum, leg) => sum + leg.travelTime.total, 0),
+      6
+    );
+  });
+});
+
+describe("roadGraph 凉爽路线", () => {
+  // 夏至下午 3 点（北京时间）
+  const date = Date.UTC(2024, 5, 21, 7, 0);
+  let synthetic;
+  beforeAll(async () => {
+    synthetic = await loadSyntheticRoadGraph();
+  });
+
+  it("凉爽路线改走树荫下的绕行路段，并附带直连最短路线的对照", () => {
+    const shortest = synthetic.solveRouteBetweenPoints(syntheticPoint("G"), syntheticPoint("H"), {
+      mode: "walk",
+    });
+    expect(roadsOf(shortest)).toEqual(["syn/sunny"]);
+    expect(shortest.shade).toBeUndefined();
+    const shady = synthetic.solveRouteBetweenPoints(syntheticPoint("G"), syntheticPoint("H"), {
+      mode: "walk",
+      objective: "shade",
+      date,
+    });
+    expect(shady.objective).toBe("shade");
+    expect(roadsOf(shady)).toEqual(["syn/shady"]);
+    expect(shady.totalLength).toBeCloseTo(2 * Math.hypot(50, 40), 6);
+    expect(shady.shade.ratio).toBeCloseTo(1, 6);
+    expect(shady.shade.sun).toEqual(getCampusSun(date));
+    expect(shady.shadeBaseline).toEqual({ length: 100, shadedLength: 0, ratio: 0 });
+  });
+
+  it("凉爽路线附带同一组地点最短路线的阴凉对照，备选路线共用", () => {
+    const sun = getCampusSun(date);
+    const a = findPoiById("poi-node/10156545612");
+    const b = findPoiById("poi-node/10063766884");
+    const shortest = solveRouteBetweenPoints(a, b, { mode: "walk" });
+    const shady = solveRouteBetweenPoints(a, b, { mode: "walk", objective: "shade", date });
+    expect(shortest.shadeBaseline).toBeUndefined();
+    expect(shady.shadeBaseline.length).toBeCloseTo(shortest.totalLength, 6);
+    expect(shady.shadeBaseline.ratio).toBeCloseTo(
+      measurePathShade(shortest.pointPath, sun).ratio,
+      6
+    );
+    const alternatives = solveAlternativeRoutes(a, b, { mode: "walk", objective: "shade", date });
+    alternatives.forEach((route) => expect(route.shadeBaseline).toEqual(shady.shadeBaseline));
+  });
+
+  it("多段凉爽路线合计各段阴凉长度", () => {
+    const stops = [toPoint(firstEdge.from), toPoint(firstEdge.to), toPoint(firstEdge.from)];
+    const route = solveRouteThroughWaypoints(stops, { mode: "walk", objective: "shade", date });
+    expect(route.objective).toBe("shade");
+    expect(route.shade.shadedLength).toBeCloseTo(
+      route.legs.reduce((sum, leg) => sum + leg.shade.shadedLength, 0),
+      6
+    );
+    expect(route.shade.ratio).toBeCloseTo(route.shade.shadedLength / route.totalLength, 6);
+    expect(route.shadeBaseline.length).toBeCloseTo(
+      route.legs.reduce((sum, leg) => sum + leg.shadeBaseline.length, 0),
+      6
+    );
+  });
+});
+
+describe("roadGraph 夜间安全路线", () => {
+  let synthetic;
+  beforeAll(async () => {
+    synthetic = await loadSyntheticRoadGraph();
+  });
+
+  it("夜间回避非正式小路，改走主路绕行", () => {
+    const day = synthetic.solveRouteBetweenPoints(syntheticPoint("A"), syntheticPoint("B"), {
+      mode: "walk",
+    });
+    expect(roadsOf(day)).toEqual(["syn/informal"]);
+    expect(day.night).toBeUndefined();
+    const night = synthetic.solveRouteBetweenPoints(syntheticPoint("A"), syntheticPoint("B"), {
+      mode: "walk",
+      night: true,
+    });
+    expect(roadsOf(night)).toEqual(["syn/main"]);
+    expect(night.totalLength).toBeCloseTo(2 * Math.hypot(50, 40), 6);
+    expect(night.night.litRatio).toBe(0);
+  });
+
+  it("夜间回避 track", () => {
+    const day = synthetic.solveRouteBetweenPoints(syntheticPoint("A2"), syntheticPoint("B2"), {
+      mode: "walk",
+    });
+    expect(roadsOf(day)).toEqual(["syn/track"]);
+    const night = synthetic.solveRouteBetweenPoints(syntheticPoint("A2"), syntheticPoint("B2"), {
+      mode: "walk",
+      night: true,
+    });
+    expect(roadsOf(night)).toEqual(["syn/main"]);
+  });
+
+  it("夜间优先走路灯照明的绕行路段，并标出其中无照明的片段", () => {
+    const day = synthetic.solveRouteBetweenPoints(syntheticPoint("D"), syntheticPoint("F"), {
+      mode: "walk",
+    });
+    expect(roadsOf(day)).toEqual(["syn/dark"]);
+    const night = synthetic.solveRouteBetweenPoints(syntheticPoint("D"), syntheticPoint("F"), {
+      mode: "walk",
+      night: true,
+    });
+    expect(roadsOf(night)).toEqual(["syn/lamplit"]);
+    // 两盏路灯照亮绕行段中间部分，两端各约 20 米无照明
+    expect(night.night.litRatio).toBeGreaterThan(0.6);
+    expect(night.night.litRatio).toBeLessThan(0.8);
+    expect(night.night.litLength + night.night.unlitLength).toBeCloseTo(night.totalLength, 6);
+    expect(night.night.unlitSegments).toHaveLength(2);
+  });
+
+  it("多段夜间路线合计各段照明长度并拼接无照明片段", () => {
+    const stops = [toPoint(firstEdge.from), toPoint(firstEdge.to), toPoint(firstEdge.from)];
+    const route = solveRouteThroughWaypoints(stops, { mode: "walk", night: true });
+    expect(route.night.litLength).toBeCloseTo(
+      route.legs.reduce((sum, leg) => sum + leg.night.litLength, 0),
+      6
+    );
+    expect(route.night.unlitSegments).toHaveLength(
+      route.legs.reduce((sum, leg) => sum + leg.night.unlitSegments.length, 0)
+    );
+  });
+});
+
+describe("roadGraph 封闭道路", () => {
+  const pois = getPoiRecords();
+  const baseIdOf = (edge) => String(edge.id).split(":")[0];
+  const sameSegment = (left, right) =>
+    (left.from === right.from && left.to === right.to) ||
+    (left.from === right.to && left.to === right.from);
+
+  /**
+   * pickRoute：取一条至少含 6 条边的步行路线及其中间的一条基础边
+   */
+  const pickRoute = () => {
+    const random = createRandom(99);
+    for (let i = 0; i < 200; i += 1) {
+      const a = pois[Math.floor(random() * pois.length)];
+      const b = pois[Math.floor(random() * pois.length)];
+      try {
+        const route = solveRouteBetweenPoints(a, b, { mode: "walk" });
+        if (route.edgePath.length < 6) continue;
+        const middle = route.edgePath[Math.floor(route.edgePath.length / 2)];
+        const edge = graphData.edges.find((item) => item.id === baseIdOf(middle));
+        if (edge) return { a, b, route, edge };
+      } catch {
+        continue;
+      }
+    }
+    return null;
+  };
+  const sample = pickRoute();
+
+  it("施工道路对所有交通方式封闭并计入标记列表", () => {
+    const construction = findEdgeByHighway("construction");
+    expect(resolveBlockedRoadIds([])).toContain(construction.roadId);
+    expect(isRoadAllowedForMode(roadTags[construction.roadId], "walk")).toBe(false);
+    const route = solveRouteBetweenPoints(sample.a, sample.b, { mode: "walk" });
+    expect(highwaysOf(route).has("construction")).toBe(false);
+  });
+
+  it("avoid 道路时路线绕行，不再经过该道路", () => {
+    // 林同炎纪念像 → 自行车停车点：最短路线经过 way/535905493，避开后有约 5 米的绕行
+    const from = findPoiById("poi-node/10156545612");
+    const to = findPoiById("poi-node/10063766884");
+    const roadId = "way/535905493";
+    const shortest = solveRouteBetweenPoints(from, to, { mode: "walk" });
+    expect(shortest.roadIds).toContain(roadId);
+    const blocked = [{ id: "b1", type: "road", roadIds: [roadId], policy: "avoid" }];
+    const route = solveRouteBetweenPoints(from, to, { mode: "walk", blocked });
+    expect(route.roadIds).not.toContain(roadId);
+    route.edgePath.forEach((edge) => expect(edge.roadId).not.toBe(roadId));
+    expect(route.totalLength).toBeGreaterThan(shortest.totalLength);
+    expect(route.totalLength).toBeLessThan(shortest.totalLength + 20);
+  });
+
+  it("avoid 单条路段时正反两向均不可用", () => {
+    const blocked = [{ id: "b2", type: "edge", edgeId: sample.edge.id }];
+    const route = solveRouteBetweenPoints(sample.a, sample.b, { mode: "walk", blocked });
+    route.edgePath.forEach((edge) => {
+      expect(sameSegment(edge, sample.edge)).toBe(false);
+    });
+    expect(resolveBlockedRoadIds(blocked)).toContain(sample.edge.roadId);
+  });
+
+  it("penalize 只提高代价，不禁止通行", () => {
+    const roadIds = Array.from(new Set(sample.route.roadIds));
+    const blocked = [{ id: "b3", type: "road", roadIds, policy: "penalize" }];
+    const route = solveRouteBetweenPoints(sample.a, sample.b, { mode: "walk", blocked });
+    expect(route.totalLength).toBeGreaterThanOrEqual(sample.route.totalLength - 1e-6);
+    expect(route.pointPath.length).toBeGreaterThan(1);
+  });
+
+  it("多边形封闭区域内的路段被绕开", () => {
+    const from = nodeById.get(sample.edge.from);
+    const to = nodeById.get(sample.edge.to);
+    const cx = (from.worldX + to.worldX) / 2;
+    const cz = (from.worldZ + to.worldZ) / 2;
+    const polygon = [
+      { worldX: cx - 0.5, worldZ: cz - 0.5 },
+      { worldX: cx + 0.5, worldZ: cz - 0.5 },
+      { worldX: cx + 0.5, worldZ: cz + 0.5 },
+      { worldX: cx - 0.5, worldZ: cz + 0.5 },
+    ];
+    const blocked = [{ id: "b4", type: "polygon", polygon }];
+    const route = solveRouteBetweenPoints(sample.a, sample.b, { mode: "walk", blocked });
+    route.edgePath.forEach((edge) => {
+      expect(sameSegment(edge, sample.edge)).toBe(false);
+    });
+  });
+
+  it("备选路线同样遵守封闭登记表", () => {
+    const blocked = [{ id: "b5", type: "edge", edgeId: sample.edge.id }];
+    const routes = solveAlternativeRoutes(sample.a, sample.b, { mode: "walk", blocked });
+    routes.forEach((route) =>
+      route.edgePath.forEach((edge) => {
+        expect(sameSegment(edge, sample.edge)).toBe(false);
+      })
+    );
+  });
+
+  it("按路名汇总道路", () => {
+    const roads = listNamedRoads();
+    expect(roads.length).toBeGreaterThan(0);
+    roads.forEach((road) => {
+      expect(road.roadIds.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe("roadGraph 无障碍路线", () => {
+  const pois = getPoiRecords();
+  const stepsEdges = graphData.edges.filter(
+    (edge) => roadTags[edge.roadId]?.highway === "steps"
+  );
+
+  /**
+   * pickStepsPair：取步行最短路经过台阶的一对地点
+   */
+  const pickStepsPair = () => {
+    for (let i = 0; i < pois.length; i += 7) {
+      for (let j = 3; j < pois.length; j += 11) {
+        try {
+          const walk = solveRouteBetweenPoints(pois[i], pois[j], { mode: "walk" });
+          if (highwaysOf(walk).has("steps")) return { a: pois[i], b: pois[j], walk };
+        } catch {
+          continue;
+        }
+      }
+    }
+    return null;
+  };
+
+  it("避开台阶且代价不低于步行最短路", () => {
+    const pair = pickStepsPair();
+    expect(pair).not.toBeNull();
+    const route = solveRouteBetweenPoints(pair.a, pair.b, { mode: "accessible" });
+    expect(route.mode).toBe("accessible");
+    expect(route.fallbackMode).toBeUndefined();
+    expect(highwaysOf(route).has("steps")).toBe(false);
+    expect(route.totalLength).toBeGreaterThanOrEqual(pair.walk.totalLength - 1e-6);
+    expect(route.warnings).toEqual([]);
+  });
+
+  it("只能经台阶到达时改用步行并给出明确提示", () => {
+    const fallbacks = stepsEdges
+      .map((edge) =>
+        solveRouteBetweenPoints(toPoint(edge.from), toPoint(edge.to), { mode: "accessible" })
+      )
+      .filter((route) => route.fallbackMode);
+    expect(fallbacks.length).toBeGreaterThan(0);
+    fallbacks.forEach((route) => {
+      expect(route.mode).toBe("accessible");
+      expect(route.fallbackMode).toBe("walk");
+      expect(route.warnings[0]).toMatch(/无法找到无障碍路线，已改用步行路线.*台阶/);
+    });
+  });
+
+  it("多段路线的提示带段号，备选路线同样回退", () => {
+    const edge = stepsEdges.find(
+      (item) =>
+        solveRouteBetweenPoints(toPoint(item.from), toPoint(item.to), { mode: "accessible" })
+          .fallbackMode
+    );
+    const a = toPoint(edge.from);
+    const b = toPoint(edge.to);
+    const route = solveRouteThroughWaypoints([b, a, b], { mode: "accessible" });
+    expect(route.warnings.length).toBeGreaterThan(0);
+    expect(route.warnings.some((warning) => warning.startsWith("第 2 段"))).toBe(true);
+    const alternatives = solveAlternativeRoutes(a, b, { mode: "accessible" });
+    expect(alternatives).toHaveLength(1);
+    expect(alternatives[0].fallbackMode).toBe("walk");
+  });
+});
+
+describe("roadGraph 可达范围", () => {
+  const origin = toPoint(firstEdge.from);
+  // 步行 5 km/h：1 分钟约 83.3 米
+  const walkMinute = 5000 / 60;
+
+  it("路段分段与路网距离一致", () => {
+    const result = computeReachability(origin, { mode: "walk", bands: [2, 4] });
+    expect(result.speedKmh).toBe(5);
+    expect(result.segments.some((segment) => segment.band === 0)).toBe(true);
+    const random = createRandom(16);
+    for (let i = 0; i < 10; i += 1) {
+      const segment = result.segments[Math.floor(random() * result.segments.length)];
+      const route = solveRouteBetweenPoints(origin, segment.end, { mode: "walk" });
+      expect(route.totalLength).toBeLessThanOrEqual(result.bands[segment.band] * walkMinute + 1);
+      if (segment.band > 0) {
+        expect(route.totalLength).toBeGreaterThan(result.bands[segment.band - 1] * walkMinute - 1);
+      }
+    }
+  });
+
+  it("速度越快可达道路越长，时间分段须为正数", () => {
+    const walk = computeReachability(origin, { mode: "walk", bands: [3] });
+    const bike = computeReachability(origin, { mode: "bike", bands: [3] });
+    expect(bike.bandLengths[0]).toBeGreaterThan(walk.bandLengths[0]);
+    expect(() => computeReachability(origin, { bands: [0, -5] })).toThrow("时间分段");
+  });
+
+  it("从建筑出发时该建筑位于第一分段", () => {
+    const buildingPoi = getPoiRecords().find((poi) => poi.parentType === "building");
+    const result = computeReachability(buildingPoi, { mode: "walk", bands: [5] });
+    expect(result.origins.length).toBeGreaterThan(0);
+    expect(result.buildingBands.get(buildingPoi.parentId)).toBe(0);
+  });
+});
+
+describe("roadGraph 建筑入口", () => {
+  const buildingPoi = getPoiRecords().find((poi) => poi.parentType === "building");
+
+  it("在多个入口中选择路线最短的一组", () => {
+    const near = toPoint(firstEdge.from);
+    const far = toPoint(
+      graphData.edges.find((edge) => edge.length > 50 && edge.from !== firstEdge.from).to
+    );
+    const target = {
+      ...toPoint(firstEdge.to),
+      accessPoints: [
+        { ...far, entranceId: "entrance-far", name: "远门" },
+        { ...toPoint(firstEdge.to), entranceId: "entrance-near", name: "近门" },
+      ],
+    };
+    const route = solveRouteBetweenPoints(near, target, { mode: "walk" });
+    const direct = solveRouteBetweenPoints(near, toPoint(firstEdge.to), { mode: "walk" });
+    expect(route.endAccess).toMatchObject({ type: "entrance", entranceId: "entrance-near" });
+    expect(route.totalLength).toBeCloseTo(direct.totalLength, 6);
+    expect(route.startAccess).toMatchObject({ type: "point" });
+  });
+
+  it("无入口数据的建筑从外轮廓上离道路最近的点接入", () => {
+    const other = getPoiRecords().find(
+      (poi) => poi.parentType === "building" && poi.parentId !== buildingPoi.parentId
+    );
+    const route = solveRouteBetweenPoints(buildingPoi, other, { mode: "walk" });
+    expect(route.startAccess.type).toBe("footprint");
+    expect(route.endAccess.type).toBe("footprint");
+    const labelRoute = solveRouteBetweenPoints(buildingPoi, other, {
+      mode: "walk",
+      useEntrances: false,
+    });
+    expect(labelRoute.startAccess).toBeNull();
+    expect(labelRoute.endAccess).toBeNull();
+  });
+
+  it("备选路线沿用最短路的接入点", () => {
+    const target = {
+      ...toPoint(firstEdge.to),
+      accessPoints: [{ ...toPoint(firstEdge.to), entranceId: "entrance-only" }],
+    };
+    const routes = solveAlternativeRoutes(toPoint(firstEdge.from), target, { mode: "walk" });
+    routes.forEach((route) => {
+      expect(route.endAccess.entranceId).toBe("entrance-only");
+    });
+  });
+});
+
+describe("roadGraph 校门与校外目的地", () => {
+  const campusPoi = getPoiRecords().find((poi) => poi.parentType === "building");
+  // 犀浦地铁站（map.osm node/2726964537），位于校园围墙外
+  const station = { ...projectToGraph([103.9686662, 30.7612369]), name: "犀浦站" };
+  const gates = listCampusGates();
+  const closedIds = new Set(gates.filter((gate) => gate.closed).map((gate) => gate.id));
+
+  it("数据中不开放的校门默认关闭", () => {
+    expect(gates.find((gate) => gate.name === "消防通道").closed).toBe(true);
+    expect(gates.find((gate) => gate.name === "西南门").closed).toBe(true);
+    expect(gates.find((gate) => gate.name === "南门").closed).toBe(false);
+  });
+
+  it("校内地点到校外坐标经开放的校门出校", () => {
+    const route = solveRouteBetweenPoints(campusPoi, station, { mode: "walk" });
+    expect(route.gates.length).toBeGreaterThan(0);
+    expect(route.gates[0].direction).toBe("exit");
+    expect(route.gates[0].gateId).not.toBeNull();
+    route.gates.forEach((gate) => expect(closedIds.has(gate.gateId)).toBe(false));
+    const back = solveRouteBetweenPoints(station, campusPoi, { mode: "walk" });
+    expect(back.gates[0].direction).toBe("enter");
+  });
+
+  it("不经过关闭的校门", () => {
+    const closedEdge = graphData.edges.find((edge) => closedIds.has(edge.gateId));
+    const route = solveRouteBetweenPoints(toPoint(closedEdge.from), toPoint(closedEdge.to), {
+      mode: "walk",
+    });
+    expect(route.edgePath.some((edge) => closedIds.has(edge.gateId))).toBe(false);
+  });
+
+  it("封闭登记表可临时关闭校门，路线改走其他校门", () => {
+    const route = solveRouteBetweenPoints(campusPoi, station, { mode: "walk" });
+    const usedGateId = route.gates[0].gateId;
+    const rerouted = solveRouteBetweenPoints(campusPoi, station, {
+      mode: "walk",
+      blocked: [{ id: "gate", type: "gate", gateId: usedGateId, policy: "avoid" }],
+    });
+    expect(rerouted.gates.some((gate) => gate.gateId === usedGateId)).toBe(false);
+    expect(rerouted.totalLength).toBeGreaterThanOrEqual(route.totalLength);
+  });
 });
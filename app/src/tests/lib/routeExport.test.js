@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import graphData from "../../data/roads-graph.json";
+import { exportRoute, toGeoJSON, toGpx, toKml } from "../../lib/routeExport";
+
+const [a, b, c] = graphData.nodes;
+const route = {
+  from: "一食堂 <东门>",
+  to: "图书馆",
+  length: 123.4,
+  mode: "walk",
+  pointPath: [a, b, c].map((node) => ({ worldX: node.worldX, worldZ: node.worldZ })),
+  steps: [
+    { maneuver: "depart", text: "从一食堂向北出发，沿人行道前行 80 米", distance: 80, point: a },
+    { maneuver: "left", text: "左转 & 前行 43 米", distance: 43.4, point: b },
+    { maneuver: "arrive", text: "到达图书馆", distance: 0, point: null },
+  ],
+};
+
+describe("routeExport", () => {
+  it("GeoJSON：折线坐标还原为节点经纬度，航点附指引与距离", () => {
+    const geojson = toGeoJSON(route);
+    const [line, ...points] = geojson.features;
+    expect(line.geometry.type).toBe("LineString");
+    line.geometry.coordinates.forEach(([lng, lat], index) => {
+      const node = [a, b, c][index];
+      expect(lng).toBeCloseTo(node.lng, 6);
+      expect(lat).toBeCloseTo(node.lat, 6);
+    });
+    expect(line.properties).toMatchObject({ from: route.from, to: "图书馆", mode: "walk" });
+    // 没有坐标的步骤不导出
+    expect(points).toHaveLength(2);
+    expect(points[1].properties).toMatchObject({ index: 2, name: "左转 & 前行 43 米", distance: 43 });
+  });
+
+  it("GPX：航点与轨迹点数量一致并转义 XML 特殊字符", () => {
+    const gpx = toGpx(route);
+    expect(gpx.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(gpx.match(/<trkpt /g)).toHaveLength(3);
+    expect(gpx.match(/<wpt /g)).toHaveLength(2);
+    expect(gpx).toContain("一食堂 &lt;东门&gt; → 图书馆");
+    expect(gpx).toContain("左转 &amp; 前行 43 米");
+    expect(gpx).toContain("<desc>80 米</desc>");
+    expect(gpx).toContain(`lat="${Number(a.lat.toFixed(7))}" lon="${Number(a.lng.toFixed(7))}"`);
+    expect(gpx).toContain("全程 123 米，步行");
+  });
+
+  it("KML：LineString 坐标为“经度,纬度”并以空格分隔", () => {
+    const kml = toKml(route);
+    const coordinates = kml.match(/<LineString>.*<coordinates>(.*)<\/coordinates>/)[1].split(" ");
+    expect(coordinates).toHaveLength(3);
+    const [lng, lat] = coordinates[2].split(",").map(Number);
+    expect(lng).toBeCloseTo(c.lng, 6);
+    expect(lat).toBeCloseTo(c.lat, 6);
+    expect(kml.match(/<Point>/g)).toHaveLength(2);
+  });
+
+  it("按格式生成文件名与 MIME 类型，非法输入报错", () => {
+    const file = exportRoute(route, "gpx");
+    expect(file.filename).toBe("路线_一食堂_东门__图书馆.gpx");
+    expect(file.mimeType).toBe("application/gpx+xml");
+    expect(JSON.parse(exportRoute(route, "geojson").content).type).toBe("FeatureCollection");
+    expect(exportRoute(route, "kml").filename.endsWith(".kml")).toBe(true);
+    expect(() => exportRoute(route, "shp")).toThrow("不支持的导出格式");
+    expect(() => exportRoute({ ...route, pointPath: [a] }, "gpx")).toThrow("没有可导出的路线");
+  });
+});
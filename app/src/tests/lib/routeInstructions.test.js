@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import graphData from "../../data/roads-graph.json";
+import {
+  buildRouteInstructions,
+  classifyTurn,
+  computeBearing,
+} from "../../lib/routeInstructions";
+import { solveRouteBetweenPoints } from "../../lib/roadGraph";
+import { getPoiRecords } from "../../lib/poiIndex";
+
+const roadTags = graphData.roads || {};
+const namedRoadIds = Object.keys(roadTags).filter((roadId) => roadTags[roadId].name);
+
+/**
+ * makeRoute：按折线点与 roadId 构造最小路线结构
+ */
+const makeRoute = (points, roadIds) => ({
+  pointPath: points.map(([worldX, worldZ]) => ({ worldX, worldZ })),
+  edgePath: roadIds.map((roadId, index) => ({
+    roadId,
+    length: Math.hypot(
+      points[index + 1][0] - points[index][0],
+      points[index + 1][1] - points[index][1]
+    ),
+  })),
+});
+
+describe("routeInstructions", () => {
+  it("方位角以正北为 0° 顺时针，worldZ 向南", () => {
+    const origin = { worldX: 0, worldZ: 0 };
+    expect(computeBearing(origin, { worldX: 0, worldZ: -10 })).toBeCloseTo(0);
+    expect(computeBearing(origin, { worldX: 10, worldZ: 0 })).toBeCloseTo(90);
+    expect(computeBearing(origin, { worldX: 0, worldZ: 10 })).toBeCloseTo(180);
+  });
+
+  it("按方位角差判断转向", () => {
+    expect(classifyTurn(0, 10)).toBe("straight");
+    expect(classifyTurn(0, 90)).toBe("right");
+    expect(classifyTurn(0, 270)).toBe("left");
+    expect(classifyTurn(350, 40)).toBe("slight-right");
+    expect(classifyTurn(0, 180)).toBe("uturn");
+  });
+
+  it("按道路分组、识别左转并使用路名与地标", () => {
+    const [roadA, roadB] = namedRoadIds;
+    // 向北 100 米后向西 60 米：左转
+    const route = makeRoute(
+      [
+        [0, 0],
+        [0, -50],
+        [0, -100],
+        [-60, -100],
+      ],
+      [roadA, roadA, roadB]
+    );
+    const steps = buildRouteInstructions(route, {
+      from: { name: "宿舍" },
+      to: { name: "食堂" },
+      pois: [{ name: "图书馆", worldX: 5, worldZ: -98 }],
+    });
+    expect(steps.map((step) => step.type)).toEqual(["depart", "turn", "arrive"]);
+    expect(steps[0].text).toContain(`从宿舍向北出发，沿${roadTags[roadA].name}前行 100 米`);
+    expect(steps[1].maneuver).toBe("left");
+    expect(steps[1].text).toBe(`在图书馆处左转，沿${roadTags[roadB].name}前行 60 米`);
+    expect(steps[2].text).toBe("到达食堂");
+  });
+
+  it("过短连接段并入上一段", () => {
+    const [roadA, roadB] = namedRoadIds;
+    const route = makeRoute(
+      [
+        [0, 0],
+        [0, -100],
+        [3, -100],
+        [3, -200],
+      ],
+      [roadA, roadB, roadA]
+    );
+    const steps = buildRouteInstructions(route, { pois: [] });
+    expect(steps).toHaveLength(2);
+    expect(steps[0].distance).toBeCloseTo(203, 6);
+  });
+
+  it("穿越围墙的路段注明经过的校门", () => {
+    const [roadA, roadB] = namedRoadIds;
+    const gate = graphData.edges.find((edge) => edge.gateId && graphData.gates[edge.gateId].name);
+    const route = makeRoute(
+      [
+        [0, 0],
+        [0, -100],
+        [-60, -100],
+      ],
+      [roadA, roadB]
+    );
+    route.edgePath[1] = { ...route.edgePath[1], gateId: gate.gateId, boundaryCrossing: "exit" };
+    const steps = buildRouteInstructions(route, { pois: [] });
+    expect(steps[1].gate).toEqual({ gateId: gate.gateId, direction: "exit" });
+    expect(steps[1].text).toMatch(new RegExp(`经${graphData.gates[gate.gateId].name}出校$`));
+    expect(steps[0].gate).toBeNull();
+  });
+
+  it("真实路线的步骤距离之和等于路线长度", () => {
+    const pois = getPoiRecords();
+    const route = solveRouteBetweenPoints(pois[0], pois[20]);
+    const steps = buildRouteInstructions(route, { from: pois[0], to: pois[20] });
+    const total = steps.reduce((sum, step) => sum + step.distance, 0);
+    expect(total).toBeCloseTo(route.totalLength, 6);
+    expect(steps[steps.length - 1].type).toBe("arrive");
+    expect(buildRouteInstructions(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import {
+  snapToRoute,
+  createOffRouteMonitor,
+  createCurrentLocation,
+  remainingWaypoints,
+} from "../../lib/routeTracking";
+import { createRouteTrack } from "../../lib/routeWalkthrough";
+
+const track = createRouteTrack([
+  { worldX: 0, worldZ: 0 },
+  { worldX: 100, worldZ: 0 },
+  { worldX: 100, worldZ: 100 },
+]);
+
+describe("routeTracking", () => {
+  it("吸附到路线最近点，给出偏离距离与沿线里程", () => {
+    expect(snapToRoute(track, { worldX: 40, worldZ: 6 })).toEqual({
+      worldX: 40,
+      worldZ: 0,
+      offset: 6,
+      along: 40,
+    });
+    const corner = snapToRoute(track, { worldX: 130, worldZ: 50 });
+    expect(corner).toMatchObject({ worldX: 100, worldZ: 50, offset: 30, along: 150 });
+    expect(snapToRoute(track, { worldX: -30, worldZ: -40 })).toMatchObject({ offset: 50, along: 0 });
+    expect(snapToRoute(null, { worldX: 0, worldZ: 0 })).toBeNull();
+  });
+
+  it("连续偏航达到次数才重规划，并遵守冷却时间", () => {
+    const monitor = createOffRouteMonitor({ threshold: 20, confirmCount: 2, cooldown: 10 });
+    expect(monitor.update(30, 0)).toEqual({ offRoute: true, reroute: false });
+    expect(monitor.update(5, 1000)).toEqual({ offRoute: false, reroute: false });
+    expect(monitor.update(30, 2000).reroute).toBe(false);
+    expect(monitor.update(30, 3000).reroute).toBe(true);
+    monitor.update(30, 4000);
+    expect(monitor.update(30, 5000).reroute).toBe(false);
+    monitor.reset();
+    monitor.update(30, 13000);
+    expect(monitor.update(30, 14000).reroute).toBe(true);
+  });
+
+  it("去掉已经经过的途经点，段数不匹配时保持不变", () => {
+    const waypoints = [{ name: "A" }, { name: "B" }];
+    const legs = [{ length: 100 }, { length: 50 }, { length: 80 }];
+    expect(remainingWaypoints(waypoints, legs, 120).map((item) => item.name)).toEqual(["B"]);
+    expect(remainingWaypoints(waypoints, legs, 0)).toBe(waypoints);
+    expect(remainingWaypoints(waypoints, legs.slice(1), 500)).toBe(waypoints);
+  });
+
+  it("定位点生成“当前位置”地点", () => {
+    expect(createCurrentLocation({ worldX: 1, worldZ: 2 }, { lng: 103, lat: 30 })).toMatchObject({
+      poiId: null,
+      name: "当前位置",
+      worldX: 1,
+      worldZ: 2,
+      lng: 103,
+      lat: 30,
+      source: "position",
+    });
+  });
+});
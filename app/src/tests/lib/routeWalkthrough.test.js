@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import {
+  createRouteTrack,
+  sampleRouteTrack,
+  sampleRouteView,
+  locateSteps,
+  findUpcomingStep,
+} from "../../lib/routeWalkthrough";
+
+// 向东 100 米后向北 50 米（worldZ 向南为正）
+const pointPath = [
+  { worldX: 0, worldZ: 0 },
+  { worldX: 0, worldZ: 0 },
+  { worldX: 100, worldZ: 0 },
+  { worldX: 100, worldZ: -50 },
+];
+
+describe("routeWalkthrough", () => {
+  it("构建轨迹时去除重复点并累计里程，有效点不足时返回 null", () => {
+    const track = createRouteTrack(pointPath);
+    expect(track.points).toHaveLength(3);
+    expect(track.cumulative).toEqual([0, 100, 150]);
+    expect(track.totalLength).toBe(150);
+    expect(createRouteTrack([{ worldX: 1, worldZ: 1 }])).toBeNull();
+    expect(createRouteTrack(null)).toBeNull();
+  });
+
+  it("按里程插值取点与方位角，超出范围时夹到两端", () => {
+    const track = createRouteTrack(pointPath);
+    expect(sampleRouteTrack(track, 40)).toMatchObject({ worldX: 40, worldZ: 0, bearing: 90 });
+    const north = sampleRouteTrack(track, 120);
+    expect(north.worldX).toBeCloseTo(100, 6);
+    expect(north.worldZ).toBeCloseTo(-20, 6);
+    expect(north.bearing).toBeCloseTo(0, 6);
+    expect(sampleRouteTrack(track, -5).distance).toBe(0);
+    expect(sampleRouteTrack(track, 999)).toMatchObject({ worldX: 100, worldZ: -50, distance: 150 });
+  });
+
+  it("前视点沿路线前移，到终点附近沿末段方向外推", () => {
+    const track = createRouteTrack(pointPath);
+    const corner = sampleRouteView(track, 95, 10);
+    expect(corner.lookAt.worldX).toBeCloseTo(100, 6);
+    expect(corner.lookAt.worldZ).toBeCloseTo(-5, 6);
+    const end = sampleRouteView(track, 150, 10);
+    expect(end.lookAt.worldX).toBeCloseTo(100, 6);
+    expect(end.lookAt.worldZ).toBeCloseTo(-60, 6);
+  });
+
+  it("把指引定位到轨迹里程并求前方下一条指引", () => {
+    const track = createRouteTrack(pointPath);
+    const steps = [
+      { maneuver: "depart", point: { worldX: 0, worldZ: 0 } },
+      { maneuver: "left", point: { worldX: 100, worldZ: 0 } },
+      { maneuver: "arrive", point: { worldX: 100, worldZ: -50 } },
+      { maneuver: "straight", point: null },
+    ];
+    const located = locateSteps(track, steps);
+    expect(located.map((step) => step.at)).toEqual([0, 100, 150]);
+    expect(findUpcomingStep(located, 0)).toMatchObject({ step: { maneuver: "left" }, remaining: 100 });
+    expect(findUpcomingStep(located, 100).step.maneuver).toBe("arrive");
+    expect(findUpcomingStep(located, 150)).toBeNull();
+  });
+
+  it("往返路线上按步骤距离匹配去程与回程的同一位置", () => {
+    const track = createRouteTrack([
+      { worldX: 0, worldZ: 0 },
+      { worldX: 30, worldZ: 0 },
+      { worldX: 60, worldZ: 0 },
+      { worldX: 30, worldZ: 0 },
+      { worldX: 0, worldZ: 0 },
+    ]);
+    const located = locateSteps(track, [
+      { maneuver: "depart", distance: 60, point: { worldX: 0, worldZ: 0 } },
+      { maneuver: "uturn", distance: 60, point: { worldX: 60, worldZ: 0 } },
+      { maneuver: "arrive", distance: 0, point: { worldX: 0, worldZ: 0 } },
+    ]);
+    expect(located.map((step) => step.at)).toEqual([0, 60, 120]);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import {
+  isRoadAllowedForMode,
+  isRoadClosed,
+  resolveTransportProfile,
+} from "../../lib/routingProfiles";
+
+describe("routingProfiles", () => {
+  it("步行禁止进入快速路与匝道", () => {
+    expect(isRoadAllowedForMode({ highway: "trunk" }, "walk")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "motorway_link" }, "walk")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "footway" }, "walk")).toBe(true);
+    expect(isRoadAllowedForMode({ highway: "footway", foot: "no" }, "walk")).toBe(false);
+  });
+
+  it("骑行避开台阶与纯人行道，显式 bicycle=yes 时放行", () => {
+    expect(isRoadAllowedForMode({ highway: "steps" }, "bike")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "footway" }, "ebike")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "footway", bicycle: "yes" }, "bike")).toBe(true);
+    expect(isRoadAllowedForMode({ highway: "cycleway", bicycle: "no" }, "bike")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "residential" }, "bike")).toBe(true);
+  });
+
+  it("bicycle=dismount 放行但需推行，人行道上显式放行时同样推行", () => {
+    const bike = resolveTransportProfile("bike");
+    expect(isRoadAllowedForMode({ highway: "footway", bicycle: "dismount" }, "bike")).toBe(true);
+    expect(bike.requiresDismount({ highway: "footway", bicycle: "dismount" })).toBe(true);
+    expect(bike.requiresDismount({ highway: "cycleway", bicycle: "dismount" })).toBe(true);
+    expect(bike.requiresDismount({ highway: "pedestrian", bicycle: "yes" })).toBe(true);
+    expect(bike.requiresDismount({ highway: "footway", bicycle: "designated" })).toBe(false);
+    expect(bike.requiresDismount({ highway: "residential" })).toBe(false);
+    expect(resolveTransportProfile("walk").requiresDismount).toBeUndefined();
+  });
+
+  it("驾驶仅允许机动车道路并尊重 access", () => {
+    expect(isRoadAllowedForMode({ highway: "footway" }, "drive")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "cycleway" }, "drive")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "service" }, "drive")).toBe(true);
+    expect(isRoadAllowedForMode({ highway: "service", access: "private" }, "drive")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "residential", access: "permit" }, "drive")).toBe(true);
+    expect(
+      isRoadAllowedForMode({ highway: "service", access: "no", motor_vehicle: "yes" }, "drive")
+    ).toBe(true);
+  });
+
+  it("car 作为 drive 的别名，未知方式回退步行", () => {
+    expect(resolveTransportProfile("car").key).toBe("drive");
+    expect(resolveTransportProfile("plane").key).toBe("walk");
+    expect(isRoadAllowedForMode(null, "drive")).toBe(true);
+  });
+
+  it("施工道路对所有交通方式封闭", () => {
+    const tags = { highway: "construction" };
+    expect(isRoadClosed(tags)).toBe(true);
+    expect(isRoadClosed({ highway: "footway" })).toBe(false);
+    ["walk", "bike", "ebike", "drive"].forEach((mode) => {
+      expect(isRoadAllowedForMode(tags, mode)).toBe(false);
+    });
+  });
+
+  it("无障碍禁止台阶，wheelchair=yes 时放行", () => {
+    expect(isRoadAllowedForMode({ highway: "steps" }, "accessible")).toBe(false);
+    expect(isRoadAllowedForMode({ highway: "steps", wheelchair: "yes" }, "accessible")).toBe(
+      true
+    );
+    expect(isRoadAllowedForMode({ highway: "footway", wheelchair: "no" }, "accessible")).toBe(
+      false
+    );
+    expect(isRoadAllowedForMode({ highway: "trunk" }, "accessible")).toBe(false);
+    expect(resolveTransportProfile("wheelchair").key).toBe("accessible");
+  });
+
+  it("无障碍按路面与路缘调整代价", () => {
+    const profile = resolveTransportProfile("accessible");
+    expect(profile.getCostFactor({ highway: "footway" })).toBe(1);
+    expect(profile.getCostFactor({ highway: "footway", surface: "gravel" })).toBeGreaterThan(1);
+    expect(
+      profile.getCostFactor({ highway: "footway", footway: "crossing", kerb: "raised" })
+    ).toBeGreaterThan(profile.getCostFactor({ highway: "footway", footway: "crossing" }));
+    expect(profile.getNodePenalty({ highway: "crossing", kerb: "lowered" })).toBe(0);
+    expect(profile.getNodePenalty({ highway: "crossing" })).toBeGreaterThan(0);
+    expect(profile.getNodePenalty({ highway: "crossing", kerb: "raised" })).toBeGreaterThan(
+      profile.getNodePenalty({ highway: "crossing" })
+    );
+    expect(profile.getNodePenalty({})).toBe(0);
+    expect(profile.describeIssue({ highway: "steps" })).toBe("台阶");
+    expect(profile.describeIssue({ highway: "footway", surface: "asphalt" })).toBeNull();
+  });
+});
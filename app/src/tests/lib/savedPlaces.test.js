@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import {
+  SAVED_PLACES_VERSION,
+  createEmptySavedPlaces,
+  migrateSavedPlaces,
+  addRecentRoute,
+  addFavorite,
+  removeFavorite,
+  listRecentLocations,
+  resolveStoredLocation,
+} from "../../lib/savedPlaces";
+
+const place = (id, x = 0) => ({ poiId: id, name: `地点${id}`, worldX: x, worldZ: 0, extra: {} });
+
+describe("savedPlaces", () => {
+  it("无法识别或版本不符的数据返回空结构，并丢弃无效条目", () => {
+    expect(migrateSavedPlaces(null)).toEqual(createEmptySavedPlaces());
+    expect(migrateSavedPlaces({ version: SAVED_PLACES_VERSION + 1, favorites: [] })).toEqual(
+      createEmptySavedPlaces()
+    );
+    const migrated = migrateSavedPlaces({
+      version: SAVED_PLACES_VERSION,
+      favorites: [
+        { id: "poi:a", label: "宿舍", location: place("a") },
+        { id: "poi:x", label: "坏数据", location: { name: "x" } },
+      ],
+      recentRoutes: "oops",
+    });
+    expect(migrated.favorites.map((item) => item.id)).toEqual(["poi:a"]);
+    expect(migrated.favorites[0].location.extra).toBeUndefined();
+    expect(migrated.recentRoutes).toEqual([]);
+  });
+
+  it("最近路线去重后移到最前，并按上限截断", () => {
+    let data = createEmptySavedPlaces();
+    data = addRecentRoute(data, { from: place("a"), to: place("b", 10), mode: "walk" }, { limit: 2, now: 1 });
+    data = addRecentRoute(data, { from: place("a"), to: place("c", 20), mode: "walk" }, { limit: 2, now: 2 });
+    data = addRecentRoute(data, { from: place("a"), to: place("b", 10), mode: "walk" }, { limit: 2, now: 3 });
+    expect(data.recentRoutes.map((route) => route.to.poiId)).toEqual(["b", "c"]);
+    expect(data.recentRoutes[0].usedAt).toBe(3);
+    data = addRecentRoute(data, { from: place("a"), to: place("b", 10), mode: "bike" }, { limit: 2 });
+    expect(data.recentRoutes.map((route) => route.mode)).toEqual(["bike", "walk"]);
+    expect(addRecentRoute(data, { from: null, to: place("b") })).toBe(data);
+  });
+
+  it("重复收藏同一地点时改名，超过上限不再添加", () => {
+    let data = createEmptySavedPlaces();
+    data = addFavorite(data, "实验室", place("a"), { limit: 2 });
+    data = addFavorite(data, "  ", place("b", 10), { limit: 2 });
+    data = addFavorite(data, "我的实验室", place("a"), { limit: 2 });
+    expect(data.favorites.map((item) => item.label)).toEqual(["我的实验室", "地点b"]);
+    expect(addFavorite(data, "新地点", place("c", 20), { limit: 2 })).toBe(data);
+
+    const coordinate = { name: "地图选点", worldX: 12.4, worldZ: -3.6 };
+    const withCoordinate = addFavorite(removeFavorite(data, "poi:b"), "操场边", coordinate);
+    expect(withCoordinate.favorites.map((item) => item.id)).toEqual(["poi:a", "xy:12,-4"]);
+  });
+
+  it("列出最近用过的地点，终点优先且不重复", () => {
+    let data = createEmptySavedPlaces();
+    data = addRecentRoute(data, { from: place("a"), to: place("b", 10), mode: "walk" });
+    data = addRecentRoute(data, { from: place("b", 10), to: place("c", 20), mode: "walk" });
+    expect(listRecentLocations(data).map((location) => location.poiId)).toEqual(["c", "b", "a"]);
+    expect(listRecentLocations(data, 1)).toHaveLength(1);
+  });
+
+  it("按 poiId 取回当前记录，POI 已不存在或没有 poiId 时使用快照", () => {
+    const current = { poiId: "a", name: "新图书馆", worldX: 12, worldZ: 3 };
+    const findPoi = (poiId) => (poiId === "a" ? current : null);
+    expect(resolveStoredLocation(place("a"), findPoi)).toBe(current);
+    const gone = place("b");
+    expect(resolveStoredLocation(gone, findPoi)).toBe(gone);
+    const picked = { name: "地图选点", worldX: 1, worldZ: 2, source: "map" };
+    expect(resolveStoredLocation(picked, findPoi)).toBe(picked);
+    expect(resolveStoredLocation(null, findPoi)).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import { computeSunPosition, createShadeIndex, getCampusSun } from "../../lib/shade";
+import config from "../../config/index.js";
+
+const options = config.poiRoute.shade;
+const CHENGDU = { lng: 104.0, lat: 30.77 };
+
+// 10 × 10 米、高 10 米的方形建筑，位于 worldX ∈ [0, 10]、worldZ ∈ [0, 10]
+const square = [
+  { worldX: 0, worldZ: 0 },
+  { worldX: 10, worldZ: 0 },
+  { worldX: 10, worldZ: 10 },
+  { worldX: 0, worldZ: 10 },
+];
+const index = createShadeIndex({
+  buildings: [{ rings: [square], height: 10 }],
+  treeRows: [
+    [
+      { worldX: 100, worldZ: 0 },
+      { worldX: 100, worldZ: 50 },
+    ],
+  ],
+  woods: [
+    [
+      { worldX: 200, worldZ: 0 },
+      { worldX: 240, worldZ: 0 },
+      { worldX: 240, worldZ: 40 },
+      { worldX: 200, worldZ: 40 },
+    ],
+  ],
+});
+// 太阳在正南、高度角 45°：建筑阴影向北（worldZ 减小方向）延伸 10 米
+const southSun = { azimuth: 180, altitude: 45 };
+
+describe("shade", () => {
+  it("夏至正午太阳高而偏南，上午在东侧，夜间在地平线以下", () => {
+    const noon = computeSunPosition(Date.UTC(2024, 5, 21, 5, 4), CHENGDU);
+    expect(noon.altitude).toBeGreaterThan(81);
+    expect(noon.altitude).toBeLessThan(84);
+    const morning = computeSunPosition(Date.UTC(2024, 5, 21, 1, 0), CHENGDU);
+    expect(morning.altitude).toBeGreaterThan(20);
+    expect(morning.azimuth).toBeGreaterThan(60);
+    expect(morning.azimuth).toBeLessThan(110);
+    const winterNoon = computeSunPosition(Date.UTC(2024, 11, 21, 5, 0), CHENGDU);
+    expect(winterNoon.altitude).toBeGreaterThan(34);
+    expect(winterNoon.altitude).toBeLessThan(37);
+    expect(winterNoon.azimuth).toBeGreaterThan(170);
+    expect(winterNoon.azimuth).toBeLessThan(190);
+    expect(computeSunPosition(Date.UTC(2024, 5, 21, 16, 0), CHENGDU).altitude).toBeLessThan(0);
+    const campus = getCampusSun(Date.UTC(2024, 5, 21, 5, 4));
+    expect(campus.altitude).toBeGreaterThan(80);
+  });
+
+  it("建筑阴影落在背向太阳的一侧，长度为 高度 / tan(高度角)", () => {
+    expect(index.isShaded({ worldX: 5, worldZ: -5 }, southSun)).toBe(true);
+    expect(index.isShaded({ worldX: 5, worldZ: -12 }, southSun)).toBe(false);
+    expect(index.isShaded({ worldX: 5, worldZ: 15 }, southSun)).toBe(false);
+    const lowSun = { azimuth: 180, altitude: 20 };
+    expect(index.isShaded({ worldX: 5, worldZ: -20 }, lowSun)).toBe(true);
+    const eastSun = { azimuth: 90, altitude: 45 };
+    expect(index.isShaded({ worldX: -5, worldZ: 5 }, eastSun)).toBe(true);
+    expect(index.isShaded({ worldX: 15, worldZ: 5 }, eastSun)).toBe(false);
+  });
+
+  it("树行缓冲范围内与林地内部视为树荫", () => {
+    expect(index.isShaded({ worldX: 100 + options.treeBuffer - 1, worldZ: 25 }, southSun)).toBe(true);
+    expect(index.isShaded({ worldX: 100 + options.treeBuffer + 5, worldZ: 25 }, southSun)).toBe(false);
+    expect(index.isShaded({ worldX: 220, worldZ: 20 }, southSun)).toBe(true);
+  });
+
+  it("太阳高度角过低时全部视为阴凉", () => {
+    const dusk = { azimuth: 270, altitude: options.minSunAltitude - 1 };
+    expect(index.isShaded({ worldX: 500, worldZ: 500 }, dusk)).toBe(true);
+    expect(index.isShaded({ worldX: 500, worldZ: 500 }, { azimuth: 0, altitude: -20 })).toBe(true);
+  });
+
+  it("按取样统计折线的阴凉长度与占比", () => {
+    // 沿建筑北侧向北走 20 米：前 10 米在阴影中
+    const result = index.measurePath(
+      [
+        { worldX: 5, worldZ: 0 },
+        { worldX: 5, worldZ: -20 },
+      ],
+      southSun
+    );
+    expect(result.totalLength).toBeCloseTo(20, 6);
+    expect(result.shadedLength).toBeCloseTo(10, 0);
+    expect(result.ratio).toBeCloseTo(0.5, 1);
+    expect(index.measurePath([{ worldX: 0, worldZ: 0 }], southSun)).toEqual({
+      totalLength: 0,
+      shadedLength: 0,
+      ratio: 0,
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  createSegmentIndex,
+  nearestPointOnSegment,
+  isPointInPolygon,
+  segmentIntersectsPolygon,
+} from "../../lib/spatialIndex";
+
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+};
+
+const random = createRandom(42);
+const segments = Array.from({ length: 400 }, (_, index) => {
+  const ax = random() * 2000 - 1000;
+  const az = random() * 2000 - 1000;
+  return {
+    id: `seg-${index}`,
+    a: { worldX: ax, worldZ: az },
+    b: { worldX: ax + random() * 120 - 60, worldZ: az + random() * 120 - 60 },
+  };
+});
+const index = createSegmentIndex(segments, (segment) => segment, { cellSize: 40 });
+
+const bruteForceNearest = (point, maxDistance, filter) => {
+  let best = null;
+  segments.forEach((segment) => {
+    if (filter && !filter(segment)) return;
+    const result = nearestPointOnSegment(point, segment.a, segment.b);
+    if (result.distance <= maxDistance && (!best || result.distance < best.distance)) {
+      best = { ...result, item: segment };
+    }
+  });
+  return best;
+};
+
+describe("spatialIndex", () => {
+  it("最近线段结果与线性扫描一致", () => {
+    for (let i = 0; i < 200; i += 1) {
+      const point = { x: random() * 2400 - 1200, z: random() * 2400 - 1200 };
+      const expected = bruteForceNearest(point, 150);
+      const actual = index.findNearest(point, { maxDistance: 150 });
+      if (!expected) {
+        expect(actual).toBeNull();
+      } else {
+        expect(actual.item.id).toBe(expected.item.id);
+        expect(actual.distance).toBeCloseTo(expected.distance, 9);
+      }
+    }
+  });
+
+  it("支持过滤函数与无距离上限查询", () => {
+    const onlyEven = (segment) => Number(segment.id.split("-")[1]) % 2 === 0;
+    const point = { x: 5000, z: 5000 };
+    const expected = bruteForceNearest(point, Infinity, onlyEven);
+    const actual = index.findNearest(point, { filter: onlyEven });
+    expect(actual.item.id).toBe(expected.item.id);
+  });
+
+  it("范围查询返回包围盒相交的线段", () => {
+    const bbox = { minX: -200, minZ: -200, maxX: 200, maxZ: 200 };
+    const expected = segments.filter(
+      (segment) =>
+        Math.max(segment.a.worldX, segment.b.worldX) >= bbox.minX &&
+        Math.min(segment.a.worldX, segment.b.worldX) <= bbox.maxX &&
+        Math.max(segment.a.worldZ, segment.b.worldZ) >= bbox.minZ &&
+        Math.min(segment.a.worldZ, segment.b.worldZ) <= bbox.maxZ
+    );
+    expect(index.queryBBox(bbox).map((s) => s.id)).toEqual(expected.map((s) => s.id));
+  });
+
+  it("退化线段与非法输入", () => {
+    const result = nearestPointOnSegment(
+      { x: 3, z: 4 },
+      { worldX: 0, worldZ: 0 },
+      { worldX: 0, worldZ: 0 }
+    );
+    expect(result.distance).toBe(5);
+    expect(index.findNearest({ x: NaN, z: 0 })).toBeNull();
+    expect(index.queryBBox(null)).toEqual([]);
+  });
+});
+
+describe("spatialIndex 多边形判断", () => {
+  const square = [
+    { worldX: 0, worldZ: 0 },
+    { worldX: 10, worldZ: 0 },
+    { worldX: 10, worldZ: 10 },
+    { worldX: 0, worldZ: 10 },
+  ];
+
+  it("射线法判断点在多边形内外", () => {
+    expect(isPointInPolygon({ worldX: 5, worldZ: 5 }, square)).toBe(true);
+    expect(isPointInPolygon({ worldX: 15, worldZ: 5 }, square)).toBe(false);
+  });
+
+  it("线段端点在内部或穿过边界均视为相交", () => {
+    const inside = { worldX: 5, worldZ: 5 };
+    const left = { worldX: -5, worldZ: 5 };
+    const right = { worldX: 15, worldZ: 5 };
+    const far = { worldX: -5, worldZ: 20 };
+    expect(segmentIntersectsPolygon(inside, right, square)).toBe(true);
+    expect(segmentIntersectsPolygon(left, right, square)).toBe(true);
+    expect(segmentIntersectsPolygon(left, far, square)).toBe(false);
+    expect(segmentIntersectsPolygon(left, right, square.slice(0, 2))).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import graphData from "../../data/roads-graph.json";
+import {
+  buildDistanceMatrix,
+  solveVisitOrder,
+  pathCost,
+  planTour,
+} from "../../lib/tourPlanner";
+
+/**
+ * permutations：枚举全部排列，作为小规模用例的暴力对照
+ */
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map((rest) => [
+      item,
+      ...rest,
+    ])
+  );
+};
+
+const bruteForce = (matrix, endIndex = null) => {
+  const stops = matrix
+    .map((_, index) => index)
+    .filter((index) => index !== 0 && index !== endIndex);
+  return Math.min(
+    ...permutations(stops).map((perm) =>
+      pathCost(matrix, [0, ...perm, ...(endIndex === null ? [] : [endIndex])])
+    )
+  );
+};
+
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+};
+
+const randomMatrix = (size, random) =>
+  Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size }, (_, j) => (i === j ? 0 : Math.round(random() * 100) + 1))
+  );
+
+describe("tourPlanner", () => {
+  it("精确求解与暴力枚举一致（终点自由/固定）", () => {
+    const random = createRandom(7);
+    for (let round = 0; round < 10; round += 1) {
+      const matrix = randomMatrix(7, random);
+      const free = solveVisitOrder(matrix);
+      expect(free.method).toBe("exact");
+      expect(free.order[0]).toBe(0);
+      expect(free.length).toBe(bruteForce(matrix));
+      const fixed = solveVisitOrder(matrix, { endIndex: 6 });
+      expect(fixed.order[fixed.order.length - 1]).toBe(6);
+      expect(fixed.length).toBe(bruteForce(matrix, 6));
+    }
+  });
+
+  it("大规模使用 2-opt 且结果是合法排列", () => {
+    const random = createRandom(11);
+    const matrix = randomMatrix(16, random);
+    const result = solveVisitOrder(matrix, { endIndex: 15 });
+    expect(result.method).toBe("2-opt");
+    expect([...result.order].sort((a, b) => a - b)).toEqual(
+      Array.from({ length: 16 }, (_, i) => i)
+    );
+    expect(result.order[0]).toBe(0);
+    expect(result.order[15]).toBe(15);
+    expect(result.length).toBe(pathCost(matrix, result.order));
+  });
+
+  it("在真实路网上规划游览路线", () => {
+    const nodes = graphData.nodes.slice(0, 400);
+    const pick = (index) => ({
+      name: `节点${index}`,
+      worldX: nodes[index].worldX,
+      worldZ: nodes[index].worldZ,
+    });
+    const start = pick(0);
+    const destinations = [pick(100), pick(200), pick(300)];
+    const matrix = buildDistanceMatrix([start, ...destinations]);
+    expect(matrix[0][0]).toBe(0);
+    const tour = planTour(start, destinations, { mode: "walk" });
+    expect(tour.stops[0]).toBe(start);
+    expect(tour.stops).toHaveLength(4);
+    expect(tour.route.legs).toHaveLength(3);
+    expect(tour.route.totalLength).toBeCloseTo(pathCost(matrix, tour.order), 6);
+  });
+
+  it("缺少起点或不可达时报错", () => {
+    expect(() => planTour(null, [])).toThrow("缺少起点");
+    const matrix = [
+      [0, Infinity],
+      [Infinity, 0],
+    ];
+    expect(solveVisitOrder(matrix).length).toBe(Infinity);
+  });
+});
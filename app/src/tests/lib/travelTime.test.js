@@ -0,0 +1,115 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseMaxspeed,
+  createTravelTimeModel,
+  summarizeTravelTime,
+  mergeTravelTimes,
+} from "../../lib/travelTime";
+import config from "../../config/index.js";
+
+const options = config.poiRoute.travelTime;
+
+describe("travelTime", () => {
+  it("解析 maxspeed，无法识别时返回 null", () => {
+    expect(parseMaxspeed("30")).toBe(30);
+    expect(parseMaxspeed("15 km/h")).toBe(15);
+    expect(parseMaxspeed("20 mph")).toBeCloseTo(32.19, 2);
+    expect(parseMaxspeed("walk")).toBe(6);
+    expect(parseMaxspeed("none")).toBeNull();
+    expect(parseMaxspeed("CN:urban")).toBeNull();
+    expect(parseMaxspeed(undefined)).toBeNull();
+  });
+
+  it("驾驶按道路等级车速，受 maxspeed 与路面限制", () => {
+    const drive = createTravelTimeModel("drive");
+    const residential = options.driveSpeeds.residential;
+    expect(drive.edgeTime({ highway: "residential" }, 100).seconds).toBeCloseTo(360 / residential, 6);
+    expect(drive.edgeTime({ highway: "secondary_link" }, 100).seconds).toBeCloseTo(
+      360 / options.driveSpeeds.secondary,
+      6
+    );
+    expect(drive.edgeTime({ highway: "secondary", maxspeed: "10" }, 100).seconds).toBeCloseTo(36, 6);
+    expect(drive.edgeTime({ highway: "residential", surface: "gravel" }, 100).seconds).toBeCloseTo(
+      360 / (residential * options.surfaceFactors.gravel),
+      6
+    );
+  });
+
+  it("步行台阶更慢且不受路面影响", () => {
+    const walk = createTravelTimeModel("walk");
+    expect(walk.edgeTime({ highway: "footway", surface: "gravel" }, 50).seconds).toBeCloseTo(36, 6);
+    const steps = walk.edgeTime({ highway: "steps" }, 10);
+    expect(steps.type).toBe("steps");
+    expect(steps.seconds).toBeCloseTo(36 / options.stepsSpeedKmh, 6);
+  });
+
+  it("骑行进入需推行的路段时按推行速度计时并附加一次上下车耗时", () => {
+    const bike = createTravelTimeModel("bike");
+    const road = { highway: "residential" };
+    const footway = { highway: "footway", bicycle: "yes" };
+    const push = (100 * 3.6) / options.pushSpeedKmh;
+    expect(bike.edgeTime(footway, 100, road)).toEqual({
+      seconds: push + options.dismountPenalty,
+      type: "dismount",
+      dismounted: true,
+    });
+    expect(bike.edgeTime(footway, 100, footway).dismounted).toBe(false);
+    expect(bike.edgeTime(footway, 100).dismounted).toBe(false);
+    expect(bike.edgeTime({ highway: "footway", bicycle: "designated" }, 100).type).toBe("moving");
+    expect(bike.edgeTime({ highway: "service", maxspeed: "5" }, 100).seconds).toBeCloseTo(72, 6);
+  });
+
+  it("过街与红绿灯等待，驾驶经过人行横道只需礼让", () => {
+    const walk = createTravelTimeModel("walk");
+    const drive = createTravelTimeModel("drive");
+    expect(walk.nodeDelay({ highway: "crossing", crossing: "marked" })).toEqual({
+      seconds: options.crossingDelay,
+      type: "crossing",
+    });
+    expect(drive.nodeDelay({ highway: "crossing" }).seconds).toBe(options.driveCrossingDelay);
+    expect(drive.nodeDelay({ highway: "traffic_signals" })).toEqual({
+      seconds: options.signalDelay,
+      type: "signals",
+    });
+    expect(walk.nodeDelay({ crossing: "no" })).toBeNull();
+    expect(walk.nodeDelay(null)).toBeNull();
+  });
+
+  it("模型最高速度不低于任何路段的实际速度", () => {
+    const samples = [
+      null,
+      { highway: "motorway" },
+      { highway: "cycleway" },
+      { highway: "path", surface: "sand" },
+      { highway: "steps" },
+      { highway: "footway", bicycle: "yes" },
+      { highway: "residential", maxspeed: "80" },
+    ];
+    ["walk", "bike", "ebike", "drive", "accessible"].forEach((mode) => {
+      const model = createTravelTimeModel(mode);
+      samples.forEach((tags) => {
+        expect(model.edgeTime(tags, 100).seconds * model.maxSpeed).toBeGreaterThanOrEqual(100 - 1e-9);
+      });
+    });
+  });
+
+  it("汇总耗时并按类别拆分，多段可合并", () => {
+    const bike = createTravelTimeModel("bike");
+    const summary = summarizeTravelTime(bike, [
+      { length: 120, tags: { highway: "residential" }, nodeTags: { highway: "crossing" } },
+      { length: 40, tags: { highway: "pedestrian", bicycle: "yes" }, nodeTags: null },
+      { length: 60, tags: { highway: "cycleway" }, nodeTags: { highway: "traffic_signals" } },
+    ]);
+    expect(summary.dismountCount).toBe(1);
+    expect(summary.crossingCount).toBe(1);
+    expect(summary.signalCount).toBe(1);
+    expect(summary.moving).toBeCloseTo((180 * 3.6) / 12, 6);
+    expect(summary.total).toBeCloseTo(
+      summary.moving + summary.dismount + options.crossingDelay + options.signalDelay,
+      6
+    );
+    const merged = mergeTravelTimes([summary, null, summary]);
+    expect(merged.total).toBeCloseTo(summary.total * 2, 6);
+    expect(merged.dismountCount).toBe(2);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { useNavigationStore } from "../../store/navigationStore";
+import { useSceneStore } from "../../store/useSceneStore";
+import { createEmptySavedPlaces, toStoredLocation } from "../../lib/savedPlaces";
+import { findPoiById } from "../../lib/poiIndex";
+import config from "../../config/index.js";
+
+const poi = (id) => ({ poiId: id, name: `地点${id}`, worldX: 0, worldZ: 0 });
+
+describe("navigationStore 途经点", () => {
+  beforeEach(() => {
+    useSceneStore.getState().resetStore();
+    useNavigationStore.setState({
+      startLocation: null,
+      endLocation: null,
+      waypoints: [],
+    });
+  });
+
+  it("追加、移除途经点并同步高亮", () => {
+    const store = useNavigationStore.getState();
+    store.setStartLocation(poi("a"));
+    store.addWaypoint(poi("b"));
+    store.addWaypoint(poi("c"));
+    store.setEndLocation(poi("d"));
+    expect(useNavigationStore.getState().getRouteStops().map((s) => s.poiId)).toEqual([
+      "a",
+      "b",
+      "c",
+      "d",
+    ]);
+    expect(Array.from(useSceneStore.getState().highlightedLocationIds)).toContain("c");
+
+    useNavigationStore.getState().removeWaypoint(0);
+    useNavigationStore.getState().removeWaypoint(5);
+    expect(useNavigationStore.getState().waypoints.map((w) => w.poiId)).toEqual(["c"]);
+  });
+
+  it("调整途经点顺序，越界时保持不变", () => {
+    const store = useNavigationStore.getState();
+    ["b", "c", "d"].forEach((id) => store.addWaypoint(poi(id)));
+    useNavigationStore.getState().moveWaypoint(2, 0);
+    expect(useNavigationStore.getState().waypoints.map((w) => w.poiId)).toEqual(["d", "b", "c"]);
+    useNavigationStore.getState().moveWaypoint(0, 3);
+    expect(useNavigationStore.getState().waypoints.map((w) => w.poiId)).toEqual(["d", "b", "c"]);
+    useNavigationStore.getState().clearWaypoints();
+    expect(useNavigationStore.getState().waypoints).toEqual([]);
+  });
+
+  it("请求路线规划时递增序号", () => {
+    const before = useNavigationStore.getState().routePlanRequest;
+    useNavigationStore.getState().requestRoutePlan();
+    expect(useNavigationStore.getState().routePlanRequest).toBe(before + 1);
+  });
+});
+
+describe("navigationStore 常用地点与最近路线", () => {
+  const storageKey = config.poiRoute.saved.storageKey;
+  const place = (id, x) => ({ poiId: id, name: `地点${id}`, worldX: x, worldZ: 0 });
+
+  beforeEach(() => {
+    useSceneStore.getState().resetStore();
+    window.localStorage.removeItem(storageKey);
+    useNavigationStore.setState({
+      startLocation: null,
+      endLocation: null,
+      waypoints: [],
+      transportMode: "walk",
+      savedPlaces: createEmptySavedPlaces(),
+    });
+  });
+
+  it("记录最近路线与收藏地点并写入 localStorage", () => {
+    const store = useNavigationStore.getState();
+    store.recordRecentRoute(place("a", 0), place("b", 10), "bike");
+    store.addFavoritePlace("我的宿舍", place("a", 0));
+    const stored = JSON.parse(window.localStorage.getItem(storageKey));
+    expect(stored.version).toBe(1);
+    expect(stored.recentRoutes.map((route) => route.mode)).toEqual(["bike"]);
+    expect(stored.favorites.map((item) => item.label)).toEqual(["我的宿舍"]);
+
+    useNavigationStore.getState().removeFavoritePlace("poi:a");
+    useNavigationStore.getState().clearRecentRoutes();
+    expect(JSON.parse(window.localStorage.getItem(storageKey))).toMatchObject({
+      favorites: [],
+      recentRoutes: [],
+    });
+  });
+
+  it("恢复最近路线时设置起终点、交通方式并请求规划", () => {
+    const store = useNavigationStore.getState();
+    store.addWaypoint(place("c", 5));
+    store.recordRecentRoute(place("a", 0), place("b", 10), "bike");
+    const before = useNavigationStore.getState().routePlanRequest;
+    useNavigationStore.getState().applyRecentRoute(
+      useNavigationStore.getState().savedPlaces.recentRoutes[0]
+    );
+    const state = useNavigationStore.getState();
+    expect(state.startLocation.poiId).toBe("a");
+    expect(state.endLocation.poiId).toBe("b");
+    expect(state.waypoints).toEqual([]);
+    expect(state.transportMode).toBe("bike");
+    expect(state.routePlanRequest).toBe(before + 1);
+  });
+
+  it("恢复最近路线时按 poiId 取当前 POI 记录，POI 已不存在时使用快照", () => {
+    const current = findPoiById("poi-node/10156545612");
+    const stale = { ...toStoredLocation(current), name: "旧名称", worldX: current.worldX + 50 };
+    const gone = place("missing", 10);
+    useNavigationStore.getState().recordRecentRoute(stale, gone, "walk");
+    useNavigationStore.getState().applyRecentRoute(
+      useNavigationStore.getState().savedPlaces.recentRoutes[0]
+    );
+    const state = useNavigationStore.getState();
+    expect(state.startLocation).toBe(current);
+    expect(state.endLocation).toEqual(gone);
+  });
+
+  it("切换最短/最快/凉爽路线，非法值回退为最短路线", () => {
+    useNavigationStore.getState().setRouteObjective("time");
+    expect(useNavigationStore.getState().routeObjective).toBe("time");
+    useNavigationStore.getState().setRouteObjective("shade");
+    expect(useNavigationStore.getState().routeObjective).toBe("shade");
+    useNavigationStore.getState().setRouteObjective("scenic");
+    expect(useNavigationStore.getState().routeObjective).toBe("distance");
+  });
+
+  it("夜间安全默认关闭，非法值回退为关闭", () => {
+    expect(useNavigationStore.getState().nightSafety).toBe("off");
+    useNavigationStore.getState().setNightSafety("on");
+    expect(useNavigationStore.getState().nightSafety).toBe("on");
+    useNavigationStore.getState().setNightSafety("auto");
+    expect(useNavigationStore.getState().nightSafety).toBe("auto");
+    useNavigationStore.getState().setNightSafety("always");
+    expect(useNavigationStore.getState().nightSafety).toBe("off");
+  });
+});
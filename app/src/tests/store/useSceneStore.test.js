@@ -111,4 +111,131 @@ describe("useSceneStore", () => {
     expect(useSceneStore.getState().highlightedRoadIds).toEqual([]);
     expect(useSceneStore.getState().activeRoute).toBeNull();
   });
+
+  it("swaps active route with a selected alternative", () => {
+    const store = useSceneStore.getState();
+    store.setHighlightedRoads(["road-1"]);
+    store.setHighlightedRoutePath([{ worldX: 0, worldZ: 0 }]);
+    store.setActiveRoute({ from: "A", to: "B", length: 100 });
+    store.setAlternativeRoutes([
+      { pointPath: [{ worldX: 1, worldZ: 1 }], roadIds: ["road-2"], length: 120 },
+    ]);
+    useSceneStore.getState().selectAlternativeRoute(0);
+    const state = useSceneStore.getState();
+    expect(state.highlightedRoadIds).toEqual(["road-2"]);
+    expect(state.activeRoute).toEqual({ from: "A", to: "B", length: 120 });
+    expect(state.alternativeRoutes[0].roadIds).toEqual(["road-1"]);
+    expect(state.alternativeRoutes[0].length).toBe(100);
+    useSceneStore.getState().selectAlternativeRoute(5);
+    expect(useSceneStore.getState().activeRoute.length).toBe(120);
+  });
+
+  it("persists blocked items to localStorage", () => {
+    localStorage.clear();
+    const store = useSceneStore.getState();
+    store.setBlockPolicy("penalize");
+    const id = store.addBlockedItem({ type: "road", roadIds: ["road-1"], label: "知行路" });
+    const state = useSceneStore.getState();
+    expect(state.blockedItems).toHaveLength(1);
+    expect(state.blockedItems[0]).toMatchObject({ id, type: "road", policy: "penalize" });
+    const saved = JSON.parse(localStorage.getItem("campus-nav:blocked-roads"));
+    expect(saved[0].id).toBe(id);
+    useSceneStore.getState().resetStore();
+    expect(useSceneStore.getState().blockedItems[0].id).toBe(id);
+    useSceneStore.getState().removeBlockedItem(id);
+    expect(useSceneStore.getState().blockedItems).toEqual([]);
+    expect(JSON.parse(localStorage.getItem("campus-nav:blocked-roads"))).toEqual([]);
+  });
+
+  it("commits a barrier draft only with three or more vertices", () => {
+    localStorage.clear();
+    const store = useSceneStore.getState();
+    store.clearBlockedItems();
+    store.setMapPickMode("block-polygon");
+    store.appendBarrierPoint({ worldX: 0, worldZ: 0 });
+    store.appendBarrierPoint({ worldX: 10, worldZ: 0 });
+    expect(useSceneStore.getState().commitBarrierDraft()).toBeNull();
+    useSceneStore.getState().appendBarrierPoint({ worldX: 10, worldZ: 10 });
+    const id = useSceneStore.getState().commitBarrierDraft();
+    const state = useSceneStore.getState();
+    expect(state.mapPickMode).toBeNull();
+    expect(state.barrierDraft).toEqual([]);
+    expect(state.blockedItems.find((item) => item.id === id).polygon).toHaveLength(3);
+    useSceneStore.getState().clearBlockedItems();
+  });
+
+  it("opens the map context menu only with a location", () => {
+    const store = useSceneStore.getState();
+    store.openMapContextMenu({ clientX: 10, clientY: 20 });
+    expect(useSceneStore.getState().mapContextMenu).toBeNull();
+    const location = { poiId: null, name: "地图选点", worldX: 1, worldZ: 2 };
+    store.openMapContextMenu({ clientX: 10, clientY: 20, location });
+    expect(useSceneStore.getState().mapContextMenu.location).toBe(location);
+    useSceneStore.getState().closeMapContextMenu();
+    expect(useSceneStore.getState().mapContextMenu).toBeNull();
+  });
+
+  it("toggles road component colouring", () => {
+    expect(useSceneStore.getState().roadComponentsVisible).toBe(false);
+    useSceneStore.getState().setRoadComponentsVisible(true);
+    expect(useSceneStore.getState().roadComponentsVisible).toBe(true);
+    useSceneStore.getState().setRoadComponentsVisible(false);
+    expect(useSceneStore.getState().roadComponentsVisible).toBe(false);
+  });
+
+  it("stores and clears reachability", () => {
+    const origin = { name: "宿舍", worldX: 0, worldZ: 0 };
+    useSceneStore.getState().showReachability(origin);
+    expect(useSceneStore.getState().reachabilityOrigin).toBe(origin);
+    const reachability = { origin, bands: [5], segments: [], buildingBands: new Map() };
+    useSceneStore.getState().setReachability(reachability);
+    expect(useSceneStore.getState().reachability).toBe(reachability);
+    useSceneStore.getState().clearReachability();
+    expect(useSceneStore.getState().reachabilityOrigin).toBeNull();
+    expect(useSceneStore.getState().reachability).toBeNull();
+  });
+
+  it("appends and dismisses notices", () => {
+    useSceneStore.getState().pushNotices(["链接中的起点不存在", null]);
+    useSceneStore.getState().pushNotices(["链接中的视角参数无效"]);
+    expect(useSceneStore.getState().notices).toEqual(["链接中的起点不存在", "链接中的视角参数无效"]);
+    useSceneStore.getState().dismissNotices();
+    expect(useSceneStore.getState().notices).toEqual([]);
+  });
+
+  it("starts, controls and stops the route walkthrough", () => {
+    useSceneStore.getState().startWalkthrough();
+    expect(useSceneStore.getState().walkthrough).toBeNull();
+
+    useSceneStore.getState().setHighlightedRoutePath([
+      { worldX: 0, worldZ: 0 },
+      { worldX: 10, worldZ: 0 },
+    ]);
+    useSceneStore.getState().startWalkthrough();
+    expect(useSceneStore.getState().walkthrough).toEqual({ playing: true, rate: 5 });
+    useSceneStore.getState().setWalkthroughPlaying(false);
+    useSceneStore.getState().setWalkthroughRate(2);
+    useSceneStore.getState().setWalkthroughRate(0);
+    useSceneStore.getState().seekWalkthrough(6);
+    expect(useSceneStore.getState().walkthrough).toEqual({ playing: false, rate: 2 });
+    expect(useSceneStore.getState().walkthroughDistance).toBe(6);
+
+    useSceneStore.getState().stopWalkthrough();
+    expect(useSceneStore.getState().walkthrough).toBeNull();
+    expect(useSceneStore.getState().walkthroughDistance).toBe(0);
+    useSceneStore.getState().seekWalkthrough(3);
+    expect(useSceneStore.getState().walkthroughDistance).toBe(0);
+  });
+
+  it("starts tracking, records live positions and stops", () => {
+    useSceneStore.getState().startTracking(null);
+    expect(useSceneStore.getState().tracking).toBeNull();
+    useSceneStore.getState().startTracking({ source: "replay", label: "walk.gpx", points: [], rate: 5 });
+    expect(useSceneStore.getState().tracking).toMatchObject({ source: "replay", rate: 5 });
+    useSceneStore.getState().setLivePosition({ worldX: 1, worldZ: 2, offRoute: false });
+    expect(useSceneStore.getState().livePosition).toMatchObject({ worldX: 1, worldZ: 2 });
+    useSceneStore.getState().stopTracking();
+    expect(useSceneStore.getState().tracking).toBeNull();
+    expect(useSceneStore.getState().livePosition).toBeNull();
+  });
 });
@@ -28,7 +28,7 @@ const mockData = JSON.stringify({
 
 vi.mock("../../data/campus.geojson?raw", () => ({ default: mockData }));
 
-const { buildBuildings } = await import("../../three/buildBuildings");
+const { buildBuildings, colorBuildingsByBand } = await import("../../three/buildBuildings");
 
 describe("buildBuildings", () => {
   let scene;
@@ -46,4 +46,41 @@ describe("buildBuildings", () => {
   it("throws if scene missing", () => {
     expect(() => buildBuildings(null)).toThrow();
   });
+
+  it("colours buildings by reachability band and restores the shared material", () => {
+    const group = buildBuildings(scene);
+    const mesh = group.children.find((child) => child.isMesh);
+    const shared = mesh.material;
+    expect(colorBuildingsByBand(group, new Map([["way/1", 1]]), ["#00ff00", "#0000ff"])).toBe(1);
+    expect(mesh.material).not.toBe(shared);
+    expect(mesh.material.color.getHex()).toBe(0x0000ff);
+    expect(colorBuildingsByBand(group, null)).toBe(0);
+    expect(mesh.material).toBe(shared);
+  });
+
+  it("建筑高亮期间着色作用于原材质，取消高亮与清除着色的先后不影响还原", () => {
+    const group = buildBuildings(scene);
+    const mesh = group.children.find((child) => child.isMesh);
+    const shared = mesh.material;
+    // 模拟 buildingPicking 的 highlightMesh
+    const highlight = shared.clone();
+    mesh.userData.__originalMaterial = shared;
+    mesh.material = highlight;
+
+    colorBuildingsByBand(group, new Map([["way/1", 0]]), ["#00ff00"]);
+    expect(mesh.material).toBe(highlight);
+    const tinted = mesh.userData.__originalMaterial;
+    expect(tinted).not.toBe(shared);
+    expect(tinted.color.getHex()).toBe(0x00ff00);
+
+    // 模拟 buildingPicking 的 restoreMesh
+    mesh.material.dispose();
+    mesh.material = mesh.userData.__originalMaterial;
+    mesh.userData.__originalMaterial = null;
+    expect(mesh.material).toBe(tinted);
+
+    colorBuildingsByBand(group, null);
+    expect(mesh.material).toBe(shared);
+    expect(mesh.userData.__bandBaseMaterial).toBeNull();
+  });
 });
@@ -55,7 +55,7 @@ vi.mock("../../data/campus.geojson?raw", () => ({
   default: mockData,
 }));
 
-const { buildRoads } = await import("../../three/buildRoads");
+const { buildRoads, colorRoadsByComponent, markBlockedRoads } = await import("../../three/buildRoads");
 
 describe("buildRoads", () => {
   let scene;
@@ -74,4 +74,33 @@ describe("buildRoads", () => {
   it("scene 缺失时抛出错误", () => {
     expect(() => buildRoads(null)).toThrow();
   });
+
+  it("按 stableId 标记封闭道路并可恢复", () => {
+    const group = buildRoads(scene);
+    expect(markBlockedRoads(group, ["road-2"], "#ff0000")).toBe(1);
+    const [first, second] = group.children.filter((child) => child.isMesh);
+    expect(second.userData.blocked).toBe(true);
+    expect(second.material.emissive.getHex()).toBe(0xff0000);
+    expect(second.userData.blockedMark).toEqual({ color: 0xff0000, intensity: 0.8 });
+    expect(first.material.emissiveIntensity).toBe(0);
+    expect(markBlockedRoads(group, [])).toBe(0);
+    expect(second.material.emissive.getHex()).toBe(0x000000);
+    expect(second.userData.blockedMark).toBeNull();
+  });
+
+  it("按连通分量着色道路并可恢复默认颜色", () => {
+    const group = buildRoads(scene);
+    const [first, second] = group.children.filter((child) => child.isMesh);
+    const baseColor = first.material.color.getHex();
+    const components = new Map([
+      ["road-1", 0],
+      ["road-2", 1],
+    ]);
+    expect(colorRoadsByComponent(group, components, ["#00ff00", "#ff0000"])).toBe(2);
+    expect(first.material.color.getHex()).toBe(0x00ff00);
+    expect(second.material.color.getHex()).toBe(0xff0000);
+    expect(colorRoadsByComponent(group, null)).toBe(0);
+    expect(first.material.color.getHex()).toBe(baseColor);
+    expect(second.material.color.getHex()).toBe(baseColor);
+  });
 });
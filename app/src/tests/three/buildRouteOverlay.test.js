@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import { buildRouteOverlay } from "../../three/buildRouteOverlay";
+
+describe("buildRouteOverlay", () => {
+  it("按时间分段合并可达路段并可清除", () => {
+    const scene = new THREE.Scene();
+    const overlay = buildRouteOverlay(null, scene);
+    overlay.renderReachability([
+      { band: 0, start: { worldX: 0, worldZ: 0 }, end: { worldX: 10, worldZ: 0 } },
+      { band: 0, start: { worldX: 10, worldZ: 0 }, end: { worldX: 10, worldZ: 10 } },
+      { band: 2, start: { worldX: 10, worldZ: 10 }, end: { worldX: 20, worldZ: 10 } },
+      { band: 1, start: { worldX: 5, worldZ: 5 }, end: { worldX: 5, worldZ: 5 } },
+    ]);
+    const meshes = overlay.reachabilityGroup.children;
+    expect(meshes.map((mesh) => mesh.userData.reachabilityBand)).toEqual([0, 2]);
+    // 每段两个三角形
+    expect(meshes[0].geometry.getAttribute("position").count).toBe(12);
+    expect(meshes[0].renderOrder).toBeGreaterThan(meshes[1].renderOrder);
+    overlay.clearReachability();
+    expect(overlay.reachabilityGroup.children).toHaveLength(0);
+  });
+
+  it("绘制实时定位标记，偏航时改用警示色", () => {
+    const scene = new THREE.Scene();
+    const overlay = buildRouteOverlay(null, scene);
+    overlay.renderPositionMarker({ worldX: 12, worldZ: -3 });
+    overlay.renderPositionMarker({ worldX: 20, worldZ: 5, offRoute: true });
+    const markers = overlay.positionGroup.children;
+    expect(markers).toHaveLength(1);
+    expect(markers[0].position.x).toBe(20);
+    expect(markers[0].position.z).toBe(5);
+    expect(markers[0].userData.offRoute).toBe(true);
+    expect(markers[0].material.color.getHexString()).toBe("ff9500");
+    overlay.renderPositionMarker(null);
+    expect(overlay.positionGroup.children).toHaveLength(0);
+  });
+
+  it("以警示色绘制无照明路段并可清除", () => {
+    const scene = new THREE.Scene();
+    const overlay = buildRouteOverlay(null, scene);
+    overlay.renderUnlitStretches([
+      { start: { worldX: 0, worldZ: 0 }, end: { worldX: 10, worldZ: 0 } },
+      { start: { worldX: 20, worldZ: 0 }, end: { worldX: 20, worldZ: 15 } },
+    ]);
+    const meshes = overlay.unlitGroup.children;
+    expect(meshes).toHaveLength(1);
+    expect(meshes[0].userData.unlitStretch).toBe(true);
+    expect(meshes[0].geometry.getAttribute("position").count).toBe(12);
+    expect(meshes[0].material.color.getHexString()).toBe("ff9500");
+    overlay.renderUnlitStretches([]);
+    expect(overlay.unlitGroup.children).toHaveLength(0);
+  });
+});
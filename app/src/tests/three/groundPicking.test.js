@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import * as THREE from "three";
+import { attachGroundPicking } from "../../three/interactions/groundPicking";
+
+const ensurePointerEvent = () => {
+  if (typeof PointerEvent === "undefined") {
+    globalThis.PointerEvent = class PointerEvent extends MouseEvent {
+      constructor(type, props = {}) {
+        super(type, props);
+        Object.assign(this, props);
+      }
+    };
+  }
+};
+
+describe("attachGroundPicking", () => {
+  let domElement;
+
+  beforeEach(() => {
+    ensurePointerEvent();
+    domElement = document.createElement("div");
+    domElement.getBoundingClientRect = () => ({
+      left: 0,
+      top: 0,
+      width: 200,
+      height: 200,
+    });
+    document.body.appendChild(domElement);
+  });
+
+  afterEach(() => {
+    domElement.remove();
+  });
+
+  /**
+   * createScene：俯视相机 + 旋转平移过的参考 Group，模拟 roads Group 的场景变换
+   */
+  const createScene = () => {
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.position.set(10, 50, 40);
+    camera.lookAt(10, 0, 20);
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+    const referenceGroup = new THREE.Group();
+    referenceGroup.rotation.y = Math.PI / 2;
+    referenceGroup.position.set(10, 0, 20);
+    return { camera, referenceGroup };
+  };
+
+  const click = (x, y, moveTo = null) => {
+    domElement.dispatchEvent(new PointerEvent("pointerdown", { clientX: x, clientY: y }));
+    const end = moveTo || { x, y };
+    domElement.dispatchEvent(
+      new MouseEvent("click", { clientX: end.x, clientY: end.y, bubbles: true })
+    );
+  };
+
+  it("点击画面中心时回调参考 Group 局部坐标下的地面点", () => {
+    const { camera, referenceGroup } = createScene();
+    const onPick = vi.fn();
+    const handle = attachGroundPicking({
+      domElement,
+      camera,
+      referenceGroup,
+      onPick,
+    });
+    click(100, 100);
+    expect(onPick).toHaveBeenCalledTimes(1);
+    const point = onPick.mock.calls[0][0];
+    expect(point.worldX).toBeCloseTo(0, 4);
+    expect(point.worldZ).toBeCloseTo(0, 4);
+    handle.dispose();
+  });
+
+  it("未启用或拖拽视角时不回调，dispose 后不再响应", () => {
+    const { camera, referenceGroup } = createScene();
+    const onPick = vi.fn();
+    let enabled = false;
+    const handle = attachGroundPicking({
+      domElement,
+      camera,
+      referenceGroup,
+      isEnabled: () => enabled,
+      onPick,
+    });
+    click(100, 100);
+    expect(onPick).not.toHaveBeenCalled();
+    enabled = true;
+    click(100, 100, { x: 150, y: 100 });
+    expect(onPick).not.toHaveBeenCalled();
+    handle.dispose();
+    click(100, 100);
+    expect(onPick).not.toHaveBeenCalled();
+  });
+});
@@ -154,6 +154,24 @@ describe("initScene", () => {
     expect(globalThis.cancelAnimationFrame).toHaveBeenCalled();
   });
 
+  it("runs frame listeners after controls update until removed", () => {
+    const container = document.createElement("div");
+    const ctx = initScene(container);
+    const listener = vi.fn(() => {
+      expect(mockControlsUpdate).toHaveBeenCalled();
+      expect(mockRender).not.toHaveBeenCalled();
+    });
+    const remove = ctx.addFrameListener(listener);
+
+    ctx.render();
+    expect(listener).toHaveBeenCalledWith(0);
+    expect(mockRender).toHaveBeenCalledTimes(1);
+
+    remove();
+    ctx.render();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
   it("throws when container missing", () => {
     expect(() => initScene(null)).toThrow();
   });
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import * as THREE from "three";
+import { attachMapContextPicking } from "../../three/interactions/mapContextPicking";
+
+const ensurePointerEvent = () => {
+  if (typeof PointerEvent === "undefined") {
+    globalThis.PointerEvent = class PointerEvent extends MouseEvent {
+      constructor(type, props = {}) {
+        super(type, props);
+        Object.assign(this, props);
+      }
+    };
+  }
+};
+
+describe("attachMapContextPicking", () => {
+  let domElement;
+
+  beforeEach(() => {
+    ensurePointerEvent();
+    domElement = document.createElement("div");
+    domElement.getBoundingClientRect = () => ({
+      left: 0,
+      top: 0,
+      width: 200,
+      height: 200,
+    });
+    document.body.appendChild(domElement);
+  });
+
+  afterEach(() => {
+    domElement.remove();
+  });
+
+  /**
+   * createScene：斜视相机看向 (10, 0, 20)，建筑 Group 内放一个位于该点的方块
+   */
+  const createScene = () => {
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.position.set(10, 50, 40);
+    camera.lookAt(10, 0, 20);
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+    const buildingGroup = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshBasicMaterial());
+    mesh.position.set(10, 2, 20);
+    mesh.userData = { stableId: "way/1", name: "教学楼" };
+    buildingGroup.add(mesh);
+    buildingGroup.updateMatrixWorld(true);
+    return { camera, buildingGroup, mesh };
+  };
+
+  /**
+   * rightClick：模拟右键按下后弹出 contextmenu，moveTo 表示抬起前拖动到的位置
+   */
+  const rightClick = (x, y, moveTo = null) => {
+    domElement.dispatchEvent(
+      new PointerEvent("pointerdown", { clientX: x, clientY: y, button: 2 })
+    );
+    const end = moveTo || { x, y };
+    const event = new MouseEvent("contextmenu", {
+      clientX: end.x,
+      clientY: end.y,
+      bubbles: true,
+      cancelable: true,
+    });
+    domElement.dispatchEvent(event);
+    return event;
+  };
+
+  it("命中建筑时回调建筑 Mesh 与世界坐标，并阻止浏览器菜单", () => {
+    const { camera, buildingGroup, mesh } = createScene();
+    const onPick = vi.fn();
+    const handle = attachMapContextPicking({
+      domElement,
+      camera,
+      targetGroups: [buildingGroup],
+      onPick,
+    });
+    const event = rightClick(100, 100);
+    expect(event.defaultPrevented).toBe(true);
+    expect(onPick).toHaveBeenCalledTimes(1);
+    const result = onPick.mock.calls[0][0];
+    expect(result.object).toBe(mesh);
+    expect(result.group).toBe(buildingGroup);
+    expect(result.point.x).toBeCloseTo(10, 0);
+    expect(result.clientX).toBe(100);
+    handle.dispose();
+  });
+
+  it("未命中目标或目标图层隐藏时与地面求交", () => {
+    const { camera, buildingGroup } = createScene();
+    buildingGroup.visible = false;
+    const onPick = vi.fn();
+    const handle = attachMapContextPicking({
+      domElement,
+      camera,
+      targetGroups: [buildingGroup],
+      onPick,
+    });
+    rightClick(100, 100);
+    const result = onPick.mock.calls[0][0];
+    expect(result.object).toBeNull();
+    expect(result.point.x).toBeCloseTo(10, 4);
+    expect(result.point.z).toBeCloseTo(20, 4);
+    handle.dispose();
+  });
+
+  it("右键拖拽平移视角时不回调，dispose 后不再响应", () => {
+    const { camera } = createScene();
+    const onPick = vi.fn();
+    const handle = attachMapContextPicking({ domElement, camera, onPick });
+    rightClick(100, 100, { x: 160, y: 100 });
+    expect(onPick).not.toHaveBeenCalled();
+    handle.dispose();
+    rightClick(100, 100);
+    expect(onPick).not.toHaveBeenCalled();
+  });
+});
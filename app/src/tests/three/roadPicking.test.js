@@ -109,4 +109,26 @@ describe("attachRoadPicking", () => {
 
     dispose();
   });
+
+  it("悬停结束后恢复封闭道路的标记", () => {
+    const { camera, roadsGroup, mesh } = createScene();
+    // 与 markBlockedRoads 写入的标记一致
+    mesh.material.emissive.setHex(0xff3b30);
+    mesh.material.emissiveIntensity = 0.8;
+    mesh.userData.blockedMark = { color: 0xff3b30, intensity: 0.8 };
+    const { dispose } = attachRoadPicking({ domElement, camera, roadsGroup });
+
+    domElement.dispatchEvent(
+      new PointerEvent("pointermove", { clientX: 100, clientY: 100 })
+    );
+    expect(mesh.material.emissiveIntensity).toBeCloseTo(0.4, 2);
+
+    domElement.dispatchEvent(
+      new PointerEvent("pointermove", { clientX: 0, clientY: 0 })
+    );
+    expect(mesh.material.emissive.getHex()).toBe(0xff3b30);
+    expect(mesh.material.emissiveIntensity).toBe(0.8);
+
+    dispose();
+  });
 });
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import * as THREE from "three";
+import { attachRoutePicking } from "../../three/interactions/routePicking";
+
+const ensurePointerEvent = () => {
+  if (typeof PointerEvent === "undefined") {
+    globalThis.PointerEvent = class PointerEvent extends MouseEvent {
+      constructor(type, props = {}) {
+        super(type, props);
+        Object.assign(this, props);
+      }
+    };
+  }
+};
+
+describe("attachRoutePicking", () => {
+  let domElement;
+
+  beforeEach(() => {
+    ensurePointerEvent();
+    domElement = document.createElement("div");
+    domElement.getBoundingClientRect = () => ({
+      left: 0,
+      top: 0,
+      width: 200,
+      height: 200,
+    });
+    document.body.appendChild(domElement);
+  });
+
+  afterEach(() => {
+    domElement.remove();
+  });
+
+  const createScene = () => {
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.position.set(0, 0, 10);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+
+    const routeGroup = new THREE.Group();
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(2, 0.2, 4),
+      new THREE.MeshStandardMaterial()
+    );
+    mesh.userData = { alternativeIndex: 1 };
+    routeGroup.add(mesh);
+    return { camera, routeGroup };
+  };
+
+  it("点击备选路线回调其下标并切换指针样式", () => {
+    const { camera, routeGroup } = createScene();
+    const onSelect = vi.fn();
+    const { dispose } = attachRoutePicking({ domElement, camera, routeGroup, onSelect });
+
+    domElement.dispatchEvent(new PointerEvent("pointermove", { clientX: 100, clientY: 100 }));
+    expect(domElement.style.cursor).toBe("pointer");
+    domElement.dispatchEvent(new MouseEvent("click", { clientX: 100, clientY: 100 }));
+    expect(onSelect).toHaveBeenCalledWith(1);
+
+    domElement.dispatchEvent(new MouseEvent("click", { clientX: 0, clientY: 0 }));
+    expect(onSelect).toHaveBeenCalledTimes(1);
+
+    dispose();
+    expect(domElement.style.cursor).toBe("");
+  });
+
+  it("组不可见时忽略点击", () => {
+    const { camera, routeGroup } = createScene();
+    routeGroup.visible = false;
+    const onSelect = vi.fn();
+    const { dispose } = attachRoutePicking({ domElement, camera, routeGroup, onSelect });
+    domElement.dispatchEvent(new MouseEvent("click", { clientX: 100, clientY: 100 }));
+    expect(onSelect).not.toHaveBeenCalled();
+    dispose();
+  });
+
+  it("缺少参数时抛出异常", () => {
+    expect(() => attachRoutePicking({})).toThrow("attachRoutePicking");
+  });
+});
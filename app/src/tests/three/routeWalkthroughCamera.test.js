@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from "vitest";
+import * as THREE from "three";
+import { createRouteWalkthroughCamera } from "../../three/routeWalkthroughCamera";
+import config from "../../config/index.js";
+
+const createContext = () => {
+  const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 5000);
+  camera.position.set(0, 400, 700);
+  const controls = {
+    enabled: true,
+    target: new THREE.Vector3(10, 0, 20),
+    update: vi.fn(),
+  };
+  const referenceGroup = new THREE.Group();
+  referenceGroup.rotation.y = Math.PI / 2;
+  referenceGroup.position.set(100, 0, 50);
+  return { camera, controls, referenceGroup };
+};
+
+describe("createRouteWalkthroughCamera", () => {
+  it("places the camera at eye height in the reference group frame", () => {
+    const context = createContext();
+    const walkthrough = createRouteWalkthroughCamera(context);
+    walkthrough.follow({ worldX: 0, worldZ: 0 }, { worldX: 10, worldZ: 0 });
+    expect(context.camera.position.y).toBe(400);
+
+    walkthrough.enter();
+    expect(walkthrough.isActive()).toBe(true);
+    expect(context.controls.enabled).toBe(false);
+    expect(context.camera.fov).toBe(75);
+
+    walkthrough.follow({ worldX: 10, worldZ: 0 }, { worldX: 20, worldZ: 0 });
+    // 局部 (10, 6, 0) 绕 Y 轴旋转 90° 后为 (0, 6, -10)，再平移
+    expect(context.camera.position.x).toBeCloseTo(100, 6);
+    expect(context.camera.position.y).toBeCloseTo(6, 6);
+    expect(context.camera.position.z).toBeCloseTo(40, 6);
+    const direction = context.camera.getWorldDirection(new THREE.Vector3());
+    expect(direction.z).toBeLessThan(-0.8);
+    expect(direction.y).toBeLessThan(0);
+  });
+
+  it("restores the orbit view on exit", () => {
+    const context = createContext();
+    const walkthrough = createRouteWalkthroughCamera(context);
+    walkthrough.enter();
+    walkthrough.follow({ worldX: 10, worldZ: 0 }, { worldX: 20, worldZ: 0 });
+    walkthrough.exit();
+    expect(walkthrough.isActive()).toBe(false);
+    expect(context.camera.position.toArray()).toEqual([0, 400, 700]);
+    expect(context.camera.fov).toBe(60);
+    expect(context.controls.target.toArray()).toEqual([10, 0, 20]);
+    expect(context.controls.enabled).toBe(true);
+    expect(context.controls.update).toHaveBeenCalled();
+  });
+
+  it("reads eye height and fov from config.poiRoute.walkthrough", () => {
+    const { eyeHeight, fov } = config.poiRoute.walkthrough;
+    const context = createContext();
+    const walkthrough = createRouteWalkthroughCamera(context);
+    walkthrough.enter();
+    walkthrough.follow({ worldX: 0, worldZ: 0 }, { worldX: 10, worldZ: 0 });
+    expect(context.camera.fov).toBe(fov);
+    expect(context.camera.position.y).toBeCloseTo(eyeHeight, 6);
+  });
+
+  it("requires camera, controls and reference group", () => {
+    expect(() => createRouteWalkthroughCamera({})).toThrow("createRouteWalkthroughCamera");
+  });
+});
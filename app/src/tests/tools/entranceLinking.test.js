@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const {
+  isEntranceNode,
+  distanceToOutline,
+  linkEntrance,
+} = require("../../../../tools/entrance-linking.js");
+
+const square = (x, y, size) => [
+  [x, y],
+  [x + size, y],
+  [x + size, y + size],
+  [x, y + size],
+  [x, y],
+];
+
+describe("entrance-linking", () => {
+  it("识别入口节点，排除应急出口", () => {
+    expect(isEntranceNode({ entrance: "main" })).toBe(true);
+    expect(isEntranceNode({ entrance: "yes" })).toBe(true);
+    expect(isEntranceNode({ entrance: "emergency" })).toBe(false);
+    expect(isEntranceNode({ entrance: "exit" })).toBe(false);
+    expect(isEntranceNode({ building: "yes" })).toBe(false);
+  });
+
+  it("点在轮廓内距离为 0，轮廓外为到最近边的距离", () => {
+    expect(distanceToOutline([5, 5], [square(0, 0, 10)])).toBe(0);
+    expect(distanceToOutline([12, 5], [square(0, 0, 10)])).toBeCloseTo(2, 6);
+  });
+
+  it("关联到距离阈值内最近的建筑", () => {
+    const buildings = [
+      { stableId: "a", rings: [square(0, 0, 10)] },
+      { stableId: "b", rings: [square(11, 0, 10)] },
+    ];
+    expect(linkEntrance([10.8, 5], buildings, 3)).toMatchObject({ parentId: "b" });
+    expect(linkEntrance([10, 5], buildings, 3)).toMatchObject({ parentId: "a", distance: 0 });
+    expect(linkEntrance([40, 5], buildings, 3)).toBeNull();
+  });
+});
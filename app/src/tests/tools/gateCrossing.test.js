@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "module";
+import graphData from "../../data/roads-graph.json";
+
+const require = createRequire(import.meta.url);
+const {
+  isPointInRings,
+  resolveCrossingDirection,
+  matchCrossingGate,
+} = require("../../../../tools/gate-crossing.js");
+
+const square = [
+  [0, 0],
+  [100, 0],
+  [100, 100],
+  [0, 100],
+  [0, 0],
+];
+
+describe("校门穿越规则", () => {
+  it("按端点内外判断穿越方向", () => {
+    expect(isPointInRings([50, 50], [square])).toBe(true);
+    expect(isPointInRings([150, 50], [square])).toBe(false);
+    expect(resolveCrossingDirection(true, false)).toBe("exit");
+    expect(resolveCrossingDirection(false, true)).toBe("enter");
+    expect(resolveCrossingDirection(true, true)).toBeNull();
+  });
+
+  it("匹配距离阈值内最近的校门", () => {
+    const gates = [
+      { id: "north", point: [50, 100] },
+      { id: "east", point: [100, 40] },
+    ];
+    expect(matchCrossingGate([90, 50], [110, 50], gates, 20)).toEqual({
+      gateId: "east",
+      distance: 10,
+    });
+    expect(matchCrossingGate([10, 90], [10, 110], gates, 20)).toBeNull();
+  });
+
+  it("路网中穿越围墙的边成对出现且方向相反", () => {
+    const crossings = graphData.edges.filter((edge) => edge.boundaryCrossing);
+    expect(crossings.length).toBeGreaterThan(0);
+    const byPair = new Map(crossings.map((edge) => [`${edge.from}->${edge.to}`, edge]));
+    crossings.forEach((edge) => {
+      const reverse = byPair.get(`${edge.to}->${edge.from}`);
+      expect(reverse.boundaryCrossing).not.toBe(edge.boundaryCrossing);
+      expect(reverse.gateId).toBe(edge.gateId);
+      if (edge.gateId) expect(graphData.gates[edge.gateId]).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const {
+  buildUndirectedAdjacency,
+  findConnectedComponents,
+  findShortDeadEnds,
+  findAlmostConnected,
+} = require("../../../../tools/graph-connectivity.js");
+
+const node = (id, worldX, worldZ) => ({ id, worldX, worldZ, lng: worldX, lat: worldZ });
+const edge = (from, to, length, roadId) => ({ id: `${from}-${to}`, from, to, length, roadId });
+
+describe("路网连通性诊断", () => {
+  it("忽略单行方向划分连通分量并按节点数降序", () => {
+    const edges = [edge("a", "b", 10, "r1"), edge("b", "c", 10, "r1"), edge("x", "y", 5, "r2")];
+    const adjacency = buildUndirectedAdjacency(edges);
+    const components = findConnectedComponents(["x", "a", "b", "c", "y", "z"], adjacency);
+    expect(components.map((component) => component.length)).toEqual([3, 2, 1]);
+    expect(components[0].sort()).toEqual(["a", "b", "c"]);
+  });
+
+  it("只报告短于阈值且通向路口的悬挂短边", () => {
+    // j 为路口：a、b、c 三条支路，其中 s1 → s2 → j 总长 3 米
+    const edges = [
+      edge("j", "a", 20, "main"),
+      edge("j", "b", 20, "main"),
+      edge("s1", "s2", 1, "stub"),
+      edge("s2", "j", 2, "stub"),
+    ];
+    const deadEnds = findShortDeadEnds(buildUndirectedAdjacency(edges), 5);
+    expect(deadEnds).toEqual([{ nodeId: "s1", junctionId: "j", length: 3, roadIds: ["stub"] }]);
+  });
+
+  it("近似连接区分插入节点与合并节点，互为目标时只保留一条", () => {
+    const nodes = [
+      node("a", 0, 0),
+      node("b", 10, 0),
+      node("c", 5, 2),
+      node("d", 5, 10),
+      node("e", 20, 0),
+      node("f", 13, 0),
+      node("g", 13, 8),
+    ];
+    const edges = [
+      edge("a", "b", 10, "main"),
+      edge("c", "d", 8, "spur"),
+      edge("e", "f", 7, "east"),
+      edge("f", "g", 8, "east"),
+    ];
+    const adjacency = buildUndirectedAdjacency(edges);
+    const suggestions = findAlmostConnected(nodes, edges, adjacency, 5);
+    const spur = suggestions.find((item) => item.nodeId === "c");
+    expect(spur.action).toBe("split-edge");
+    expect(spur.distance).toBeCloseTo(2, 6);
+    expect(spur.target.point).toEqual([5, 0]);
+    const merges = suggestions.filter((item) => item.action === "merge-node");
+    expect(merges).toHaveLength(1);
+    expect([merges[0].nodeId, merges[0].target.nodeId].sort()).toEqual(["b", "f"]);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "module";
+import graphData from "../../data/roads-graph.json";
+
+const require = createRequire(import.meta.url);
+const {
+  resolveRoadLevel,
+  createVertexKeyResolver,
+  findNearMisses,
+} = require("../../../../tools/road-node-merge.js");
+
+describe("路网节点合并规则", () => {
+  it("层级优先取 layer，其次 bridge/tunnel", () => {
+    expect(resolveRoadLevel({ layer: "2", bridge: "yes" })).toBe(2);
+    expect(resolveRoadLevel({ bridge: "yes" })).toBe(1);
+    expect(resolveRoadLevel({ bridge: "no" })).toBe(0);
+    expect(resolveRoadLevel({ tunnel: "yes" })).toBe(-1);
+    expect(resolveRoadLevel({})).toBe(0);
+  });
+
+  it("天桥中段与下方道路重合的顶点按层级拆分，桥头端点仍然合并", () => {
+    const bridge = { coordinates: [[0, 0], [1, 1], [2, 2]], level: 1 };
+    const road = { coordinates: [[0, 2], [1, 1], [2, 0]], level: 0 };
+    const ramp = { coordinates: [[2, 2], [3, 3]], level: 0 };
+    const { resolveKey, splitCoordKeys } = createVertexKeyResolver([bridge, road, ramp]);
+    expect(splitCoordKeys).toEqual(["1,1"]);
+    expect(resolveKey([1, 1], 1)).not.toBe(resolveKey([1, 1], 0));
+    expect(resolveKey([2, 2], 1)).toBe(resolveKey([2, 2], 0));
+  });
+
+  it("报告近距离未合并的顶点对并区分是否同层", () => {
+    const pairs = findNearMisses(
+      [
+        { id: "a", worldX: 0, worldZ: 0, levels: [0], roadIds: ["r1"] },
+        { id: "b", worldX: 0.4, worldZ: 0, levels: [0], roadIds: ["r2"] },
+        { id: "c", worldX: 0, worldZ: 0, levels: [1], roadIds: ["r3"] },
+        { id: "d", worldX: 0.7, worldZ: 0, levels: [0], roadIds: ["r1"] },
+        { id: "e", worldX: 5, worldZ: 5, levels: [0], roadIds: ["r4"] },
+      ],
+      1
+    );
+    const summary = pairs.map((pair) => [pair.nodeIds.join("-"), pair.sameLevel]);
+    // a-d 同属 r1 不算可疑；e 超出阈值
+    expect(summary).toEqual([
+      ["a-c", false],
+      ["b-d", true],
+      ["a-b", true],
+      ["b-c", false],
+      ["c-d", false],
+    ]);
+  });
+
+  it("生成的路网中跨层拆分的顶点不构成路口", () => {
+    const byCoord = new Map();
+    graphData.nodes.forEach((node) => {
+      const key = `${node.lng},${node.lat}`;
+      byCoord.set(key, [...(byCoord.get(key) || []), node.id]);
+    });
+    const split = Array.from(byCoord.values()).filter((ids) => ids.length > 1);
+    expect(split.length).toBeGreaterThan(0);
+    split.forEach((ids) => {
+      const roadSets = ids.map(
+        (id) =>
+          new Set(
+            graphData.edges.filter((edge) => edge.from === id).map((edge) => edge.roadId)
+          )
+      );
+      roadSets[0].forEach((roadId) => expect(roadSets[1].has(roadId)).toBe(false));
+    });
+  });
+});
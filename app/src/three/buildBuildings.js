@@ -19,11 +19,13 @@
  * 依赖：
  * - config：颜色映射、默认高度
  * - coordinates.js：坐标投影（若直接使用 projectCoordinate 工具函数）
+ * - lib/buildingHeight.js：建筑高度与按名称的覆盖配置（与建筑阴影共用）
  */
 
 import * as THREE from "three";
 import config from "../config/index.js";
 import rawGeojson from "../data/campus.geojson?raw";
+import { resolveBuildingHeight, resolveBuildingOverride } from "../lib/buildingHeight.js";
 
 /**
  * data：解析后的 GeoJSON 数据
@@ -126,20 +128,6 @@ function determineColor(category) {
   return config.colors[category] || config.colors.默认 || "#999999";
 }
 
-/**
- * resolveBuildingOverride：根据建筑名称查找覆盖配置
- *
- * 参数：properties - GeoJSON properties
- * 返回：配置对象或 null
- */
-function resolveBuildingOverride(properties) {
-  const name = properties.name?.trim();
-  if (!name) return null;
-  const overrides = config.buildingOverrides?.byName;
-  if (!overrides) return null;
-  return overrides[name] || null;
-}
-
 /**
  * buildBuildings：构建所有建筑几何体
  * 
@@ -214,41 +202,10 @@ export function buildBuildings(scene) {
     const override = resolveBuildingOverride(props);
 
     /**
-     * 确定建筑高度
-     * 优先级：
-     * 1. config.buildingOverrides.byName：elevation、heightOffset（最高优先）
-     * 2. config.heights：先尝试按分类查表（若不存在则跳过）
-     * 3. properties.elevation：数据清洗阶段写入的高度
-     * 4. config.heights.默认：全局默认高度（最低优先级）
-     * 5. 10：兜底，防止高度缺失
+     * 确定建筑高度：优先级见 lib/buildingHeight.js，与建筑阴影（lib/shade.js）共用
      */
     const category = props.category || "默认";
-    let height;
-    if (Number.isFinite(override?.elevation)) {
-      height = Number(override.elevation);
-    }
-    if (!Number.isFinite(height)) {
-      const categoryHeight = config.heights?.[category];
-      if (Number.isFinite(categoryHeight)) {
-        height = Number(categoryHeight);
-      }
-    }
-    if (!Number.isFinite(height)) {
-      const elevationFromData = Number(props.elevation);
-      if (Number.isFinite(elevationFromData) && elevationFromData > 0) {
-        height = elevationFromData;
-      }
-    }
-    if (!Number.isFinite(height) || height <= 0) {
-      const defaultHeight = Number(config.heights?.默认);
-      height = Number.isFinite(defaultHeight) && defaultHeight > 0 ? defaultHeight : 10;
-    }
-    if (Number.isFinite(override?.heightOffset)) {
-      height += Number(override.heightOffset);
-    }
-    if (!Number.isFinite(height) || height <= 0) {
-      height = 10;
-    }
+    const height = resolveBuildingHeight(props);
 
     /**
      * 确定建筑分类和颜色
@@ -360,3 +317,52 @@ export function buildBuildings(scene) {
   scene.add(group);
   return group;
 }
+
+/**
+ * colorBuildingsByBand：按可达范围的时间分段给建筑着色
+ *
+ * 参数：
+ * - group：buildBuildings 返回的建筑 Group
+ * - bandByBuildingId：Map(建筑 stableId → 分段下标)，传 null 时恢复原材质
+ * - colors：分段颜色数组，默认 config.poiRoute.reachability.colors；下标超出时取末色
+ *
+ * 返回：被着色的 Mesh 数量
+ *
+ * 说明：
+ * 建筑材质按颜色共享，因此为着色的 Mesh 克隆独立材质，原材质保存在 userData.__bandBaseMaterial 供恢复。
+ * 着色作用于“基础材质”：建筑被拾取高亮时（buildingPicking 的 userData.__originalMaterial）基础材质是
+ * __originalMaterial，当前显示的高亮克隆只同步颜色，取消高亮时还原的即为着色后的材质
+ */
+export function colorBuildingsByBand(group, bandByBuildingId, colors) {
+  if (!group) return 0;
+  const palette = colors || config.poiRoute.reachability.colors;
+  let colored = 0;
+  group.traverse((child) => {
+    if (!child.isMesh) return;
+    const highlighted = Boolean(child.userData.__originalMaterial);
+    const getBase = () => (highlighted ? child.userData.__originalMaterial : child.material);
+    const setBase = (material) => {
+      if (highlighted) {
+        child.userData.__originalMaterial = material;
+        // 高亮克隆以发光表现高亮，颜色与基础材质一致；无 emissive 时颜色本身已被增亮，不再同步
+        if (child.material.emissive && material.color) child.material.color.copy(material.color);
+      } else {
+        child.material = material;
+      }
+    };
+    if (child.userData.__bandBaseMaterial) {
+      getBase().dispose?.();
+      setBase(child.userData.__bandBaseMaterial);
+      child.userData.__bandBaseMaterial = null;
+    }
+    const band = bandByBuildingId?.get(child.userData?.stableId);
+    const base = getBase();
+    if (band === undefined || !base?.color) return;
+    const tinted = base.clone();
+    tinted.color = new THREE.Color(palette[Math.min(band, palette.length - 1)]);
+    child.userData.__bandBaseMaterial = base;
+    setBase(tinted);
+    colored += 1;
+  });
+  return colored;
+}
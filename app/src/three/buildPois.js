@@ -15,6 +15,7 @@ import {
 } from "../lib/coordinates.js";
 import rawPoiGeojson from "../data/pois.geojson?raw";
 import rawCampusGeojson from "../data/campus.geojson?raw";
+import { resolveBuildingHeight } from "../lib/buildingHeight.js";
 
 const poiData = JSON.parse(rawPoiGeojson);
 const campusData = JSON.parse(rawCampusGeojson);
@@ -37,56 +38,6 @@ const defaultPoiStyle = {
   renderOrder: 300,
 };
 
-/**
- * 根据建筑名称查找渲染覆盖配置
- * @param {string} name 建筑在 GeoJSON 中的 name 字段
- * @returns {Record<string, any> | null} 命中的覆盖对象
- */
-function resolveBuildingOverrideByName(name) {
-  if (!name) return null;
-  const overrides = config.buildingOverrides?.byName;
-  if (!overrides) return null;
-  return overrides[name.trim()] || null;
-}
-
-/**
- * 依据建筑属性计算高度，保持与 buildBuildings.js 一致的优先级
- * @param {Record<string, any>} properties 建筑要素的 properties
- * @returns {number} 该建筑的渲染高度（米）
- */
-function computeBuildingHeight(properties = {}) {
-  const override = resolveBuildingOverrideByName(properties.name);
-  const category = properties.category || "默认";
-  let height;
-
-  if (Number.isFinite(override?.elevation)) {
-    height = Number(override.elevation);
-  }
-  if (!Number.isFinite(height)) {
-    const categoryHeight = config.heights?.[category];
-    if (Number.isFinite(categoryHeight)) {
-      height = Number(categoryHeight);
-    }
-  }
-  if (!Number.isFinite(height)) {
-    const elevationFromData = Number(properties.elevation);
-    if (Number.isFinite(elevationFromData) && elevationFromData > 0) {
-      height = elevationFromData;
-    }
-  }
-  if (!Number.isFinite(height) || height <= 0) {
-    const defaultHeight = Number(config.heights?.默认);
-    height = Number.isFinite(defaultHeight) && defaultHeight > 0 ? defaultHeight : 10;
-  }
-  if (Number.isFinite(override?.heightOffset)) {
-    height += Number(override.heightOffset);
-  }
-  if (!Number.isFinite(height) || height <= 0) {
-    height = 10;
-  }
-  return height;
-}
-
 /**
  * 建筑高度索引：key 可以是 stableId / id / feature.id
  * @returns {Map<string, number>} 预先构建的高度查找表
@@ -98,7 +49,7 @@ const buildingHeightIndex = (() => {
     if (properties.featureType !== "building") {
       return;
     }
-    const height = computeBuildingHeight(properties);
+    const height = resolveBuildingHeight(properties);
     const candidateKeys = [
       properties.stableId,
       properties.id,
@@ -309,6 +260,8 @@ export function buildPois(scene) {
   const projectionOrigin = findProjectionOrigin(campusData.features || []);
 
   (poiData.features || []).forEach((feature) => {
+    // 无名设施（卫生间、自行车停车点等）名称重复且数量多，只供搜索与最近地点查询，不生成文字
+    if (feature.properties?.sourceType === "facility") return;
     const sprite = createPoiSprite(feature, style, projectionOrigin);
     if (!sprite) return;
     spriteList.push(sprite);
@@ -428,3 +428,78 @@ export function buildRoads(scene) {
   scene.add(group);
   return group;
 }
+
+/**
+ * colorRoadsByComponent：按路网连通分量为道路着色，便于发现断开的路段
+ *
+ * 参数：
+ * - group：buildRoads 返回的道路 Group
+ * - componentByRoadId：Map(roadId → 分量序号，0 为最大分量)，传 null 时恢复默认颜色
+ * - palette：颜色数组，默认 config.colors.道路分量；序号超出时循环使用（最大分量始终取首色）
+ *
+ * 返回：被着色的 Mesh 数量
+ *
+ * 说明：
+ * 只修改材质 color，与 markBlockedRoads 使用的 emissive 互不影响；不在路网中的道路保持默认颜色
+ */
+export function colorRoadsByComponent(group, componentByRoadId, palette) {
+  if (!group) return 0;
+  const colors = palette || config.colors?.道路分量 || ["#4caf50", "#ff3b30"];
+  let colored = 0;
+  group.traverse((child) => {
+    if (!child.isMesh || !child.material?.color) return;
+    if (child.userData.baseColor === undefined) {
+      child.userData.baseColor = child.material.color.getHex();
+    }
+    const component = componentByRoadId?.get(child.userData?.stableId);
+    if (component === undefined) {
+      child.material.color.setHex(child.userData.baseColor);
+      return;
+    }
+    const colorIndex = component === 0 ? 0 : 1 + ((component - 1) % (colors.length - 1 || 1));
+    child.material.color.set(colors[Math.min(colorIndex, colors.length - 1)]);
+    colored += 1;
+  });
+  return colored;
+}
+
+/**
+ * markBlockedRoads：以自发光标记封闭道路，其余道路恢复默认材质状态
+ *
+ * 参数：
+ * - group：buildRoads 返回的道路 Group
+ * - roadIds：需要标记的道路 stableId 集合（与路网 roadId 一致）
+ * - color：标记颜色，默认 config.poiRoute.blocked.markColor
+ *
+ * 返回：被标记的 Mesh 数量
+ *
+ * 说明：
+ * 每条道路使用独立材质，因此可直接修改 emissive 而不影响其他道路。
+ * 标记同时写入 userData.blockedMark = { color, intensity }（未封闭为 null），
+ * roadPicking 悬停结束时据此恢复标记，而不是直接熄灭自发光
+ */
+export function markBlockedRoads(group, roadIds = [], color) {
+  if (!group) return 0;
+  const blocked = new Set(roadIds);
+  const markColor = new THREE.Color(
+    color || config.poiRoute?.blocked?.markColor || "#ff3b30"
+  );
+  let marked = 0;
+  group.traverse((child) => {
+    if (!child.isMesh || !child.material?.emissive) return;
+    const isBlocked = blocked.has(child.userData?.stableId);
+    child.userData.blocked = isBlocked;
+    child.userData.blockedMark = isBlocked
+      ? { color: markColor.getHex(), intensity: 0.8 }
+      : null;
+    if (isBlocked) {
+      child.material.emissive.copy(markColor);
+      child.material.emissiveIntensity = 0.8;
+      marked += 1;
+    } else {
+      child.material.emissive.setHex(0x000000);
+      child.material.emissiveIntensity = 0;
+    }
+  });
+  return marked;
+}
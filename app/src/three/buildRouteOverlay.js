@@ -115,6 +115,43 @@ const createHighlightMesh = (vectorPath, mergedOptions) => {
   return mesh;
 };
 
+/**
+ * ALTERNATIVE_FALLBACK_COLORS：备选路线默认的次要配色
+ */
+const ALTERNATIVE_FALLBACK_COLORS = ["#4FC3F7", "#FFB74D"];
+
+/**
+ * createRibbonGeometry：把若干线段合并为一个平铺条带几何体（每段两个三角形）
+ * @param {Array<{ start: { worldX, worldZ }, end: { worldX, worldZ } }>} segments
+ * @param {number} halfWidth - 条带半宽（场景单位）
+ * @param {number} y - 条带高度
+ * @returns {THREE.BufferGeometry|null} 没有有效线段时返回 null
+ */
+const createRibbonGeometry = (segments, halfWidth, y) => {
+  const positions = [];
+  segments.forEach(({ start, end }) => {
+    const dx = end.worldX - start.worldX;
+    const dz = end.worldZ - start.worldZ;
+    const length = Math.hypot(dx, dz);
+    if (!Number.isFinite(length) || length <= POINT_EPSILON) {
+      return;
+    }
+    const nx = (-dz / length) * halfWidth;
+    const nz = (dx / length) * halfWidth;
+    const a = [start.worldX + nx, y, start.worldZ + nz];
+    const b = [start.worldX - nx, y, start.worldZ - nz];
+    const c = [end.worldX + nx, y, end.worldZ + nz];
+    const d = [end.worldX - nx, y, end.worldZ - nz];
+    positions.push(...a, ...b, ...c, ...c, ...b, ...d);
+  });
+  if (positions.length === 0) {
+    return null;
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+};
+
 function disposeChild(child) {
   if (child?.geometry?.dispose) {
     child.geometry.dispose();
@@ -134,11 +171,219 @@ export function buildRouteOverlay(parentGroup, scene) {
     throw new Error("route overlay requires a host group or scene");
   }
   host.add(overlayGroup);
+  // 备选路线单独成组，便于拾取且不受主路线重绘影响
+  const alternativesGroup = new THREE.Group();
+  alternativesGroup.name = "routeAlternatives";
+  host.add(alternativesGroup);
+  // 封闭区域轮廓（含正在绘制的草稿），只作标记不参与拾取
+  const barriersGroup = new THREE.Group();
+  barriersGroup.name = "routeBarriers";
+  host.add(barriersGroup);
+  // 可达范围（等时圈）路段，按时间分段着色，只作展示不参与拾取
+  const reachabilityGroup = new THREE.Group();
+  reachabilityGroup.name = "routeReachability";
+  host.add(reachabilityGroup);
+  // 实时定位的位置标记
+  const positionGroup = new THREE.Group();
+  positionGroup.name = "routePosition";
+  host.add(positionGroup);
+  // 夜间路线中无照明的路段，以警示色覆盖在路线光带上
+  const unlitGroup = new THREE.Group();
+  unlitGroup.name = "routeUnlit";
+  host.add(unlitGroup);
 
-  const clearRouteOverlay = () => {
-    [...overlayGroup.children].forEach((child) => {
+  const clearGroup = (group) => {
+    [...group.children].forEach((child) => {
       disposeChild(child);
-      overlayGroup.remove(child);
+      group.remove(child);
+    });
+  };
+
+  const clearRouteOverlay = () => clearGroup(overlayGroup);
+
+  const clearAlternativeRoutes = () => clearGroup(alternativesGroup);
+
+  const clearBarriers = () => clearGroup(barriersGroup);
+
+  const clearReachability = () => clearGroup(reachabilityGroup);
+
+  const clearPositionMarker = () => clearGroup(positionGroup);
+
+  const clearUnlitStretches = () => clearGroup(unlitGroup);
+
+  /**
+   * renderUnlitStretches：以警示色绘制路线中无照明的路段
+   * @param {Array<{ start: { worldX, worldZ }, end: { worldX, worldZ } }>} segments - activeRoute.night.unlitSegments
+   * 合并为一个平铺条带 Mesh，颜色取 config.poiRoute.night.unlitColor，宽度与路线光带相同，
+   * 高度位于路线光带顶面之上；Mesh 的 userData.unlitStretch 为 true
+   */
+  const renderUnlitStretches = (segments = []) => {
+    clearUnlitStretches();
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return;
+    }
+    const base = mergeOptions();
+    const y = (Number(base.yOffset) || 0) + (Number(base.height) || 0) + 0.02;
+    const width = Number(base.width) || DEFAULT_HIGHLIGHT_OPTIONS.width;
+    const halfWidth = width / (SCENE_BASE_ALIGNMENT?.scale ?? 1) / 2;
+    const geometry = createRibbonGeometry(segments, halfWidth, y);
+    if (!geometry) {
+      return;
+    }
+    const material = new THREE.MeshBasicMaterial({
+      color: new THREE.Color(config.poiRoute?.night?.unlitColor || "#ff9500"),
+      transparent: true,
+      opacity: 0.9,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.renderOrder = Number(base.renderOrder) + 1;
+    mesh.userData = { unlitStretch: true };
+    unlitGroup.add(mesh);
+  };
+
+  /**
+   * renderPositionMarker：在定位点绘制球形标记
+   * @param {{ worldX: number, worldZ: number, offRoute?: boolean }|null} position - 为空时只清除
+   * 颜色取 config.poiRoute.tracking（偏航时为 offRouteColor），球体底部贴在路线光带顶面
+   */
+  const renderPositionMarker = (position) => {
+    clearPositionMarker();
+    if (!Number.isFinite(position?.worldX) || !Number.isFinite(position?.worldZ)) {
+      return;
+    }
+    const trackingConfig = config.poiRoute?.tracking || {};
+    const base = mergeOptions();
+    const radius = (Number(trackingConfig.markerRadius) || 4) / (SCENE_BASE_ALIGNMENT?.scale ?? 1);
+    const color = position.offRoute
+      ? trackingConfig.offRouteColor || "#ff9500"
+      : trackingConfig.markerColor || "#0a84ff";
+    const material = new THREE.MeshBasicMaterial({ color: new THREE.Color(color) });
+    const mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, 24, 16), material);
+    mesh.position.set(
+      position.worldX,
+      (Number(base.yOffset) || 0) + (Number(base.height) || 0) + radius,
+      position.worldZ
+    );
+    mesh.renderOrder = Number(base.renderOrder) + 2;
+    mesh.userData = { livePosition: true, offRoute: Boolean(position.offRoute) };
+    positionGroup.add(mesh);
+  };
+
+  /**
+   * renderBarriers：绘制封闭区域轮廓
+   * @param {Array<Array<{ worldX, worldZ }>>} polygons - 已登记的封闭区域，闭合绘制
+   * @param {Array<{ worldX, worldZ }>} draft - 正在绘制的区域顶点，按折线绘制
+   * 颜色取 config.poiRoute.blocked.markColor，高度位于路线光带顶面之上
+   */
+  const renderBarriers = (polygons = [], draft = []) => {
+    clearBarriers();
+    const base = mergeOptions();
+    const y = (Number(base.yOffset) || 0) + (Number(base.height) || 0) + 0.1;
+    const color = config.poiRoute?.blocked?.markColor || "#ff3b30";
+    const addLine = (points, closed) => {
+      const vertices = (points || [])
+        .filter((point) => Number.isFinite(point?.worldX) && Number.isFinite(point?.worldZ))
+        .map((point) => new THREE.Vector3(point.worldX, y, point.worldZ));
+      if (vertices.length < 2) {
+        return;
+      }
+      const geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+      const material = new THREE.LineBasicMaterial({ color });
+      const line = closed
+        ? new THREE.LineLoop(geometry, material)
+        : new THREE.Line(geometry, material);
+      line.renderOrder = Number(base.renderOrder) + 1;
+      line.userData = { barrierDraft: !closed };
+      barriersGroup.add(line);
+    };
+    (Array.isArray(polygons) ? polygons : []).forEach((polygon) => addLine(polygon, true));
+    addLine(draft, false);
+  };
+
+  /**
+   * renderReachability：按时间分段绘制可达路段
+   * @param {Array<{ band: number, start: { worldX, worldZ }, end: { worldX, worldZ } }>} segments - computeReachability 的 segments
+   * 同一分段的路段合并为一个平铺条带 Mesh，颜色/宽度/透明度取 config.poiRoute.reachability，
+   * 高度与封闭区域轮廓一样位于路线光带顶面之上；Mesh 的 userData.reachabilityBand 为分段下标
+   */
+  const renderReachability = (segments = []) => {
+    clearReachability();
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return;
+    }
+    const reachabilityConfig = config.poiRoute.reachability;
+    const colors = reachabilityConfig.colors;
+    const base = mergeOptions();
+    const y = (Number(base.yOffset) || 0) + (Number(base.height) || 0) + 0.05;
+    const width = Number(reachabilityConfig.width) || 4;
+    const halfWidth = width / (SCENE_BASE_ALIGNMENT?.scale ?? 1) / 2;
+    const byBand = new Map();
+    segments.forEach((segment) => {
+      if (!Number.isInteger(segment?.band)) {
+        return;
+      }
+      if (!byBand.has(segment.band)) {
+        byBand.set(segment.band, []);
+      }
+      byBand.get(segment.band).push(segment);
+    });
+    byBand.forEach((bandSegments, band) => {
+      const geometry = createRibbonGeometry(bandSegments, halfWidth, y);
+      if (!geometry) {
+        return;
+      }
+      const color = new THREE.Color(colors[Math.min(band, colors.length - 1)]);
+      const material = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: reachabilityConfig.opacity ?? 0.85,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      // 近处分段绘制在远处分段之上
+      mesh.renderOrder = Number(base.renderOrder) - 2 - band;
+      mesh.userData = { reachabilityBand: band };
+      reachabilityGroup.add(mesh);
+    });
+  };
+
+  /**
+   * renderAlternativeRoutes：以次要配色渲染备选路线
+   * @param {Array<{ pointPath: Array }>} routes - 备选路线列表
+   * @param {object} options - 同 renderRouteOverlay，颜色/透明度取 config.poiRoute.alternatives
+   * Mesh 的 userData.alternativeIndex 记录其在 routes 中的下标，供点击切换
+   */
+  const renderAlternativeRoutes = (routes = [], options = {}) => {
+    clearAlternativeRoutes();
+    if (!Array.isArray(routes) || routes.length === 0) {
+      return;
+    }
+    const alternativeConfig = config.poiRoute?.alternatives || {};
+    const colors =
+      Array.isArray(alternativeConfig.colors) && alternativeConfig.colors.length > 0
+        ? alternativeConfig.colors
+        : ALTERNATIVE_FALLBACK_COLORS;
+    const base = mergeOptions(options);
+    routes.forEach((route, index) => {
+      const vectorPath = toVectorPath(route?.pointPath);
+      if (vectorPath.length < 2) {
+        return;
+      }
+      const mesh = createHighlightMesh(vectorPath, {
+        ...base,
+        color: colors[index % colors.length],
+        opacity: alternativeConfig.opacity ?? base.opacity,
+        // 备选路线位于主路线之下，重叠路段只显示主路线
+        renderOrder: Number(base.renderOrder) - 1,
+      });
+      if (!mesh) {
+        return;
+      }
+      mesh.userData = { alternativeIndex: index };
+      alternativesGroup.add(mesh);
     });
   };
 
@@ -161,7 +406,22 @@ export function buildRouteOverlay(parentGroup, scene) {
 
   return {
     group: overlayGroup,
+    alternativesGroup,
+    barriersGroup,
+    reachabilityGroup,
+    positionGroup,
+    unlitGroup,
     renderRouteOverlay,
     clearRouteOverlay,
+    renderAlternativeRoutes,
+    clearAlternativeRoutes,
+    renderBarriers,
+    clearBarriers,
+    renderReachability,
+    clearReachability,
+    renderPositionMarker,
+    clearPositionMarker,
+    renderUnlitStretches,
+    clearUnlitStretches,
   };
 }
@@ -44,6 +44,7 @@ const DEFAULT_BACKGROUND_COLOR = "#0f172a";
  *   render: Function - 单帧渲染（不启动循环）
  *   start: Function - 启动渲染循环
  *   stop: Function - 停止渲染循环
+ *   addFrameListener: Function - 注册逐帧回调 (deltaSeconds) => void，返回注销函数
  * }
  *
  * 异常：若 container 为空，抛出 Error
@@ -264,16 +265,39 @@ export function initScene(container, options = {}) {
     renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
   };
 
+  /**
+   * frameListeners：逐帧回调集合（如沉浸式导航移动相机）
+   * lastFrameTime：上一帧时间戳（毫秒），用于计算帧间隔
+   */
+  const frameListeners = new Set();
+  let lastFrameTime = null;
+
+  /**
+   * addFrameListener：注册逐帧回调
+   * 回调在 OrbitControls 更新之后、渲染之前执行，可直接覆盖相机姿态
+   * @param {(deltaSeconds: number) => void} listener
+   * @returns {() => void} 注销函数
+   */
+  const addFrameListener = (listener) => {
+    frameListeners.add(listener);
+    return () => frameListeners.delete(listener);
+  };
+
   /**
    * render：执行单帧渲染
    * 职责：
    * 1. 更新 OrbitControls（处理阻尼）
-   * 2. 使用渲染器将场景渲染到 canvas
+   * 2. 执行逐帧回调（帧间隔上限 0.1 秒，避免切回标签页时跳变）
+   * 3. 使用渲染器将场景渲染到 canvas
    * 
    * 调用时机：在渲染循环内（animationId 回调）
    */
   const render = () => {
     controls.update();
+    const now = performance.now();
+    const delta = lastFrameTime === null ? 0 : Math.min((now - lastFrameTime) / 1000, 0.1);
+    lastFrameTime = now;
+    frameListeners.forEach((listener) => listener(delta));
     renderer.render(scene, camera);
   };
 
@@ -314,6 +338,7 @@ export function initScene(container, options = {}) {
     if (animationId) {
       window.cancelAnimationFrame(animationId);
       animationId = null;
+      lastFrameTime = null;
     }
   };
 
@@ -335,6 +360,7 @@ export function initScene(container, options = {}) {
     render,
     start,
     stop,
+    addFrameListener,
     applyEnvironmentSettings,
     disposeEnvironment,
     environmentReady,
@@ -0,0 +1,101 @@
+/**
+ * 地面点选模块
+ *
+ * 职责：
+ * 点击地图时把鼠标射线与水平地面求交，换算为参考 Group 的局部坐标（即路网 worldX/worldZ），
+ * 供封闭路段点选、封闭区域绘制等“在地图上取点”的功能复用
+ *
+ * 说明：
+ * - 场景各 Group 只绕 Y 轴旋转并在 XZ 平面平移/缩放，局部坐标与 roads-graph.json 一致
+ * - 按下与抬起之间移动超过 DRAG_TOLERANCE 视为拖拽视角，不触发点选
+ *
+ * 依赖：
+ * - THREE.js Raycaster、Plane
+ */
+
+import * as THREE from "three";
+
+/**
+ * DRAG_TOLERANCE：判定为点击的最大指针位移
+ * 单位：像素
+ */
+const DRAG_TOLERANCE = 5;
+
+/**
+ * computePointerPosition：将屏幕坐标转换为归一化设备坐标（NDC）
+ */
+function computePointerPosition(event, domElement, pointer) {
+  const rect = domElement.getBoundingClientRect();
+  const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  pointer.set(x, y);
+}
+
+/**
+ * attachGroundPicking：绑定地面点选交互
+ *
+ * 参数：
+ * - domElement：DOM 容器
+ * - camera：THREE.Camera
+ * - referenceGroup：坐标参考 Group（通常为 roads Group），地面高度取其世界坐标 y
+ * - isEnabled：function()，返回 false 时忽略点击（如未处于取点模式）
+ * - onPick：function({ worldX, worldZ })，点击地面时回调
+ *
+ * 返回：{ dispose }
+ */
+export function attachGroundPicking({ domElement, camera, referenceGroup, isEnabled, onPick }) {
+  if (!domElement || !camera || !referenceGroup) {
+    throw new Error("attachGroundPicking 需要 domElement、camera 和 referenceGroup");
+  }
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const hit = new THREE.Vector3();
+  const origin = new THREE.Vector3();
+  let downPosition = null;
+
+  /**
+   * pickPoint：返回指针下地面点的局部坐标，射线与地面平行时返回 null
+   */
+  const pickPoint = (event) => {
+    computePointerPosition(event, domElement, pointer);
+    raycaster.setFromCamera(pointer, camera);
+    referenceGroup.updateMatrixWorld(true);
+    referenceGroup.getWorldPosition(origin);
+    plane.constant = -origin.y;
+    if (!raycaster.ray.intersectPlane(plane, hit)) {
+      return null;
+    }
+    const local = referenceGroup.worldToLocal(hit.clone());
+    return { worldX: local.x, worldZ: local.z };
+  };
+
+  const handlePointerDown = (event) => {
+    downPosition = { x: event.clientX, y: event.clientY };
+  };
+
+  const handleClick = (event) => {
+    const start = downPosition;
+    downPosition = null;
+    if (isEnabled && !isEnabled()) return;
+    if (
+      start &&
+      Math.hypot(event.clientX - start.x, event.clientY - start.y) > DRAG_TOLERANCE
+    ) {
+      return;
+    }
+    const point = pickPoint(event);
+    if (point) onPick?.(point);
+  };
+
+  domElement.addEventListener("pointerdown", handlePointerDown);
+  domElement.addEventListener("click", handleClick);
+
+  const dispose = () => {
+    domElement.removeEventListener("pointerdown", handlePointerDown);
+    domElement.removeEventListener("click", handleClick);
+  };
+
+  return { dispose };
+}
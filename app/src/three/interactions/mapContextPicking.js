@@ -0,0 +1,125 @@
+/**
+ * 地图右键取点模块
+ *
+ * 职责：
+ * 在地图上右键单击时，射线优先命中建筑/道路等目标 Group，未命中则与地面（y = 0）求交，
+ * 把命中点的世界坐标、命中对象与屏幕位置回调给调用方，用于弹出“设为起点/设为终点”菜单
+ *
+ * 说明：
+ * - 回调给出的是场景世界坐标，调用方需按 SCENE_BASE_ALIGNMENT 与 sceneTransform 还原为路网坐标
+ * - 右键拖拽用于平移视角（OrbitControls），按下与抬起之间移动超过 DRAG_TOLERANCE 时不弹出菜单
+ * - 处理过的 contextmenu 事件会阻止浏览器默认菜单
+ *
+ * 依赖：
+ * - THREE.js Raycaster、Plane
+ */
+
+import * as THREE from "three";
+
+/**
+ * DRAG_TOLERANCE：判定为单击的最大指针位移
+ * 单位：像素
+ */
+const DRAG_TOLERANCE = 5;
+
+/**
+ * computePointerPosition：将屏幕坐标转换为归一化设备坐标（NDC）
+ */
+function computePointerPosition(event, domElement, pointer) {
+  const rect = domElement.getBoundingClientRect();
+  const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  pointer.set(x, y);
+}
+
+/**
+ * getTopLevelObject：沿父链找到目标 Group 的直接子级，便于读取 userData
+ */
+function getTopLevelObject(object, groups) {
+  let current = object;
+  while (current?.parent && !groups.includes(current.parent)) {
+    current = current.parent;
+  }
+  return current?.parent ? current : null;
+}
+
+/**
+ * attachMapContextPicking：绑定地图右键取点交互
+ *
+ * 参数：
+ * - domElement：DOM 容器
+ * - camera：THREE.Camera
+ * - targetGroups：优先检测的 Group 数组（如建筑、道路），可为空
+ * - onPick：function({ point: { x, z }, object, group, clientX, clientY })
+ *   object 为命中的顶层 Mesh（未命中目标时为 null），group 为其所属 Group
+ *
+ * 返回：{ dispose }
+ */
+export function attachMapContextPicking({ domElement, camera, targetGroups = [], onPick }) {
+  if (!domElement || !camera) {
+    throw new Error("attachMapContextPicking 需要 domElement 和 camera");
+  }
+
+  const groups = targetGroups.filter(Boolean);
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const hit = new THREE.Vector3();
+  let downPosition = null;
+
+  /**
+   * pickTarget：返回命中信息，射线既未命中目标也与地面平行时返回 null
+   */
+  const pickTarget = (event) => {
+    computePointerPosition(event, domElement, pointer);
+    raycaster.setFromCamera(pointer, camera);
+    // 图层被隐藏的 Group 不参与检测
+    const visibleGroups = groups.filter((group) => group.visible);
+    const intersections = visibleGroups.length
+      ? raycaster.intersectObjects(visibleGroups, true)
+      : [];
+    if (intersections.length > 0) {
+      const [first] = intersections;
+      const object = getTopLevelObject(first.object, groups);
+      return {
+        point: { x: first.point.x, z: first.point.z },
+        object,
+        group: object?.parent ?? null,
+      };
+    }
+    if (!raycaster.ray.intersectPlane(ground, hit)) {
+      return null;
+    }
+    return { point: { x: hit.x, z: hit.z }, object: null, group: null };
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.button !== 2) return;
+    downPosition = { x: event.clientX, y: event.clientY };
+  };
+
+  const handleContextMenu = (event) => {
+    const start = downPosition;
+    downPosition = null;
+    event.preventDefault();
+    if (
+      start &&
+      Math.hypot(event.clientX - start.x, event.clientY - start.y) > DRAG_TOLERANCE
+    ) {
+      return;
+    }
+    const result = pickTarget(event);
+    if (!result) return;
+    onPick?.({ ...result, clientX: event.clientX, clientY: event.clientY });
+  };
+
+  domElement.addEventListener("pointerdown", handlePointerDown);
+  domElement.addEventListener("contextmenu", handleContextMenu);
+
+  const dispose = () => {
+    domElement.removeEventListener("pointerdown", handlePointerDown);
+    domElement.removeEventListener("contextmenu", handleContextMenu);
+  };
+
+  return { dispose };
+}
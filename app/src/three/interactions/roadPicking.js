@@ -79,13 +79,19 @@ function enableHover(mesh) {
  * 参数：mesh - 要还原的 Mesh
  * 
  * 流程：
- * 仅重置 emissiveIntensity 为 0
+ * 封闭道路（userData.blockedMark，见 buildRoads.markBlockedRoads）恢复封闭标记的颜色与强度，
+ * 其余道路仅重置 emissiveIntensity 为 0
  * 
  * 说明：
  * 函数名改为 disableHover（相比 resetMesh 更清晰）
  */
 function disableHover(mesh) {
-  if (mesh?.material?.emissive) {
+  if (!mesh?.material?.emissive) return;
+  const mark = mesh.userData?.blockedMark;
+  if (mark) {
+    mesh.material.emissive.setHex(mark.color);
+    mesh.material.emissiveIntensity = mark.intensity;
+  } else {
     mesh.material.emissiveIntensity = 0;
   }
 }
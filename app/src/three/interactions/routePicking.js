@@ -0,0 +1,84 @@
+/**
+ * 备选路线拾取模块
+ *
+ * 职责：
+ * 点击备选路线光带（buildRouteOverlay 的 routeAlternatives 组）时回调其下标，
+ * 由调用方将该路线设为当前路线；悬停时把鼠标指针切换为手型提示可点击
+ *
+ * 依赖：
+ * - THREE.js Raycaster、Vector2
+ */
+
+import * as THREE from "three";
+
+/**
+ * computePointerPosition：将屏幕坐标转换为归一化设备坐标（NDC）
+ */
+function computePointerPosition(event, domElement, pointer) {
+  const rect = domElement.getBoundingClientRect();
+  const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  pointer.set(x, y);
+}
+
+/**
+ * attachRoutePicking：绑定备选路线点击交互
+ *
+ * 参数：
+ * - domElement：DOM 容器
+ * - camera：THREE.Camera
+ * - routeGroup：备选路线 Group（子 Mesh 的 userData.alternativeIndex 为下标）
+ * - onSelect：function(index)，点击某条备选路线时回调
+ *
+ * 返回：{ dispose }
+ */
+export function attachRoutePicking({ domElement, camera, routeGroup, onSelect }) {
+  if (!domElement || !camera || !routeGroup) {
+    throw new Error("attachRoutePicking 需要 domElement、camera 和 routeGroup");
+  }
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let isHovering = false;
+
+  /**
+   * pickIndex：返回指针下备选路线的下标，未命中返回 null
+   */
+  const pickIndex = (event) => {
+    if (!routeGroup.visible || routeGroup.children.length === 0) {
+      return null;
+    }
+    computePointerPosition(event, domElement, pointer);
+    raycaster.setFromCamera(pointer, camera);
+    const hits = raycaster.intersectObjects(routeGroup.children, true);
+    const index = hits[0]?.object?.userData?.alternativeIndex;
+    return Number.isInteger(index) ? index : null;
+  };
+
+  const handlePointerMove = (event) => {
+    const hovering = pickIndex(event) !== null;
+    if (hovering === isHovering) return;
+    isHovering = hovering;
+    domElement.style.cursor = hovering ? "pointer" : "";
+  };
+
+  const handleClick = (event) => {
+    const index = pickIndex(event);
+    if (index === null) return;
+    onSelect?.(index);
+  };
+
+  domElement.addEventListener("pointermove", handlePointerMove);
+  domElement.addEventListener("click", handleClick);
+
+  const dispose = () => {
+    domElement.removeEventListener("pointermove", handlePointerMove);
+    domElement.removeEventListener("click", handleClick);
+    if (isHovering) {
+      domElement.style.cursor = "";
+      isHovering = false;
+    }
+  };
+
+  return { dispose };
+}
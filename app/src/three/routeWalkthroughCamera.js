@@ -0,0 +1,92 @@
+/**
+ * 沉浸式导航相机模块
+ *
+ * 职责：
+ * 进入时记录 OrbitControls 的相机姿态并禁用鼠标控制，切换为街景视角（config.poiRoute.walkthrough）；
+ * 之后每帧由调用方传入路网坐标（当前位置与前视点），换算为场景坐标放置相机；退出时恢复原视角
+ *
+ * 说明：
+ * - 路网坐标即参考 Group（roads Group）的局部坐标，经 localToWorld 换算，自动包含调试面板的场景变换
+ * - 视点在局部坐标中抬高 eyeHeight，前视点取 eyeHeight 的一半，使视线略向下、能看到前方路线光带
+ * - initScene 的逐帧回调在 OrbitControls.update 之后执行，follow 写入的姿态不会被覆盖
+ *
+ * 依赖：
+ * - THREE.js Vector3
+ */
+
+import * as THREE from "three";
+import config from "../config/index.js";
+
+/**
+ * createRouteWalkthroughCamera：创建沉浸式导航相机控制器
+ *
+ * 参数：
+ * - camera：THREE.PerspectiveCamera
+ * - controls：OrbitControls，进入时禁用、退出时恢复
+ * - referenceGroup：坐标参考 Group（通常为 roads Group）
+ *
+ * 返回：{ enter, follow, exit, isActive }
+ */
+export function createRouteWalkthroughCamera({ camera, controls, referenceGroup }) {
+  if (!camera || !controls || !referenceGroup) {
+    throw new Error("createRouteWalkthroughCamera 需要 camera、controls 和 referenceGroup");
+  }
+
+  // 视点高度（米）与视角（度）
+  const options = config.poiRoute.walkthrough;
+  const eye = new THREE.Vector3();
+  const target = new THREE.Vector3();
+  let saved = null;
+
+  /**
+   * enter：记录当前视角并切换为街景视角，重复调用无效
+   */
+  const enter = () => {
+    if (saved) return;
+    saved = {
+      position: camera.position.clone(),
+      target: controls.target.clone(),
+      fov: camera.fov,
+    };
+    controls.enabled = false;
+    camera.fov = options.fov;
+    camera.updateProjectionMatrix();
+  };
+
+  /**
+   * follow：把相机放到路网坐标 position，朝向 lookAt
+   * @param {{ worldX: number, worldZ: number }} position - 当前位置
+   * @param {{ worldX: number, worldZ: number }} lookAt - 前视点
+   */
+  const follow = (position, lookAt) => {
+    if (!saved) return;
+    referenceGroup.updateMatrixWorld(true);
+    eye.set(position.worldX, options.eyeHeight, position.worldZ);
+    target.set(lookAt.worldX, options.eyeHeight / 2, lookAt.worldZ);
+    referenceGroup.localToWorld(eye);
+    referenceGroup.localToWorld(target);
+    camera.position.copy(eye);
+    camera.lookAt(target);
+  };
+
+  /**
+   * exit：恢复进入前的视角并重新启用 OrbitControls
+   */
+  const exit = () => {
+    if (!saved) return;
+    camera.position.copy(saved.position);
+    camera.fov = saved.fov;
+    camera.updateProjectionMatrix();
+    controls.target.copy(saved.target);
+    controls.enabled = true;
+    controls.update();
+    saved = null;
+  };
+
+  return {
+    enter,
+    follow,
+    exit,
+    isActive: () => Boolean(saved),
+  };
+}
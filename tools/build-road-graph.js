@@ -4,6 +4,13 @@
  *
  * - 读取 app/src/data/campus.geojson
  * - 将 featureType = "road" 的折线拆解为节点/边
+ * - 按道路 stableId 汇总通行相关标签（roads 字典），供前端按交通方式过滤
+ * - 依据 oneway 标记逆行方向的边（contraflow），骑行/驾驶时由前端跳过
+ * - 把人行横道/路缘等点要素的标签挂到坐标重合的路网节点（nodes[].tags），供无障碍路由使用
+ * - 收集路灯点要素（highway=street_lamp）写入 lamps，供夜间安全路线判断路段照明
+ * - 只合并真正共享的顶点并区分桥梁/隧道层级（规则见 road-node-merge.js），近距离未合并的顶点对写入报告
+ * - 标记穿越校园围墙的边及其经过的校门（规则见 gate-crossing.js），校门字典写入 gates
+ * - 连通性诊断：连通分量、悬挂短边、近似连接的端点及吸附修复建议（规则见 graph-connectivity.js）
  * - 输出 data/roads-graph.json 与 app/src/data/roads-graph.json
  * - 生成 data/reports/road-graph.json 记录统计信息
  */
@@ -11,6 +18,18 @@
 import { readFileSync, writeFileSync, mkdirSync } from "fs";
 import { resolve, join, dirname } from "path";
 import { fileURLToPath, pathToFileURL } from "url";
+import roadNodeMerge from "./road-node-merge.js";
+import gateCrossing from "./gate-crossing.js";
+import graphConnectivity from "./graph-connectivity.js";
+
+const { resolveRoadLevel, toCoordKey, createVertexKeyResolver, findNearMisses } = roadNodeMerge;
+const { isPointInRings, resolveCrossingDirection, matchCrossingGate } = gateCrossing;
+const {
+  buildUndirectedAdjacency,
+  findConnectedComponents,
+  findShortDeadEnds,
+  findAlmostConnected,
+} = graphConnectivity;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,7 +39,49 @@ const dataOutputPath = join(projectRoot, "data", "roads-graph.json");
 const appDataOutputPath = join(projectRoot, "app", "src", "data", "roads-graph.json");
 const reportDir = join(projectRoot, "data", "reports");
 const reportPath = join(reportDir, "road-graph.json");
-const COORD_EPSILON_METERS = 0.1;
+// 报告中“近距离未合并”顶点对的距离阈值（米）
+const NEAR_MISS_METERS = 1;
+// 穿越围墙的边与校门的最大匹配距离（米），超出视为未登记的围墙缺口
+const GATE_MATCH_METERS = 50;
+// 悬挂短边阈值（米）：端点到最近路口的距离短于该值时报告
+const DEAD_END_METERS = 5;
+// 近似连接阈值（米）：道路端点距其他边不超过该值时给出吸附建议
+const ALMOST_CONNECTED_METERS = 5;
+// 报告中每个非主分量最多列出的道路数量
+const COMPONENT_ROAD_SAMPLE = 10;
+// 写入 roads 字典的 OSM 标签，仅保留路径规划需要的字段以控制 JSON 体积
+const ROAD_TAG_KEYS = [
+  "highway",
+  "name",
+  "name:zh",
+  "access",
+  "foot",
+  "bicycle",
+  "vehicle",
+  "motor_vehicle",
+  "motorcar",
+  "oneway",
+  "footway",
+  "crossing",
+  "kerb",
+  "surface",
+  "smoothness",
+  "wheelchair",
+  "lit",
+  "informal",
+];
+// 写入节点 tags 的点要素标签（人行横道、路缘、轮椅通行性）
+const NODE_TAG_KEYS = ["highway", "crossing", "kerb", "barrier", "wheelchair"];
+// 含以下任一特征的点要素才会挂到路网节点
+const NODE_TAG_MARKERS = [
+  (props) => props.highway === "crossing",
+  (props) => props.barrier === "kerb",
+  (props) => props.kerb !== undefined,
+  (props) => props.wheelchair !== undefined,
+];
+// oneway 标签取值：顺行单向 / 逆向单向（-1 表示与折线绘制方向相反）
+const ONEWAY_FORWARD_VALUES = new Set(["yes", "true", "1"]);
+const ONEWAY_BACKWARD_VALUES = new Set(["-1", "reverse"]);
 
 async function loadCoordinatesModule() {
   const url = pathToFileURL(join(projectRoot, "app", "src", "lib", "coordinates.js")).href;
@@ -32,8 +93,143 @@ function ensureDir(path) {
   mkdirSync(dirname(path), { recursive: true });
 }
 
-function roundToEpsilon(value, epsilon) {
-  return Math.round(value / epsilon) * epsilon;
+function pickTags(props = {}, keys = ROAD_TAG_KEYS) {
+  const tags = {};
+  keys.forEach((key) => {
+    const value = props[key];
+    if (value === undefined || value === null || value === "") return;
+    tags[key] = String(value);
+  });
+  return tags;
+}
+
+/**
+ * resolveOnewayDirection：解析 oneway 标签
+ * @returns {"forward"|"backward"|null} null 表示双向通行
+ */
+function resolveOnewayDirection(props = {}) {
+  const value = String(props.oneway ?? "").trim().toLowerCase();
+  if (ONEWAY_FORWARD_VALUES.has(value)) return "forward";
+  if (ONEWAY_BACKWARD_VALUES.has(value)) return "backward";
+  return null;
+}
+
+/**
+ * markBoundaryCrossings：为两端分处围墙内外的边写入 boundaryCrossing（exit/enter）与 gateId
+ * @returns {{ gates: object, stats: object }} gates 为校门字典（id → { name, lng, lat, worldX, worldZ, access }）
+ */
+function markBoundaryCrossings(features, edges, nodeIdMap, origin, projectCoordinate) {
+  const boundary = features.find(
+    (feature) => feature.properties?.featureType === "campusBoundary"
+  );
+  const geometry = boundary?.geometry;
+  const polygons =
+    geometry?.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry?.type === "MultiPolygon"
+      ? geometry.coordinates
+      : [];
+  const rings = polygons
+    .map((polygon) => (polygon?.[0] || []).map((coord) => projectCoordinate(coord, origin)))
+    .filter((ring) => ring.length >= 3);
+  const gates = {};
+  const gatePoints = [];
+  (boundary?.properties?.boundaryGates || []).forEach((gate) => {
+    if (!gate?.stableId || !Array.isArray(gate.center)) return;
+    const [x, y] = projectCoordinate(gate.center, origin);
+    gates[gate.stableId] = {
+      name: gate.name || null,
+      lng: gate.center[0],
+      lat: gate.center[1],
+      worldX: x,
+      worldZ: -y,
+      access: gate.access || {},
+    };
+    gatePoints.push({ id: gate.stableId, point: [x, y] });
+  });
+
+  const stats = { gates: gatePoints.length, crossingEdges: 0, gatedEdges: 0, ungatedRoadIds: [] };
+  if (!rings.length) return { gates, stats };
+  const insideCache = new Map();
+  const isInside = (node) => {
+    if (!insideCache.has(node.id)) {
+      insideCache.set(node.id, isPointInRings([node.worldX, -node.worldZ], rings));
+    }
+    return insideCache.get(node.id);
+  };
+  const usedGateIds = new Set();
+  const ungatedRoadIds = new Set();
+  edges.forEach((edge) => {
+    const fromNode = nodeIdMap.get(edge.from);
+    const toNode = nodeIdMap.get(edge.to);
+    const direction = resolveCrossingDirection(isInside(fromNode), isInside(toNode));
+    if (!direction) return;
+    edge.boundaryCrossing = direction;
+    stats.crossingEdges += 1;
+    const match = matchCrossingGate(
+      [fromNode.worldX, -fromNode.worldZ],
+      [toNode.worldX, -toNode.worldZ],
+      gatePoints,
+      GATE_MATCH_METERS
+    );
+    if (match) {
+      edge.gateId = match.gateId;
+      usedGateIds.add(match.gateId);
+      stats.gatedEdges += 1;
+    } else {
+      ungatedRoadIds.add(edge.roadId);
+    }
+  });
+  stats.ungatedRoadIds = Array.from(ungatedRoadIds);
+  stats.unusedGates = gatePoints.map((gate) => gate.id).filter((id) => !usedGateIds.has(id));
+  return { gates, stats };
+}
+
+/**
+ * diagnoseConnectivity：连通分量、悬挂短边与近似连接诊断
+ */
+function diagnoseConnectivity(nodes, edges) {
+  const adjacency = buildUndirectedAdjacency(edges);
+  const components = findConnectedComponents(
+    nodes.map((node) => node.id),
+    adjacency
+  );
+  const roadIdsOf = (nodeIds) => {
+    const roadIds = new Set();
+    nodeIds.forEach((nodeId) => {
+      (adjacency.get(nodeId) || new Map()).forEach((link) => roadIds.add(link.roadId));
+    });
+    return Array.from(roadIds);
+  };
+  const deadEnds = findShortDeadEnds(adjacency, DEAD_END_METERS);
+  const suggestions = findAlmostConnected(nodes, edges, adjacency, ALMOST_CONNECTED_METERS);
+  return {
+    components: {
+      total: components.length,
+      largestNodes: components[0]?.length ?? 0,
+      minor: components.slice(1).map((component) => {
+        const roadIds = roadIdsOf(component);
+        return {
+          nodes: component.length,
+          roads: roadIds.length,
+          roadIds: roadIds.slice(0, COMPONENT_ROAD_SAMPLE),
+        };
+      }),
+    },
+    deadEnds: {
+      maxLength: DEAD_END_METERS,
+      total: deadEnds.length,
+      items: deadEnds.map((item) => ({ ...item, length: Number(item.length.toFixed(2)) })),
+    },
+    almostConnected: {
+      thresholdMeters: ALMOST_CONNECTED_METERS,
+      total: suggestions.length,
+      suggestions: suggestions.map((item) => ({
+        ...item,
+        distance: Number(item.distance.toFixed(2)),
+      })),
+    },
+  };
 }
 
 function buildGraph(features, projectCoordinate, findProjectionOrigin) {
@@ -43,12 +239,30 @@ function buildGraph(features, projectCoordinate, findProjectionOrigin) {
   );
   const nodeKeyMap = new Map();
   const nodeIdMap = new Map();
+  // 坐标键 → 该坐标上的节点（跨层拆分时可能多于一个），用于挂载点要素标签
+  const nodesByCoord = new Map();
+  // 节点 id → { levels, roadIds }，仅用于近距离顶点报告
+  const nodeMeta = new Map();
   const nodes = [];
   const edges = [];
+  const roads = {};
   const adjacencyCount = new Map();
   let edgeSeq = 0;
+  let directedOnlyEdges = 0;
+
+  function createEdge(id, fromId, toId, length, roadId, onewayDirection, isForward) {
+    const edge = { id, from: fromId, to: toId, length, roadId };
+    if (onewayDirection) {
+      edge.oneway = true;
+      // contraflow：该有向边与单行方向相反，仅步行可用
+      if ((onewayDirection === "forward") !== isForward) {
+        edge.contraflow = true;
+      }
+    }
+    return edge;
+  }
 
-  function registerEdge(fromId, toId, roadId) {
+  function registerEdge(fromId, toId, roadId, onewayDirection = null) {
     if (fromId === toId) return;
     const fromNode = nodeIdMap.get(fromId);
     const toNode = nodeIdMap.get(toId);
@@ -56,51 +270,71 @@ function buildGraph(features, projectCoordinate, findProjectionOrigin) {
     const length = Math.hypot(toNode.worldX - fromNode.worldX, toNode.worldZ - fromNode.worldZ);
     if (!(length > 0)) return;
     edgeSeq += 1;
-    edges.push({
-      id: `edge-${edgeSeq}-f`,
-      from: fromNode.id,
-      to: toNode.id,
-      length,
-      roadId,
-    });
+    edges.push(
+      createEdge(`edge-${edgeSeq}-f`, fromNode.id, toNode.id, length, roadId, onewayDirection, true)
+    );
     edgeSeq += 1;
-    edges.push({
-      id: `edge-${edgeSeq}-b`,
-      from: toNode.id,
-      to: fromNode.id,
-      length,
-      roadId,
-    });
+    edges.push(
+      createEdge(`edge-${edgeSeq}-b`, toNode.id, fromNode.id, length, roadId, onewayDirection, false)
+    );
+    if (onewayDirection) {
+      directedOnlyEdges += 1;
+    }
     adjacencyCount.set(fromNode.id, (adjacencyCount.get(fromNode.id) || 0) + 1);
     adjacencyCount.set(toNode.id, (adjacencyCount.get(toNode.id) || 0) + 1);
   }
 
-  function getOrCreateNode([lng, lat]) {
-    const [projectedX, projectedY] = projectCoordinate([lng, lat], origin);
-    const worldX = projectedX;
-    const worldZ = -projectedY;
-    const key = `${roundToEpsilon(worldX, COORD_EPSILON_METERS)}_${roundToEpsilon(
-      worldZ,
-      COORD_EPSILON_METERS
-    )}`;
-    const existing = nodeKeyMap.get(key);
-    if (existing) {
-      return existing;
+  // 先收集全部折线，统计每个坐标的层级与端点信息，再决定哪些顶点合并
+  const lines = [];
+  const processedRoadIds = new Set();
+
+  roadFeatures.forEach((feature, featureIndex) => {
+    const geometry = feature.geometry;
+    if (!geometry) return;
+    const props = feature.properties || {};
+    const roadId = props.stableId || feature.id || `road-${featureIndex}`;
+    processedRoadIds.add(roadId);
+    const onewayDirection = resolveOnewayDirection(props);
+    const level = resolveRoadLevel(props);
+    if (geometry.type === "LineString") {
+      roads[roadId] = pickTags(props);
+      lines.push({ coordinates: geometry.coordinates, level, roadId, onewayDirection });
+    } else if (geometry.type === "MultiLineString") {
+      roads[roadId] = pickTags(props);
+      geometry.coordinates.forEach((coordinates) =>
+        lines.push({ coordinates, level, roadId, onewayDirection })
+      );
     }
-    const node = {
-      id: `node-${nodes.length + 1}`,
-      lng,
-      lat,
-      worldX,
-      worldZ,
-    };
-    nodeKeyMap.set(key, node);
-    nodeIdMap.set(node.id, node);
-    nodes.push(node);
+  });
+
+  const { resolveKey, splitCoordKeys } = createVertexKeyResolver(lines);
+
+  function getOrCreateNode([lng, lat], level, roadId) {
+    const key = resolveKey([lng, lat], level);
+    let node = nodeKeyMap.get(key);
+    if (!node) {
+      const [projectedX, projectedY] = projectCoordinate([lng, lat], origin);
+      node = {
+        id: `node-${nodes.length + 1}`,
+        lng,
+        lat,
+        worldX: projectedX,
+        worldZ: -projectedY,
+      };
+      nodeKeyMap.set(key, node);
+      nodeIdMap.set(node.id, node);
+      nodes.push(node);
+      nodeMeta.set(node.id, { levels: new Set(), roadIds: new Set() });
+      const coordKey = toCoordKey([lng, lat]);
+      if (!nodesByCoord.has(coordKey)) nodesByCoord.set(coordKey, []);
+      nodesByCoord.get(coordKey).push(node);
+    }
+    nodeMeta.get(node.id).levels.add(level);
+    nodeMeta.get(node.id).roadIds.add(roadId);
     return node;
   }
 
-  function processLine(lineCoords, roadId) {
+  function processLine({ coordinates: lineCoords, level, roadId, onewayDirection }) {
     if (!Array.isArray(lineCoords) || lineCoords.length < 2) return;
     let prevNode = null;
     lineCoords.forEach((coord) => {
@@ -113,33 +347,62 @@ function buildGraph(features, projectCoordinate, findProjectionOrigin) {
         prevNode = null;
         return;
       }
-      const node = getOrCreateNode(coord);
+      const node = getOrCreateNode(coord, level, roadId);
       if (prevNode) {
-        registerEdge(prevNode.id, node.id, roadId);
+        registerEdge(prevNode.id, node.id, roadId, onewayDirection);
       }
       prevNode = node;
     });
   }
 
-  const processedRoadIds = new Set();
+  lines.forEach(processLine);
 
-  roadFeatures.forEach((feature, featureIndex) => {
-    const geometry = feature.geometry;
-    if (!geometry) return;
+  const { gates, stats: gateStats } = markBoundaryCrossings(
+    features,
+    edges,
+    nodeIdMap,
+    origin,
+    projectCoordinate
+  );
+
+  // 点要素（人行横道、路缘等）只标注已存在的路网节点，不新增节点
+  let taggedNodes = 0;
+  features.forEach((feature) => {
     const props = feature.properties || {};
-    const roadId = props.stableId || feature.id || `road-${featureIndex}`;
-    processedRoadIds.add(roadId);
-    if (geometry.type === "LineString") {
-      processLine(geometry.coordinates, roadId);
-    } else if (geometry.type === "MultiLineString") {
-      geometry.coordinates.forEach((line) => processLine(line, roadId));
-    }
+    if (feature.geometry?.type !== "Point") return;
+    if (!NODE_TAG_MARKERS.some((marker) => marker(props))) return;
+    const coordNodes = nodesByCoord.get(toCoordKey(feature.geometry.coordinates));
+    if (!coordNodes) return;
+    coordNodes.forEach((node) => {
+      node.tags = { ...(node.tags || {}), ...pickTags(props, NODE_TAG_KEYS) };
+    });
+    taggedNodes += 1;
+  });
+
+  // 路灯一般不在道路折线上，单独输出坐标，由前端按距离判断路段是否有照明
+  const lamps = [];
+  features.forEach((feature) => {
+    const props = feature.properties || {};
+    if (feature.geometry?.type !== "Point" || props.highway !== "street_lamp") return;
+    const [x, y] = projectCoordinate(feature.geometry.coordinates, origin);
+    lamps.push({ id: props.stableId || feature.id, worldX: x, worldZ: -y });
   });
 
   const isolatedNodes = nodes
     .filter((node) => !adjacencyCount.has(node.id))
     .map((node) => node.id);
 
+  const nearMissPairs = findNearMisses(
+    nodes.map((node) => ({
+      id: node.id,
+      worldX: node.worldX,
+      worldZ: node.worldZ,
+      levels: Array.from(nodeMeta.get(node.id).levels),
+      roadIds: Array.from(nodeMeta.get(node.id).roadIds),
+    })),
+    NEAR_MISS_METERS
+  );
+
   return {
     graph: {
       metadata: {
@@ -149,12 +412,27 @@ function buildGraph(features, projectCoordinate, findProjectionOrigin) {
       },
       nodes,
       edges,
+      roads,
+      gates,
+      lamps,
     },
     stats: {
       generatedAt: new Date().toISOString(),
       nodes: nodes.length,
       edges: edges.length,
       roadsProcessed: processedRoadIds.size,
+      directedOnlyEdges,
+      taggedNodes,
+      lamps: lamps.length,
+      layerSplitVertices: splitCoordKeys.length,
+      boundaryCrossings: { matchMeters: GATE_MATCH_METERS, ...gateStats },
+      connectivity: diagnoseConnectivity(nodes, edges),
+      nearMisses: {
+        thresholdMeters: NEAR_MISS_METERS,
+        total: nearMissPairs.length,
+        sameLevel: nearMissPairs.filter((pair) => pair.sameLevel).length,
+        pairs: nearMissPairs,
+      },
       isolatedNodes,
     },
   };
@@ -175,8 +453,27 @@ async function main() {
   writeFileSync(appDataOutputPath, JSON.stringify(graph, null, 2));
   writeFileSync(reportPath, JSON.stringify(stats, null, 2));
   console.log(
-    `[INFO][路网构建] 图生成完成｜数据：{ nodes: ${stats.nodes}, edges: ${stats.edges}, isolated: ${stats.isolatedNodes.length} }`
+    `[INFO][路网构建] 图生成完成｜数据：{ nodes: ${stats.nodes}, edges: ${stats.edges}, directedOnly: ${stats.directedOnlyEdges}, isolated: ${stats.isolatedNodes.length}, layerSplit: ${stats.layerSplitVertices}, nearMisses: ${stats.nearMisses.total} }`
   );
+  const { components, deadEnds, almostConnected } = stats.connectivity;
+  console.log(
+    `[INFO][路网构建] 连通性｜数据：{ components: ${components.total}, largest: ${components.largestNodes}, deadEnds: ${deadEnds.total}, almostConnected: ${almostConnected.total} }`
+  );
+  if (almostConnected.total > 0) {
+    console.warn(
+      `[WARN][路网构建] ${almostConnected.total} 个道路端点距其他道路不足 ${almostConnected.thresholdMeters} 米，疑似漏接，吸附建议见 ${reportPath}`
+    );
+  }
+  if (stats.boundaryCrossings.ungatedRoadIds.length > 0) {
+    console.warn(
+      `[WARN][路网构建] ${stats.boundaryCrossings.ungatedRoadIds.length} 条道路穿越围墙但附近没有校门，详见 ${reportPath}`
+    );
+  }
+  if (stats.nearMisses.sameLevel > 0) {
+    console.warn(
+      `[WARN][路网构建] 同层近距离未合并顶点 ${stats.nearMisses.sameLevel} 对，疑似漏接，详见 ${reportPath}`
+    );
+  }
 }
 
 main().catch((error) => {
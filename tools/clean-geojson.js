@@ -22,6 +22,11 @@ const SITE_CATEGORY_PRIORITY = [
  * @type {string}
  */
 const SITE_DEFAULT_DISPLAY_NAME = "未命名场地";
+/**
+ * 写入 boundaryGates.access 的门节点通行标签，供路网构建判断校门是否开放
+ * @type {string[]}
+ */
+const GATE_ACCESS_TAG_KEYS = ["access", "locked", "foot", "bicycle", "motor_vehicle"];
 
 const rootDir = resolve(__dirname, "..");
 const dataDir = join(rootDir, "data");
@@ -240,7 +245,7 @@ function isGateNode(props, geometry) {
  * 将 OSGeo 的门节点整理为后续挖孔所需的结构。
  * @param {Array} features 原始 GeoJSON Feature 列表
  * @param {object} config 全局配置，需包含 boundary 字段
- * @returns {Array} [{ stableId, coordinate, width, depth, name }]
+ * @returns {Array} [{ stableId, coordinate, width, depth, name, access }]
  */
 function collectGateCandidates(features, config) {
   const boundaryConfig = config.boundary || {};
@@ -271,6 +276,10 @@ function collectGateCandidates(features, config) {
       parseNumeric(props["gate:depth"]) ??
       defaultDepth;
     const name = props.name || props["name:zh"] || props["name:zh-cn"] || null;
+    const access = {};
+    GATE_ACCESS_TAG_KEYS.forEach((key) => {
+      if (props[key] !== undefined && props[key] !== "") access[key] = String(props[key]);
+    });
 
     candidates.push({
       stableId,
@@ -278,6 +287,7 @@ function collectGateCandidates(features, config) {
       width,
       depth,
       name,
+      access,
     });
   });
 
@@ -495,6 +505,8 @@ function attachGatesToBoundary(
 
     matches.push({
       stableId: gate.stableId,
+      name: gate.name,
+      access: gate.access,
       center: gate.coordinate,
       width: gate.width,
       depth: gate.depth,
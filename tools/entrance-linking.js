@@ -0,0 +1,90 @@
+/**
+ * 建筑入口关联规则，供入口提取脚本与测试共用
+ *
+ * - 入口节点（entrance=*）通常是建筑轮廓上的共享顶点，点在多边形内的判断在边界上不稳定，
+ *   因此按“到外轮廓的距离”关联：落在轮廓内或距轮廓不超过 maxDistance 米的最近建筑即为所属建筑
+ * - 坐标均为投影后的平面坐标 [x, y]（米）
+ */
+
+// 不作为出入口使用的 entrance 取值（应急出口等）
+const EXCLUDED_ENTRANCE_VALUES = new Set(["no", "emergency", "exit"]);
+
+/**
+ * isEntranceNode：判断点要素是否为可用的建筑出入口
+ */
+function isEntranceNode(props = {}) {
+  const value = String(props.entrance ?? "").trim().toLowerCase();
+  if (!value) return false;
+  return !EXCLUDED_ENTRANCE_VALUES.has(value);
+}
+
+function distancePointToSegment(point, start, end) {
+  const segX = end[0] - start[0];
+  const segY = end[1] - start[1];
+  const segLenSq = segX * segX + segY * segY;
+  let t = 0;
+  if (segLenSq > 0) {
+    t = ((point[0] - start[0]) * segX + (point[1] - start[1]) * segY) / segLenSq;
+  }
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(point[0] - (start[0] + segX * t), point[1] - (start[1] + segY * t));
+}
+
+function isPointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersect =
+      yi > point[1] !== yj > point[1] &&
+      point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi + 1e-12) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * distanceToOutline：点到建筑外轮廓的距离，位于轮廓内时为 0
+ * @param {[number, number]} point
+ * @param {Array<Array<[number, number]>>} rings - 各多边形的外环
+ */
+function distanceToOutline(point, rings) {
+  let best = Infinity;
+  rings.forEach((ring) => {
+    if (!Array.isArray(ring) || ring.length < 3) return;
+    if (isPointInRing(point, ring)) {
+      best = 0;
+      return;
+    }
+    for (let i = 0; i < ring.length - 1; i += 1) {
+      best = Math.min(best, distancePointToSegment(point, ring[i], ring[i + 1]));
+    }
+  });
+  return best;
+}
+
+/**
+ * linkEntrance：为入口找到所属建筑
+ * @param {[number, number]} point - 入口投影坐标
+ * @param {Array<{ stableId: string, rings: Array<Array<[number, number]>> }>} buildings
+ * @param {number} maxDistance - 允许的最大距离（米）
+ * @returns {{ parentId: string, distance: number }|null}
+ */
+function linkEntrance(point, buildings, maxDistance) {
+  let best = null;
+  buildings.forEach((building) => {
+    const distance = distanceToOutline(point, building.rings);
+    if (distance > maxDistance) return;
+    if (!best || distance < best.distance) {
+      best = { parentId: building.stableId, distance };
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  EXCLUDED_ENTRANCE_VALUES,
+  isEntranceNode,
+  distanceToOutline,
+  linkEntrance,
+};
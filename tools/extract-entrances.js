@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * 建筑入口提取脚本
+ *
+ * 职责：
+ * 1. 读取 data/tmp.json（osmtogeojson 输出）中的 entrance=* 节点
+ * 2. 按到建筑外轮廓的距离关联所属建筑（规则见 entrance-linking.js）
+ * 3. 输出 data/entrances.geojson（同步到 app/src/data/entrances.geojson）与统计报告
+ *
+ * 前端 lib/buildingAccess.js 读取该文件，路由时以入口代替建筑标注点
+ */
+const { readFileSync, writeFileSync, mkdirSync } = require("fs");
+const { resolve, join, relative } = require("path");
+const { pathToFileURL } = require("url");
+const { isEntranceNode, linkEntrance } = require("./entrance-linking");
+
+const projectRoot = resolve(__dirname, "..");
+const tmpGeojsonPath = join(projectRoot, "data", "tmp.json");
+const campusGeojsonPath = join(projectRoot, "app", "src", "data", "campus.geojson");
+const dataOutputPath = join(projectRoot, "data", "entrances.geojson");
+const appDataOutputPath = join(projectRoot, "app", "src", "data", "entrances.geojson");
+const reportDir = join(projectRoot, "data", "reports");
+const reportPath = join(reportDir, "entrances.json");
+// 入口距建筑外轮廓的最大关联距离（米）
+const ENTRANCE_ATTACH_DISTANCE = 3;
+// 写入输出的入口标签
+const ENTRANCE_TAG_KEYS = ["entrance", "name", "ref", "access", "wheelchair", "door"];
+
+/**
+ * 动态加载 ES Module（logger、coordinates）
+ * @param {string} relativePath 相对于当前文件的路径
+ */
+async function loadModule(relativePath) {
+  const url = pathToFileURL(resolve(__dirname, relativePath)).href;
+  const mod = await import(url);
+  return mod.default || mod;
+}
+
+function pickTags(props = {}) {
+  const tags = {};
+  ENTRANCE_TAG_KEYS.forEach((key) => {
+    const value = props[key];
+    if (value === undefined || value === null || value === "") return;
+    tags[key] = String(value);
+  });
+  return tags;
+}
+
+/** 投影建筑外环，返回 [{ stableId, rings }] */
+function buildBuildingOutlines(features, origin, projectCoordinate) {
+  const buildings = [];
+  (features || []).forEach((feature) => {
+    if (feature.properties?.featureType !== "building") return;
+    const geometry = feature.geometry;
+    const stableId = feature.properties?.stableId || feature.id;
+    if (!geometry || !stableId) return;
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+    const rings = polygons
+      .map((polygon) => (polygon?.[0] || []).map((coord) => projectCoordinate(coord, origin)))
+      .filter((ring) => ring.length >= 3);
+    if (rings.length) buildings.push({ stableId, rings });
+  });
+  return buildings;
+}
+
+async function main() {
+  const { logInfo, logWarn, logError } = await loadModule("../app/src/logger/logger.js");
+  const { findProjectionOrigin, projectCoordinate } = await loadModule(
+    "../app/src/lib/coordinates.js"
+  );
+
+  try {
+    logInfo("入口提取", "开始提取建筑入口", { 输入: relative(projectRoot, tmpGeojsonPath) });
+    const tmpData = JSON.parse(readFileSync(tmpGeojsonPath, "utf8"));
+    const campusData = JSON.parse(readFileSync(campusGeojsonPath, "utf8"));
+    const origin = findProjectionOrigin(campusData.features || []);
+    const buildings = buildBuildingOutlines(campusData.features, origin, projectCoordinate);
+
+    const summary = {
+      generatedAt: new Date().toISOString(),
+      source: relative(projectRoot, tmpGeojsonPath),
+      attachDistance: ENTRANCE_ATTACH_DISTANCE,
+      total: 0,
+      linked: 0,
+      unlinked: [],
+    };
+
+    const features = [];
+    (tmpData.features || []).forEach((feature) => {
+      if (feature?.geometry?.type !== "Point") return;
+      const props = feature.properties || {};
+      if (!isEntranceNode(props)) return;
+      const coordinate = feature.geometry.coordinates;
+      if (!Array.isArray(coordinate) || coordinate.length < 2) return;
+      const osmId = feature.id || props.id;
+      const link = linkEntrance(
+        projectCoordinate(coordinate, origin),
+        buildings,
+        ENTRANCE_ATTACH_DISTANCE
+      );
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: coordinate },
+        properties: {
+          entranceId: `entrance-${String(osmId).replace(/[^a-zA-Z0-9/_-]+/g, "-")}`,
+          osmId,
+          parentType: link ? "building" : null,
+          parentId: link?.parentId ?? null,
+          distanceToOutline: link ? Number(link.distance.toFixed(2)) : null,
+          ...pickTags(props),
+        },
+      });
+      summary.total += 1;
+      if (link) {
+        summary.linked += 1;
+      } else {
+        summary.unlinked.push(osmId);
+      }
+    });
+
+    const serialized = JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+    mkdirSync(join(projectRoot, "data"), { recursive: true });
+    mkdirSync(join(projectRoot, "app", "src", "data"), { recursive: true });
+    mkdirSync(reportDir, { recursive: true });
+    writeFileSync(dataOutputPath, serialized, "utf8");
+    writeFileSync(appDataOutputPath, serialized, "utf8");
+    writeFileSync(reportPath, JSON.stringify(summary, null, 2), "utf8");
+
+    if (summary.unlinked.length) {
+      logWarn("入口提取", "部分入口未找到所属建筑", { 入口: summary.unlinked });
+    }
+    logInfo("入口提取", "建筑入口提取完成", {
+      输出: relative(projectRoot, appDataOutputPath),
+      总数: summary.total,
+      已关联: summary.linked,
+    });
+  } catch (error) {
+    logError("入口提取", "建筑入口提取失败", {
+      错误: error?.message ?? "未知错误",
+    });
+    process.exit(1);
+  }
+}
+
+main();
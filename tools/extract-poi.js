@@ -4,7 +4,7 @@
  *
  * 职责：
  * 1. 读取 data/tmp.json（osmtogeojson 输出）与清洗后的 campus.geojson
- * 2. 从节点要素中过滤出带 name 的兴趣点
+ * 2. 从节点要素中过滤出带 name 的兴趣点；卫生间、ATM 等常无名称的设施以默认名称保留（sourceType = "facility"）
  * 3. 投影为平面坐标、补足高度、关联建筑 parentId
  * 4. 输出 data/pois.geojson（同时同步到 app/src/data/pois.geojson）和统计报告
  */
@@ -27,6 +27,16 @@ const PARENT_PRIORITY = {
   water: 2,
   road: 3,
 };
+/**
+ * FACILITY_DEFAULT_NAMES：无名称时仍保留的设施（amenity → 默认名称），供“最近的…”查询使用
+ */
+const FACILITY_DEFAULT_NAMES = {
+  toilets: "卫生间",
+  atm: "ATM",
+  bicycle_parking: "自行车停车点",
+  drinking_water: "饮水点",
+  vending_machine: "自动售货机",
+};
 let findProjectionOrigin;
 let projectCoordinate;
 
@@ -594,6 +604,7 @@ async function main() {
       derived: 0,
       missingName: 0,
       missingElevation: 0,
+      facilities: 0,
     };
 
     const poiFeatures = [];
@@ -602,7 +613,9 @@ async function main() {
         return;
       }
       const props = feature.properties || {};
-      const name = resolveName(props);
+      const ownName = resolveName(props);
+      const isFacility = !ownName && Boolean(FACILITY_DEFAULT_NAMES[props.amenity]);
+      const name = ownName || FACILITY_DEFAULT_NAMES[props.amenity];
       if (!name) {
         summary.missingName += 1;
         return;
@@ -641,7 +654,7 @@ async function main() {
           elevation,
           parentType: parentInfo?.parentType ?? null,
           parentId: parentInfo?.parentId ?? null,
-          sourceType: "poi",
+          sourceType: isFacility ? "facility" : "poi",
           labelTargetType: null,
           modelType: null,
           sourceTags: pickSourceTags(props),
@@ -658,6 +671,9 @@ async function main() {
       if (poiFeature.properties.elevation === 0) {
         summary.missingElevation += 1;
       }
+      if (isFacility) {
+        summary.facilities += 1;
+      }
     });
 
     appendDerivedLabelPois(
@@ -685,6 +701,7 @@ async function main() {
       总数: summary.total,
       独立: summary.independent,
       附属: summary.attached,
+      无名设施: summary.facilities,
     });
   } catch (error) {
     logError("POI 提取", "POI 数据生成失败", {
@@ -0,0 +1,76 @@
+/**
+ * 校门穿越规则，供路网构建脚本与测试共用
+ *
+ * - 两端点分处围墙内外的路网边即为“穿越围墙”的边，方向记为 exit（内 → 外）或 enter（外 → 内）
+ * - 穿越边在 maxDistance 米内的最近校门即为其经过的校门；超出距离的穿越边视为未登记的围墙缺口
+ * - 坐标均为投影后的平面坐标 [x, y]（米）
+ */
+
+function isPointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersect =
+      yi > point[1] !== yj > point[1] &&
+      point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi + 1e-12) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * isPointInRings：点是否位于任一外环内（MultiPolygon 的各部分均视为校园）
+ * @param {[number, number]} point
+ * @param {Array<Array<[number, number]>>} rings
+ */
+function isPointInRings(point, rings) {
+  return rings.some((ring) => Array.isArray(ring) && ring.length >= 3 && isPointInRing(point, ring));
+}
+
+/**
+ * resolveCrossingDirection：由两端点是否在校内得出穿越方向，未穿越时返回 null
+ * @returns {"exit"|"enter"|null}
+ */
+function resolveCrossingDirection(fromInside, toInside) {
+  if (fromInside === toInside) return null;
+  return fromInside ? "exit" : "enter";
+}
+
+function distancePointToSegment(point, start, end) {
+  const segX = end[0] - start[0];
+  const segY = end[1] - start[1];
+  const segLenSq = segX * segX + segY * segY;
+  let t = 0;
+  if (segLenSq > 0) {
+    t = ((point[0] - start[0]) * segX + (point[1] - start[1]) * segY) / segLenSq;
+  }
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(point[0] - (start[0] + segX * t), point[1] - (start[1] + segY * t));
+}
+
+/**
+ * matchCrossingGate：为穿越围墙的边 a → b 找到经过的校门
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @param {Array<{ id: string, point: [number, number] }>} gates
+ * @param {number} maxDistance - 校门到边的最大距离（米）
+ * @returns {{ gateId: string, distance: number }|null}
+ */
+function matchCrossingGate(a, b, gates, maxDistance) {
+  let best = null;
+  gates.forEach((gate) => {
+    const distance = distancePointToSegment(gate.point, a, b);
+    if (distance > maxDistance) return;
+    if (!best || distance < best.distance) {
+      best = { gateId: gate.id, distance };
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  isPointInRings,
+  resolveCrossingDirection,
+  matchCrossingGate,
+};
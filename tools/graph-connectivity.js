@@ -0,0 +1,187 @@
+/**
+ * 路网连通性诊断规则，供路网构建脚本与测试共用
+ *
+ * - 连通分量：忽略单行方向，把正反两条有向边视为同一条无向边
+ * - 悬挂短边：从度为 1 的端点沿度为 2 的节点走到第一个路口（度 ≥ 3），总长短于阈值即为悬挂短边，
+ *   多为绘制时越过路口的“出头”线段
+ * - 近似连接：度为 1 的端点距另一条边（不含与其相邻的边）不超过阈值，多为漏接的路口，给出吸附修复建议
+ * - 节点坐标为 worldX/worldZ（米），修复建议同时给出经纬度便于回到 OSM 编辑
+ */
+
+const EPSILON = 1e-6;
+
+/**
+ * buildUndirectedAdjacency：无向邻接表 nodeId → Map(neighborId → { length, roadId, edgeId })
+ * @param {Array<{ id, from, to, length, roadId }>} edges
+ */
+function buildUndirectedAdjacency(edges) {
+  const adjacency = new Map();
+  const link = (a, b, edge) => {
+    if (!adjacency.has(a)) adjacency.set(a, new Map());
+    if (!adjacency.get(a).has(b)) {
+      adjacency.get(a).set(b, { length: edge.length, roadId: edge.roadId, edgeId: edge.id });
+    }
+  };
+  edges.forEach((edge) => {
+    if (!edge || edge.from === edge.to) return;
+    link(edge.from, edge.to, edge);
+    link(edge.to, edge.from, edge);
+  });
+  return adjacency;
+}
+
+/**
+ * findConnectedComponents：连通分量，按节点数降序
+ * @param {string[]} nodeIds
+ * @param {Map} adjacency - buildUndirectedAdjacency 的结果
+ * @returns {string[][]}
+ */
+function findConnectedComponents(nodeIds, adjacency) {
+  const visited = new Set();
+  const components = [];
+  nodeIds.forEach((startId) => {
+    if (visited.has(startId)) return;
+    const component = [];
+    const stack = [startId];
+    visited.add(startId);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      component.push(current);
+      (adjacency.get(current) || new Map()).forEach((_, neighborId) => {
+        if (visited.has(neighborId)) return;
+        visited.add(neighborId);
+        stack.push(neighborId);
+      });
+    }
+    components.push(component);
+  });
+  return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * findShortDeadEnds：悬挂短边
+ * @param {Map} adjacency - buildUndirectedAdjacency 的结果
+ * @param {number} maxLength - 阈值（米）
+ * @returns {Array<{ nodeId, junctionId, length, roadIds }>} 按长度升序
+ */
+function findShortDeadEnds(adjacency, maxLength) {
+  const degreeOf = (nodeId) => adjacency.get(nodeId)?.size ?? 0;
+  const result = [];
+  adjacency.forEach((neighbors, nodeId) => {
+    if (neighbors.size !== 1) return;
+    let previous = nodeId;
+    let [[current, link]] = neighbors;
+    let length = link.length;
+    const roadIds = new Set([link.roadId]);
+    while (degreeOf(current) === 2 && length < maxLength) {
+      const next = Array.from(adjacency.get(current)).find(([id]) => id !== previous);
+      if (!next) break;
+      previous = current;
+      [current, link] = next;
+      length += link.length;
+      roadIds.add(link.roadId);
+    }
+    if (degreeOf(current) < 3 || length >= maxLength) return;
+    result.push({ nodeId, junctionId: current, length, roadIds: Array.from(roadIds) });
+  });
+  return result.sort((a, b) => a.length - b.length);
+}
+
+function projectToSegment(point, a, b) {
+  const dx = b.worldX - a.worldX;
+  const dz = b.worldZ - a.worldZ;
+  const lengthSq = dx * dx + dz * dz;
+  let ratio = 0;
+  if (lengthSq > 0) {
+    ratio = ((point.worldX - a.worldX) * dx + (point.worldZ - a.worldZ) * dz) / lengthSq;
+  }
+  ratio = Math.max(0, Math.min(1, ratio));
+  const x = a.worldX + dx * ratio;
+  const z = a.worldZ + dz * ratio;
+  return { ratio, distance: Math.hypot(point.worldX - x, point.worldZ - z) };
+}
+
+/**
+ * findAlmostConnected：距其他边不超过阈值的道路端点及吸附修复建议
+ * - 只检查度为 1 的端点；与端点或其相邻节点相连的边不参与比较（避免匹配到自身所在道路）
+ * - 投影点落在目标边端点上时建议合并节点（merge-node，target.nodeId 为被合并的节点），
+ *   否则建议在目标边上插入节点（split-edge）；两个端点互为合并目标时只保留一条
+ * @param {Array<{ id, worldX, worldZ, lng, lat }>} nodes
+ * @param {Array<{ id, from, to, roadId }>} edges - 有向边，正反两条只比较一次
+ * @param {Map} adjacency - buildUndirectedAdjacency 的结果
+ * @param {number} threshold - 阈值（米）
+ * @returns {Array<{ nodeId, roadId, point, target: { edgeId, roadId, from, to, nodeId, point }, distance, action }>}
+ *          point 为 [lng, lat]，按距离升序
+ */
+function findAlmostConnected(nodes, edges, adjacency, threshold) {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const seenPairs = new Set();
+  const segments = [];
+  edges.forEach((edge) => {
+    const key = edge.from < edge.to ? `${edge.from}|${edge.to}` : `${edge.to}|${edge.from}`;
+    if (seenPairs.has(key) || !nodeById.has(edge.from) || !nodeById.has(edge.to)) return;
+    seenPairs.add(key);
+    segments.push(edge);
+  });
+
+  const suggestions = [];
+  adjacency.forEach((neighbors, nodeId) => {
+    if (neighbors.size !== 1) return;
+    const node = nodeById.get(nodeId);
+    if (!node) return;
+    const [[neighborId, ownLink]] = neighbors;
+    const excluded = new Set([nodeId, neighborId]);
+    let best = null;
+    segments.forEach((edge) => {
+      if (excluded.has(edge.from) || excluded.has(edge.to)) return;
+      const a = nodeById.get(edge.from);
+      const b = nodeById.get(edge.to);
+      if (
+        Math.min(a.worldX, b.worldX) - threshold > node.worldX ||
+        Math.max(a.worldX, b.worldX) + threshold < node.worldX ||
+        Math.min(a.worldZ, b.worldZ) - threshold > node.worldZ ||
+        Math.max(a.worldZ, b.worldZ) + threshold < node.worldZ
+      ) {
+        return;
+      }
+      const hit = projectToSegment(node, a, b);
+      if (hit.distance > threshold) return;
+      if (!best || hit.distance < best.hit.distance) best = { edge, a, b, hit };
+    });
+    if (!best) return;
+    const { edge, a, b, hit } = best;
+    const endpointId =
+      hit.ratio <= EPSILON ? edge.from : hit.ratio >= 1 - EPSILON ? edge.to : null;
+    suggestions.push({
+      nodeId,
+      roadId: ownLink.roadId,
+      point: [node.lng, node.lat],
+      target: {
+        edgeId: edge.id,
+        roadId: edge.roadId,
+        from: edge.from,
+        to: edge.to,
+        nodeId: endpointId,
+        point: [a.lng + (b.lng - a.lng) * hit.ratio, a.lat + (b.lat - a.lat) * hit.ratio],
+      },
+      distance: hit.distance,
+      action: endpointId ? "merge-node" : "split-edge",
+    });
+  });
+  const merged = new Set();
+  return suggestions
+    .sort((a, b) => a.distance - b.distance)
+    .filter((item) => {
+      if (item.action !== "merge-node") return true;
+      if (merged.has(`${item.target.nodeId}|${item.nodeId}`)) return false;
+      merged.add(`${item.nodeId}|${item.target.nodeId}`);
+      return true;
+    });
+}
+
+module.exports = {
+  buildUndirectedAdjacency,
+  findConnectedComponents,
+  findShortDeadEnds,
+  findAlmostConnected,
+};
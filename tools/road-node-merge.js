@@ -0,0 +1,121 @@
+/**
+ * 路网节点合并规则，供路网构建脚本与测试共用
+ *
+ * - 只有坐标完全相同的顶点（即 OSM 中的同一个节点）才会合并，不再按距离容差吸附
+ * - 道路层级由 layer / bridge / tunnel 推断；同一坐标出现在多个层级时，
+ *   仅当它是某条道路的端点（桥头、隧道口）才跨层合并，否则按层级拆成独立节点，避免天桥与下方道路形成假路口
+ * - findNearMisses 找出距离很近却未合并的顶点对，写入报告供人工核查漏接/误接
+ */
+
+const FALSY_TAG_VALUES = new Set(["no", "false", "0"]);
+
+function isTruthyTag(value) {
+  if (value === undefined || value === null || value === "") return false;
+  return !FALSY_TAG_VALUES.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * resolveRoadLevel：道路所在层级，layer 优先；无 layer 时桥梁为 1、隧道为 -1，其余为 0
+ */
+function resolveRoadLevel(props = {}) {
+  const layer = Number.parseInt(props.layer, 10);
+  if (Number.isFinite(layer)) return layer;
+  if (isTruthyTag(props.bridge)) return 1;
+  if (isTruthyTag(props.tunnel)) return -1;
+  return 0;
+}
+
+/**
+ * toCoordKey：按原始经纬度生成坐标键（OSM 共享节点的坐标逐位相同）
+ */
+function toCoordKey([lng, lat]) {
+  return `${lng},${lat}`;
+}
+
+/**
+ * createVertexKeyResolver：统计所有折线顶点的层级与端点信息，返回顶点 → 节点键的解析函数
+ * @param {Array<{ coordinates: Array<[number, number]>, level: number }>} lines
+ * @returns {{ resolveKey: (coord, level) => string, splitCoordKeys: string[] }}
+ *          splitCoordKeys 为因层级不同而拆分的坐标
+ */
+function createVertexKeyResolver(lines = []) {
+  const vertices = new Map();
+  lines.forEach(({ coordinates, level }) => {
+    if (!Array.isArray(coordinates)) return;
+    const lastIndex = coordinates.length - 1;
+    coordinates.forEach((coord, index) => {
+      if (!Array.isArray(coord) || !Number.isFinite(coord[0]) || !Number.isFinite(coord[1])) {
+        return;
+      }
+      const key = toCoordKey(coord);
+      if (!vertices.has(key)) vertices.set(key, { levels: new Set(), hasEndpoint: false });
+      const info = vertices.get(key);
+      info.levels.add(level);
+      if (index === 0 || index === lastIndex) info.hasEndpoint = true;
+    });
+  });
+
+  const splitCoordKeys = [];
+  vertices.forEach((info, key) => {
+    if (info.levels.size > 1 && !info.hasEndpoint) splitCoordKeys.push(key);
+  });
+  const splitSet = new Set(splitCoordKeys);
+
+  const resolveKey = (coord, level) => {
+    const key = toCoordKey(coord);
+    return splitSet.has(key) ? `${key}@${level}` : key;
+  };
+
+  return { resolveKey, splitCoordKeys };
+}
+
+/**
+ * findNearMisses：查找距离不超过 threshold（米）、却属于不同节点的顶点对
+ * - 同一道路上的相邻顶点不算可疑，两点所属道路有交集时跳过
+ * - sameLevel = true 表示同层却未连通（疑似漏接）；false 多为桥上下的正常交叉
+ * @param {Array<{ id, worldX, worldZ, levels: number[], roadIds: string[] }>} points
+ * @param {number} threshold
+ * @returns {Array<{ nodeIds: [string, string], distance: number, sameLevel: boolean, roadIds: string[] }>}
+ *          按距离升序
+ */
+function findNearMisses(points = [], threshold = 1) {
+  if (!(threshold > 0)) return [];
+  const cells = new Map();
+  const toCell = (value) => Math.floor(value / threshold);
+  points.forEach((point, order) => {
+    const key = `${toCell(point.worldX)}:${toCell(point.worldZ)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ point, order });
+  });
+
+  const pairs = [];
+  points.forEach((point, order) => {
+    const cx = toCell(point.worldX);
+    const cz = toCell(point.worldZ);
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dz = -1; dz <= 1; dz += 1) {
+        (cells.get(`${cx + dx}:${cz + dz}`) || []).forEach((entry) => {
+          if (entry.order <= order) return;
+          const other = entry.point;
+          const distance = Math.hypot(other.worldX - point.worldX, other.worldZ - point.worldZ);
+          if (distance > threshold) return;
+          if (point.roadIds.some((roadId) => other.roadIds.includes(roadId))) return;
+          pairs.push({
+            nodeIds: [point.id, other.id],
+            distance,
+            sameLevel: point.levels.some((level) => other.levels.includes(level)),
+            roadIds: Array.from(new Set([...point.roadIds, ...other.roadIds])),
+          });
+        });
+      }
+    }
+  });
+  return pairs.sort((left, right) => left.distance - right.distance);
+}
+
+module.exports = {
+  resolveRoadLevel,
+  toCoordKey,
+  createVertexKeyResolver,
+  findNearMisses,
+};